@@ -5,6 +5,10 @@ import Hero from './components/Hero';
 import WalletStatus from './components/WalletStatus';
 import CreateProfile from './components/CreateProfile';
 import CompatibilityMatch from './components/CompatibilityMatch';
+import Directory from './components/Directory';
+import BestMatch from './components/BestMatch';
+import GroupBuilder from './components/GroupBuilder';
+import RefundCenter from './components/RefundCenter';
 import HowItWorks from './components/HowItWorks';
 import Footer from './components/Footer';
 import LoadingModal from './components/LoadingModal';
@@ -20,6 +24,10 @@ function App() {
         <WalletStatus />
         <CreateProfile />
         <CompatibilityMatch />
+        <Directory />
+        <BestMatch />
+        <GroupBuilder />
+        <RefundCenter />
         <HowItWorks />
         <Footer />
         <LoadingModal />
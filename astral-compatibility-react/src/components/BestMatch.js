@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import './BestMatch.css';
+
+const BestMatch = () => {
+  const {
+    account,
+    variant,
+    hasProfile,
+    directory,
+    findBestMatch,
+    requestMatch,
+    showLoading,
+    hideLoading,
+    showNotification,
+  } = useWeb3();
+  const [winner, setWinner] = useState(null);
+
+  // AstralCompatibility (basic) has no findBestMatch
+  if (variant === 'basic' || !account) {
+    return null;
+  }
+
+  const formatAddress = (address) => {
+    return address.slice(0, 6) + '...' + address.slice(-4);
+  };
+
+  const candidates = directory.listings.filter((listing) => listing.user.toLowerCase() !== account.toLowerCase());
+
+  const handleSearch = async () => {
+    try {
+      showLoading('Ranking listed users privately...');
+      const best = await findBestMatch(
+        candidates.map((listing) => listing.user),
+        (done, total) => showLoading(`Ranking listed users privately (transaction ${done} of ${total} confirmed)...`)
+      );
+      setWinner(candidates.find((listing) => listing.user === best));
+      hideLoading();
+    } catch (error) {
+      hideLoading();
+      console.error('Failed to search the directory:', error);
+      showNotification('Failed to search the directory: ' + error.message, 'error');
+    }
+  };
+
+  const handleRequestMatch = async () => {
+    try {
+      showLoading('Sending match invitation...');
+      await requestMatch(winner.user);
+      hideLoading();
+      showNotification('Invitation sent! The compatibility score is calculated privately once your partner accepts.', 'success');
+    } catch (error) {
+      hideLoading();
+      console.error('Failed to send invitation:', error);
+      showNotification('Failed to send invitation: ' + error.message, 'error');
+    }
+  };
+
+  return (
+    <section id="best-match" className="section">
+      <div className="container">
+        <div className="section-header">
+          <h2>Best Match</h2>
+          <p>Find your most compatible listed user without revealing anyone's score</p>
+        </div>
+
+        <div className="best-match-panel">
+          <div className="best-match-explainer">
+            Each transaction compares you with up to 5 listed users on encrypted data. Only you can
+            decrypt which one came out on top; scores and signs stay encrypted, and nobody is told
+            they were ranked.
+          </div>
+
+          {!hasProfile ? (
+            <p className="best-match-empty">Create a profile to search the directory.</p>
+          ) : candidates.length < 2 ? (
+            <p className="best-match-empty">At least two other users must be listed to compare.</p>
+          ) : (
+            <div className="form-actions">
+              <button className="btn btn-primary" onClick={handleSearch}>
+                Search {candidates.length} listed users
+              </button>
+              {directory.listings.length < directory.total && (
+                <small className="form-text">
+                  Only loaded directory pages are searched; load more in the directory to include everyone.
+                </small>
+              )}
+            </div>
+          )}
+
+          {winner && (
+            <div className="best-match-result">
+              <div>
+                <span className="best-match-label">Your best match</span>
+                <span className="best-match-name">{winner.displayName || 'Anonymous'}</span>
+                {winner.handle && <span className="best-match-handle">{winner.handle}</span>}
+                <small title={winner.user}>{formatAddress(winner.user)}</small>
+              </div>
+              <button className="btn btn-primary" onClick={handleRequestMatch}>
+                Request match
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default BestMatch;
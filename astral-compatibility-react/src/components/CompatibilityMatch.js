@@ -1,11 +1,66 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useWeb3 } from '../context/Web3Context';
 import { ethers } from 'ethers';
+import { CONFIG, parsePartnerList } from '../config/contract';
+import { useContractStats, useMatches, useTransaction } from '../hooks';
+import MatchCard from './MatchCard';
+import InvitationInbox from './InvitationInbox';
 import './CompatibilityMatch.css';
 
 const CompatibilityMatch = () => {
-  const { account, requestMatch, showLoading, hideLoading, showNotification } = useWeb3();
+  const {
+    account,
+    variant,
+    revealRequests,
+    privateScores,
+    requestMatch,
+    requestMatches,
+    revealScores,
+    releaseRevealedMatches,
+    showNotification,
+  } = useWeb3();
+  const { data: stats } = useContractStats();
+  const [limit, setLimit] = useState(CONFIG.MATCHES_PAGE_SIZE);
+  const { data, loading, error } = useMatches({ limit });
+  const invite = useTransaction(requestMatch);
+  const inviteAll = useTransaction(requestMatches);
+  const publishAll = useTransaction(revealScores, { invalidates: ['matches'] });
   const [partnerAddress, setPartnerAddress] = useState('');
+  const [partnerList, setPartnerList] = useState('');
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [batchFailures, setBatchFailures] = useState([]);
+
+  // A larger limit is a new query; keep listing the loaded matches while it runs
+  const lastPage = useRef(null);
+  const page = data || (limit > CONFIG.MATCHES_PAGE_SIZE ? lastPage.current : null);
+  const matches = page ? page.matches : [];
+  const total = page ? page.total : 0;
+
+  useEffect(() => {
+    setLimit(CONFIG.MATCHES_PAGE_SIZE);
+    lastPage.current = null;
+  }, [account]);
+
+  useEffect(() => {
+    if (!data) return;
+
+    lastPage.current = data;
+    releaseRevealedMatches(data.matches);
+  }, [data, releaseRevealedMatches]);
+
+  // Addresses from the pasted list or CSV, without the connected wallet
+  const { addresses, invalid } = parsePartnerList(partnerList);
+  const partners = addresses.filter((address) => !account || address.toLowerCase() !== account.toLowerCase());
+
+  // Matches whose score can still be published; Enhanced decrypts several in one Gateway request
+  const publishable = variant === 'enhanced'
+    ? matches.filter((match) =>
+      !match.isRevealed &&
+      !match.isPrivatelyRevealed &&
+      !revealRequests[match.matchId] &&
+      CONFIG.REQUEST_STATUS[match.status] === 'PENDING'
+    )
+    : [];
 
   const handleRequestMatch = async () => {
     if (!account) {
@@ -29,15 +84,63 @@ const CompatibilityMatch = () => {
     }
 
     try {
-      showLoading('Requesting compatibility match...');
-      await requestMatch(partnerAddress);
-      hideLoading();
-      showNotification('Compatibility match requested! The compatibility score is being calculated privately.', 'success');
+      await invite.send(partnerAddress);
+      showNotification('Invitation sent! The compatibility score is calculated privately once your partner accepts.', 'success');
       setPartnerAddress('');
     } catch (error) {
-      hideLoading();
       console.error('Error requesting match:', error);
-      showNotification('Failed to request match: ' + error.message, 'error');
+      showNotification('Failed to send invitation: ' + error.message, 'error');
+    }
+  };
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setPartnerList(reader.result);
+    reader.onerror = () => showNotification('Failed to read ' + file.name, 'error');
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleRequestMatches = async () => {
+    if (!account) {
+      showNotification('Please connect your wallet first', 'error');
+      return;
+    }
+
+    if (partners.length === 0) {
+      showNotification('Please add at least one partner address', 'error');
+      return;
+    }
+
+    try {
+      const { created, failed } = await inviteAll.send(
+        partners,
+        (done, count) => setBatchProgress(`Transaction ${done} of ${count} confirmed`)
+      );
+      setBatchProgress(null);
+      setBatchFailures(failed);
+      if (failed.length === 0) {
+        showNotification(`${created} invitations sent! Scores are calculated privately once partners accept.`, 'success');
+        setPartnerList('');
+      } else {
+        showNotification(`${created} invitations sent, ${failed.length} skipped. See the list below the form.`, 'info');
+      }
+    } catch (error) {
+      setBatchProgress(null);
+      console.error('Error requesting matches:', error);
+      showNotification('Failed to send invitations: ' + error.message, 'error');
+    }
+  };
+
+  const handleRevealAll = async () => {
+    try {
+      await publishAll.send(publishable.map((match) => match.matchId));
+    } catch (error) {
+      console.error('Error revealing scores:', error);
+      showNotification('Failed to reveal scores: ' + error.message, 'error');
     }
   };
 
@@ -46,7 +149,7 @@ const CompatibilityMatch = () => {
       <div className="container">
         <div className="section-header">
           <h2>Compatibility Matching</h2>
-          <p>Request compatibility analysis with another user</p>
+          <p>Invite another user to a compatibility analysis; the score is computed once they accept</p>
         </div>
 
         <div className="match-form">
@@ -61,21 +164,130 @@ const CompatibilityMatch = () => {
               onChange={(e) => setPartnerAddress(e.target.value)}
             />
             <small className="form-text">
-              Enter the wallet address of the person you want to match with
+              Enter the wallet address of the person you want to match with. They have to accept before
+              anything is computed.
             </small>
           </div>
 
           <div className="form-actions">
-            <button className="btn btn-primary" onClick={handleRequestMatch}>
-              Request Compatibility Match
+            <button className="btn btn-primary" onClick={handleRequestMatch} disabled={invite.pending}>
+              {invite.pending ? 'Sending Invitation...' : 'Send Match Invitation'}
+              {/* Enhanced escrows matchFee with every invitation; the other variants invite for free */}
+              {variant === 'enhanced' && stats && stats.matchFee && ` (${ethers.utils.formatEther(stats.matchFee)} ETH)`}
             </button>
           </div>
+
+          {/* AstralCompatibility (basic) has no requestCompatibilityMatches */}
+          {variant !== 'basic' && (
+            <div className="match-batch">
+              <div className="form-group">
+                <label htmlFor="partnerList">Invite Several Partners</label>
+                <textarea
+                  id="partnerList"
+                  className="form-control"
+                  rows="4"
+                  placeholder="0x..., one per line or comma-separated"
+                  value={partnerList}
+                  onChange={(e) => setPartnerList(e.target.value)}
+                />
+                <small className="form-text">
+                  Paste wallet addresses or load them from a CSV file. Everyone is invited in as few
+                  transactions as possible; addresses that cannot be invited are skipped.
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="partnerFile">Load from CSV</label>
+                <input
+                  type="file"
+                  id="partnerFile"
+                  className="form-control"
+                  accept=".csv,.txt"
+                  onChange={handleFileUpload}
+                />
+              </div>
+
+              {partnerList && (
+                <div className="match-batch-summary">
+                  <span>{partners.length} addresses to invite</span>
+                  {invalid.length > 0 && (
+                    <span className="match-batch-invalid">
+                      Ignored (checksum mismatch): {invalid.join(', ')}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              <div className="form-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleRequestMatches}
+                  disabled={partners.length === 0 || inviteAll.pending}
+                >
+                  {inviteAll.pending ? `Inviting ${partners.length} Partners...` : `Invite ${partners.length} Partners`}
+                </button>
+                {batchProgress && <small className="form-text">{batchProgress}</small>}
+              </div>
+
+              {batchFailures.length > 0 && (
+                <ul className="match-batch-failures">
+                  {batchFailures.map(({ partner, reason }) => (
+                    <li key={partner + reason}>
+                      <span title={partner}>{partner.slice(0, 6)}...{partner.slice(-4)}</span>
+                      {reason.replace(/^AC: /, '')}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
 
+        <InvitationInbox />
+
         <div className="match-results">
           <h3>Your Compatibility Matches</h3>
+          {publishable.length > 1 && (
+            <div className="match-reveal-all">
+              <button
+                className="btn btn-secondary"
+                onClick={handleRevealAll}
+                disabled={publishAll.pending}
+                title="Decrypts the scores on chain in one Gateway request, where anyone can read them"
+              >
+                {publishAll.pending ? 'Publishing scores...' : `Publish all ${publishable.length} scores`}
+              </button>
+            </div>
+          )}
           <div className="match-list">
-            <p>Match results will be displayed here once the compatibility calculations are complete.</p>
+            {loading && !page ? (
+              <p>Loading matches...</p>
+            ) : error && !page ? (
+              <p>Could not load matches: {error.message}</p>
+            ) : matches.length === 0 ? (
+              <p>No compatibility matches yet. Request one above to get started.</p>
+            ) : (
+              <div className="match-cards">
+                {matches.map((match) => (
+                  <MatchCard
+                    key={match.matchId}
+                    match={match}
+                    account={account}
+                    reveal={revealRequests[match.matchId]}
+                    privateScore={privateScores[match.matchId]}
+                  />
+                ))}
+              </div>
+            )}
+            {matches.length < total && (
+              <button
+                className="btn btn-secondary load-more-btn"
+                onClick={() => setLimit(matches.length + CONFIG.MATCHES_PAGE_SIZE)}
+                disabled={loading}
+              >
+                {loading ? 'Loading...' : `Load more (${matches.length} of ${total})`}
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -1,14 +1,71 @@
 import React, { useState } from 'react';
 import { useWeb3 } from '../context/Web3Context';
-import { CONFIG } from '../config/contract';
+import { CONFIG, deriveZodiacFromBirthDate } from '../config/contract';
 import './CreateProfile.css';
 
+// Shown before deleteProfile: what is wiped and what the chain keeps
+const DELETE_NOTICE = [
+  'Delete your profile?',
+  '',
+  'Your encrypted zodiac data is cleared and nobody can invite or match you until you create a new profile. ' +
+    'Open invitations are closed and unrevealed matches are cancelled; escrowed fees go back to whoever paid them.',
+  '',
+  'What remains on chain: revealed scores, match and invitation records with both addresses, ' +
+    'past transactions and events. Encrypted values cannot be erased, and anyone already allowed to ' +
+    'decrypt a value (such as a partner after a private reveal) still can.',
+].join('\n');
+
 const CreateProfile = () => {
-  const { account, hasProfile, createProfile, updateProfile, showLoading, hideLoading, showNotification } = useWeb3();
+  const {
+    account,
+    hasProfile,
+    natalWeights,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    showLoading,
+    hideLoading,
+    showNotification,
+  } = useWeb3();
+  const [birthDate, setBirthDate] = useState('');
+  const [cuspOptions, setCuspOptions] = useState(null);
   const [selectedZodiac, setSelectedZodiac] = useState('');
+  const [moonSign, setMoonSign] = useState('');
+  const [risingSign, setRisingSign] = useState('');
+
+  // Unknown placements are null
+  const natalSigns = {
+    moon: moonSign === '' ? null : parseInt(moonSign),
+    rising: risingSign === '' ? null : parseInt(risingSign),
+  };
+
+  const weightBreakdown = [
+    { label: 'Sun + Sun', weight: natalWeights.SUN, active: true },
+    { label: 'Moon + Moon', weight: natalWeights.MOON, active: natalSigns.moon !== null },
+    { label: 'Rising + Rising', weight: natalWeights.RISING, active: natalSigns.rising !== null },
+    { label: 'Sun + Moon, each way', weight: natalWeights.SUN_MOON, active: true },
+  ].filter((entry) => entry.weight > 0);
+
+  // Derive the sign locally; the birth date stays in component state and is never sent
+  const handleBirthDateChange = (e) => {
+    const value = e.target.value;
+    setBirthDate(value);
+
+    if (!value) {
+      setCuspOptions(null);
+      setSelectedZodiac('');
+      return;
+    }
 
-  const handleZodiacChange = (e) => {
-    setSelectedZodiac(e.target.value);
+    try {
+      const { zodiacId, cuspZodiacId } = deriveZodiacFromBirthDate(value);
+      setCuspOptions(cuspZodiacId === null ? null : [zodiacId, cuspZodiacId]);
+      setSelectedZodiac(String(zodiacId));
+    } catch (error) {
+      setCuspOptions(null);
+      setSelectedZodiac('');
+      showNotification(error.message, 'error');
+    }
   };
 
   const handleCreateProfile = async () => {
@@ -18,13 +75,13 @@ const CreateProfile = () => {
     }
 
     if (!selectedZodiac) {
-      showNotification('Please select your zodiac sign', 'error');
+      showNotification('Please enter your birth date', 'error');
       return;
     }
 
     try {
       showLoading('Creating your private profile...');
-      await createProfile(parseInt(selectedZodiac));
+      await createProfile(parseInt(selectedZodiac), natalSigns);
       hideLoading();
       showNotification('Profile created successfully! Your zodiac information is now encrypted and private.', 'success');
     } catch (error) {
@@ -41,13 +98,13 @@ const CreateProfile = () => {
     }
 
     if (!selectedZodiac) {
-      showNotification('Please select your zodiac sign', 'error');
+      showNotification('Please enter your birth date', 'error');
       return;
     }
 
     try {
       showLoading('Updating your profile...');
-      await updateProfile(parseInt(selectedZodiac));
+      await updateProfile(parseInt(selectedZodiac), natalSigns);
       hideLoading();
       showNotification('Profile updated successfully!', 'success');
     } catch (error) {
@@ -57,6 +114,21 @@ const CreateProfile = () => {
     }
   };
 
+  const handleDeleteProfile = async () => {
+    if (!window.confirm(DELETE_NOTICE)) return;
+
+    try {
+      showLoading('Deleting your profile...');
+      await deleteProfile();
+      hideLoading();
+      showNotification('Profile deleted. Open invitations were closed and unrevealed matches cancelled.', 'success');
+    } catch (error) {
+      hideLoading();
+      console.error('Error deleting profile:', error);
+      showNotification('Failed to delete profile: ' + error.message, 'error');
+    }
+  };
+
   const selectedZodiacInfo = selectedZodiac ? CONFIG.ZODIAC_SIGNS[parseInt(selectedZodiac)] : null;
 
   return (
@@ -69,21 +141,84 @@ const CreateProfile = () => {
 
         <div className="profile-form">
           <div className="form-group">
-            <label htmlFor="zodiacSelect">Your Zodiac Sign</label>
-            <select
-              id="zodiacSelect"
+            <label htmlFor="birthDate">Your Birth Date</label>
+            <input
+              type="date"
+              id="birthDate"
               className="form-control"
-              value={selectedZodiac}
-              onChange={handleZodiacChange}
-            >
-              <option value="">Select your zodiac sign</option>
-              {CONFIG.ZODIAC_SIGNS.map((zodiac) => (
-                <option key={zodiac.id} value={zodiac.id}>
-                  {zodiac.name}
-                </option>
-              ))}
-            </select>
-            <small className="form-text">Choose your astrological sign based on your birth date</small>
+              value={birthDate}
+              max={new Date().toISOString().split('T')[0]}
+              onChange={handleBirthDateChange}
+            />
+            <small className="form-text">
+              Your sign is worked out in your browser. The date itself is never stored or sent anywhere.
+            </small>
+          </div>
+
+          {cuspOptions && (
+            <div className="form-group cusp-choice">
+              <label>You were born on a cusp</label>
+              <div className="cusp-options">
+                {cuspOptions.map((zodiacId) => (
+                  <label key={zodiacId} className="cusp-option">
+                    <input
+                      type="radio"
+                      name="cuspSign"
+                      value={zodiacId}
+                      checked={selectedZodiac === String(zodiacId)}
+                      onChange={(e) => setSelectedZodiac(e.target.value)}
+                    />
+                    {CONFIG.ZODIAC_SIGNS[zodiacId].name}
+                  </label>
+                ))}
+              </div>
+              <small className="form-text">
+                The Sun changes sign on a slightly different day each year. Pick the sign from your birth chart if you
+                know it.
+              </small>
+            </div>
+          )}
+
+          <div className="form-group natal-signs">
+            <label>Moon and Rising Signs (optional)</label>
+            <div className="natal-sign-fields">
+              <label htmlFor="moonSign">
+                Moon
+                <select
+                  id="moonSign"
+                  className="form-control"
+                  value={moonSign}
+                  onChange={(e) => setMoonSign(e.target.value)}
+                >
+                  <option value="">I don't know</option>
+                  {CONFIG.ZODIAC_SIGNS.map((zodiac) => (
+                    <option key={zodiac.id} value={zodiac.id}>
+                      {zodiac.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label htmlFor="risingSign">
+                Rising
+                <select
+                  id="risingSign"
+                  className="form-control"
+                  value={risingSign}
+                  onChange={(e) => setRisingSign(e.target.value)}
+                >
+                  <option value="">I don't know</option>
+                  {CONFIG.ZODIAC_SIGNS.map((zodiac) => (
+                    <option key={zodiac.id} value={zodiac.id}>
+                      {zodiac.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <small className="form-text">
+              Both need your birth time and place. Leave them on "I don't know" to be matched on your Sun sign alone;
+              they are encrypted like your Sun sign.
+            </small>
           </div>
 
           {selectedZodiacInfo && (
@@ -98,6 +233,21 @@ const CreateProfile = () => {
                     Quality: <span>{CONFIG.QUALITIES[selectedZodiacInfo.quality]}</span>
                   </span>
                 </div>
+                <div className="natal-weights">
+                  <h5>How your placements are weighted</h5>
+                  <ul className="natal-weight-list">
+                    {weightBreakdown.map((entry) => (
+                      <li key={entry.label} className={entry.active ? '' : 'inactive'}>
+                        {entry.label}: <strong>{entry.weight}</strong>
+                      </li>
+                    ))}
+                  </ul>
+                  <p>
+                    Each pair of placements is scored on its own and the scores are averaged by these weights. Moon and
+                    Rising pairs only count when your match has set them too; with no moons on either side only the Sun
+                    signs are compared.
+                  </p>
+                </div>
               </div>
             </div>
           )}
@@ -112,13 +262,18 @@ const CreateProfile = () => {
                 Create Private Profile
               </button>
             ) : (
-              <button
-                className="btn btn-secondary"
-                onClick={handleUpdateProfile}
-                disabled={!selectedZodiac}
-              >
-                Update Profile
-              </button>
+              <>
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleUpdateProfile}
+                  disabled={!selectedZodiac}
+                >
+                  Update Profile
+                </button>
+                <button className="btn btn-danger" onClick={handleDeleteProfile}>
+                  Delete my profile
+                </button>
+              </>
             )}
           </div>
         </div>
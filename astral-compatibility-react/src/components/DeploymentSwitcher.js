@@ -0,0 +1,29 @@
+import React from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import './DeploymentSwitcher.css';
+
+const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Pick one of the deployments recorded in lib/contracts; hidden while there is only one
+const DeploymentSwitcher = () => {
+  const { deployments, deployment, selectDeployment } = useWeb3();
+
+  if (deployments.length < 2) return null;
+
+  return (
+    <select
+      className="deployment-select"
+      title="Contract deployment"
+      value={deployment ? deployment.id : ''}
+      onChange={(e) => selectDeployment(e.target.value)}
+    >
+      {deployments.map((entry) => (
+        <option key={entry.id} value={entry.id}>
+          {entry.network} · {entry.variant} · {formatAddress(entry.address)}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default DeploymentSwitcher;
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import './Directory.css';
+
+const Directory = () => {
+  const {
+    account,
+    hasProfile,
+    directory,
+    listInDirectory,
+    unlistFromDirectory,
+    loadDirectory,
+    requestMatch,
+    showLoading,
+    hideLoading,
+    showNotification,
+  } = useWeb3();
+  const [displayName, setDisplayName] = useState('');
+  const [handle, setHandle] = useState('');
+  const [search, setSearch] = useState('');
+
+  // Start the form from the account's current entry
+  useEffect(() => {
+    setDisplayName(directory.own ? directory.own.displayName : '');
+    setHandle(directory.own ? directory.own.handle : '');
+  }, [directory.own]);
+
+  if (!account) {
+    return null;
+  }
+
+  const formatAddress = (address) => {
+    return address.slice(0, 6) + '...' + address.slice(-4);
+  };
+
+  const isAccount = (address) => address.toLowerCase() === account.toLowerCase();
+
+  const runAction = async (loading, success, failure, action) => {
+    try {
+      showLoading(loading);
+      await action();
+      hideLoading();
+      showNotification(success, 'success');
+    } catch (error) {
+      hideLoading();
+      console.error(`${failure}:`, error);
+      showNotification(`${failure}: ` + error.message, 'error');
+    }
+  };
+
+  const handleList = () =>
+    runAction(
+      directory.own ? 'Updating your listing...' : 'Adding you to the directory...',
+      directory.own ? 'Directory listing updated' : 'You are now listed in the directory',
+      'Failed to save listing',
+      () => listInDirectory(displayName, handle)
+    );
+
+  const handleUnlist = () =>
+    runAction('Removing you from the directory...', 'You are no longer listed', 'Failed to unlist', unlistFromDirectory);
+
+  const handleRequestMatch = (user) =>
+    runAction(
+      'Sending match invitation...',
+      'Invitation sent! The compatibility score is calculated privately once your partner accepts.',
+      'Failed to send invitation',
+      () => requestMatch(user)
+    );
+
+  const query = search.trim().toLowerCase();
+  const results = directory.listings.filter(
+    (listing) =>
+      !query ||
+      listing.displayName.toLowerCase().includes(query) ||
+      listing.handle.toLowerCase().includes(query) ||
+      listing.user.toLowerCase().includes(query)
+  );
+
+  return (
+    <section id="directory" className="section">
+      <div className="container">
+        <div className="section-header">
+          <h2>Directory</h2>
+          <p>Find people who opted in to matching and invite them directly</p>
+        </div>
+
+        <div className="directory-panel">
+          <div className="directory-explainer">
+            Listing is optional. The directory shows your address and the name and handle you enter here,
+            never your zodiac sign. Anyone can invite you; nothing is computed until you accept.
+          </div>
+
+          {hasProfile ? (
+            <div className="directory-own">
+              <div className="form-group">
+                <label htmlFor="directoryName">Display name (optional)</label>
+                <input
+                  type="text"
+                  id="directoryName"
+                  className="form-control"
+                  placeholder="Ada"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="directoryHandle">Handle (optional)</label>
+                <input
+                  type="text"
+                  id="directoryHandle"
+                  className="form-control"
+                  placeholder="@ada"
+                  value={handle}
+                  onChange={(e) => setHandle(e.target.value)}
+                />
+              </div>
+              <small className="form-text">Up to 31 bytes each. Names and handles are public and not verified.</small>
+              <div className="form-actions">
+                <button className="btn btn-primary" onClick={handleList}>
+                  {directory.own ? 'Update listing' : 'List me'}
+                </button>
+                {directory.own && (
+                  <button className="btn btn-secondary" onClick={handleUnlist}>
+                    Unlist
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <p className="directory-empty">Create a profile to list yourself or invite people from the directory.</p>
+          )}
+
+          <div className="form-group directory-search">
+            <label htmlFor="directorySearch">Search</label>
+            <input
+              type="text"
+              id="directorySearch"
+              className="form-control"
+              placeholder="Name, handle or address"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+
+          {results.length === 0 ? (
+            <p className="directory-empty">
+              {directory.total === 0 ? 'Nobody is listed yet.' : 'No listed users match your search.'}
+            </p>
+          ) : (
+            <ul className="directory-items">
+              {results.map((listing) => (
+                <li key={listing.user} className="directory-item">
+                  <div>
+                    <span className="directory-name">{listing.displayName || 'Anonymous'}</span>
+                    {listing.handle && <span className="directory-handle">{listing.handle}</span>}
+                    <small title={listing.user}>
+                      {formatAddress(listing.user)} · listed {new Date(listing.listedAt * 1000).toLocaleDateString()}
+                    </small>
+                  </div>
+                  {isAccount(listing.user) ? (
+                    <span className="directory-you">You</span>
+                  ) : (
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => handleRequestMatch(listing.user)}
+                      disabled={!hasProfile}
+                    >
+                      Request match
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {directory.listings.length < directory.total && (
+            <div className="form-actions">
+              <button className="btn btn-secondary" onClick={() => loadDirectory(directory.listings.length)}>
+                Load more ({directory.total - directory.listings.length} remaining)
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default Directory;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { CONFIG, parsePartnerList } from '../config/contract';
+import './GroupBuilder.css';
+
+// Groups hold the creator plus 2 to 5 invited members (MAX_GROUP_SIZE)
+const MAX_INVITED = 5;
+
+const GroupBuilder = () => {
+  const {
+    account,
+    variant,
+    hasProfile,
+    directory,
+    groups,
+    createGroup,
+    joinGroup,
+    leaveGroup,
+    revealGroup,
+    showLoading,
+    hideLoading,
+    showNotification,
+  } = useWeb3();
+  const [memberList, setMemberList] = useState('');
+
+  // AstralCompatibility (basic) has no group matches
+  if (variant === 'basic' || !account) {
+    return null;
+  }
+
+  const formatAddress = (address) => {
+    return address.slice(0, 6) + '...' + address.slice(-4);
+  };
+
+  const isAccount = (address) => address.toLowerCase() === account.toLowerCase();
+
+  // Addresses from the pasted list, without the connected wallet
+  const { addresses, invalid } = parsePartnerList(memberList);
+  const members = addresses.filter((address) => !isAccount(address));
+
+  // Listed users not picked yet, to add with one click
+  const suggestions = directory.listings.filter(
+    (listing) => !isAccount(listing.user) && !members.some((member) => member.toLowerCase() === listing.user.toLowerCase())
+  );
+
+  const addMember = (address) => {
+    setMemberList((prev) => (prev.trim() ? `${prev.trim()}\n${address}` : address));
+  };
+
+  // Run a group transaction behind the loading modal
+  const runAction = async (message, action, success) => {
+    try {
+      showLoading(message);
+      await action();
+      hideLoading();
+      showNotification(success, 'success');
+      return true;
+    } catch (error) {
+      hideLoading();
+      console.error('Group action failed:', error);
+      showNotification('Group action failed: ' + error.message, 'error');
+      return false;
+    }
+  };
+
+  const handleCreate = async () => {
+    const created = await runAction(
+      'Creating group...',
+      () => createGroup(members),
+      'Group created! It is scored privately once every member joined.'
+    );
+    if (created) {
+      setMemberList('');
+    }
+  };
+
+  const handleReveal = (groupId) => runAction(
+    'Revealing group score...',
+    () => revealGroup(groupId),
+    variant === 'enhanced'
+      ? 'Reveal requested, the Gateway publishes the scores shortly.'
+      : 'Group score revealed!'
+  );
+
+  const renderGroup = (group) => {
+    const status = CONFIG.GROUP_STATUS[group.status];
+    const expired = status === 'OPEN' && group.expiresAt.toNumber() <= Date.now() / 1000;
+
+    return (
+      <li key={group.groupId} className="group-card">
+        <div className="group-card-header">
+          <span>
+            {group.members.length} members · created by {isAccount(group.creator) ? 'you' : formatAddress(group.creator)}
+          </span>
+          <span className={`group-status ${status.toLowerCase()}`}>{expired ? 'EXPIRED' : status}</span>
+        </div>
+
+        <ul className="group-members">
+          {group.members.map((member, index) => (
+            <li key={member} title={member}>
+              {isAccount(member) ? 'You' : formatAddress(member)}
+              {/* Only the account's own join state is loaded; everyone is in once the group is scored */}
+              {status === 'OPEN' && isAccount(member) && !group.joined && ' (invited)'}
+              {index === 0 && ' · creator'}
+            </li>
+          ))}
+        </ul>
+
+        {status === 'REVEALED' && (
+          <div className="group-scores">
+            <div>
+              <span className="group-score">{group.publicAverage}%</span>
+              <small>average pair score</small>
+            </div>
+            <div>
+              <span className="group-score">{group.publicMinPair}%</span>
+              <small>lowest pair score</small>
+            </div>
+          </div>
+        )}
+
+        {status === 'OPEN' && (
+          <div className="group-actions">
+            <small>{group.joinedCount.toString()} of {group.members.length} joined</small>
+            {!group.joined && !expired && (
+              <button
+                className="btn btn-primary"
+                onClick={() => runAction('Joining group...', () => joinGroup(group.groupId), 'Joined the group!')}
+              >
+                Join
+              </button>
+            )}
+            <button
+              className="btn btn-secondary"
+              onClick={() => runAction('Leaving group...', () => leaveGroup(group.groupId), 'Group cancelled')}
+            >
+              {expired ? 'Clear' : 'Leave'}
+            </button>
+          </div>
+        )}
+
+        {status === 'SCORED' && (
+          <div className="group-actions">
+            <small>Everyone joined; the scores stay encrypted until a member reveals them.</small>
+            <button className="btn btn-primary" onClick={() => handleReveal(group.groupId)}>
+              Reveal
+            </button>
+          </div>
+        )}
+
+        {status === 'PROCESSING' && (
+          <div className="group-actions">
+            <small>Waiting for the Gateway to decrypt the scores...</small>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <section id="groups" className="section bg-light">
+      <div className="container">
+        <div className="section-header">
+          <h2>Group Compatibility</h2>
+          <p>Score a group of three to six on encrypted profiles: the average of every pair and the weakest pair</p>
+        </div>
+
+        <div className="group-panel">
+          {!hasProfile ? (
+            <p className="group-empty">Create a profile to start a group.</p>
+          ) : (
+            <div className="group-builder">
+              <div className="form-group">
+                <label htmlFor="groupMembers">Members to invite</label>
+                <textarea
+                  id="groupMembers"
+                  className="form-control"
+                  rows="3"
+                  placeholder="0x..., one per line or comma-separated"
+                  value={memberList}
+                  onChange={(e) => setMemberList(e.target.value)}
+                />
+                <small className="form-text">
+                  Invite 2 to {MAX_INVITED} users with a profile. Each of them joins before the invitation
+                  expires; if anyone leaves, the group is cancelled.
+                </small>
+              </div>
+
+              {suggestions.length > 0 && (
+                <div className="group-suggestions">
+                  {suggestions.map((listing) => (
+                    <button key={listing.user} className="group-chip" onClick={() => addMember(listing.user)}>
+                      + {listing.displayName || formatAddress(listing.user)}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {invalid.length > 0 && (
+                <p className="group-invalid">Ignored (checksum mismatch): {invalid.join(', ')}</p>
+              )}
+
+              <div className="form-actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={handleCreate}
+                  disabled={members.length < 2 || members.length > MAX_INVITED}
+                >
+                  Create group of {members.length + 1}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {groups.length > 0 && <ul className="group-list">{groups.map(renderGroup)}</ul>}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default GroupBuilder;
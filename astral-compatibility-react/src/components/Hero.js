@@ -1,9 +1,10 @@
 import React from 'react';
-import { useWeb3 } from '../context/Web3Context';
+import { useContractStats, useProfile } from '../hooks';
 import './Hero.css';
 
 const Hero = () => {
-  const { userMatches, totalMatches } = useWeb3();
+  const { data: stats } = useContractStats();
+  const { data: profile } = useProfile();
 
   const scrollToSection = (sectionId) => {
     document.getElementById(sectionId)?.scrollIntoView({ behavior: 'smooth' });
@@ -20,11 +21,11 @@ const Hero = () => {
           </p>
           <div className="hero-stats">
             <div className="stat">
-              <span className="stat-number">{totalMatches}</span>
+              <span className="stat-number">{stats ? stats.totalMatches : 0}</span>
               <span className="stat-label">Total Matches</span>
             </div>
             <div className="stat">
-              <span className="stat-number">{userMatches}</span>
+              <span className="stat-number">{profile ? profile.matchCount : 0}</span>
               <span className="stat-label">Your Matches</span>
             </div>
           </div>
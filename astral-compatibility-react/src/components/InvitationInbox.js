@@ -0,0 +1,110 @@
+import React from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import './InvitationInbox.css';
+
+const ACTIONS = {
+  accept: {
+    loading: 'Accepting invitation...',
+    success: 'Invitation accepted! Your compatibility score is being calculated privately.',
+  },
+  decline: { loading: 'Declining invitation...', success: 'Invitation declined' },
+  cancel: { loading: 'Cancelling invitation...', success: 'Invitation cancelled' },
+};
+
+const InvitationInbox = () => {
+  const {
+    account,
+    invitations,
+    acceptInvitation,
+    declineInvitation,
+    cancelInvitation,
+    showLoading,
+    hideLoading,
+    showNotification,
+  } = useWeb3();
+
+  if (!account) {
+    return null;
+  }
+
+  const formatAddress = (address) => {
+    return address.slice(0, 6) + '...' + address.slice(-4);
+  };
+
+  const handlers = { accept: acceptInvitation, decline: declineInvitation, cancel: cancelInvitation };
+
+  const handleAction = async (action, matchId) => {
+    try {
+      showLoading(ACTIONS[action].loading);
+      await handlers[action](matchId);
+      hideLoading();
+      showNotification(ACTIONS[action].success, 'success');
+    } catch (error) {
+      hideLoading();
+      console.error(`Error (${action}) on invitation:`, error);
+      showNotification(`Failed to ${action} invitation: ` + error.message, 'error');
+    }
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+
+  const renderItem = (invitation, incoming) => {
+    const other = incoming ? invitation.requester : invitation.partner;
+    const expiresAt = invitation.expiresAt.toNumber();
+    const expired = expiresAt <= now;
+
+    return (
+      <li key={invitation.matchId} className={`invitation-item ${expired ? 'expired' : ''}`}>
+        <div>
+          <span className="match-partner" title={other}>
+            {incoming ? 'From' : 'To'} {formatAddress(other)}
+          </span>
+          <small>{expired ? 'Expired' : `Expires ${new Date(expiresAt * 1000).toLocaleString()}`}</small>
+        </div>
+        <div className="invitation-actions">
+          {incoming ? (
+            <>
+              <button
+                className="btn btn-primary"
+                onClick={() => handleAction('accept', invitation.matchId)}
+                disabled={expired}
+              >
+                Accept
+              </button>
+              <button className="btn btn-secondary" onClick={() => handleAction('decline', invitation.matchId)}>
+                Decline
+              </button>
+            </>
+          ) : (
+            <button className="btn btn-secondary" onClick={() => handleAction('cancel', invitation.matchId)}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  const renderSection = (title, list, incoming, empty) => (
+    <>
+      <h4>{title}</h4>
+      {list.length === 0 ? (
+        <p className="invitation-empty">{empty}</p>
+      ) : (
+        <ul className="invitation-items">{list.map((invitation) => renderItem(invitation, incoming))}</ul>
+      )}
+    </>
+  );
+
+  return (
+    <div className="invitation-inbox">
+      <h3>Invitations</h3>
+      <div className="invitation-list">
+        {renderSection('Incoming', invitations.incoming, true, 'No invitations waiting for your answer.')}
+        {renderSection('Sent', invitations.outgoing, false, 'No invitations waiting for a partner.')}
+      </div>
+    </div>
+  );
+};
+
+export default InvitationInbox;
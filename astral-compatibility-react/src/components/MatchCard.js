@@ -0,0 +1,115 @@
+import React from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { useTransaction } from '../hooks';
+import RevealStatus from './RevealStatus';
+import { CONFIG } from '../config/contract';
+import './MatchCard.css';
+
+const MatchCard = ({ match, account, reveal, privateScore }) => {
+  const { revealScore, revealPrivately, viewPrivateScore, showNotification } = useWeb3();
+  // Each card tracks its own transactions, so several matches can be revealed at once
+  const publish = useTransaction(revealScore, { invalidates: ['matches'] });
+  const revealPrivate = useTransaction(revealPrivately, { invalidates: ['matches'] });
+  const viewPrivate = useTransaction(viewPrivateScore);
+  const busy = publish.pending || revealPrivate.pending || viewPrivate.pending;
+
+  const formatAddress = (address) => {
+    return address.slice(0, 6) + '...' + address.slice(-4);
+  };
+
+  const partner = match.user1.toLowerCase() === account.toLowerCase() ? match.user2 : match.user1;
+  const matchTime = new Date(match.matchTime.toNumber() * 1000).toLocaleString();
+  // Keep showing the tracked status until the revealed score has been reloaded
+  const revealed = match.isRevealed && !reveal;
+
+  // Mock and Basic flag cancelled matches; Enhanced has a CANCELLED status
+  const cancelled = match.isCancelled === true || CONFIG.REQUEST_STATUS[match.status] === 'CANCELLED';
+
+  let status = 'Pending';
+  let score = '🔒 Encrypted';
+  if (cancelled) {
+    status = 'Cancelled';
+    score = '—';
+  } else if (revealed) {
+    status = 'Revealed';
+    score = `${match.publicScore}%`;
+  } else if (match.isPrivatelyRevealed) {
+    status = 'Private';
+    score = privateScore !== undefined ? `${privateScore}% 🔐` : '🔐 Private';
+  }
+
+  const handlePublish = async () => {
+    try {
+      await publish.send(match.matchId);
+    } catch (error) {
+      console.error('Error revealing score:', error);
+      showNotification('Failed to reveal score: ' + error.message, 'error');
+    }
+  };
+
+  const handlePrivate = async (transaction) => {
+    try {
+      await transaction.send(match.matchId);
+    } catch (error) {
+      console.error('Error revealing score privately:', error);
+      showNotification('Failed to reveal score privately: ' + error.message, 'error');
+    }
+  };
+
+  const renderControls = () => {
+    if (cancelled) {
+      return null;
+    }
+    if (reveal) {
+      return <RevealStatus matchId={match.matchId} reveal={reveal} />;
+    }
+    if (match.isRevealed) {
+      return null;
+    }
+    if (match.isPrivatelyRevealed) {
+      return privateScore === undefined ? (
+        <button
+          className="btn btn-secondary reveal-btn"
+          onClick={() => handlePrivate(viewPrivate)}
+          disabled={busy}
+        >
+          {viewPrivate.pending ? 'Decrypting...' : 'View privately'}
+        </button>
+      ) : null;
+    }
+    return (
+      <div className="reveal-actions">
+        <button
+          className="btn btn-secondary reveal-btn"
+          onClick={() => handlePrivate(revealPrivate)}
+          disabled={busy}
+          title="Only you and your partner can decrypt the score"
+        >
+          {revealPrivate.pending ? 'Revealing...' : 'View privately'}
+        </button>
+        <button
+          className="btn btn-secondary reveal-btn"
+          onClick={handlePublish}
+          disabled={busy}
+          title="Decrypts the score on chain where anyone can read it"
+        >
+          {publish.pending ? 'Publishing...' : 'Publish score'}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="match-card">
+      <div className="match-card-header">
+        <span className="match-partner" title={partner}>{formatAddress(partner)}</span>
+        <span className={`match-status ${status.toLowerCase()}`}>{status}</span>
+      </div>
+      <div className="match-score">{score}</div>
+      <div className="match-time">Matched {matchTime}</div>
+      {renderControls()}
+    </div>
+  );
+};
+
+export default MatchCard;
@@ -1,9 +1,10 @@
 import React from 'react';
 import { useWeb3 } from '../context/Web3Context';
+import DeploymentSwitcher from './DeploymentSwitcher';
 import './Navbar.css';
 
 const Navbar = () => {
-  const { account, connectWallet } = useWeb3();
+  const { account, variant, deployment, connectWallet } = useWeb3();
 
   return (
     <nav className="navbar">
@@ -15,12 +16,23 @@ const Navbar = () => {
           <a href="#home" className="nav-link">Home</a>
           <a href="#create-profile" className="nav-link">Create Profile</a>
           <a href="#matches" className="nav-link">Matches</a>
+          {account && <a href="#directory" className="nav-link">Directory</a>}
+          {variant !== 'basic' && account && (
+            <a href="#best-match" className="nav-link">Best Match</a>
+          )}
+          {variant !== 'basic' && account && (
+            <a href="#groups" className="nav-link">Groups</a>
+          )}
+          {variant === 'enhanced' && account && (
+            <a href="#refunds" className="nav-link">Refunds</a>
+          )}
+          <DeploymentSwitcher />
           <button
             className="connect-btn"
             onClick={connectWallet}
-            disabled={!!account}
+            disabled={!!account || !deployment}
           >
-            {account ? 'Connected' : 'Connect Wallet'}
+            {account ? 'Connected' : deployment ? 'Connect Wallet' : 'No Deployment'}
           </button>
         </div>
       </div>
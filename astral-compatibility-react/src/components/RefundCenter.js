@@ -0,0 +1,121 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../context/Web3Context';
+import { useRefunds, useTransaction } from '../hooks';
+import './RefundCenter.css';
+
+const EMPTY_REFUNDS = { pending: ethers.constants.Zero, feeBps: 0, claimable: [] };
+
+const formatAddress = (address) => {
+  return address.slice(0, 6) + '...' + address.slice(-4);
+};
+
+// One claimable match; each row tracks its own claim so several can be sent at once
+const RefundItem = ({ match, feeBps }) => {
+  const { account, claimRefund, showNotification } = useWeb3();
+  const claim = useTransaction(claimRefund, { invalidates: ['refunds'] });
+
+  const partner = match.user1.toLowerCase() === account.toLowerCase() ? match.user2 : match.user1;
+  const deadline = new Date(match.timeoutDeadline.toNumber() * 1000).toLocaleString();
+  // Mirrors claimTimeoutRefund: the platform fee was kept when the invitation was accepted
+  const refundAmount = match.feePaid.sub(match.feePaid.mul(feeBps).div(10000));
+
+  const handleClaim = async () => {
+    try {
+      await claim.send(match.matchId);
+      showNotification('Refund credited to the requester\'s pending balance', 'success');
+    } catch (error) {
+      console.error('Error claiming refund:', error);
+      showNotification('Failed to claim refund: ' + error.message, 'error');
+    }
+  };
+
+  return (
+    <li className="refund-item">
+      <div>
+        <span className="match-partner" title={partner}>{formatAddress(partner)}</span>
+        <small>
+          Deadline {deadline} · fee {ethers.utils.formatEther(match.feePaid)} ETH · refund{' '}
+          {ethers.utils.formatEther(refundAmount)} ETH to {formatAddress(match.user1)}
+        </small>
+      </div>
+      <button className="btn btn-secondary" onClick={handleClaim} disabled={claim.pending}>
+        {claim.pending ? 'Claiming...' : 'Claim refund'}
+      </button>
+    </li>
+  );
+};
+
+const RefundCenter = () => {
+  const { account, variant, withdrawRefunds, showNotification } = useWeb3();
+  const { data, loading, error } = useRefunds();
+  const withdraw = useTransaction(withdrawRefunds, { invalidates: ['refunds'] });
+
+  // Only AstralCompatibilityEnhanced escrows fees and has timeouts
+  if (variant !== 'enhanced' || !account) {
+    return null;
+  }
+
+  const refunds = data || EMPTY_REFUNDS;
+
+  const handleWithdraw = async () => {
+    try {
+      await withdraw.send();
+      showNotification('Refunds withdrawn to your wallet', 'success');
+    } catch (error) {
+      console.error('Error withdrawing refunds:', error);
+      showNotification('Failed to withdraw refunds: ' + error.message, 'error');
+    }
+  };
+
+  return (
+    <section id="refunds" className="section">
+      <div className="container">
+        <div className="section-header">
+          <h2>Refund Center</h2>
+          <p>Reclaim match fees when the Gateway does not answer in time</p>
+        </div>
+
+        <div className="refund-panel">
+          <div className="refund-explainer">
+            Every match invitation pays the match fee. A declined or cancelled invitation refunds all of
+            it. {refunds.feeBps / 100}% is kept as the platform fee once the partner accepts, so a timed-out
+            reveal refunds the remaining {100 - refunds.feeBps / 100}%. Either participant can claim once the
+            deadline has passed; the refund is always credited to whoever requested (and paid for) the match.
+          </div>
+
+          <div className="refund-balance">
+            <div>
+              <span className="refund-label">Pending refunds</span>
+              <span className="refund-amount">{ethers.utils.formatEther(refunds.pending)} ETH</span>
+            </div>
+            <button
+              className="btn btn-primary"
+              onClick={handleWithdraw}
+              disabled={refunds.pending.isZero() || withdraw.pending}
+            >
+              {withdraw.pending ? 'Withdrawing...' : 'Withdraw'}
+            </button>
+          </div>
+
+          <h3>Claimable Matches</h3>
+          {loading ? (
+            <p className="refund-empty">Loading refunds...</p>
+          ) : error && !data ? (
+            <p className="refund-empty">Could not load refunds: {error.message}</p>
+          ) : refunds.claimable.length === 0 ? (
+            <p className="refund-empty">No matches are past their reveal deadline.</p>
+          ) : (
+            <ul className="refund-list">
+              {refunds.claimable.map((match) => (
+                <RefundItem key={match.matchId} match={match} feeBps={refunds.feeBps} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default RefundCenter;
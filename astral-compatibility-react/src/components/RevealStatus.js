@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { useMatch, useRevealRequest } from '../hooks';
+import './RevealStatus.css';
+
+const STATUS_LABELS = {
+  PENDING: 'Submitting reveal request...',
+  PROCESSING: 'Waiting for the Gateway to decrypt...',
+  COMPLETED: 'Score decrypted, loading...',
+  FAILED: 'Decryption failed',
+  TIMED_OUT: 'Timed out - eligible for a refund',
+  REFUNDED: 'Refunded',
+  CANCELLED: 'Match cancelled',
+};
+
+const formatCountdown = (deadline, now) => {
+  const remaining = deadline - now;
+  if (remaining <= 0) return 'Timeout reached';
+
+  const hours = Math.floor(remaining / 3600);
+  const minutes = String(Math.floor((remaining % 3600) / 60)).padStart(2, '0');
+  const seconds = String(remaining % 60).padStart(2, '0');
+  return `${hours}h ${minutes}m ${seconds}s left`;
+};
+
+// Follows a submitted reveal on chain: the Gateway request on Enhanced, the match score on Basic
+const RevealStatus = ({ matchId, reveal }) => {
+  const { variant, setRevealStatus } = useWeb3();
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const tracked = reveal.status === 'PROCESSING' ? reveal.requestId : null;
+  const { status: requestStatus } = useRevealRequest(variant === 'enhanced' ? tracked : null);
+  const { data: match } = useMatch(variant === 'basic' && tracked ? matchId : null);
+
+  let chainStatus = null;
+  if (requestStatus && requestStatus !== 'PENDING' && requestStatus !== 'PROCESSING') {
+    chainStatus = requestStatus;
+  } else if (match && match.publicScore > 0) {
+    chainStatus = 'COMPLETED';
+  }
+
+  useEffect(() => {
+    if (chainStatus) setRevealStatus(matchId, chainStatus);
+  }, [matchId, chainStatus, setRevealStatus]);
+
+  const status = chainStatus || reveal.status;
+  const counting = status === 'PROCESSING' && !!reveal.timeoutDeadline;
+
+  useEffect(() => {
+    if (!counting) return;
+
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [counting]);
+
+  return (
+    <div className={`reveal-status status-${status.toLowerCase()}`}>
+      {STATUS_LABELS[status]}
+      {counting && <span className="reveal-countdown">{formatCountdown(reveal.timeoutDeadline, now)}</span>}
+    </div>
+  );
+};
+
+export default RevealStatus;
@@ -1,9 +1,28 @@
 import React from 'react';
 import { useWeb3 } from '../context/Web3Context';
+import { useProfile } from '../hooks';
 import './WalletStatus.css';
 
 const WalletStatus = () => {
-  const { account, hasProfile } = useWeb3();
+  const { account, variant, deployment } = useWeb3();
+  const { data: profile, loading } = useProfile();
+
+  // lib/contracts records no deployment, so there is nothing to connect to
+  if (!deployment) {
+    return (
+      <div className="wallet-status deployment-missing">
+        <div className="container">
+          <div className="status-info">
+            <span className="status-icon">⚠️</span>
+            <span>
+              No contract deployment configured. Deploy one (e.g. <code>npm run deploy:local</code> in the
+              repository root), then run <code>npm run abi:generate</code> and restart the app.
+            </span>
+          </div>
+        </div>
+      </div>
+    );
+  }
 
   if (!account) return null;
 
@@ -18,9 +37,10 @@ const WalletStatus = () => {
           <div className="status-info">
             <span className="status-icon">✅</span>
             <span>Connected: <span className="address">{formatAddress(account)}</span></span>
+            <span className="variant-badge" title="Contract variant detected at the address">{variant}</span>
           </div>
           <div className="profile-info">
-            <span>{hasProfile ? 'Profile Created ✅' : 'No Profile'}</span>
+            <span>{loading ? 'Checking profile...' : profile && profile.hasProfile ? 'Profile Created ✅' : 'No Profile'}</span>
           </div>
         </div>
       </div>
@@ -1,123 +1,206 @@
+import { ethers } from 'ethers';
+import { VARIANT_CONTRACTS, addresses, getAbi, getAddress } from '@astral/contracts';
+
 // Blockchain Configuration
 export const CONFIG = {
-  CONTRACT_ADDRESS: '0x3897f97Cdfa21926450B05329B55AC7F85F7F066',
-  CHAIN_ID: 11155111, // Sepolia testnet
-  RPC_URL: 'https://ethereum-sepolia-rpc.publicnode.com',
-  EXPLORER_URL: 'https://sepolia.etherscan.io',
+  // Default deployment: CONTRACT_VARIANT as recorded for NETWORK in deployments/<NETWORK>.json
+  NETWORK: 'sepolia',
+  CONTRACT_ADDRESS: null,
+
+  // Wallet settings for the networks deployments can live on
+  NETWORKS: {
+    sepolia: {
+      chainName: 'Sepolia Test Network',
+      rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+      explorerUrl: 'https://sepolia.etherscan.io',
+    },
+    localhost: {
+      chainName: 'Hardhat Localhost',
+      rpcUrl: 'http://127.0.0.1:8545',
+    },
+  },
 
-  // Zodiac signs mapping
+  // Deployment picked in the switcher (persisted in localStorage)
+  DEPLOYMENT_STORAGE_KEY: 'astral.deployment',
+
+  // Zodiac signs mapping (start: [month, day] the Sun usually enters the sign)
   ZODIAC_SIGNS: [
-    { id: 0, name: 'Aries', element: 0, quality: 0 },
-    { id: 1, name: 'Taurus', element: 1, quality: 1 },
-    { id: 2, name: 'Gemini', element: 2, quality: 2 },
-    { id: 3, name: 'Cancer', element: 3, quality: 0 },
-    { id: 4, name: 'Leo', element: 0, quality: 1 },
-    { id: 5, name: 'Virgo', element: 1, quality: 2 },
-    { id: 6, name: 'Libra', element: 2, quality: 0 },
-    { id: 7, name: 'Scorpio', element: 3, quality: 1 },
-    { id: 8, name: 'Sagittarius', element: 0, quality: 2 },
-    { id: 9, name: 'Capricorn', element: 1, quality: 0 },
-    { id: 10, name: 'Aquarius', element: 2, quality: 1 },
-    { id: 11, name: 'Pisces', element: 3, quality: 2 }
+    { id: 0, name: 'Aries', element: 0, quality: 0, start: [3, 21] },
+    { id: 1, name: 'Taurus', element: 1, quality: 1, start: [4, 20] },
+    { id: 2, name: 'Gemini', element: 2, quality: 2, start: [5, 21] },
+    { id: 3, name: 'Cancer', element: 3, quality: 0, start: [6, 21] },
+    { id: 4, name: 'Leo', element: 0, quality: 1, start: [7, 23] },
+    { id: 5, name: 'Virgo', element: 1, quality: 2, start: [8, 23] },
+    { id: 6, name: 'Libra', element: 2, quality: 0, start: [9, 23] },
+    { id: 7, name: 'Scorpio', element: 3, quality: 1, start: [10, 23] },
+    { id: 8, name: 'Sagittarius', element: 0, quality: 2, start: [11, 22] },
+    { id: 9, name: 'Capricorn', element: 1, quality: 0, start: [12, 22] },
+    { id: 10, name: 'Aquarius', element: 2, quality: 1, start: [1, 20] },
+    { id: 11, name: 'Pisces', element: 3, quality: 2, start: [2, 19] }
   ],
 
   // Elements
   ELEMENTS: ['Fire', 'Earth', 'Air', 'Water'],
 
   // Qualities
-  QUALITIES: ['Cardinal', 'Fixed', 'Mutable']
-};
+  QUALITIES: ['Cardinal', 'Fixed', 'Mutable'],
 
-// Contract ABI - Simplified version for UI interaction
-export const CONTRACT_ABI = [
-  {
-    inputs: [
-      { internalType: 'uint8', name: '_zodiac', type: 'uint8' },
-      { internalType: 'uint8', name: '_element', type: 'uint8' },
-      { internalType: 'uint8', name: '_quality', type: 'uint8' }
-    ],
-    name: 'createProfile',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: '_partner', type: 'address' }
-    ],
-    name: 'requestCompatibilityMatch',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'uint8', name: '_zodiac', type: 'uint8' },
-      { internalType: 'uint8', name: '_element', type: 'uint8' },
-      { internalType: 'uint8', name: '_quality', type: 'uint8' }
-    ],
-    name: 'updateProfile',
-    outputs: [],
-    stateMutability: 'nonpayable',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: '_user', type: 'address' }
-    ],
-    name: 'getUserProfileStatus',
-    outputs: [
-      { internalType: 'bool', name: 'hasProfile', type: 'bool' },
-      { internalType: 'uint256', name: 'timestamp', type: 'uint256' }
-    ],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [
-      { internalType: 'address', name: '_user', type: 'address' }
-    ],
-    name: 'getUserStats',
-    outputs: [
-      { internalType: 'uint256', name: 'matchCount', type: 'uint256' }
-    ],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    inputs: [],
-    name: 'totalMatches',
-    outputs: [
-      { internalType: 'uint256', name: '', type: 'uint256' }
-    ],
-    stateMutability: 'view',
-    type: 'function'
-  },
-  {
-    anonymous: false,
-    inputs: [
-      { indexed: true, internalType: 'address', name: 'user', type: 'address' }
-    ],
-    name: 'ProfileCreated',
-    type: 'event'
-  },
-  {
-    anonymous: false,
-    inputs: [
-      { indexed: true, internalType: 'address', name: 'user1', type: 'address' },
-      { indexed: true, internalType: 'address', name: 'user2', type: 'address' },
-      { indexed: false, internalType: 'bytes32', name: 'matchId', type: 'bytes32' }
-    ],
-    name: 'MatchRequested',
-    type: 'event'
+  // Birth dates this many days from a sign boundary may belong to either sign
+  CUSP_DAYS: 2,
+
+  // Number of matches fetched per getUserMatches call
+  MATCHES_PAGE_SIZE: 10,
+
+  // Default contract flavour: 'mock' reveals instantly, 'basic' and 'enhanced' decrypt via the Gateway.
+  // The connected contract is probed on connect (detectVariant) and that answer wins.
+  CONTRACT_VARIANT: 'mock',
+
+  // RequestStatus enum order in AstralCompatibilityEnhanced
+  REQUEST_STATUS: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'TIMED_OUT', 'REFUNDED', 'CANCELLED'],
+
+  // MatchInvitations.Status order; an OPEN invitation past expiresAt can only be declined or cancelled
+  INVITATION_STATUS: ['NONE', 'OPEN', 'ACCEPTED', 'DECLINED', 'CANCELLED'],
+
+  // Number of directory entries fetched per getDirectory call
+  DIRECTORY_PAGE_SIZE: 25,
+
+  // Natal placement weights (getNatalWeights); SUN_MOON applies in each direction
+  NATAL_WEIGHTS: { SUN: 50, MOON: 25, RISING: 15, SUN_MOON: 5 },
+
+  // Moon or rising sign left unset (setNatalSigns)
+  NO_SIGN: 12,
+
+  // GroupStatus order (MatchTypes.sol); the Mock reveals SCORED groups directly
+  GROUP_STATUS: ['NONE', 'OPEN', 'SCORED', 'PROCESSING', 'REVEALED', 'CANCELLED'],
+
+  // Hook query cache (src/hooks): results younger than STALE_TIME are served without a call
+  QUERY: {
+    STALE_TIME: 10000
   },
-  {
-    anonymous: false,
-    inputs: [
-      { indexed: true, internalType: 'bytes32', name: 'matchId', type: 'bytes32' },
-      { indexed: false, internalType: 'uint8', name: 'score', type: 'uint8' }
-    ],
-    name: 'CompatibilityRevealed',
-    type: 'event'
+
+  // In-flight reveal tracking (persisted in localStorage per contract and account)
+  REVEAL: {
+    POLL_INTERVAL: 15000,
+    STORAGE_KEY: 'astral.revealRequests'
+  }
+};
+
+// Address of CONTRACT_VARIANT on NETWORK, from the modules scripts/generate-abi.js writes to lib/contracts
+CONFIG.CONTRACT_ADDRESS = getAddress(CONFIG.NETWORK, CONFIG.CONTRACT_VARIANT);
+
+// Compiled ABI for a variant (lib/contracts)
+export const getContractAbi = (variant = CONFIG.CONTRACT_VARIANT) => getAbi(variant);
+
+// Every recorded deployment the user can switch between, as { id, network, chainId, variant, address }
+export const DEPLOYMENTS = Object.entries(addresses).flatMap(([network, record]) =>
+  Object.keys(VARIANT_CONTRACTS)
+    .map((variant) => ({
+      id: `${network}:${variant}`,
+      network,
+      chainId: record.chainId,
+      variant,
+      address: getAddress(network, variant),
+    }))
+    .filter((deployment) => deployment.address)
+);
+
+// The deployment with this id, else the default one (NETWORK and CONTRACT_VARIANT), else the first
+export const findDeployment = (id) =>
+  DEPLOYMENTS.find((deployment) => deployment.id === id) ||
+  DEPLOYMENTS.find((deployment) => deployment.id === `${CONFIG.NETWORK}:${CONFIG.CONTRACT_VARIANT}`) ||
+  DEPLOYMENTS[0] ||
+  null;
+
+// Chain settings handed to the wallet when connecting to a deployment
+export const networkFor = (deployment) => ({
+  chainId: deployment.chainId,
+  chainName: deployment.network,
+  ...CONFIG.NETWORKS[deployment.network],
+});
+
+/**
+ * Read wallet addresses from a pasted list or a CSV file. Anything shaped like an address
+ * counts, so headers and other columns are ignored. Returns the unique addresses, checksummed,
+ * and the entries whose mixed-case checksum does not match.
+ */
+export const parsePartnerList = (text) => {
+  const addresses = [];
+  const invalid = [];
+  for (const entry of (text || '').match(/\b0x[0-9a-fA-F]{40}\b/g) || []) {
+    let address;
+    try {
+      address = ethers.utils.getAddress(entry);
+    } catch (error) {
+      invalid.push(entry);
+      continue;
+    }
+    if (!addresses.includes(address)) addresses.push(address);
+  }
+  return { addresses, invalid };
+};
+
+// Day of the year in a leap year, so February 29 has a place
+const dayOfYear = (month, day) => Math.round((Date.UTC(2000, month - 1, day) - Date.UTC(2000, 0, 1)) / 86400000);
+
+/**
+ * Derive the sun sign from a birth date ('YYYY-MM-DD', as from <input type="date">).
+ * Runs entirely in the browser; the date is never stored or sent.
+ * Returns the sign id and, for dates on a cusp, the neighbouring sign id.
+ */
+export const deriveZodiacFromBirthDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw new Error('Please enter a valid birth date');
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new Error('Please enter a valid birth date');
   }
-];
+  if (year < 1900 || date > new Date()) {
+    throw new Error('Birth date must be between 1900 and today');
+  }
+
+  const target = dayOfYear(month, day);
+  const byStart = CONFIG.ZODIAC_SIGNS
+    .map((zodiac) => ({ id: zodiac.id, start: dayOfYear(...zodiac.start) }))
+    .sort((a, b) => a.start - b.start);
+
+  // Last sign starting on or before the date; early January still belongs to Capricorn
+  let index = byStart.length - 1;
+  byStart.forEach((entry, i) => {
+    if (entry.start <= target) index = i;
+  });
+
+  const current = byStart[index];
+  const next = byStart[(index + 1) % byStart.length];
+  const previous = byStart[(index + byStart.length - 1) % byStart.length];
+  const daysSinceStart = (target - current.start + 366) % 366;
+  const daysUntilNext = (next.start - target + 366) % 366;
+
+  let cuspZodiacId = null;
+  if (daysSinceStart < CONFIG.CUSP_DAYS) {
+    cuspZodiacId = previous.id;
+  } else if (daysUntilNext <= CONFIG.CUSP_DAYS) {
+    cuspZodiacId = next.id;
+  }
+
+  return { zodiacId: current.id, cuspZodiacId };
+};
+
+/**
+ * Check a sign, element and quality triple before it is encrypted: it must
+ * match CONFIG.ZODIAC_SIGNS and the wheel order, where elements repeat every
+ * 4 signs (Fire, Earth, Air, Water) and qualities every 3 (Cardinal, Fixed, Mutable).
+ */
+export const validateZodiacProfile = (zodiacId, element, quality) => {
+  const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
+  const consistent = zodiac !== undefined &&
+    zodiac.element === element && zodiac.quality === quality &&
+    element === zodiacId % 4 && quality === zodiacId % 3;
+
+  if (!consistent) {
+    throw new Error('Inconsistent zodiac profile: sign, element and quality do not match');
+  }
+};
@@ -1,9 +1,55 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
-import { CONFIG, CONTRACT_ABI } from '../config/contract';
+import { initSDK, createInstance, SepoliaConfig } from '@zama-fhe/relayer-sdk/web';
+import { AstralClient, detectVariant } from '@astral/fhevm-sdk';
+import {
+  CONFIG,
+  DEPLOYMENTS,
+  findDeployment,
+  getContractAbi,
+  networkFor,
+  validateZodiacProfile,
+} from '../config/contract';
+import { invalidateQueries } from '../hooks/useContractQuery';
 
 const Web3Context = createContext();
 
+const revealStorageKey = (address, account) =>
+  `${CONFIG.REVEAL.STORAGE_KEY}:${address.toLowerCase()}:${account.toLowerCase()}`;
+
+const readRevealRequests = (address, account) => {
+  try {
+    return JSON.parse(localStorage.getItem(revealStorageKey(address, account))) || {};
+  } catch (error) {
+    console.error('Error reading saved reveal requests:', error);
+    return {};
+  }
+};
+
+const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// The relayer SDK instance is shared by every client and created on first use
+let fhevmInstancePromise = null;
+
+const createFhevmInstance = () => {
+  if (!fhevmInstancePromise) {
+    fhevmInstancePromise = initSDK().then(() =>
+      createInstance({ ...SepoliaConfig, network: window.ethereum })
+    );
+  }
+  return fhevmInstancePromise;
+};
+
+// Contract calls, encryption and decryption go through the shared SDK client
+const createClient = (deployment, variant) =>
+  new AstralClient({
+    ethers,
+    address: deployment.address,
+    abi: getContractAbi(variant),
+    variant,
+    createFhevmInstance,
+  });
+
 export const useWeb3 = () => {
   const context = useContext(Web3Context);
   if (!context) {
@@ -13,16 +59,40 @@ export const useWeb3 = () => {
 };
 
 export const Web3Provider = ({ children }) => {
-  const [provider, setProvider] = useState(null);
-  const [signer, setSigner] = useState(null);
-  const [contract, setContract] = useState(null);
+  // A new client per connection, so effects keyed on it rerun when the wallet changes
+  const [client, setClient] = useState(null);
   const [account, setAccount] = useState(null);
+  // Deployment picked in the switcher; its variant is replaced by the probed one on connect
+  const [deployment, setDeployment] = useState(() =>
+    findDeployment(localStorage.getItem(CONFIG.DEPLOYMENT_STORAGE_KEY))
+  );
   const [hasProfile, setHasProfile] = useState(false);
-  const [userMatches, setUserMatches] = useState(0);
-  const [totalMatches, setTotalMatches] = useState(0);
+  const [invitations, setInvitations] = useState({ incoming: [], outgoing: [] });
+  // Loaded directory pages plus the connected account's own entry (null when unlisted)
+  const [directory, setDirectory] = useState({ listings: [], total: 0, own: null });
+  // Group matches the account created or was invited to, newest first
+  const [groups, setGroups] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [notification, setNotification] = useState({ show: false, message: '', type: 'info' });
+  // Reveal requests are keyed by match ID and belong to `owner` on `address`, the account and contract they were loaded for
+  const [revealState, setRevealState] = useState({ owner: null, address: null, requests: {} });
+  const [natalWeights, setNatalWeights] = useState(CONFIG.NATAL_WEIGHTS);
+  // Privately decrypted scores, kept in memory only and never persisted
+  const [privateScores, setPrivateScores] = useState({});
+  const revealRequestsRef = useRef({});
+  const groupsRef = useRef([]);
+  // Set when a connected wallet should reconnect to a newly selected deployment
+  const reconnectRef = useRef(false);
+
+  const contract = client && client.contract;
+  const provider = client && client.provider;
+  const signer = client && client.signer;
+  const variant = deployment ? deployment.variant : CONFIG.CONTRACT_VARIANT;
+  const deploymentAddress = deployment && deployment.address;
+  const revealRequests = revealState.requests;
+  revealRequestsRef.current = revealRequests;
+  groupsRef.current = groups;
 
   // Show loading modal
   const showLoading = useCallback((message) => {
@@ -44,26 +114,86 @@ export const Web3Provider = ({ children }) => {
     }, 5000);
   }, []);
 
-  // Load user data
-  const loadUserData = useCallback(async () => {
-    if (!contract || !account) return;
+  // Merge changes into a tracked reveal request, or stop tracking it when changes is null
+  const updateRevealRequest = useCallback((matchId, changes) => {
+    setRevealState((prev) => {
+      const requests = { ...prev.requests };
+      if (changes === null) {
+        delete requests[matchId];
+      } else {
+        requests[matchId] = { ...requests[matchId], ...changes, updatedAt: Date.now() };
+      }
+      return { ...prev, requests };
+    });
+  }, []);
+
+  // Once the score of a loaded match is on chain the card shows it directly, stop tracking the reveal
+  const releaseRevealedMatches = useCallback((loaded) => {
+    loaded
+      .filter((match) => match.isRevealed && match.publicScore > 0)
+      .forEach((match) => {
+        if (revealRequestsRef.current[match.matchId]) {
+          updateRevealRequest(match.matchId, null);
+        }
+      });
+  }, [updateRevealRequest]);
+
+  // Load open invitations, split into incoming (to answer) and outgoing (awaiting the partner)
+  const loadInvitations = useCallback(async () => {
+    if (!client || !account) return;
 
     try {
-      // Load profile status
-      const profileStatus = await contract.getUserProfileStatus(account);
-      setHasProfile(profileStatus.hasProfile || profileStatus[0]);
+      setInvitations(await client.listInvitations(account));
+    } catch (error) {
+      console.error('Error loading invitations:', error);
+    }
+  }, [client, account]);
 
-      // Load user stats
-      const stats = await contract.getUserStats(account);
-      setUserMatches(stats.toString());
+  // Load a page of the public directory (offset > 0 appends) and the account's own entry
+  const loadDirectory = useCallback(async (offset = 0) => {
+    if (!client || !account) return;
 
-      // Load total matches
-      const total = await contract.totalMatches();
-      setTotalMatches(total.toString());
+    try {
+      const [{ listings, total }, own] = await Promise.all([
+        client.getDirectory(offset, CONFIG.DIRECTORY_PAGE_SIZE),
+        client.getDirectoryListing(account),
+      ]);
+      setDirectory((prev) => ({
+        listings: offset === 0 ? listings : [...prev.listings, ...listings],
+        total,
+        own,
+      }));
+    } catch (error) {
+      console.error('Error loading directory:', error);
+    }
+  }, [client, account]);
+
+  // Load the account's group matches with whether it joined each (not on the basic contract)
+  const loadGroups = useCallback(async () => {
+    if (!client || !account || client.variant === 'basic') return;
+
+    try {
+      setGroups(await client.listGroups(account));
+    } catch (error) {
+      console.error('Error loading groups:', error);
+    }
+  }, [client, account]);
+
+  // Load user data; matches, match counts, stats and refunds come from the query hooks (src/hooks)
+  const loadUserData = useCallback(async () => {
+    if (!client || !account) return;
+
+    try {
+      setHasProfile(await client.hasProfile(account));
+
+      invalidateQueries(client, 'matches');
+      await loadInvitations();
+      await loadDirectory();
+      await loadGroups();
     } catch (error) {
       console.error('Error loading user data:', error);
     }
-  }, [contract, account]);
+  }, [client, account, loadInvitations, loadDirectory, loadGroups]);
 
   // Connect wallet
   const connectWallet = useCallback(async () => {
@@ -72,125 +202,355 @@ export const Web3Provider = ({ children }) => {
         throw new Error('MetaMask is required to use this application');
       }
 
-      showLoading('Connecting to wallet...');
+      if (!deployment) {
+        throw new Error('No contract deployments configured, run npm run abi:generate');
+      }
 
-      // Request account access
-      const accounts = await window.ethereum.request({
-        method: 'eth_requestAccounts',
-      });
+      showLoading('Connecting to wallet...');
 
-      // Check if we're on the correct network
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      if (parseInt(chainId, 16) !== CONFIG.CHAIN_ID) {
-        await switchNetwork();
+      // Requests accounts and switches to the deployment's chain, adding it to the wallet if needed
+      let connected = createClient(deployment, deployment.variant);
+      const connectedAccount = await connected.connect(window.ethereum, networkFor(deployment));
+
+      // The record names a contract; the chain decides which variant answers at the address
+      const detected = await detectVariant(ethers, deployment.address, connected.provider);
+      let variantNotice = null;
+      if (detected !== connected.variant) {
+        variantNotice = `${formatAddress(deployment.address)} is a ${detected} contract, not ${connected.variant}`;
+        connected = await createClient(deployment, detected).attach(connected.signer, connected.provider);
+        setDeployment((prev) => ({ ...prev, variant: detected }));
       }
 
-      // Set up ethers
-      const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
-      const web3Signer = web3Provider.getSigner();
-      const contractInstance = new ethers.Contract(
-        CONFIG.CONTRACT_ADDRESS,
-        CONTRACT_ABI,
-        web3Signer
-      );
-
-      setProvider(web3Provider);
-      setSigner(web3Signer);
-      setContract(contractInstance);
-      setAccount(accounts[0]);
+      setClient(connected);
+      setAccount(connectedAccount);
 
       hideLoading();
-      showNotification('Wallet connected successfully!', 'success');
+      if (variantNotice) {
+        showNotification(`Wallet connected. ${variantNotice}`, 'info');
+      } else {
+        showNotification('Wallet connected successfully!', 'success');
+      }
     } catch (error) {
       hideLoading();
       console.error('Error connecting wallet:', error);
       showNotification('Failed to connect wallet: ' + error.message, 'error');
     }
-  }, [showLoading, hideLoading, showNotification]);
+  }, [deployment, showLoading, hideLoading, showNotification]);
+
+  // Forget the connection and everything loaded through it
+  const resetConnection = useCallback(() => {
+    setAccount(null);
+    setClient(null);
+    setHasProfile(false);
+    setInvitations({ incoming: [], outgoing: [] });
+    setDirectory({ listings: [], total: 0, own: null });
+    setGroups([]);
+  }, []);
 
-  // Switch network
-  const switchNetwork = async () => {
-    try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0x' + CONFIG.CHAIN_ID.toString(16) }],
-      });
-    } catch (switchError) {
-      // This error code indicates that the chain has not been added to MetaMask
-      if (switchError.code === 4902) {
-        try {
-          await window.ethereum.request({
-            method: 'wallet_addEthereumChain',
-            params: [
-              {
-                chainId: '0x' + CONFIG.CHAIN_ID.toString(16),
-                chainName: 'Sepolia Test Network',
-                nativeCurrency: {
-                  name: 'ETH',
-                  symbol: 'ETH',
-                  decimals: 18,
-                },
-                rpcUrls: [CONFIG.RPC_URL],
-                blockExplorerUrls: [CONFIG.EXPLORER_URL],
-              },
-            ],
-          });
-        } catch (addError) {
-          throw new Error('Failed to add Sepolia network');
-        }
-      } else {
-        throw switchError;
-      }
+  // Switch to another configured deployment; a connected wallet follows it
+  const selectDeployment = useCallback((id) => {
+    const next = DEPLOYMENTS.find((entry) => entry.id === id);
+    if (!next || (deployment && next.id === deployment.id)) return;
+
+    localStorage.setItem(CONFIG.DEPLOYMENT_STORAGE_KEY, id);
+    reconnectRef.current = Boolean(client);
+    resetConnection();
+    setDeployment(next);
+  }, [deployment, client, resetConnection]);
+
+  // connectWallet changes with the deployment, so this runs once the new one is in place
+  useEffect(() => {
+    if (reconnectRef.current) {
+      reconnectRef.current = false;
+      connectWallet();
     }
-  };
+  }, [connectWallet]);
 
-  // Create profile
-  const createProfile = async (zodiacId) => {
-    if (!contract || !account) {
+  const requireClient = () => {
+    if (!client || !account) {
       throw new Error('Please connect your wallet first');
     }
+  };
+
+  // Refuse signs whose CONFIG traits disagree with the on-chain derivation
+  const checkZodiac = (zodiacId) => {
+    const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId] || {};
+    validateZodiacProfile(zodiacId, zodiac.element, zodiac.quality);
+  };
 
-    const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
-    const tx = await contract.createProfile(zodiacId, zodiac.element, zodiac.quality);
-    await tx.wait();
+  // Create profile; moon and rising are only sent when at least one is known
+  // The sign is encrypted in the browser, except on the mock which stores it in plaintext
+  const createProfile = async (zodiacId, natalSigns = { moon: null, rising: null }) => {
+    requireClient();
+    checkZodiac(zodiacId);
+
+    await client.createProfile(zodiacId, natalSigns);
     await loadUserData();
   };
 
-  // Update profile
-  const updateProfile = async (zodiacId) => {
-    if (!contract || !account) {
-      throw new Error('Please connect your wallet first');
-    }
+  // Update profile; unknown moon and rising signs are cleared
+  const updateProfile = async (zodiacId, natalSigns = { moon: null, rising: null }) => {
+    requireClient();
+    checkZodiac(zodiacId);
 
-    const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
-    const tx = await contract.updateProfile(zodiacId, zodiac.element, zodiac.quality);
-    await tx.wait();
+    await client.updateProfile(zodiacId, natalSigns);
   };
 
-  // Request match
+  // Delete profile: closes open invitations and cancels unrevealed matches on chain
+  const deleteProfile = async () => {
+    requireClient();
+
+    await client.deleteProfile();
+    await loadUserData();
+  };
+
+  // List the account in the public directory, or update its name and handle
+  const listInDirectory = async (displayName, handle) => {
+    requireClient();
+
+    await client.listInDirectory(displayName, handle);
+    await loadDirectory();
+  };
+
+  const unlistFromDirectory = async () => {
+    requireClient();
+
+    await client.unlistFromDirectory();
+    await loadDirectory();
+  };
+
+  // Request match; Enhanced escrows matchFee until the score is revealed or refunded
   const requestMatch = async (partnerAddress) => {
-    if (!contract || !account) {
-      throw new Error('Please connect your wallet first');
-    }
+    requireClient();
+
+    await client.requestMatch(partnerAddress);
+    await loadInvitations();
+  };
+
+  /**
+   * Invite several partners, MAX_BATCH_INVITATIONS per transaction. Entries the contract cannot
+   * invite are skipped on chain (Enhanced credits their fee to pending refunds) and returned
+   * with the reason from MatchRequestFailed. onProgress(done, total) counts transactions.
+   */
+  const requestMatches = async (partners, onProgress = () => {}) => {
+    requireClient();
 
-    // Check if partner has a profile
-    const partnerProfile = await contract.getUserProfileStatus(partnerAddress);
-    if (!partnerProfile.hasProfile && !partnerProfile[0]) {
-      throw new Error('Partner does not have a profile yet');
+    try {
+      return await client.requestMatches(partners, onProgress);
+    } finally {
+      await loadInvitations();
     }
+  };
+
+  // Accept an invitation; the encrypted score is computed in this transaction
+  const acceptInvitation = async (matchId) => {
+    requireClient();
 
-    const tx = await contract.requestCompatibilityMatch(partnerAddress);
-    await tx.wait();
+    await client.acceptInvitation(matchId);
     await loadUserData();
   };
 
+  // Decline an invitation (partner) or withdraw it (requester); Enhanced refunds the whole fee
+  const declineInvitation = async (matchId) => {
+    requireClient();
+
+    await client.declineInvitation(matchId);
+    await loadInvitations();
+  };
+
+  const cancelInvitation = async (matchId) => {
+    requireClient();
+
+    await client.cancelInvitation(matchId);
+    await loadInvitations();
+  };
+
+  // Claim a timeout refund, credited to the requester's pending balance (useRefunds reloads)
+  const claimRefund = async (matchId) => {
+    requireClient();
+
+    await client.claimTimeoutRefund(matchId);
+
+    if (revealRequestsRef.current[matchId]) {
+      updateRevealRequest(matchId, { status: 'REFUNDED' });
+    }
+  };
+
+  // Withdraw the pending refund balance to the connected wallet
+  const withdrawRefunds = async () => {
+    requireClient();
+
+    await client.withdrawRefunds();
+  };
+
+  const setRevealStatus = useCallback((matchId, status) => {
+    const request = revealRequestsRef.current[matchId];
+    if (!request || request.status === status) return;
+
+    updateRevealRequest(matchId, { status });
+
+    if (status === 'COMPLETED') {
+      invalidateQueries(client, 'matches');
+    } else if (status === 'FAILED') {
+      showNotification('Decryption failed for one of your matches', 'error');
+    } else if (status === 'TIMED_OUT') {
+      showNotification('A reveal request timed out before the Gateway answered', 'error');
+    }
+  }, [client, updateRevealRequest, showNotification]);
+
+  // Move a mined reveal to PROCESSING (Gateway) or COMPLETED (mock, no Gateway request)
+  const applyRevealRequest = useCallback((matchId, { requestId, timeoutDeadline }) => {
+    if (requestId === null) {
+      setRevealStatus(matchId, 'COMPLETED');
+      return;
+    }
+
+    updateRevealRequest(matchId, { status: 'PROCESSING', requestId, timeoutDeadline });
+  }, [setRevealStatus, updateRevealRequest]);
+
+  // Reveal score: submit the request and track it until the Gateway answers
+  const revealScore = async (matchId) => {
+    requireClient();
+
+    updateRevealRequest(matchId, { status: 'PENDING', requestId: null, timeoutDeadline: null, txHash: null });
+    // The ref only catches up on the next render, setRevealStatus reads it
+    revealRequestsRef.current = { ...revealRequestsRef.current, [matchId]: { status: 'PENDING' } };
+
+    try {
+      const request = await client.reveal(matchId, {
+        onSubmitted: (tx) => updateRevealRequest(matchId, { txHash: tx.hash }),
+      });
+      applyRevealRequest(matchId, request);
+    } catch (error) {
+      updateRevealRequest(matchId, null);
+      throw error;
+    }
+  };
+
+  /**
+   * Publish several scores (Enhanced only), MAX_BATCH_REVEALS per transaction. Each transaction
+   * sends its scores to the Gateway in one decryption request, answered by a single callback.
+   * onProgress(done, total) counts transactions.
+   */
+  const revealScores = async (matchIds, onProgress = () => {}) => {
+    requireClient();
+
+    const batchSize = await client.maxBatchReveals();
+    const total = Math.ceil(matchIds.length / batchSize);
+
+    for (let i = 0; i < matchIds.length; i += batchSize) {
+      const batch = matchIds.slice(i, i + batchSize);
+      const pending = {};
+      for (const matchId of batch) {
+        updateRevealRequest(matchId, { status: 'PENDING', requestId: null, timeoutDeadline: null, txHash: null });
+        pending[matchId] = { status: 'PENDING' };
+      }
+      revealRequestsRef.current = { ...revealRequestsRef.current, ...pending };
+
+      try {
+        const { receipt } = await client.revealScores(batch, {
+          onSubmitted: (tx) => batch.forEach((matchId) => updateRevealRequest(matchId, { txHash: tx.hash })),
+        });
+        batch.forEach((matchId) => applyRevealRequest(matchId, client.revealRequestOf(receipt, matchId)));
+      } catch (error) {
+        batch.forEach((matchId) => updateRevealRequest(matchId, null));
+        throw error;
+      }
+      onProgress(i / batchSize + 1, total);
+    }
+  };
+
+  // Decrypt a privately revealed score for the connected account. The mock serves its
+  // plaintext score to participants; elsewhere the relayer decrypts it without a transaction.
+  const viewPrivateScore = async (matchId) => {
+    requireClient();
+
+    const score = (await client.getPrivateScore(matchId)).toString();
+    setPrivateScores((prev) => ({ ...prev, [matchId]: score }));
+    return score;
+  };
+
+  // Grant both participants access to the score without publishing it, then decrypt it locally
+  const revealPrivately = async (matchId) => {
+    requireClient();
+
+    await client.revealPrivately(matchId);
+    invalidateQueries(client, 'matches');
+    return viewPrivateScore(matchId);
+  };
+
+  /**
+   * Find the most compatible of several listed users. Each findBestMatch transaction ranks
+   * up to MAX_SEARCH_CANDIDATES of them; batch winners go on to the next round until one is
+   * left. Ties keep the earlier candidate. onProgress(done, total) counts transactions.
+   */
+  const findBestMatch = async (candidates, onProgress = () => {}) => {
+    requireClient();
+    return client.findBestMatch(candidates, onProgress);
+  };
+
+  // Invite 2 to MAX_GROUP_SIZE - 1 users to a group; the caller joins on creation
+  const createGroup = async (members) => {
+    requireClient();
+
+    await client.createGroup(members);
+    await loadGroups();
+  };
+
+  // Join a group; the caller is scored against every member already in
+  const joinGroup = async (groupId) => {
+    requireClient();
+
+    await client.joinGroup(groupId);
+    await loadGroups();
+  };
+
+  // Leave a group that is still open, which cancels it for every member
+  const leaveGroup = async (groupId) => {
+    requireClient();
+
+    await client.leaveGroup(groupId);
+    await loadGroups();
+  };
+
+  // Publish a scored group's average and lowest pair score. The mock reveals in the
+  // transaction; Enhanced goes through the Gateway and GroupCompatibilityRevealed reloads the groups.
+  const revealGroup = async (groupId) => {
+    requireClient();
+
+    await client.revealGroup(groupId);
+    await loadGroups();
+  };
+
+  // Check submitted reveals for their mined transaction; RevealStatus follows them from there
+  const refreshRevealRequests = useCallback(async () => {
+    if (!client || !provider) return;
+
+    const pending = Object.entries(revealRequestsRef.current)
+      .filter(([, request]) => request.status === 'PENDING');
+
+    for (const [matchId, request] of pending) {
+      try {
+        // Without a hash the page was closed before the wallet returned a transaction
+        const receipt = request.txHash ? await provider.getTransactionReceipt(request.txHash) : null;
+        if (!request.txHash || (receipt && receipt.status === 0)) {
+          updateRevealRequest(matchId, null);
+        } else if (receipt) {
+          applyRevealRequest(matchId, client.revealRequestOf(receipt, matchId));
+        }
+      } catch (error) {
+        console.error('Error refreshing reveal request:', error);
+      }
+    }
+  }, [client, provider, updateRevealRequest, applyRevealRequest]);
+
   // Initialize
   useEffect(() => {
     const init = async () => {
       if (typeof window.ethereum !== 'undefined') {
         // Check if already connected
         const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        if (accounts.length > 0) {
+        if (accounts.length > 0 && deployment) {
           await connectWallet();
         }
       }
@@ -203,15 +563,59 @@ export const Web3Provider = ({ children }) => {
     loadUserData();
   }, [loadUserData]);
 
+  // Load the contract's natal weights; older deployments keep the CONFIG default
+  useEffect(() => {
+    if (!client) return;
+
+    client
+      .getNatalWeights()
+      .then(setNatalWeights)
+      .catch(() => {
+        console.log('Contract has no natal weights, using the default');
+        setNatalWeights(CONFIG.NATAL_WEIGHTS);
+      });
+  }, [client]);
+
+  // Restore in-flight reveals for the connected account on the selected contract
+  useEffect(() => {
+    const restore = Boolean(account && deploymentAddress);
+    setRevealState({
+      owner: restore ? account : null,
+      address: restore ? deploymentAddress : null,
+      requests: restore ? readRevealRequests(deploymentAddress, account) : {},
+    });
+    setPrivateScores({});
+  }, [account, deploymentAddress]);
+
+  // Persist reveal requests across page reloads
+  useEffect(() => {
+    if (revealState.owner) {
+      localStorage.setItem(
+        revealStorageKey(revealState.address, revealState.owner),
+        JSON.stringify(revealState.requests)
+      );
+    }
+  }, [revealState]);
+
+  // Poll for receipts while any reveal transaction is still unconfirmed
+  const hasActiveReveals = Object.values(revealRequests).some(
+    (request) => request.status === 'PENDING'
+  );
+
+  useEffect(() => {
+    if (!hasActiveReveals) return;
+
+    refreshRevealRequests();
+    const timer = setInterval(refreshRevealRequests, CONFIG.REVEAL.POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [hasActiveReveals, refreshRevealRequests]);
+
   // Listen for account changes
   useEffect(() => {
     if (window.ethereum) {
       window.ethereum.on('accountsChanged', (accounts) => {
         if (accounts.length === 0) {
-          setAccount(null);
-          setProvider(null);
-          setSigner(null);
-          setContract(null);
+          resetConnection();
         } else {
           connectWallet();
         }
@@ -228,7 +632,7 @@ export const Web3Provider = ({ children }) => {
         window.ethereum.removeAllListeners('chainChanged');
       }
     };
-  }, [connectWallet]);
+  }, [connectWallet, resetConnection]);
 
   // Setup contract event listeners
   useEffect(() => {
@@ -241,47 +645,211 @@ export const Web3Provider = ({ children }) => {
       }
     };
 
+    // Emitted when an invitation is accepted; the invitation events below notify
     const handleMatchRequested = (user1, user2, matchId) => {
       if (
         user1.toLowerCase() === account.toLowerCase() ||
         user2.toLowerCase() === account.toLowerCase()
       ) {
-        showNotification('New compatibility match requested!', 'success');
         loadUserData();
       }
     };
 
+    const isAccount = (address) => address.toLowerCase() === account.toLowerCase();
+
+    const handleInvitationCreated = (matchId, requester, partner) => {
+      if (isAccount(partner)) {
+        showNotification(`New match invitation from ${formatAddress(requester)}`, 'info');
+      }
+      if (isAccount(partner) || isAccount(requester)) {
+        loadInvitations();
+      }
+    };
+
+    const handleInvitationAccepted = (matchId, requester, partner) => {
+      if (isAccount(requester)) {
+        showNotification(`${formatAddress(partner)} accepted your match invitation!`, 'success');
+      }
+      if (isAccount(partner) || isAccount(requester)) {
+        loadInvitations();
+      }
+    };
+
+    const handleInvitationDeclined = (matchId, requester, partner) => {
+      if (isAccount(requester)) {
+        showNotification(`${formatAddress(partner)} declined your match invitation`, 'info');
+        loadInvitations();
+      }
+    };
+
+    const handleInvitationCancelled = (matchId, requester, partner) => {
+      if (isAccount(partner)) {
+        loadInvitations();
+      }
+    };
+
+    const handleProfileDeleted = (user) => {
+      if (isAccount(user)) {
+        loadUserData();
+      }
+    };
+
+    // A participant deleted their profile before the score was revealed
+    const handleMatchCancelled = (matchId, user1, user2) => {
+      if (isAccount(user1) || isAccount(user2)) {
+        setRevealStatus(matchId, 'CANCELLED');
+        loadUserData();
+      }
+    };
+
+    // Another user joined, updated or left the directory
+    const handleDirectoryChanged = () => loadDirectory();
+
     const handleCompatibilityRevealed = (matchId, score) => {
       showNotification(`Compatibility score revealed: ${score}%`, 'success');
       loadUserData();
     };
 
-    contract.on('ProfileCreated', handleProfileCreated);
-    contract.on('MatchRequested', handleMatchRequested);
-    contract.on('CompatibilityRevealed', handleCompatibilityRevealed);
+    // The partner revealed a shared match privately; the score stays off chain
+    const handleScoreRevealedPrivately = (matchId, user1, user2) => {
+      if (isAccount(user1) || isAccount(user2)) {
+        loadUserData();
+      }
+    };
 
-    return () => {
-      contract.removeAllListeners('ProfileCreated');
-      contract.removeAllListeners('MatchRequested');
-      contract.removeAllListeners('CompatibilityRevealed');
+    // Picks up reveals submitted from another tab
+    const handleDecryptionRequested = (requestId, matchId, requester, kmsGeneration, timeoutDeadline) => {
+      if (requester.toLowerCase() !== account.toLowerCase()) return;
+
+      const request = revealRequestsRef.current[matchId];
+      if (!request || request.status === 'PENDING') {
+        updateRevealRequest(matchId, {
+          status: 'PROCESSING',
+          requestId: requestId.toString(),
+          timeoutDeadline: variant === 'enhanced' ? timeoutDeadline.toNumber() : null,
+        });
+      }
+    };
+
+    const handleDecryptionCompleted = (requestId, matchId, revealedScore) => {
+      if (!revealRequestsRef.current[matchId]) return;
+      showNotification(`Compatibility score revealed: ${revealedScore}%`, 'success');
+      setRevealStatus(matchId, 'COMPLETED');
+    };
+
+    const handleDecryptionFailed = (requestId, matchId) => setRevealStatus(matchId, 'FAILED');
+    const handleDecryptionTimedOut = (requestId, matchId) => setRevealStatus(matchId, 'TIMED_OUT');
+
+    // Group events only name the group; reload when it is one of the account's
+    const handleGroupCreated = (groupId, creator, members) => {
+      if (!members.some(isAccount)) return;
+      if (!isAccount(creator)) {
+        showNotification(`${formatAddress(creator)} invited you to a group match`, 'info');
+      }
+      loadGroups();
+    };
+
+    const handleGroupChanged = (groupId) => {
+      if (groupsRef.current.some((group) => group.groupId === groupId)) {
+        loadGroups();
+      }
+    };
+
+    const handleGroupRevealed = (groupId, averageScore, minPairScore) => {
+      if (!groupsRef.current.some((group) => group.groupId === groupId)) return;
+      showNotification(`Group score revealed: ${averageScore}% average, ${minPairScore}% lowest pair`, 'success');
+      loadGroups();
     };
-  }, [contract, account, loadUserData, showNotification]);
+
+    const listeners = [
+      ['ProfileCreated', handleProfileCreated],
+      ['MatchRequested', handleMatchRequested],
+      ['MatchInvitationCreated', handleInvitationCreated],
+      ['MatchInvitationAccepted', handleInvitationAccepted],
+      ['MatchInvitationDeclined', handleInvitationDeclined],
+      ['MatchInvitationCancelled', handleInvitationCancelled],
+      ['ProfileDeleted', handleProfileDeleted],
+      ['MatchCancelled', handleMatchCancelled],
+      ['DirectoryListed', handleDirectoryChanged],
+      ['DirectoryUnlisted', handleDirectoryChanged],
+      ['CompatibilityRevealed', handleCompatibilityRevealed],
+      ['ScoreRevealedPrivately', handleScoreRevealedPrivately],
+    ];
+    // The mock reveals without the Gateway; only Enhanced reports the Gateway's answer
+    if (variant !== 'mock') {
+      listeners.push(['DecryptionRequested', handleDecryptionRequested]);
+    }
+    if (variant === 'enhanced') {
+      listeners.push(
+        ['DecryptionCompleted', handleDecryptionCompleted],
+        ['DecryptionFailed', handleDecryptionFailed],
+        ['DecryptionTimedOut', handleDecryptionTimedOut]
+      );
+    }
+    // Group events are absent from the basic contract
+    if (variant !== 'basic') {
+      listeners.push(
+        ['GroupMatchCreated', handleGroupCreated],
+        ['GroupMemberJoined', handleGroupChanged],
+        ['GroupMatchScored', handleGroupChanged],
+        ['GroupMatchCancelled', handleGroupChanged],
+        ['GroupCompatibilityRevealed', handleGroupRevealed]
+      );
+    }
+
+    listeners.forEach(([event, handler]) => contract.on(event, handler));
+
+    // Remove only these handlers, the query hooks (src/hooks) subscribe to the same contract
+    return () => listeners.forEach(([event, handler]) => contract.off(event, handler));
+  }, [contract, account, variant, loadUserData, loadInvitations, loadDirectory, loadGroups, showNotification, updateRevealRequest, setRevealStatus]);
 
   const value = {
+    deployments: DEPLOYMENTS,
+    deployment,
+    variant,
+    selectDeployment,
+    client,
     provider,
     signer,
     contract,
     account,
     hasProfile,
-    userMatches,
-    totalMatches,
+    invitations,
+    directory,
+    groups,
+    revealRequests,
+    privateScores,
+    natalWeights,
     loading,
     loadingMessage,
     notification,
     connectWallet,
     createProfile,
     updateProfile,
+    deleteProfile,
     requestMatch,
+    requestMatches,
+    acceptInvitation,
+    declineInvitation,
+    cancelInvitation,
+    listInDirectory,
+    unlistFromDirectory,
+    revealScore,
+    revealScores,
+    setRevealStatus,
+    revealPrivately,
+    viewPrivateScore,
+    findBestMatch,
+    createGroup,
+    joinGroup,
+    leaveGroup,
+    revealGroup,
+    claimRefund,
+    withdrawRefunds,
+    releaseRevealedMatches,
+    loadInvitations,
+    loadDirectory,
+    loadGroups,
     showLoading,
     hideLoading,
     showNotification,
@@ -0,0 +1,7 @@
+export { useContractQuery, useTransaction, invalidateQueries } from './useContractQuery';
+export { useProfile } from './useProfile';
+export { useMatches } from './useMatches';
+export { useMatch } from './useMatch';
+export { useRevealRequest } from './useRevealRequest';
+export { useRefunds } from './useRefunds';
+export { useContractStats } from './useContractStats';
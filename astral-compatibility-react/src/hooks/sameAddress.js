@@ -0,0 +1,2 @@
+// Case-insensitive address comparison; false when either side is missing
+export const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import { createQueryCache } from '@astral/fhevm-sdk';
+import { useWeb3 } from '../context/Web3Context';
+import { CONFIG } from '../config/contract';
+
+// Query results per AstralClient; a new client (wallet or account change) starts empty
+const cache = createQueryCache();
+
+/**
+ * Refetch the cached queries under key: the key itself and the keys below it, so 'refunds'
+ * covers 'refunds:0xabc' and 'match:1' leaves 'match:10' alone. Keys nobody is subscribed
+ * to are only marked stale, so they reload on next use.
+ */
+export const invalidateQueries = (client, key = '') => cache.invalidate(client, key);
+
+const hasEvent = (contract, name) => {
+  try {
+    return Boolean(contract.interface.getEvent(name));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read contract state through the connected AstralClient.
+ *
+ * Hooks using the same key share one cache entry and one in-flight request. Results younger
+ * than CONFIG.QUERY.STALE_TIME are reused on mount instead of refetched.
+ *
+ * options.events maps contract event names to true or a predicate (event, data) => boolean;
+ * a matching event refetches the key. Events missing from the ABI are skipped, so one list
+ * covers every variant. options.refetchInterval polls as well, for state that changes with
+ * time rather than transactions.
+ *
+ * @returns {{ data, error, loading: boolean, fetching: boolean, refetch: () => Promise<void> }}
+ */
+export const useContractQuery = (key, fetcher, { enabled = true, events = {}, refetchInterval = null } = {}) => {
+  const { client } = useWeb3();
+  const active = Boolean(client && key && enabled);
+  const [, rerender] = useReducer((count) => count + 1, 0);
+  const fetcherRef = useRef(fetcher);
+  const eventsRef = useRef(events);
+  fetcherRef.current = fetcher;
+  eventsRef.current = events;
+
+  useEffect(() => {
+    if (!active) return;
+
+    return cache.subscribe(
+      client,
+      key,
+      (activeClient) => fetcherRef.current(activeClient),
+      rerender,
+      CONFIG.QUERY.STALE_TIME
+    );
+  }, [client, key, active]);
+
+  const eventNames = Object.keys(events).join(',');
+
+  useEffect(() => {
+    if (!active || !eventNames || !client.contract) return;
+
+    const { contract } = client;
+    const subscriptions = eventNames
+      .split(',')
+      .filter((name) => hasEvent(contract, name))
+      .map((name) => {
+        // ethers v5 passes the decoded arguments, then the event with named args
+        const handler = (...args) => {
+          const match = eventsRef.current[name];
+          const event = args[args.length - 1];
+          if (match === true || (match && match(event, cache.entry(client, key).data))) {
+            invalidateQueries(client, key);
+          }
+        };
+        contract.on(name, handler);
+        return [name, handler];
+      });
+
+    return () => subscriptions.forEach(([name, handler]) => contract.off(name, handler));
+  }, [client, key, active, eventNames]);
+
+  useEffect(() => {
+    if (!active || !refetchInterval) return;
+
+    const timer = setInterval(() => invalidateQueries(client, key), refetchInterval);
+    return () => clearInterval(timer);
+  }, [client, key, active, refetchInterval]);
+
+  const refetch = useCallback(
+    () => (active ? cache.fetch(client, key) : Promise.resolve()),
+    [client, key, active]
+  );
+
+  if (!active) {
+    return { data: undefined, error: null, loading: false, fetching: false, refetch };
+  }
+
+  const entry = cache.entry(client, key);
+  return {
+    data: entry.data,
+    error: entry.error,
+    loading: entry.data === undefined && (entry.promise !== null || entry.updatedAt === 0),
+    fetching: entry.promise !== null,
+    refetch,
+  };
+};
+
+/**
+ * Track one contract write on its own, so a component can run several at once. Once the
+ * action settles, the queries under each invalidates key are refetched.
+ *
+ * @returns {{ send: (...args) => Promise, pending: boolean, error: Error|null, reset: () => void }}
+ */
+export const useTransaction = (action, { invalidates = [] } = {}) => {
+  const { client } = useWeb3();
+  const [state, setState] = useState({ pending: false, error: null });
+  const actionRef = useRef(action);
+  const mountedRef = useRef(true);
+  actionRef.current = action;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const keys = invalidates.join(',');
+
+  const send = useCallback(async (...args) => {
+    setState({ pending: true, error: null });
+    try {
+      const result = await actionRef.current(...args);
+      if (mountedRef.current) setState({ pending: false, error: null });
+      return result;
+    } catch (error) {
+      if (mountedRef.current) setState({ pending: false, error });
+      throw error;
+    } finally {
+      if (keys) {
+        keys.split(',').forEach((key) => invalidateQueries(client, key));
+      }
+    }
+  }, [client, keys]);
+
+  const reset = useCallback(() => setState({ pending: false, error: null }), []);
+
+  return { send, pending: state.pending, error: state.error, reset };
+};
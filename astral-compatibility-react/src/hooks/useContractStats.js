@@ -0,0 +1,28 @@
+import { useContractQuery } from './useContractQuery';
+
+/**
+ * Platform-wide figures. Enhanced reports all of them through getContractStats; the mock
+ * and basic contracts only have totalMatches, the other fields stay undefined.
+ *
+ * @returns {{ data: { totalMatches: number, totalRefunds?, platformFees?, matchFee?, requestTimeout?: number, isPaused?: boolean }|undefined, error, loading, fetching, refetch }}
+ */
+export const useContractStats = () =>
+  useContractQuery(
+    'stats',
+    async (client) =>
+      client.variant === 'enhanced'
+        ? client.getContractStats()
+        : { totalMatches: await client.getTotalMatches() },
+    {
+      events: {
+        MatchRequested: true,
+        MatchCancelled: true,
+        RefundIssued: true,
+        RefundClaimed: true,
+        MatchFeeUpdated: true,
+        TimeoutUpdated: true,
+        ContractPaused: true,
+        ContractUnpaused: true,
+      },
+    }
+  );
@@ -0,0 +1,28 @@
+import { useContractQuery } from './useContractQuery';
+
+/**
+ * One match by ID. Refetches on every event that changes its score or reveal state.
+ *
+ * @returns {{ data: object|undefined, error, loading, fetching, refetch }}
+ */
+export const useMatch = (matchId) => {
+  const isMatch = ({ args }) => args.matchId.toString() === matchId.toString();
+
+  return useContractQuery(
+    matchId && `match:${matchId}`,
+    (client) => client.getMatch(matchId),
+    {
+      events: {
+        MatchCancelled: isMatch,
+        CompatibilityRevealed: isMatch,
+        ScoreRevealedPrivately: isMatch,
+        DecryptionRequested: isMatch,
+        DecryptionCompleted: isMatch,
+        DecryptionFailed: isMatch,
+        DecryptionTimedOut: isMatch,
+        // claimTimeoutRefund only emits RefundIssued, which does not name the match
+        RefundIssued: true,
+      },
+    }
+  );
+};
@@ -0,0 +1,35 @@
+import { useWeb3 } from '../context/Web3Context';
+import { CONFIG } from '../config/contract';
+import { useContractQuery } from './useContractQuery';
+import { sameAddress } from './sameAddress';
+
+/**
+ * A page of a user's matches (the connected account by default) and their total, newest
+ * first. Refetches when the user gains or loses a match and when a listed match is revealed.
+ *
+ * @returns {{ data: { matches: Array, total: number }|undefined, error, loading, fetching, refetch }}
+ */
+export const useMatches = ({ user, offset = 0, limit = CONFIG.MATCHES_PAGE_SIZE } = {}) => {
+  const { account } = useWeb3();
+  const address = user || account;
+
+  const isParticipant = ({ args }) => sameAddress(args.user1, address) || sameAddress(args.user2, address);
+  const isListed = ({ args }, data) => Boolean(data) && data.matches.some((match) => match.matchId === args.matchId);
+
+  return useContractQuery(
+    address && `matches:${address.toLowerCase()}:${offset}:${limit}`,
+    (client) => client.listMatches(address, offset, limit),
+    {
+      events: {
+        MatchRequested: isParticipant,
+        MatchCancelled: isParticipant,
+        ScoreRevealedPrivately: isParticipant,
+        CompatibilityRevealed: isListed,
+        DecryptionRequested: isListed,
+        DecryptionCompleted: isListed,
+        DecryptionFailed: isListed,
+        DecryptionTimedOut: isListed,
+      },
+    }
+  );
+};
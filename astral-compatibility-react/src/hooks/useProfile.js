@@ -0,0 +1,37 @@
+import { useWeb3 } from '../context/Web3Context';
+import { useContractQuery } from './useContractQuery';
+import { sameAddress } from './sameAddress';
+
+/**
+ * Whether a user (the connected account by default) has a profile, and their match count.
+ * Refetches when the profile is created or deleted and when one of their matches is
+ * created or cancelled.
+ *
+ * @returns {{ data: { hasProfile: boolean, matchCount: number }|undefined, error, loading, fetching, refetch }}
+ */
+export const useProfile = (user) => {
+  const { account } = useWeb3();
+  const address = user || account;
+
+  const isUser = ({ args }) => sameAddress(args.user, address);
+  const isParticipant = ({ args }) => sameAddress(args.user1, address) || sameAddress(args.user2, address);
+
+  return useContractQuery(
+    address && `profile:${address.toLowerCase()}`,
+    async (client) => {
+      const [hasProfile, matchCount] = await Promise.all([
+        client.hasProfile(address),
+        client.getUserMatchCount(address),
+      ]);
+      return { hasProfile, matchCount };
+    },
+    {
+      events: {
+        ProfileCreated: isUser,
+        ProfileDeleted: isUser,
+        MatchRequested: isParticipant,
+        MatchCancelled: isParticipant,
+      },
+    }
+  );
+};
@@ -0,0 +1,34 @@
+import { useWeb3 } from '../context/Web3Context';
+import { CONFIG } from '../config/contract';
+import { useContractQuery } from './useContractQuery';
+import { sameAddress } from './sameAddress';
+
+/**
+ * The connected account's pending refund balance and matches past their reveal deadline
+ * (Enhanced only; other variants return no data). Deadlines pass without an event, so the
+ * query also polls every CONFIG.REVEAL.POLL_INTERVAL.
+ *
+ * @returns {{ data: { pending, feeBps: number, claimable: Array }|undefined, error, loading, fetching, refetch }}
+ */
+export const useRefunds = () => {
+  const { account, variant } = useWeb3();
+
+  const isAccount = ({ args }) => sameAddress(args.user, account);
+  const isClaimable = ({ args }, data) =>
+    Boolean(data) && data.claimable.some((match) => match.matchId === args.matchId);
+
+  return useContractQuery(
+    account && `refunds:${account.toLowerCase()}`,
+    (client) => client.getRefunds(account),
+    {
+      enabled: variant === 'enhanced',
+      refetchInterval: CONFIG.REVEAL.POLL_INTERVAL,
+      events: {
+        RefundIssued: isAccount,
+        RefundClaimed: isAccount,
+        DecryptionCompleted: isClaimable,
+        DecryptionFailed: isClaimable,
+      },
+    }
+  );
+};
@@ -0,0 +1,49 @@
+import { useEffect } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { CONFIG } from '../config/contract';
+import { useContractQuery } from './useContractQuery';
+
+/**
+ * A Gateway decryption request by ID (Enhanced only; other variants return no data).
+ * status is the CONFIG.REQUEST_STATUS name; the contract reports a request past its
+ * deadline as TIMED_OUT. No event marks the deadline, so a PROCESSING request is refetched
+ * when it passes, and again every CONFIG.REVEAL.POLL_INTERVAL until the chain's clock
+ * (the latest block) has caught up.
+ *
+ * @returns {{ data: object|undefined, status: string|null, error, loading, fetching, refetch }}
+ */
+export const useRevealRequest = (requestId) => {
+  const { variant } = useWeb3();
+  const id = requestId === null || requestId === undefined ? null : requestId.toString();
+  const isRequest = ({ args }) => args.requestId.toString() === id;
+
+  const query = useContractQuery(
+    id && `reveal:${id}`,
+    (client) => client.getRevealRequest(id),
+    {
+      enabled: variant === 'enhanced',
+      events: {
+        DecryptionCompleted: isRequest,
+        DecryptionFailed: isRequest,
+        DecryptionTimedOut: isRequest,
+        RefundIssued: true,
+      },
+    }
+  );
+
+  const { data, refetch } = query;
+  const status = data ? CONFIG.REQUEST_STATUS[data.status] : null;
+  const deadline = status === 'PROCESSING' ? data.timeoutDeadline.toNumber() : null;
+
+  useEffect(() => {
+    if (deadline === null) return;
+
+    const remaining = deadline * 1000 - Date.now();
+    // setTimeout overflows past 2^31 - 1 ms; the refetch then reschedules the rest
+    const delay = Math.min(remaining > 0 ? remaining : CONFIG.REVEAL.POLL_INTERVAL, 2 ** 31 - 1);
+    const timer = setTimeout(refetch, delay);
+    return () => clearTimeout(timer);
+  }, [deadline, data, refetch]);
+
+  return { ...query, status };
+};
@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint8, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
 
 /**
@@ -27,6 +27,12 @@ contract AstralCompatibility is SepoliaConfig {
     mapping(address => bool) public isPauserAddress;
     uint256 public decryptionRequestCounter;
 
+    // How long a partner can accept an invitation
+    uint256 public invitationExpiry = 7 days;
+
+    // Invitations and matches closed per deleteProfile or clearDeletedProfile call
+    uint256 public constant DELETION_PAGE_SIZE = 50;
+
     // Zodiac signs (0-11)
     enum Zodiac {
         ARIES,      // 0
@@ -57,9 +63,58 @@ contract AstralCompatibility is SepoliaConfig {
         euint8 compatibilityScore;  // Encrypted compatibility score
         bool isRevealed;
         uint8 publicScore;          // Public score (after reveal)
+        bool isPrivatelyRevealed;   // Participants may decrypt the score, publicScore stays unset
+        bool isCancelled;           // A participant deleted their profile before the reveal
+        uint256 matchTime;
+    }
+
+    // Match summary returned by getUserMatches
+    struct MatchSummary {
+        bytes32 matchId;
+        address user1;
+        address user2;
+        bool isRevealed;
+        uint8 publicScore;
+        bool isPrivatelyRevealed;
+        bool isCancelled;
         uint256 matchTime;
     }
 
+    // Invitation lifecycle (same order as MatchInvitations.Status)
+    enum InvitationStatus {
+        NONE,
+        OPEN,
+        ACCEPTED,
+        DECLINED,
+        CANCELLED
+    }
+
+    struct MatchInvitation {
+        address requester;
+        address partner;
+        uint256 createdAt;
+        uint256 expiresAt;
+        InvitationStatus status;
+    }
+
+    // Invitation summary returned by getUserInvitations
+    struct InvitationSummary {
+        bytes32 matchId;
+        address requester;
+        address partner;
+        uint256 createdAt;
+        uint256 expiresAt;
+        InvitationStatus status;
+    }
+
+    // Public directory entry returned by getDirectory; carries no zodiac data
+    struct Listing {
+        address user;
+        bytes32 displayName;    // Optional UTF-8 text, zero-padded
+        bytes32 handle;         // Optional UTF-8 text, zero-padded
+        uint256 listedAt;
+    }
+
     // Decryption Request Struct (NEW)
     struct DecryptionRequest {
         uint256 requestId;
@@ -73,12 +128,34 @@ contract AstralCompatibility is SepoliaConfig {
     mapping(address => UserProfile) public userProfiles;
     mapping(bytes32 => CompatibilityMatch) public matches;
     mapping(address => uint256) public userMatchCount;
+    mapping(address => bytes32[]) public userMatchIds;
     mapping(uint256 => DecryptionRequest) public decryptionRequests; // NEW
+    mapping(bytes32 => MatchInvitation) internal invitations;
+    mapping(address => bytes32[]) internal userInvitationIds;
+    address[] internal directoryUsers;
+    mapping(address => uint256) internal directoryPositions; // Index in directoryUsers plus one
+    mapping(address => Listing) internal directoryListings;
 
     // Original Events
     event ProfileCreated(address indexed user);
+    event ProfileDeleted(address indexed user, uint256 timestamp);
     event MatchRequested(address indexed user1, address indexed user2, bytes32 matchId);
+
+    // Invitation Events
+    event MatchInvitationCreated(
+        bytes32 indexed matchId,
+        address indexed requester,
+        address indexed partner,
+        uint256 expiresAt
+    );
+    event MatchInvitationAccepted(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationDeclined(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationCancelled(bytes32 indexed matchId, address indexed requester, address indexed partner);
     event CompatibilityRevealed(bytes32 indexed matchId, uint8 score);
+    event ScoreRevealedPrivately(bytes32 indexed matchId, address indexed user1, address indexed user2);
+    event MatchCancelled(bytes32 indexed matchId, address indexed user1, address indexed user2);
+    event DirectoryListed(address indexed user, bytes32 displayName, bytes32 handle);
+    event DirectoryUnlisted(address indexed user);
 
     // NEW Gateway Events - Individual KMS responses
     event DecryptionRequested(
@@ -210,6 +287,7 @@ contract AstralCompatibility is SepoliaConfig {
      * @param _element Element type (0-3)
      * @param _quality Quality type (0-2)
      * @dev All transaction inputs are re-randomized before FHE evaluation (automatic)
+     * Plaintext arguments are visible in calldata; prefer createEncryptedProfile
      */
     function createProfile(
         uint8 _zodiac,
@@ -246,8 +324,29 @@ contract AstralCompatibility is SepoliaConfig {
     }
 
     /**
-     * @notice Request compatibility match with another user
+     * @notice Create user profile from a client-side encrypted sign
+     * @param _zodiac Encrypted zodiac sign handle (0-11)
+     * @param _inputProof Input proof returned by fhevmjs together with the handle
+     * @dev Plaintext values never appear in calldata. Ranges cannot be checked with require on
+     * ciphertexts, so the sign is reduced modulo 12; element and quality are derived from it.
+     */
+    function createEncryptedProfile(
+        externalEuint8 _zodiac,
+        bytes calldata _inputProof
+    ) external whenNotPaused {
+        require(!userProfiles[msg.sender].hasProfile, "Profile already exists");
+
+        UserProfile storage profile = userProfiles[msg.sender];
+        profile.hasProfile = true;
+        _setEncryptedProfile(profile, _zodiac, _inputProof);
+
+        emit ProfileCreated(msg.sender);
+    }
+
+    /**
+     * @notice Invite another user to a compatibility match
      * @param _partner Address of the partner to match with
+     * @dev No score is computed and the partner gets no access until acceptMatchInvitation
      */
     function requestCompatibilityMatch(address _partner) external
         whenNotPaused
@@ -259,28 +358,212 @@ contract AstralCompatibility is SepoliaConfig {
         bytes32 matchId = generateMatchId(msg.sender, _partner);
         require(matches[matchId].user1 == address(0), "Match already exists");
 
+        MatchInvitation storage invitation = invitations[matchId];
+        require(invitation.status != InvitationStatus.OPEN, "Invitation already open");
+
+        if (invitation.status == InvitationStatus.NONE) {
+            userInvitationIds[msg.sender].push(matchId);
+            userInvitationIds[_partner].push(matchId);
+        }
+
+        uint256 expiresAt = block.timestamp + invitationExpiry;
+        invitations[matchId] = MatchInvitation({
+            requester: msg.sender,
+            partner: _partner,
+            createdAt: block.timestamp,
+            expiresAt: expiresAt,
+            status: InvitationStatus.OPEN
+        });
+
+        emit MatchInvitationCreated(matchId, msg.sender, _partner, expiresAt);
+    }
+
+    /**
+     * @notice Accept an invitation and compute the encrypted score
+     * @param _matchId Match ID of the invitation (see generateMatchId)
+     */
+    function acceptMatchInvitation(bytes32 _matchId) external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        MatchInvitation storage invitation = _openInvitation(_matchId);
+        require(msg.sender == invitation.partner, "Not authorized");
+        require(block.timestamp < invitation.expiresAt, "Invitation expired");
+        require(userProfiles[invitation.requester].hasProfile, "User has no profile");
+
+        invitation.status = InvitationStatus.ACCEPTED;
+        address requester = invitation.requester;
+
         // Calculate encrypted compatibility score
-        euint8 compatibilityScore = calculateCompatibility(msg.sender, _partner);
+        euint8 compatibilityScore = calculateCompatibility(requester, msg.sender);
 
-        matches[matchId] = CompatibilityMatch({
-            user1: msg.sender,
-            user2: _partner,
+        matches[_matchId] = CompatibilityMatch({
+            user1: requester,
+            user2: msg.sender,
             compatibilityScore: compatibilityScore,
             isRevealed: false,
             publicScore: 0,
+            isPrivatelyRevealed: false,
+            isCancelled: false,
             matchTime: block.timestamp
         });
 
+        userMatchCount[requester]++;
         userMatchCount[msg.sender]++;
-        userMatchCount[_partner]++;
+        userMatchIds[requester].push(_matchId);
+        userMatchIds[msg.sender].push(_matchId);
         totalMatches++;
 
-        // Set access permissions for the score
+        // Only the contract may use the score until a participant picks a reveal mode
         FHE.allowThis(compatibilityScore);
-        FHE.allow(compatibilityScore, msg.sender);
-        FHE.allow(compatibilityScore, _partner);
 
-        emit MatchRequested(msg.sender, _partner, matchId);
+        emit MatchInvitationAccepted(_matchId, requester, msg.sender);
+        emit MatchRequested(requester, msg.sender, _matchId);
+    }
+
+    /**
+     * @notice Decline an invitation
+     * @param _matchId Match ID of the invitation
+     */
+    function declineMatchInvitation(bytes32 _matchId) external {
+        MatchInvitation storage invitation = _openInvitation(_matchId);
+        require(msg.sender == invitation.partner, "Not authorized");
+
+        invitation.status = InvitationStatus.DECLINED;
+
+        emit MatchInvitationDeclined(_matchId, invitation.requester, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw an open or expired invitation
+     * @param _matchId Match ID of the invitation
+     */
+    function cancelMatchInvitation(bytes32 _matchId) external {
+        MatchInvitation storage invitation = _openInvitation(_matchId);
+        require(msg.sender == invitation.requester, "Not authorized");
+
+        invitation.status = InvitationStatus.CANCELLED;
+
+        emit MatchInvitationCancelled(_matchId, msg.sender, invitation.partner);
+    }
+
+    /**
+     * @notice Delete the caller's profile and leave the system
+     * @dev Clears the encrypted profile handles. Open invitations are closed (cancelled when
+     * sent, declined when received) and matches still waiting for a reveal are cancelled.
+     * Revealed matches, invitation records and past events stay on chain, and ACL grants
+     * cannot be revoked, so handles the caller could already decrypt stay decryptable.
+     * Closes the first DELETION_PAGE_SIZE invitations and matches, clearDeletedProfile the rest.
+     */
+    function deleteProfile() external hasProfile(msg.sender) {
+        delete userProfiles[msg.sender];
+        _closeRecords(0);
+
+        if (_unlist(msg.sender)) {
+            emit DirectoryUnlisted(msg.sender);
+        }
+
+        emit ProfileDeleted(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Close the invitations and matches of the caller's deleted profile
+     * that deleteProfile did not reach
+     * @param _offset Index of the first invitation and match to close
+     * @dev Mirrors AstralCompatibilityEnhanced.clearDeletedProfile
+     */
+    function clearDeletedProfile(uint256 _offset) external {
+        require(!userProfiles[msg.sender].hasProfile, "Profile already exists");
+        _closeRecords(_offset);
+    }
+
+    /// @dev Close a page of the caller's open invitations and unrevealed matches
+    function _closeRecords(uint256 _offset) private {
+        bytes32[] storage invitationIds = userInvitationIds[msg.sender];
+        uint256 end = _pageEnd(invitationIds.length, _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            MatchInvitation storage invitation = invitations[invitationIds[i]];
+            if (invitation.status != InvitationStatus.OPEN) {
+                continue;
+            }
+
+            if (invitation.requester == msg.sender) {
+                invitation.status = InvitationStatus.CANCELLED;
+                emit MatchInvitationCancelled(invitationIds[i], msg.sender, invitation.partner);
+            } else {
+                invitation.status = InvitationStatus.DECLINED;
+                emit MatchInvitationDeclined(invitationIds[i], invitation.requester, msg.sender);
+            }
+        }
+
+        bytes32[] storage ids = userMatchIds[msg.sender];
+        end = _pageEnd(ids.length, _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            CompatibilityMatch storage matchData = matches[ids[i]];
+            if (!matchData.isRevealed && !matchData.isPrivatelyRevealed && !matchData.isCancelled) {
+                matchData.isCancelled = true;
+                emit MatchCancelled(ids[i], matchData.user1, matchData.user2);
+            }
+        }
+    }
+
+    /// @dev End of the deletion page starting at _offset in a list of _length entries
+    function _pageEnd(uint256 _length, uint256 _offset) private pure returns (uint256) {
+        return _length < _offset + DELETION_PAGE_SIZE ? _length : _offset + DELETION_PAGE_SIZE;
+    }
+
+    /**
+     * @notice List the caller in the public directory, or update their entry
+     * @param _displayName Optional public name, UTF-8 zero-padded to 32 bytes
+     * @param _handle Optional public handle in the same encoding
+     * @dev Mirrors AstralCompatibilityEnhanced.listInDirectory; listedAt keeps the first listing
+     */
+    function listInDirectory(bytes32 _displayName, bytes32 _handle)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        Listing storage listing = directoryListings[msg.sender];
+        if (directoryPositions[msg.sender] == 0) {
+            directoryUsers.push(msg.sender);
+            directoryPositions[msg.sender] = directoryUsers.length;
+            listing.user = msg.sender;
+            listing.listedAt = block.timestamp;
+        }
+        listing.displayName = _displayName;
+        listing.handle = _handle;
+
+        emit DirectoryListed(msg.sender, _displayName, _handle);
+    }
+
+    /**
+     * @notice Remove the caller from the public directory
+     */
+    function unlistFromDirectory() external {
+        require(_unlist(msg.sender), "Not listed");
+        emit DirectoryUnlisted(msg.sender);
+    }
+
+    /// @dev Swap-and-pop removal; returns false if the user was not listed
+    function _unlist(address _user) private returns (bool) {
+        uint256 position = directoryPositions[_user];
+        if (position == 0) {
+            return false;
+        }
+
+        address last = directoryUsers[directoryUsers.length - 1];
+        directoryUsers[position - 1] = last;
+        directoryPositions[last] = position;
+        directoryUsers.pop();
+
+        delete directoryPositions[_user];
+        delete directoryListings[_user];
+        return true;
+    }
+
+    function _openInvitation(bytes32 _matchId) private view returns (MatchInvitation storage invitation) {
+        invitation = invitations[_matchId];
+        require(invitation.status == InvitationStatus.OPEN, "Invitation not open");
     }
 
     /**
@@ -329,10 +612,7 @@ contract AstralCompatibility is SepoliaConfig {
      * @return requestId The ID of the decryption request
      */
     function revealCompatibilityScore(bytes32 _matchId) external whenNotPaused returns (uint256) {
-        CompatibilityMatch storage matchData = matches[_matchId];
-        require(matchData.user1 != address(0), "Match does not exist");
-        require(msg.sender == matchData.user1 || msg.sender == matchData.user2, "Not authorized");
-        require(!matchData.isRevealed, "Score already revealed");
+        CompatibilityMatch storage matchData = _unrevealedMatch(_matchId);
 
         // Create decryption request
         uint256 requestId = ++decryptionRequestCounter;
@@ -360,6 +640,43 @@ contract AstralCompatibility is SepoliaConfig {
         return requestId;
     }
 
+    /**
+     * @notice Reveal the score to the two participants only
+     * @param _matchId Match ID to reveal
+     * @dev Grants both participants ACL access to the encrypted score; each decrypts it
+     * for themselves with an EIP-712 signed user-decryption request (relayer SDK `userDecrypt`,
+     * see getEncryptedScore). publicScore stays unset and the match cannot be published afterwards.
+     */
+    function revealScorePrivately(bytes32 _matchId) external whenNotPaused {
+        CompatibilityMatch storage matchData = _unrevealedMatch(_matchId);
+
+        matchData.isPrivatelyRevealed = true;
+        FHE.allow(matchData.compatibilityScore, matchData.user1);
+        FHE.allow(matchData.compatibilityScore, matchData.user2);
+
+        emit ScoreRevealedPrivately(_matchId, matchData.user1, matchData.user2);
+    }
+
+    /**
+     * @notice Get the encrypted score handle of a match (participants only)
+     * @dev Pass it to the relayer SDK `userDecrypt` after revealScorePrivately
+     */
+    function getEncryptedScore(bytes32 _matchId) external view returns (euint8) {
+        return _participantMatch(_matchId).compatibilityScore;
+    }
+
+    function _participantMatch(bytes32 _matchId) private view returns (CompatibilityMatch storage matchData) {
+        matchData = matches[_matchId];
+        require(matchData.user1 != address(0), "Match does not exist");
+        require(msg.sender == matchData.user1 || msg.sender == matchData.user2, "Not authorized");
+    }
+
+    function _unrevealedMatch(bytes32 _matchId) private view returns (CompatibilityMatch storage matchData) {
+        matchData = _participantMatch(_matchId);
+        require(!matchData.isCancelled, "Match cancelled");
+        require(!matchData.isRevealed && !matchData.isPrivatelyRevealed, "Score already revealed");
+    }
+
     /**
      * @notice Submit decryption response from KMS node (NEW)
      * @dev Each KMS node submits its own response separately
@@ -495,6 +812,135 @@ contract AstralCompatibility is SepoliaConfig {
         return userMatchCount[_user];
     }
 
+    /**
+     * @notice Get a page of a user's matches, oldest first
+     * @param _user User address
+     * @param _offset Index of the first match to return
+     * @param _limit Maximum number of matches to return
+     * @return page Match summaries in the requested window
+     * @return total Total number of matches of the user
+     */
+    function getUserMatches(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (MatchSummary[] memory page, uint256 total)
+    {
+        bytes32[] storage ids = userMatchIds[_user];
+        total = ids.length;
+        if (_offset >= total) {
+            return (new MatchSummary[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new MatchSummary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            CompatibilityMatch storage matchData = matches[ids[i]];
+            page[i - _offset] = MatchSummary({
+                matchId: ids[i],
+                user1: matchData.user1,
+                user2: matchData.user2,
+                isRevealed: matchData.isRevealed,
+                publicScore: matchData.publicScore,
+                isPrivatelyRevealed: matchData.isPrivatelyRevealed,
+                isCancelled: matchData.isCancelled,
+                matchTime: matchData.matchTime
+            });
+        }
+    }
+
+    /**
+     * @notice Get the invitation for a pair of users
+     */
+    function getMatchInvitation(bytes32 _matchId)
+        external
+        view
+        returns (
+            address requester,
+            address partner,
+            uint256 createdAt,
+            uint256 expiresAt,
+            InvitationStatus status
+        )
+    {
+        MatchInvitation storage invitation = invitations[_matchId];
+        return (
+            invitation.requester,
+            invitation.partner,
+            invitation.createdAt,
+            invitation.expiresAt,
+            invitation.status
+        );
+    }
+
+    /**
+     * @notice Get a page of a user's invitations, incoming and outgoing, oldest first
+     * @param _user User address
+     * @param _offset Index of the first invitation to return
+     * @param _limit Maximum number of invitations to return
+     * @return page Invitation summaries in the requested window
+     * @return total Total number of invitations of the user
+     */
+    function getUserInvitations(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (InvitationSummary[] memory page, uint256 total)
+    {
+        bytes32[] storage ids = userInvitationIds[_user];
+        total = ids.length;
+        if (_offset >= total) {
+            return (new InvitationSummary[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new InvitationSummary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            MatchInvitation storage invitation = invitations[ids[i]];
+            page[i - _offset] = InvitationSummary({
+                matchId: ids[i],
+                requester: invitation.requester,
+                partner: invitation.partner,
+                createdAt: invitation.createdAt,
+                expiresAt: invitation.expiresAt,
+                status: invitation.status
+            });
+        }
+    }
+
+    /**
+     * @notice Get a page of the public directory
+     * @param _offset Index of the first entry to return
+     * @param _limit Maximum number of entries to return
+     * @return page Listed users with their display names and handles
+     * @return total Number of listed users
+     */
+    function getDirectory(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (Listing[] memory page, uint256 total)
+    {
+        total = directoryUsers.length;
+        if (_offset >= total) {
+            return (new Listing[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new Listing[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = directoryListings[directoryUsers[i]];
+        }
+    }
+
+    /**
+     * @notice Get a user's directory entry
+     * @return listing The entry; listedAt is zero if the user is not listed
+     */
+    function getDirectoryListing(address _user) external view returns (Listing memory) {
+        return directoryListings[_user];
+    }
+
     /**
      * @notice Get zodiac information (reference only)
      */
@@ -546,6 +992,42 @@ contract AstralCompatibility is SepoliaConfig {
         FHE.allow(profile.encryptedQuality, msg.sender);
     }
 
+    /**
+     * @notice Update user profile from a client-side encrypted sign
+     * @param _zodiac Encrypted zodiac sign handle (0-11)
+     * @param _inputProof Input proof returned by fhevmjs together with the handle
+     */
+    function updateEncryptedProfile(
+        externalEuint8 _zodiac,
+        bytes calldata _inputProof
+    ) external whenNotPaused hasProfile(msg.sender) {
+        _setEncryptedProfile(userProfiles[msg.sender], _zodiac, _inputProof);
+    }
+
+    /**
+     * @notice Verify an encrypted sign and store it with its element and quality on a profile
+     * @dev Element (sign % 4) and quality (sign % 3) are derived homomorphically.
+     * Also grants the contract and the caller access to the new handles
+     */
+    function _setEncryptedProfile(
+        UserProfile storage profile,
+        externalEuint8 _zodiac,
+        bytes calldata _inputProof
+    ) private {
+        euint8 zodiac = FHE.rem(FHE.fromExternal(_zodiac, _inputProof), 12);
+        profile.encryptedZodiac = zodiac;
+        profile.encryptedElement = FHE.rem(zodiac, 4);
+        profile.encryptedQuality = FHE.rem(zodiac, 3);
+        profile.timestamp = block.timestamp;
+
+        FHE.allowThis(profile.encryptedZodiac);
+        FHE.allowThis(profile.encryptedElement);
+        FHE.allowThis(profile.encryptedQuality);
+        FHE.allow(profile.encryptedZodiac, msg.sender);
+        FHE.allow(profile.encryptedElement, msg.sender);
+        FHE.allow(profile.encryptedQuality, msg.sender);
+    }
+
     // ==================== NEW GATEWAY QUERY FUNCTIONS ====================
 
     /**
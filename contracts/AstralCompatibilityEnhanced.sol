@@ -1,8 +1,21 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint8, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { CompatibilityScoring } from "./CompatibilityScoring.sol";
+import { MatchInvitations } from "./MatchInvitations.sol";
+import { ProfileRegistry } from "./ProfileRegistry.sol";
+import { ScoreDecryption } from "./ScoreDecryption.sol";
+import { GroupMatches } from "./GroupMatches.sol";
+import {
+    RequestStatus,
+    CompatibilityMatch,
+    MatchSummary,
+    FeeLedgerEntry,
+    GroupStatus,
+    GroupMatch
+} from "./MatchTypes.sol";
 
 /**
  * @title AstralCompatibility Enhanced v3.0
@@ -63,6 +76,13 @@ import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
  * - Pausable for emergency situations
  */
 contract AstralCompatibilityEnhanced is SepoliaConfig {
+    using CompatibilityScoring for CompatibilityScoring.Model;
+    using MatchInvitations for MatchInvitations.Book;
+    using ProfileRegistry for ProfileRegistry.Profile;
+    using ProfileRegistry for ProfileRegistry.Directory;
+    using ProfileRegistry for mapping(address => ProfileRegistry.Profile);
+    using ScoreDecryption for mapping(uint256 => ScoreDecryption.Request);
+    using GroupMatches for GroupMatches.Book;
 
     // ==================== CONSTANTS & CONFIGURATION ====================
 
@@ -81,22 +101,47 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
     /// @notice Default timeout for new requests
     uint256 public requestTimeout = 24 hours;
 
+    /// @notice Bounds and default for how long a partner can accept an invitation
+    uint256 public constant MIN_INVITATION_EXPIRY = 1 hours;
+    uint256 public constant MAX_INVITATION_EXPIRY = 30 days;
+    uint256 public invitationExpiry = 7 days;
+
     /// @notice Privacy multiplier for division operations (prevents leakage)
     uint256 public constant PRIVACY_MULTIPLIER = 1000;
 
+    /// @notice Plaintext placeholder for an unset moon or rising sign (see setNatalSigns)
+    uint8 public constant NO_SIGN = ProfileRegistry.NO_SIGN;
+
+    /// @notice Candidates per findBestMatch call (bounds HCU cost per transaction)
+    uint256 public constant MAX_SEARCH_CANDIDATES = 5;
+
+    /// @notice Partners per requestCompatibilityMatches call
+    uint256 public constant MAX_BATCH_INVITATIONS = 50;
+
+    /// @notice Matches per requestRevealScores call, all decrypted in one oracle request
+    uint256 public constant MAX_BATCH_REVEALS = 10;
+
+    /// @notice Members of a group match, creator included (the last to join scores against up to 5)
+    uint256 public constant MAX_GROUP_SIZE = 6;
+
+    /// @notice Invitations, matches and groups closed per deleteProfile or clearDeletedProfile call
+    uint256 public constant DELETION_PAGE_SIZE = 50;
+
     // ==================== STATE VARIABLES ====================
 
     address public owner;
     uint256 public totalMatches;
     uint256 public totalRefunds;
     uint256 public platformFees;
+    uint256 public totalEscrowed;   // Match fees held until reveal or refund
     bool public isPaused;
 
     /// @notice Gateway and KMS Configuration
     uint256 public kmsGeneration;
-    address[] public pauserAddresses;
-    mapping(address => bool) public isPauserAddress;
+    address[] internal pauserAddresses;
+    mapping(address => bool) internal isPauserAddress;
     uint256 public decryptionRequestCounter;
+    uint256 public scoringConfigVersion;
 
     /// @notice Reentrancy guard state
     uint256 private _reentrancyStatus;
@@ -112,64 +157,56 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         SAGITTARIUS,CAPRICORN,  AQUARIUS,    PISCES
     }
 
-    /// @notice Request status tracking
-    enum RequestStatus {
-        PENDING,        // Waiting for Gateway
-        PROCESSING,     // Gateway is processing
-        COMPLETED,      // Successfully resolved
-        FAILED,         // Failed decryption
-        TIMED_OUT,      // Exceeded timeout
-        REFUNDED        // User claimed refund
-    }
-
-    /// @notice User zodiac profile (encrypted)
-    struct UserProfile {
-        euint8 encryptedZodiac;     // Encrypted zodiac sign (0-11)
-        euint8 encryptedElement;    // Encrypted element (0-3: Fire, Earth, Air, Water)
-        euint8 encryptedQuality;    // Encrypted quality (0-2: Cardinal, Fixed, Mutable)
-        bool hasProfile;
-        uint256 timestamp;
-    }
-
-    /// @notice Compatibility match data
-    struct CompatibilityMatch {
-        address user1;
-        address user2;
-        euint8 compatibilityScore;  // Encrypted score
-        bool isRevealed;
-        uint8 publicScore;          // Revealed score (0-100)
-        uint256 matchTime;
-        uint256 feePaid;            // Fee paid for this match
-        RequestStatus status;       // Current status
-        uint256 timeoutDeadline;    // When request expires
-    }
-
-    /// @notice Decryption request for Gateway callback
-    struct DecryptionRequest {
-        uint256 requestId;
-        address requester;
-        bytes32 matchId;
-        uint256 timestamp;
-        uint256 timeoutDeadline;
-        RequestStatus status;
-        uint256 kmsGeneration;
-        uint256 feePaid;            // Track fee for refunds
-    }
-
     // ==================== STORAGE MAPPINGS ====================
 
-    mapping(address => UserProfile) public userProfiles;
-    mapping(bytes32 => CompatibilityMatch) public matches;
+    mapping(address => ProfileRegistry.Profile) public userProfiles;
+    mapping(bytes32 => CompatibilityMatch) internal matches;
     mapping(address => uint256) public userMatchCount;
-    mapping(uint256 => DecryptionRequest) public decryptionRequests;
-    mapping(uint256 => bytes32) internal requestIdToMatchId; // Gateway callback lookup
+    mapping(address => bytes32[]) internal userMatchIds; // Per-user match index for enumeration
+    mapping(uint256 => ScoreDecryption.Request) internal decryptionRequests; // Keyed by oracle request ID
     mapping(address => uint256) public pendingRefunds; // Track claimable refunds
+    mapping(bytes32 => FeeLedgerEntry) public feeLedger; // Per-match payer ledger
+
+    /// @notice Scoring model applied to new matches (see setScoringConfig)
+    CompatibilityScoring.Model internal scoringModel;
+
+    /// @notice Weights of sun, moon and rising interactions in new matches (see setNatalWeights)
+    CompatibilityScoring.NatalWeights internal natalWeights;
+
+    /// @notice Match invitations awaiting or past the partner's consent, keyed by match ID
+    MatchInvitations.Book internal invitationBook;
+
+    /// @notice Opt-in public directory of matchable users
+    ProfileRegistry.Directory internal profileDirectory;
+
+    /// @notice Encrypted winner of each user's latest findBestMatch, see BestMatchSearched
+    mapping(address => euint8) internal bestMatchIndex;
+
+    /// @notice Group matches of three or more users, keyed by group ID
+    GroupMatches.Book internal groupBook;
 
     // ==================== EVENTS ====================
 
     // Profile Events
     event ProfileCreated(address indexed user, uint256 timestamp);
     event ProfileUpdated(address indexed user, uint256 timestamp);
+    event NatalSignsUpdated(address indexed user, bool hasMoon, bool hasRising, uint256 timestamp);
+    event ProfileDeleted(address indexed user, uint256 timestamp);
+    event DirectoryListed(address indexed user, bytes32 displayName, bytes32 handle);
+    event DirectoryUnlisted(address indexed user);
+    event BestMatchSearched(address indexed user, address[] candidates, uint256 timestamp);
+
+    // Invitation Events
+    event MatchInvitationCreated(
+        bytes32 indexed matchId,
+        address indexed requester,
+        address indexed partner,
+        uint256 expiresAt
+    );
+    event MatchInvitationAccepted(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationDeclined(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationCancelled(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchRequestFailed(address indexed requester, address indexed partner, string reason);
 
     // Match Events
     event MatchRequested(
@@ -180,6 +217,20 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         uint256 timestamp
     );
     event MatchFeePaid(bytes32 indexed matchId, address indexed payer, uint256 amount);
+    event MatchCancelled(bytes32 indexed matchId, address indexed user1, address indexed user2);
+
+    // Group Match Events
+    event GroupMatchCreated(bytes32 indexed groupId, address indexed creator, address[] members, uint256 expiresAt);
+    event GroupMemberJoined(bytes32 indexed groupId, address indexed member, uint256 joinedCount);
+    event GroupMatchScored(bytes32 indexed groupId, uint256 timestamp);
+    event GroupMatchCancelled(bytes32 indexed groupId, address indexed by);
+    event GroupRevealRequested(
+        uint256 indexed requestId,
+        bytes32 indexed groupId,
+        address indexed requester,
+        uint256 timeoutDeadline
+    );
+    event GroupCompatibilityRevealed(bytes32 indexed groupId, uint8 averageScore, uint8 minPairScore);
 
     // Decryption & Gateway Events
     event DecryptionRequested(
@@ -239,6 +290,8 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         address indexed user2
     );
 
+    event ScoreRevealedPrivately(bytes32 indexed matchId, address indexed user1, address indexed user2);
+
     // Admin Events
     event PauserAdded(address indexed pauser, uint256 timestamp);
     event PauserRemoved(address indexed pauser, uint256 timestamp);
@@ -247,17 +300,19 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
     event KmsGenerationUpdated(uint256 oldGeneration, uint256 newGeneration);
     event MatchFeeUpdated(uint256 oldFee, uint256 newFee);
     event TimeoutUpdated(uint256 oldTimeout, uint256 newTimeout);
+    event InvitationExpiryUpdated(uint256 oldExpiry, uint256 newExpiry);
     event PlatformFeesWithdrawn(address indexed to, uint256 amount);
+    event ScoringConfigUpdated(uint256 version, uint256 timestamp);
 
     // ==================== MODIFIERS ====================
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "AC: Not authorized");
+        _checkOwner();
         _;
     }
 
     modifier hasProfile(address user) {
-        require(userProfiles[user].hasProfile, "AC: User has no profile");
+        _checkHasProfile(user);
         _;
     }
 
@@ -267,24 +322,33 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
     }
 
     modifier whenNotPaused() {
-        require(!isPaused, "AC: Contract is paused");
+        _checkNotPaused();
         _;
     }
 
     /// @notice Reentrancy guard modifier
     modifier nonReentrant() {
-        require(_reentrancyStatus != _ENTERED, "AC: Reentrant call");
-        _reentrancyStatus = _ENTERED;
+        _nonReentrantBefore();
         _;
         _reentrancyStatus = _NOT_ENTERED;
     }
 
-    /// @notice Input validation for zodiac data
-    modifier validZodiacData(uint8 _zodiac, uint8 _element, uint8 _quality) {
-        require(_zodiac < 12, "AC: Invalid zodiac");
-        require(_element < 4, "AC: Invalid element");
-        require(_quality < 3, "AC: Invalid quality");
-        _;
+    // Modifier bodies live in functions so each use does not inline its revert string
+    function _checkOwner() private view {
+        require(msg.sender == owner, "AC: Not authorized");
+    }
+
+    function _checkHasProfile(address user) private view {
+        require(userProfiles[user].hasProfile, "AC: User has no profile");
+    }
+
+    function _checkNotPaused() private view {
+        require(!isPaused, "AC: Contract is paused");
+    }
+
+    function _nonReentrantBefore() private {
+        require(_reentrancyStatus != _ENTERED, "AC: Reentrant call");
+        _reentrancyStatus = _ENTERED;
     }
 
     // ==================== CONSTRUCTOR ====================
@@ -309,6 +373,11 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
             isPauserAddress[_pauserAddresses[i]] = true;
             emit PauserAdded(_pauserAddresses[i], block.timestamp);
         }
+
+        scoringModel.configurePreset(CompatibilityScoring.Preset.DEFAULT);
+        natalWeights = CompatibilityScoring.NatalWeights({ sun: 50, moon: 25, rising: 15, sunMoon: 5 });
+        scoringConfigVersion = 1;
+        emit ScoringConfigUpdated(scoringConfigVersion, block.timestamp);
     }
 
     // ==================== PROFILE MANAGEMENT ====================
@@ -318,7 +387,9 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
      * @param _zodiac Zodiac sign (0-11)
      * @param _element Element type (0-3: Fire=0, Earth=1, Air=2, Water=3)
      * @param _quality Quality type (0-2: Cardinal=0, Fixed=1, Mutable=2)
-     * @dev All inputs are validated and encrypted before storage
+     * @dev All inputs are validated and encrypted before storage. Element and quality
+     * must be the sign's own (zodiac % 4, zodiac % 3, see getZodiacInfo).
+     * Plaintext arguments are visible in calldata; prefer createEncryptedProfile
      */
     function createProfile(
         uint8 _zodiac,
@@ -327,30 +398,9 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
     )
         external
         whenNotPaused
-        validZodiacData(_zodiac, _element, _quality)
     {
-        require(!userProfiles[msg.sender].hasProfile, "AC: Profile already exists");
-
         // Encrypt user profile data (automatic re-randomization)
-        euint8 encZodiac = FHE.asEuint8(_zodiac);
-        euint8 encElement = FHE.asEuint8(_element);
-        euint8 encQuality = FHE.asEuint8(_quality);
-
-        userProfiles[msg.sender] = UserProfile({
-            encryptedZodiac: encZodiac,
-            encryptedElement: encElement,
-            encryptedQuality: encQuality,
-            hasProfile: true,
-            timestamp: block.timestamp
-        });
-
-        // Set access permissions
-        FHE.allowThis(encZodiac);
-        FHE.allowThis(encElement);
-        FHE.allowThis(encQuality);
-        FHE.allow(encZodiac, msg.sender);
-        FHE.allow(encElement, msg.sender);
-        FHE.allow(encQuality, msg.sender);
+        _newProfile().setSunSign(_zodiac, _element, _quality);
 
         emit ProfileCreated(msg.sender, block.timestamp);
     }
@@ -369,100 +419,408 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         external
         whenNotPaused
         hasProfile(msg.sender)
-        validZodiacData(_zodiac, _element, _quality)
     {
-        UserProfile storage profile = userProfiles[msg.sender];
-
         // Update encrypted data
-        profile.encryptedZodiac = FHE.asEuint8(_zodiac);
-        profile.encryptedElement = FHE.asEuint8(_element);
-        profile.encryptedQuality = FHE.asEuint8(_quality);
-        profile.timestamp = block.timestamp;
-
-        // Reset permissions
-        FHE.allowThis(profile.encryptedZodiac);
-        FHE.allowThis(profile.encryptedElement);
-        FHE.allowThis(profile.encryptedQuality);
-        FHE.allow(profile.encryptedZodiac, msg.sender);
-        FHE.allow(profile.encryptedElement, msg.sender);
-        FHE.allow(profile.encryptedQuality, msg.sender);
+        userProfiles[msg.sender].setSunSign(_zodiac, _element, _quality);
 
         emit ProfileUpdated(msg.sender, block.timestamp);
     }
 
+    /**
+     * @notice Create encrypted user profile from a client-side encrypted sign
+     * @param _zodiac Encrypted zodiac sign handle (0-11)
+     * @param _inputProof Input proof returned by fhevmjs together with the handle
+     * @dev Preferred entry point: plaintext values never appear in calldata or the mempool.
+     * Range checks are impossible on ciphertexts, so the sign is reduced modulo 12.
+     * Element and quality are derived from the encrypted sign, so they cannot be misreported.
+     */
+    function createEncryptedProfile(
+        externalEuint8 _zodiac,
+        bytes calldata _inputProof
+    )
+        external
+        whenNotPaused
+    {
+        _newProfile().setEncryptedSunSign(_zodiac, _inputProof);
+
+        emit ProfileCreated(msg.sender, block.timestamp);
+    }
+
+    /// @dev The caller's profile slot, marked as created; reverts if they already have a profile
+    function _newProfile() private returns (ProfileRegistry.Profile storage profile) {
+        profile = userProfiles[msg.sender];
+        require(!profile.hasProfile, "AC: Profile already exists");
+        profile.hasProfile = true;
+    }
+
+    /**
+     * @notice Update existing user profile from a client-side encrypted sign
+     * @param _zodiac Encrypted zodiac sign handle
+     * @param _inputProof Input proof returned by fhevmjs together with the handle
+     */
+    function updateEncryptedProfile(
+        externalEuint8 _zodiac,
+        bytes calldata _inputProof
+    )
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        userProfiles[msg.sender].setEncryptedSunSign(_zodiac, _inputProof);
+
+        emit ProfileUpdated(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Set or clear the optional moon and rising signs from client-side encrypted handles
+     * @param _moon Encrypted moon sign handle, zero handle to leave the moon sign unset
+     * @param _rising Encrypted rising sign (ascendant) handle, zero handle to leave it unset
+     * @param _inputProof Input proof covering the non-zero handles
+     * @dev Both placements are replaced on every call. Signs are reduced modulo 12 like the
+     * sun sign. Whether a placement is set is public, the sign itself is not.
+     */
+    function setEncryptedNatalSigns(
+        externalEuint8 _moon,
+        externalEuint8 _rising,
+        bytes calldata _inputProof
+    )
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        ProfileRegistry.Profile storage profile = userProfiles[msg.sender];
+        profile.setEncryptedNatalSigns(_moon, _rising, _inputProof);
+
+        emit NatalSignsUpdated(msg.sender, profile.hasMoon, profile.hasRising, block.timestamp);
+    }
+
+    /**
+     * @notice Set or clear the optional moon and rising signs
+     * @param _moon Moon sign (0-11), or NO_SIGN to leave it unset
+     * @param _rising Rising sign (0-11), or NO_SIGN to leave it unset
+     * @dev Plaintext arguments are visible in calldata; prefer setEncryptedNatalSigns
+     */
+    function setNatalSigns(uint8 _moon, uint8 _rising)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        ProfileRegistry.Profile storage profile = userProfiles[msg.sender];
+        profile.setNatalSigns(_moon, _rising);
+
+        emit NatalSignsUpdated(msg.sender, profile.hasMoon, profile.hasRising, block.timestamp);
+    }
+
+    /**
+     * @notice Delete the caller's profile and leave the system
+     * @dev RIGHT TO BE FORGOTTEN - Clears the encrypted profile handles, so the caller
+     * can no longer be invited or matched until they create a new profile. Open
+     * invitations are closed and unrevealed matches (PENDING or PROCESSING) become
+     * CANCELLED; every escrowed fee is credited back to its payer's pendingRefunds.
+     * Group matches of the caller that are not revealed yet are cancelled too. This call
+     * closes the first DELETION_PAGE_SIZE of each, clearDeletedProfile the rest.
+     * Allowed while paused, like declining an invitation.
+     *
+     * What stays on chain: revealed matches and scores, match and invitation records
+     * with both addresses, past events and calldata. Ciphertexts cannot be erased and
+     * ACL grants cannot be revoked, so anyone already allowed to decrypt a handle still can.
+     */
+    function deleteProfile() external hasProfile(msg.sender) {
+        delete userProfiles[msg.sender];
+        _closeRecords(0);
+
+        if (profileDirectory.unlist(msg.sender)) {
+            emit DirectoryUnlisted(msg.sender);
+        }
+
+        emit ProfileDeleted(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Close the invitations, matches and groups of the caller's deleted profile
+     * that deleteProfile did not reach
+     * @param _offset Index of the first invitation, match and group to close
+     * @dev Other users can grow a user's invitation and group lists, so deleteProfile stops
+     * after one page. Call this with offsets DELETION_PAGE_SIZE, 2 * DELETION_PAGE_SIZE, ...
+     * until the totals of getUserInvitations, getUserMatches and getUserGroupMatches are
+     * covered; no list grows while the caller has no profile. Allowed while paused.
+     */
+    function clearDeletedProfile(uint256 _offset) external {
+        require(!userProfiles[msg.sender].hasProfile, "AC: Profile already exists");
+        _closeRecords(_offset);
+    }
+
+    /// @dev Close a page of the caller's open invitations, unrevealed matches and groups, refunding the escrow
+    function _closeRecords(uint256 _offset) private {
+        _refundDeleted(invitationBook.closePage(msg.sender, _offset, DELETION_PAGE_SIZE));
+        _refundDeleted(
+            ScoreDecryption.cancelPage(matches, userMatchIds[msg.sender], _offset, DELETION_PAGE_SIZE)
+        );
+        groupBook.leavePage(msg.sender, _offset, DELETION_PAGE_SIZE);
+    }
+
+    /// @dev Refund the escrow of invitations and matches closed by a profile deletion
+    function _refundDeleted(bytes32[] memory _matchIds) private {
+        for (uint256 i = 0; i < _matchIds.length; i++) {
+            _refundEscrow(_matchIds[i], "Profile deleted");
+        }
+    }
+
+    // ==================== DIRECTORY ====================
+
+    /**
+     * @notice List the caller in the public directory, or update their entry
+     * @param _displayName Optional public name, UTF-8 zero-padded to 32 bytes
+     * @param _handle Optional public handle, e.g. a social account, in the same encoding
+     * @dev Opt-in discovery: an entry exposes the address, name and handle only, never
+     * zodiac data. Names and handles are not verified or unique.
+     */
+    function listInDirectory(bytes32 _displayName, bytes32 _handle)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        profileDirectory.list(msg.sender, _displayName, _handle);
+        emit DirectoryListed(msg.sender, _displayName, _handle);
+    }
+
+    /**
+     * @notice Remove the caller from the public directory
+     * @dev Allowed while paused; deleteProfile also unlists
+     */
+    function unlistFromDirectory() external {
+        require(profileDirectory.unlist(msg.sender), "AC: Not listed");
+        emit DirectoryUnlisted(msg.sender);
+    }
+
+    /**
+     * @notice Find which of a batch of directory users the caller is most compatible with
+     * @param _candidates Listed users to compare, 2 to MAX_SEARCH_CANDIDATES
+     * @return bestIndex Encrypted position of the best candidate, decryptable by the caller only
+     * @dev No score, sign or ranking is revealed on chain. Listing in the directory is
+     * consent to being ranked this way; a match still needs an accepted invitation.
+     * Frontends run larger searches as batches and compare the batch winners in a final batch.
+     */
+    function findBestMatch(address[] calldata _candidates)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+        returns (euint8 bestIndex)
+    {
+        require(
+            _candidates.length >= 2 && _candidates.length <= MAX_SEARCH_CANDIDATES,
+            "AC: Invalid candidate count"
+        );
+
+        bestIndex = userProfiles.rankListed(profileDirectory, scoringModel, natalWeights, msg.sender, _candidates);
+        FHE.allowThis(bestIndex);
+        FHE.allow(bestIndex, msg.sender);
+
+        bestMatchIndex[msg.sender] = bestIndex;
+        emit BestMatchSearched(msg.sender, _candidates, block.timestamp);
+    }
+
     // ==================== COMPATIBILITY MATCHING ====================
 
     /**
-     * @notice Request compatibility match with another user (with fee payment)
+     * @notice Invite another user to a compatibility match (with fee payment)
      * @param _partner Address of the partner to match with
-     * @dev Requires payment of matchFee (obfuscated pricing)
+     * @dev Requires payment of matchFee (obfuscated pricing), escrowed in full until the
+     * partner answers. No score is computed and the partner gets no access until
+     * acceptMatchInvitation; an unanswered invitation expires after invitationExpiry.
      */
     function requestCompatibilityMatch(address _partner)
         external
         payable
         whenNotPaused
         hasProfile(msg.sender)
-        hasProfile(_partner)
     {
-        require(_partner != msg.sender, "AC: Cannot match with yourself");
         require(_partner != address(0), "AC: Invalid partner address");
+        (bytes32 matchId, string memory failure) = _checkInvite(_partner);
+        require(bytes(failure).length == 0, failure);
         require(msg.value >= matchFee, "AC: Insufficient match fee");
 
-        bytes32 matchId = generateMatchId(msg.sender, _partner);
-        require(matches[matchId].user1 == address(0), "AC: Match already exists");
+        _invite(matchId, _partner);
+        _refundExcess(msg.value - matchFee);
+    }
 
-        // Calculate encrypted compatibility score
-        euint8 compatibilityScore = calculateCompatibility(msg.sender, _partner);
+    /**
+     * @notice Invite several users at once, each on the terms of requestCompatibilityMatch
+     * @param _partners Up to MAX_BATCH_INVITATIONS addresses to invite
+     * @return created Number of invitations opened
+     * @dev Requires matchFee for every entry. An entry that cannot be invited is skipped with
+     * MatchRequestFailed instead of reverting the batch; only opened invitations are charged
+     * and the fees of skipped entries are refundable excess.
+     */
+    function requestCompatibilityMatches(address[] calldata _partners)
+        external
+        payable
+        whenNotPaused
+        hasProfile(msg.sender)
+        returns (uint256 created)
+    {
+        require(_partners.length > 0 && _partners.length <= MAX_BATCH_INVITATIONS, "AC: Invalid partner count");
+        uint256 fee = matchFee;
+        require(msg.value >= fee * _partners.length, "AC: Insufficient match fee");
+
+        for (uint256 i = 0; i < _partners.length; i++) {
+            (bytes32 matchId, string memory failure) = _checkInvite(_partners[i]);
+            if (bytes(failure).length != 0) {
+                emit MatchRequestFailed(msg.sender, _partners[i], failure);
+                continue;
+            }
+
+            _invite(matchId, _partners[i]);
+            created++;
+        }
+
+        _refundExcess(msg.value - fee * created);
+    }
 
-        // Calculate timeout deadline
-        uint256 timeoutDeadline = block.timestamp + requestTimeout;
+    /**
+     * @dev Match ID of the caller and _partner, and the revert reason for inviting _partner
+     * (empty if allowed)
+     */
+    function _checkInvite(address _partner) private view returns (bytes32 matchId, string memory failure) {
+        matchId = generateMatchId(msg.sender, _partner);
+        if (!userProfiles[_partner].hasProfile) {
+            failure = "AC: User has no profile";
+        } else if (_partner == msg.sender) {
+            failure = "AC: Cannot match with yourself";
+        } else if (matches[matchId].user1 != address(0)) {
+            failure = "AC: Match already exists";
+        } else if (invitationBook.invitations[matchId].status == MatchInvitations.Status.OPEN) {
+            failure = "AC: Invitation already open";
+        }
+    }
+
+    /// @dev Open an invitation from the caller and escrow matchFee for it
+    function _invite(bytes32 _matchId, address _partner) private {
+        uint256 expiresAt = block.timestamp + invitationExpiry;
+        invitationBook.open(_matchId, msg.sender, _partner, expiresAt);
+
+        uint256 fee = matchFee;
+        feeLedger[_matchId] = FeeLedgerEntry({
+            payer: msg.sender,
+            amountPaid: fee,
+            platformFee: 0,
+            escrowed: fee
+        });
+        totalEscrowed += fee;
 
-        matches[matchId] = CompatibilityMatch({
-            user1: msg.sender,
-            user2: _partner,
+        emit MatchInvitationCreated(_matchId, msg.sender, _partner, expiresAt);
+        emit MatchFeePaid(_matchId, msg.sender, fee);
+    }
+
+    /// @dev Credit a payment above the fees charged to the caller's refunds
+    function _refundExcess(uint256 _excess) private {
+        if (_excess > 0) {
+            pendingRefunds[msg.sender] += _excess;
+            emit RefundIssued(msg.sender, _excess, "Excess payment", block.timestamp);
+        }
+    }
+
+    /**
+     * @notice Accept an invitation and compute the encrypted score
+     * @param _matchId Match ID of the invitation (see generateMatchId)
+     * @dev Only the invited partner, before the invitation expires. Both users need a profile.
+     */
+    function acceptMatchInvitation(bytes32 _matchId)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        address requester = invitationBook.accept(_matchId, msg.sender);
+        _checkHasProfile(requester);
+
+        FeeLedgerEntry storage entry = feeLedger[_matchId];
+        uint256 fee = entry.amountPaid;
+
+        // Calculate encrypted compatibility score
+        euint8 compatibilityScore = calculateCompatibility(requester, msg.sender);
+
+        matches[_matchId] = CompatibilityMatch({
+            user1: requester,
+            user2: msg.sender,
             compatibilityScore: compatibilityScore,
             isRevealed: false,
             publicScore: 0,
+            isPrivatelyRevealed: false,
             matchTime: block.timestamp,
-            feePaid: msg.value,
+            feePaid: fee,
             status: RequestStatus.PENDING,
-            timeoutDeadline: timeoutDeadline
+            timeoutDeadline: block.timestamp + requestTimeout
         });
 
+        userMatchCount[requester]++;
         userMatchCount[msg.sender]++;
-        userMatchCount[_partner]++;
+        userMatchIds[requester].push(_matchId);
+        userMatchIds[msg.sender].push(_matchId);
         totalMatches++;
 
-        // Collect platform fee
-        uint256 platformFeeAmount = (msg.value * PLATFORM_FEE_BPS) / 10000;
+        // Collect platform fee, the rest stays escrowed until reveal or refund
+        uint256 platformFeeAmount = (fee * PLATFORM_FEE_BPS) / 10000;
         platformFees += platformFeeAmount;
+        entry.platformFee = platformFeeAmount;
+        entry.escrowed -= platformFeeAmount;
+        totalEscrowed -= platformFeeAmount;
 
-        // Set access permissions for the score
+        // Only the contract may use the score until a participant picks a reveal mode
         FHE.allowThis(compatibilityScore);
-        FHE.allow(compatibilityScore, msg.sender);
-        FHE.allow(compatibilityScore, _partner);
-
-        // Refund excess payment
-        if (msg.value > matchFee) {
-            uint256 excess = msg.value - matchFee;
-            pendingRefunds[msg.sender] += excess;
-            emit RefundIssued(msg.sender, excess, "Excess payment", block.timestamp);
-        }
 
-        emit MatchRequested(msg.sender, _partner, matchId, msg.value, block.timestamp);
-        emit MatchFeePaid(matchId, msg.sender, msg.value);
+        emit MatchInvitationAccepted(_matchId, requester, msg.sender);
+        emit MatchRequested(requester, msg.sender, _matchId, fee, block.timestamp);
+    }
+
+    /**
+     * @notice Decline an invitation; the requester's fee is refunded in full
+     * @param _matchId Match ID of the invitation
+     */
+    function declineMatchInvitation(bytes32 _matchId) external {
+        address requester = invitationBook.decline(_matchId, msg.sender);
+        _refundEscrow(_matchId, "Invitation declined");
+
+        emit MatchInvitationDeclined(_matchId, requester, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw an open or expired invitation; the fee is refunded in full
+     * @param _matchId Match ID of the invitation
+     */
+    function cancelMatchInvitation(bytes32 _matchId) external {
+        address partner = invitationBook.cancel(_matchId, msg.sender);
+        _refundEscrow(_matchId, "Invitation cancelled");
+
+        emit MatchInvitationCancelled(_matchId, msg.sender, partner);
+    }
+
+    /// @dev Credit a match's escrowed fee to the payer recorded in feeLedger
+    function _refundEscrow(bytes32 _matchId, string memory _reason) private {
+        address payer = feeLedger[_matchId].payer;
+        uint256 refundAmount = _releaseEscrow(_matchId);
+
+        pendingRefunds[payer] += refundAmount;
+        totalRefunds += refundAmount;
+
+        emit RefundIssued(payer, refundAmount, _reason, block.timestamp);
     }
 
     /**
      * @notice Calculate compatibility score using encrypted data
-     * @dev PRIVACY-PRESERVING DIVISION using random multiplier
+     * @dev Evaluates the owner-configured scoring model (see setScoringConfig)
+     *
+     * Algorithm (default model in parentheses):
+     * 1. Base score (50)
+     * 2. Element pair adjustment (+20 if same)
+     * 3. Quality pair adjustment (+15 if same)
+     * 4. Aspect adjustment by sign distance (none)
+     * 5. Same sign and sign-pair adjustments (-10 if same sign)
+     * 6. Random factor (0-15, adds unpredictability)
+     * 7. Clamp to 0-100
      *
-     * Algorithm:
-     * 1. Base score: 50
-     * 2. Element match bonus: +20
-     * 3. Quality match bonus: +15
-     * 4. Same zodiac penalty: -10
-     * 5. Random factor: 0-15 (adds unpredictability)
+     * When moon or rising signs are set, steps 1-5 also score moon-moon, rising-rising
+     * and sun-moon pairs, averaged by natalWeights (sun 50, moon 25, rising 15, sun-moon 5
+     * per direction) before the random factor. Sun-only profiles score as above.
      *
      * Privacy technique:
      * - All comparisons done on encrypted values
@@ -473,40 +831,70 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         private
         returns (euint8)
     {
-        UserProfile storage profile1 = userProfiles[_user1];
-        UserProfile storage profile2 = userProfiles[_user2];
-
-        // Base score: 50
-        euint8 baseScore = FHE.asEuint8(50);
-
-        // Element compatibility bonus: +20 if same
-        ebool sameElement = FHE.eq(profile1.encryptedElement, profile2.encryptedElement);
-        euint8 elementBonus = FHE.select(sameElement, FHE.asEuint8(20), FHE.asEuint8(0));
-
-        // Quality compatibility bonus: +15 if same
-        ebool sameQuality = FHE.eq(profile1.encryptedQuality, profile2.encryptedQuality);
-        euint8 qualityBonus = FHE.select(sameQuality, FHE.asEuint8(15), FHE.asEuint8(0));
+        return userProfiles.evaluatePair(scoringModel, natalWeights, _user1, _user2);
+    }
 
-        // Same zodiac penalty: -10 if same (too similar)
-        ebool sameZodiac = FHE.eq(profile1.encryptedZodiac, profile2.encryptedZodiac);
-        euint8 zodiacPenalty = FHE.select(sameZodiac, FHE.asEuint8(10), FHE.asEuint8(0));
+    // ==================== GROUP MATCHING ====================
 
-        // Calculate total score
-        euint8 totalScore = FHE.add(baseScore, elementBonus);
-        totalScore = FHE.add(totalScore, qualityBonus);
-        totalScore = FHE.sub(totalScore, zodiacPenalty);
+    /**
+     * @notice Invite several users to a group compatibility score
+     * @param _members Users to invite, 2 to MAX_GROUP_SIZE - 1, each with a profile
+     * @return groupId ID of the new group (see GroupMatchCreated)
+     * @dev The caller is the first member. Invited members join with joinGroupMatch before
+     * invitationExpiry passes; once all of them joined, the group holds the encrypted average
+     * of every pair score and the lowest pair score. Groups carry no fee.
+     */
+    function createGroupMatch(address[] calldata _members)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+        returns (bytes32 groupId)
+    {
+        require(_members.length >= 2 && _members.length < MAX_GROUP_SIZE, "AC: Invalid group size");
+        return groupBook.create(userProfiles, _members, block.timestamp + invitationExpiry);
+    }
 
-        // PRIVACY-PRESERVING RANDOM FACTOR (0-15)
-        // This prevents score inference and adds obfuscation
-        euint8 randomFactor = FHE.randEuint8();
-        euint8 randomBonus = FHE.and(randomFactor, FHE.asEuint8(15)); // Mask to 0-15
-        totalScore = FHE.add(totalScore, randomBonus);
+    /**
+     * @notice Join a group the caller was invited to
+     * @dev Scores the caller against every member already in (see GroupMatches.join).
+     * Profile changes after joining do not update the group's scores.
+     */
+    function joinGroupMatch(bytes32 _groupId)
+        external
+        whenNotPaused
+        hasProfile(msg.sender)
+    {
+        groupBook.join(userProfiles, scoringModel, natalWeights, _groupId);
+    }
 
-        // Cap at 100 (privacy-preserving minimum operation)
-        ebool exceedsMax = FHE.gt(totalScore, FHE.asEuint8(100));
-        totalScore = FHE.select(exceedsMax, FHE.asEuint8(100), totalScore);
+    /**
+     * @notice Leave a group before everyone joined, which cancels it for all members
+     * @dev Allowed while paused, like declining an invitation
+     */
+    function leaveGroupMatch(bytes32 _groupId) external {
+        groupBook.leave(_groupId);
+    }
 
-        return totalScore;
+    /**
+     * @notice Publish a group's average and lowest pair score via the Gateway
+     * @dev Any member of a scored group. resolveTallyCallback reveals both scores
+     * (GroupCompatibilityRevealed). If the Gateway does not answer within requestTimeout,
+     * the reveal can be requested again.
+     * @return requestId The ID of the decryption request
+     */
+    function requestRevealGroupScore(bytes32 _groupId)
+        external
+        whenNotPaused
+        returns (uint256 requestId)
+    {
+        requestId = decryptionRequests.openGroup(
+            groupBook.groups,
+            _groupId,
+            this.resolveTallyCallback.selector,
+            block.timestamp + requestTimeout,
+            kmsGeneration
+        );
+        decryptionRequestCounter++;
     }
 
     // ==================== GATEWAY CALLBACK DECRYPTION ====================
@@ -533,61 +921,68 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         whenNotPaused
         returns (uint256)
     {
-        CompatibilityMatch storage matchData = matches[_matchId];
+        bytes32[] memory matchIds = new bytes32[](1);
+        matchIds[0] = _matchId;
+        return _requestReveal(matchIds);
+    }
 
-        // Validation
-        require(matchData.user1 != address(0), "AC: Match does not exist");
-        require(
-            msg.sender == matchData.user1 || msg.sender == matchData.user2,
-            "AC: Not authorized"
-        );
-        require(!matchData.isRevealed, "AC: Score already revealed");
-        require(
-            matchData.status == RequestStatus.PENDING,
-            "AC: Invalid status for reveal"
-        );
+    /**
+     * @notice Request the public reveal of several scores in a single Gateway decryption
+     * @param _matchIds Matches to reveal, 1 to MAX_BATCH_REVEALS, each one the caller takes part in
+     * @dev Each match must qualify for requestRevealScore. All scores share one request ID
+     * (one DecryptionRequested per match) and one callback, which reveals them together:
+     * if any of them is no longer processing when the oracle answers, none is revealed
+     * and the others fall back to timeout refunds.
+     * @return requestId The ID of the shared decryption request
+     */
+    function requestRevealScores(bytes32[] calldata _matchIds)
+        external
+        whenNotPaused
+        returns (uint256)
+    {
         require(
-            block.timestamp < matchData.timeoutDeadline,
-            "AC: Match request expired"
+            _matchIds.length != 0 && _matchIds.length <= MAX_BATCH_REVEALS,
+            "AC: Invalid match count"
         );
+        return _requestReveal(_matchIds);
+    }
 
-        // Create decryption request
-        uint256 requestId = ++decryptionRequestCounter;
-        uint256 timeoutDeadline = block.timestamp + requestTimeout;
-
-        decryptionRequests[requestId] = DecryptionRequest({
-            requestId: requestId,
-            requester: msg.sender,
-            matchId: _matchId,
-            timestamp: block.timestamp,
-            timeoutDeadline: timeoutDeadline,
-            status: RequestStatus.PROCESSING,
-            kmsGeneration: kmsGeneration,
-            feePaid: matchData.feePaid
-        });
-
-        // Map request ID to match ID for callback lookup
-        requestIdToMatchId[requestId] = _matchId;
-
-        // Update match status
-        matchData.status = RequestStatus.PROCESSING;
-
-        // Submit to Gateway for decryption
-        bytes32[] memory cts = new bytes32[](1);
-        cts[0] = FHE.toBytes32(matchData.compatibilityScore);
-
-        // Request decryption with callback (FHEVM 0.8.0 style)
-        FHE.requestDecryption(cts, this.resolveTallyCallback.selector);
-
-        emit DecryptionRequested(
-            requestId,
-            _matchId,
-            msg.sender,
-            kmsGeneration,
-            timeoutDeadline
+    /// @dev Submit the scores of the given matches to the Gateway in one request
+    function _requestReveal(bytes32[] memory _matchIds) private returns (uint256 requestId) {
+        // Submit to Gateway for decryption with callback (FHEVM 0.8.0 style).
+        // The oracle calls back with the ID it returns here, so that ID keys the request.
+        requestId = decryptionRequests.open(
+            matches,
+            _matchIds,
+            this.resolveTallyCallback.selector,
+            block.timestamp + requestTimeout,
+            kmsGeneration
         );
+        decryptionRequestCounter++;
+    }
 
-        return requestId;
+    /**
+     * @notice Reveal the score to the two participants only
+     * @param _matchId Match ID to reveal
+     * @dev PRIVATE REVEAL - Grants both participants ACL access to the encrypted
+     * score; each decrypts it for themselves with an EIP-712 signed user-decryption
+     * request (relayer SDK `userDecrypt`, see getEncryptedScore). publicScore stays unset
+     * and the match cannot be published afterwards.
+     *
+     * The service is delivered here, so the escrowed fee becomes platform revenue.
+     */
+    function revealScorePrivately(bytes32 _matchId)
+        external
+        whenNotPaused
+    {
+        ScoreDecryption.revealPrivately(matches, _matchId);
+        platformFees += _releaseEscrow(_matchId);
+    }
+
+    /// @dev An existing match the caller takes part in
+    function _participantMatch(bytes32 _matchId) private view returns (CompatibilityMatch storage) {
+        ScoreDecryption.checkParticipant(matches, _matchId);
+        return matches[_matchId];
     }
 
     /**
@@ -600,7 +995,7 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
      * Security:
      * - Verifies signatures from KMS nodes
      * - Validates request ID
-     * - Updates match status atomically
+     * - Updates every match of the request atomically
      * - Issues refunds on failure
      */
     function resolveTallyCallback(
@@ -608,39 +1003,19 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         bytes memory cleartexts,
         bytes memory decryptionProof
     ) external {
-        // Verify signatures from KMS nodes
-        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
-
-        // Decode the cleartext score
-        uint8 revealedScore = abi.decode(cleartexts, (uint8));
-
-        // Lookup match ID
-        bytes32 matchId = requestIdToMatchId[requestId];
-        require(matchId != bytes32(0), "AC: Invalid request ID");
-
-        CompatibilityMatch storage matchData = matches[matchId];
-        DecryptionRequest storage request = decryptionRequests[requestId];
-
-        // Validate state
-        require(
-            request.status == RequestStatus.PROCESSING,
-            "AC: Request not processing"
-        );
-        require(
-            matchData.status == RequestStatus.PROCESSING,
-            "AC: Match not processing"
+        // Verify signatures from KMS nodes, then reveal every match of the request or the
+        // group's scores (see ScoreDecryption.resolve for the updates and events).
+        // Service delivered: the escrowed shares become platform revenue
+        uint256 released = decryptionRequests.resolve(
+            matches,
+            feeLedger,
+            groupBook.groups,
+            requestId,
+            cleartexts,
+            decryptionProof
         );
-
-        // Update match data
-        matchData.publicScore = revealedScore;
-        matchData.isRevealed = true;
-        matchData.status = RequestStatus.COMPLETED;
-
-        // Update request status
-        request.status = RequestStatus.COMPLETED;
-
-        emit DecryptionCompleted(requestId, matchId, revealedScore, block.timestamp);
-        emit CompatibilityRevealed(matchId, revealedScore, matchData.user1, matchData.user2);
+        totalEscrowed -= released;
+        platformFees += released;
     }
 
     // ==================== REFUND & TIMEOUT PROTECTION ====================
@@ -657,50 +1032,17 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
      *
      * Refund amount:
      * - Full match fee minus platform fee (already collected)
+     * - Always credited to the payer recorded in feeLedger, whoever claims
      */
     function claimTimeoutRefund(bytes32 _matchId)
         external
         nonReentrant
     {
-        CompatibilityMatch storage matchData = matches[_matchId];
+        // Participant only, unrevealed and past the deadline; marks the match TIMED_OUT
+        ScoreDecryption.timeOut(matches, _matchId);
 
-        require(matchData.user1 != address(0), "AC: Match does not exist");
-        require(
-            msg.sender == matchData.user1 || msg.sender == matchData.user2,
-            "AC: Not authorized"
-        );
-        require(
-            !matchData.isRevealed,
-            "AC: Score already revealed"
-        );
-        require(
-            block.timestamp >= matchData.timeoutDeadline,
-            "AC: Timeout not reached"
-        );
-        require(
-            matchData.status == RequestStatus.PENDING ||
-            matchData.status == RequestStatus.PROCESSING,
-            "AC: Invalid status for refund"
-        );
-
-        // Update status
-        matchData.status = RequestStatus.TIMED_OUT;
-
-        // Calculate refund (fee paid minus platform fee already collected)
-        uint256 platformFeeAmount = (matchData.feePaid * PLATFORM_FEE_BPS) / 10000;
-        uint256 refundAmount = matchData.feePaid - platformFeeAmount;
-
-        // Add to pending refunds
-        pendingRefunds[matchData.user1] += refundAmount;
-        totalRefunds += refundAmount;
-
-        emit DecryptionTimedOut(0, _matchId, block.timestamp);
-        emit RefundIssued(
-            matchData.user1,
-            refundAmount,
-            "Decryption timeout",
-            block.timestamp
-        );
+        // Refund the escrowed share (fee paid minus platform fee already collected)
+        _refundEscrow(_matchId, "Decryption timeout");
     }
 
     /**
@@ -724,9 +1066,10 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
 
     /**
      * @notice Emergency withdrawal for owner (safety mechanism)
-     * @param _to Recipient address
+     * @param _to Recipient address, must be the payer recorded in feeLedger
      * @param _matchId Match ID to refund
-     * @dev Only callable by owner in emergency situations
+     * @dev Only callable by owner in emergency situations. Sends the escrowed
+     * share only; the platform fee was booked in platformFees at request time.
      */
     function emergencyWithdraw(address _to, bytes32 _matchId)
         external
@@ -735,15 +1078,12 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
     {
         require(_to != address(0), "AC: Invalid recipient");
 
-        CompatibilityMatch storage matchData = matches[_matchId];
-        require(matchData.user1 != address(0), "AC: Match does not exist");
-        require(
-            matchData.status != RequestStatus.COMPLETED,
-            "AC: Match already completed"
-        );
+        // Existing, not completed and paid by _to; marks the match REFUNDED
+        ScoreDecryption.refund(matches, feeLedger, _matchId, _to);
 
-        uint256 refundAmount = matchData.feePaid;
-        matchData.status = RequestStatus.REFUNDED;
+        uint256 refundAmount = _releaseEscrow(_matchId);
+        require(refundAmount > 0, "AC: Nothing escrowed");
+        totalRefunds += refundAmount;
 
         (bool sent, ) = payable(_to).call{value: refundAmount}("");
         require(sent, "AC: Emergency withdrawal failed");
@@ -751,6 +1091,17 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         emit EmergencyWithdrawal(_to, _matchId, refundAmount, "Emergency withdrawal");
     }
 
+    /**
+     * @notice Take a match's escrowed fee off the books
+     * @return amount Escrowed amount, zero if already released
+     */
+    function _releaseEscrow(bytes32 _matchId) private returns (uint256 amount) {
+        FeeLedgerEntry storage entry = feeLedger[_matchId];
+        amount = entry.escrowed;
+        entry.escrowed = 0;
+        totalEscrowed -= amount;
+    }
+
     // ==================== ADMIN FUNCTIONS ====================
 
     /**
@@ -784,6 +1135,91 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         emit TimeoutUpdated(oldTimeout, _newTimeout);
     }
 
+    /**
+     * @notice Update how long partners have to answer new invitations
+     * @param _newExpiry New expiry duration in seconds
+     */
+    function updateInvitationExpiry(uint256 _newExpiry) external onlyOwner {
+        require(
+            _newExpiry >= MIN_INVITATION_EXPIRY && _newExpiry <= MAX_INVITATION_EXPIRY,
+            "AC: Invalid invitation expiry"
+        );
+
+        uint256 oldExpiry = invitationExpiry;
+        invitationExpiry = _newExpiry;
+
+        emit InvitationExpiryUpdated(oldExpiry, _newExpiry);
+    }
+
+    /**
+     * @notice Replace the compatibility scoring model
+     * @param _baseScore Starting score (0-100)
+     * @param _elementMatrix Adjustment per element pair, indexed element1 * 4 + element2 (symmetric)
+     * @param _qualityMatrix Adjustment per quality pair, indexed quality1 * 3 + quality2 (symmetric)
+     * @param _aspectAdjustments Adjustment per aspect, indexed by sign distance (0 conjunction ... 6 opposition)
+     * @param _sameSignAdjustment Adjustment when both users share a sign
+     * @param _signPairs Adjustments for specific unordered sign pairs (at most 16)
+     * @param _randomRange Random bonus drawn from [0, _randomRange), a power of two (1 disables it)
+     * @dev Final score = clamp(base + adjustments + random, 0, 100). Only matches requested
+     * afterwards use the new model. Every non-zero entry costs encrypted comparisons per match.
+     */
+    function setScoringConfig(
+        uint8 _baseScore,
+        int8[] calldata _elementMatrix,
+        int8[] calldata _qualityMatrix,
+        int8[] calldata _aspectAdjustments,
+        int8 _sameSignAdjustment,
+        CompatibilityScoring.SignPairAdjustment[] calldata _signPairs,
+        uint8 _randomRange
+    ) external onlyOwner {
+        scoringModel.configure(
+            _baseScore,
+            _elementMatrix,
+            _qualityMatrix,
+            _aspectAdjustments,
+            _sameSignAdjustment,
+            _signPairs,
+            _randomRange
+        );
+
+        _scoringConfigUpdated();
+    }
+
+    /**
+     * @notice Switch to a built-in scoring model
+     * @param _preset DEFAULT (same element/quality bonuses) or TRADITIONAL
+     * (complementary elements and trine/sextile/square/opposition aspects)
+     */
+    function setScoringPreset(CompatibilityScoring.Preset _preset) external onlyOwner {
+        scoringModel.configurePreset(_preset);
+
+        _scoringConfigUpdated();
+    }
+
+    /**
+     * @notice Set how sun, moon and rising interactions are weighted
+     * @param _sun Weight of the sun-sun pair, must be positive
+     * @param _moon Weight of the moon-moon pair
+     * @param _rising Weight of the rising-rising pair
+     * @param _sunMoon Weight of each sun-moon pair (one per direction)
+     * @dev _sun + _moon + _rising + 2 * _sunMoon may not exceed 100. Weights are relative:
+     * pairs missing a placement drop out of the average. Only new matches are affected.
+     */
+    function setNatalWeights(uint8 _sun, uint8 _moon, uint8 _rising, uint8 _sunMoon) external onlyOwner {
+        CompatibilityScoring.NatalWeights memory weights =
+            CompatibilityScoring.NatalWeights(_sun, _moon, _rising, _sunMoon);
+        CompatibilityScoring.checkNatalWeights(weights);
+        natalWeights = weights;
+
+        _scoringConfigUpdated();
+    }
+
+    /// @dev Bump scoringConfigVersion after the model or the natal weights changed
+    function _scoringConfigUpdated() private {
+        scoringConfigVersion++;
+        emit ScoringConfigUpdated(scoringConfigVersion, block.timestamp);
+    }
+
     /**
      * @notice Add a new pauser address
      * @param _pauser The address to add as pauser
@@ -894,7 +1330,7 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         view
         returns (bool profileExists, uint256 timestamp)
     {
-        UserProfile storage profile = userProfiles[_user];
+        ProfileRegistry.Profile storage profile = userProfiles[_user];
         return (profile.hasProfile, profile.timestamp);
     }
 
@@ -928,8 +1364,29 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         );
     }
 
+    /**
+     * @notice Get the encrypted score handle of a match
+     * @dev Participants pass it to the relayer SDK `userDecrypt` after revealScorePrivately
+     */
+    function getEncryptedScore(bytes32 _matchId) external view returns (euint8) {
+        return _participantMatch(_matchId).compatibilityScore;
+    }
+
+    /**
+     * @notice Get the encrypted winner of the caller's latest findBestMatch
+     * @dev A position in the candidates of the latest BestMatchSearched event; pass it to
+     * the relayer SDK `userDecrypt` to learn the winner
+     */
+    function getBestMatchIndex() external view returns (euint8) {
+        return bestMatchIndex[msg.sender];
+    }
+
     /**
      * @notice Get decryption request info
+     * @dev matchId and feePaid are those of the first match; see getDecryptionRequestMatches
+     * for every match of a requestRevealScores request. Both are zero for a group reveal.
+     * An unanswered request reports TIMED_OUT once its deadline has passed, before anyone
+     * calls claimTimeoutRefund. Refunds and cancellations show on the match (getMatchInfo).
      */
     function getDecryptionRequestInfo(uint256 _requestId)
         external
@@ -944,18 +1401,49 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
             uint256 feePaid
         )
     {
-        DecryptionRequest storage request = decryptionRequests[_requestId];
+        ScoreDecryption.Request storage request = decryptionRequests[_requestId];
+        if (request.matchIds.length != 0) {
+            matchId = request.matchIds[0];
+        }
+        if (request.requester != address(0)) {
+            if (request.completed) {
+                status = RequestStatus.COMPLETED;
+            } else if (block.timestamp >= request.timeoutDeadline) {
+                status = RequestStatus.TIMED_OUT;
+            } else {
+                status = RequestStatus.PROCESSING;
+            }
+        }
         return (
             request.requester,
-            request.matchId,
+            matchId,
             request.timestamp,
             request.timeoutDeadline,
-            request.status,
+            status,
             request.kmsGeneration,
-            request.feePaid
+            matches[matchId].feePaid
         );
     }
 
+    /**
+     * @notice Get the matches of a decryption request, in the order their scores were submitted
+     */
+    function getDecryptionRequestMatches(uint256 _requestId) external view returns (bytes32[] memory) {
+        return decryptionRequests[_requestId].matchIds;
+    }
+
+    /**
+     * @notice Get which optional natal placements a user has set (the signs stay encrypted)
+     */
+    function getNatalProfileStatus(address _user)
+        external
+        view
+        returns (bool hasMoon, bool hasRising)
+    {
+        ProfileRegistry.Profile storage profile = userProfiles[_user];
+        return (profile.hasMoon, profile.hasRising);
+    }
+
     /**
      * @notice Get user statistics
      */
@@ -975,6 +1463,129 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         );
     }
 
+    /**
+     * @notice Get a page of a user's matches, oldest first
+     * @param _user User address
+     * @param _offset Index of the first match to return
+     * @param _limit Maximum number of matches to return
+     * @return page Match summaries in the requested window
+     * @return total Total number of matches of the user
+     */
+    function getUserMatches(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (MatchSummary[] memory page, uint256 total)
+    {
+        return ScoreDecryption.pageOf(matches, userMatchIds[_user], _offset, _limit);
+    }
+
+    /**
+     * @notice Get the invitation for a pair of users
+     * @param _matchId Match ID of the pair (see generateMatchId)
+     */
+    function getMatchInvitation(bytes32 _matchId)
+        external
+        view
+        returns (
+            address requester,
+            address partner,
+            uint256 createdAt,
+            uint256 expiresAt,
+            MatchInvitations.Status status
+        )
+    {
+        MatchInvitations.Invitation storage invitation = invitationBook.invitations[_matchId];
+        return (
+            invitation.requester,
+            invitation.partner,
+            invitation.createdAt,
+            invitation.expiresAt,
+            invitation.status
+        );
+    }
+
+    /**
+     * @notice Get a page of a user's invitations, incoming and outgoing, oldest first
+     * @param _user User address
+     * @param _offset Index of the first invitation to return
+     * @param _limit Maximum number of invitations to return
+     * @return page Invitation summaries in the requested window
+     * @return total Total number of invitations of the user
+     */
+    function getUserInvitations(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (MatchInvitations.Summary[] memory page, uint256 total)
+    {
+        return invitationBook.pageOf(_user, _offset, _limit);
+    }
+
+    /**
+     * @notice Get a page of the public directory
+     * @return page Listed users with their display names and handles
+     * @return total Number of listed users
+     */
+    function getDirectory(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (ProfileRegistry.Listing[] memory page, uint256 total)
+    {
+        return profileDirectory.pageOf(_offset, _limit);
+    }
+
+    /**
+     * @notice Get a user's directory entry
+     * @return listing The entry; listedAt is zero if the user is not listed
+     */
+    function getDirectoryListing(address _user) external view returns (ProfileRegistry.Listing memory) {
+        return profileDirectory.listings[_user];
+    }
+
+    /**
+     * @notice Get a group match
+     * @dev members lists the creator first, then the invited members (see hasJoinedGroup)
+     */
+    function getGroupMatch(bytes32 _groupId)
+        external
+        view
+        returns (
+            address creator,
+            address[] memory members,
+            uint256 joinedCount,
+            GroupStatus status,
+            uint8 publicAverage,
+            uint8 publicMinPair,
+            uint256 createdAt,
+            uint256 expiresAt
+        )
+    {
+        GroupMatch storage group = groupBook.groups[_groupId];
+        return (
+            group.creator,
+            group.members,
+            group.joinedCount,
+            group.status,
+            group.publicAverage,
+            group.publicMinPair,
+            group.createdAt,
+            group.expiresAt
+        );
+    }
+
+    /**
+     * @notice Check if a member has joined a group
+     */
+    function hasJoinedGroup(bytes32 _groupId, address _member) external view returns (bool) {
+        return groupBook.groups[_groupId].joined[_member];
+    }
+
+    /**
+     * @notice Get the IDs of the groups a user created or was invited to, oldest first
+     */
+    function getUserGroupMatches(address _user) external view returns (bytes32[] memory) {
+        return groupBook.userGroupIds[_user];
+    }
+
     /**
      * @notice Check if public decryption is allowed
      */
@@ -1026,21 +1637,7 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         pure
         returns (string memory name, uint8 element, uint8 quality)
     {
-        require(_zodiac < 12, "AC: Invalid zodiac");
-
-        string[12] memory zodiacNames = [
-            "Aries", "Taurus", "Gemini", "Cancer",
-            "Leo", "Virgo", "Libra", "Scorpio",
-            "Sagittarius", "Capricorn", "Aquarius", "Pisces"
-        ];
-
-        // Elements: Fire=0, Earth=1, Air=2, Water=3
-        uint8[12] memory elements = [0, 1, 2, 3, 0, 1, 2, 3, 0, 1, 2, 3];
-
-        // Qualities: Cardinal=0, Fixed=1, Mutable=2
-        uint8[12] memory qualities = [0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2];
-
-        return (zodiacNames[_zodiac], elements[_zodiac], qualities[_zodiac]);
+        return CompatibilityScoring.signInfo(_zodiac);
     }
 
     /**
@@ -1068,9 +1665,50 @@ contract AstralCompatibilityEnhanced is SepoliaConfig {
         );
     }
 
+    /**
+     * @notice Get the compatibility scoring model used for new matches
+     */
+    function getScoringConfig()
+        external
+        view
+        returns (
+            uint8 baseScore,
+            int8[] memory elementMatrix,
+            int8[] memory qualityMatrix,
+            int8[] memory aspectAdjustments,
+            int8 sameSignAdjustment,
+            CompatibilityScoring.SignPairAdjustment[] memory signPairs,
+            uint8 randomRange
+        )
+    {
+        CompatibilityScoring.Model storage model = scoringModel;
+        return (
+            model.baseScore,
+            model.elementMatrix,
+            model.qualityMatrix,
+            model.aspectAdjustments,
+            model.sameSignAdjustment,
+            model.signPairs,
+            model.randomRange
+        );
+    }
+
+    /**
+     * @notice Get the natal weights used for new matches
+     */
+    function getNatalWeights()
+        external
+        view
+        returns (uint8 sun, uint8 moon, uint8 rising, uint8 sunMoon)
+    {
+        CompatibilityScoring.NatalWeights storage weights = natalWeights;
+        return (weights.sun, weights.moon, weights.rising, weights.sunMoon);
+    }
+
     // ==================== FALLBACK ====================
 
     receive() external payable {
-        // Accept ETH for fees
+        // Accept ETH for fees, booked as platform revenue so the balance stays reconcilable
+        platformFees += msg.value;
     }
 }
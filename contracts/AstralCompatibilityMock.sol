@@ -10,6 +10,28 @@ contract AstralCompatibilityMock {
 
     address public owner;
     uint256 public totalMatches;
+    uint256 public scoringConfigVersion;
+
+    // Maximum sign-pair adjustments and aspect count (mirror CompatibilityScoring)
+    uint256 public constant MAX_SIGN_PAIRS = 16;
+    uint256 public constant ASPECT_COUNT = 7;
+
+    // Unset moon or rising sign and maximum total natal weight (mirror AstralCompatibilityEnhanced)
+    uint8 public constant NO_SIGN = 12;
+    uint256 public constant MAX_NATAL_WEIGHT = 100;
+
+    // Candidates per findBestMatch call and partners per requestCompatibilityMatches call
+    // (mirror AstralCompatibilityEnhanced)
+    uint256 public constant MAX_SEARCH_CANDIDATES = 5;
+    uint256 public constant MAX_BATCH_INVITATIONS = 50;
+
+    // Members of a group match, creator included, and invitations, matches and groups closed
+    // per deleteProfile or clearDeletedProfile call (mirror AstralCompatibilityEnhanced)
+    uint256 public constant MAX_GROUP_SIZE = 6;
+    uint256 public constant DELETION_PAGE_SIZE = 50;
+
+    // How long a partner can accept an invitation (default of AstralCompatibilityEnhanced)
+    uint256 public invitationExpiry = 7 days;
 
     // Zodiac signs (0-11)
     enum Zodiac {
@@ -31,7 +53,11 @@ contract AstralCompatibilityMock {
         uint8 zodiac;           // Zodiac sign (stored as plain for mock)
         uint8 element;          // Element (0-3: Fire, Earth, Air, Water)
         uint8 quality;          // Quality (0-2: Cardinal, Fixed, Mutable)
+        uint8 moon;             // Moon sign (0-11), set if hasMoon
+        uint8 rising;           // Rising sign (0-11), set if hasRising
         bool hasProfile;
+        bool hasMoon;
+        bool hasRising;
         uint256 timestamp;
     }
 
@@ -41,16 +67,167 @@ contract AstralCompatibilityMock {
         uint8 compatibilityScore;   // Calculated score
         bool isRevealed;
         uint8 publicScore;          // Public score (after reveal)
+        bool isPrivatelyRevealed;   // Participants may read the score, publicScore stays unset
+        bool isCancelled;           // A participant deleted their profile before the reveal
+        uint256 matchTime;
+    }
+
+    // Match summary returned by getUserMatches
+    struct MatchSummary {
+        bytes32 matchId;
+        address user1;
+        address user2;
+        bool isRevealed;
+        uint8 publicScore;
+        bool isPrivatelyRevealed;
+        bool isCancelled;
         uint256 matchTime;
     }
 
+    // Invitation lifecycle (mirror MatchInvitations.Status)
+    enum InvitationStatus {
+        NONE,
+        OPEN,
+        ACCEPTED,
+        DECLINED,
+        CANCELLED
+    }
+
+    struct MatchInvitation {
+        address requester;
+        address partner;
+        uint256 createdAt;
+        uint256 expiresAt;
+        InvitationStatus status;
+    }
+
+    // Invitation summary returned by getUserInvitations
+    struct InvitationSummary {
+        bytes32 matchId;
+        address requester;
+        address partner;
+        uint256 createdAt;
+        uint256 expiresAt;
+        InvitationStatus status;
+    }
+
+    // Public directory entry returned by getDirectory; carries no zodiac data
+    struct Listing {
+        address user;
+        bytes32 displayName;    // Optional UTF-8 text, zero-padded
+        bytes32 handle;         // Optional UTF-8 text, zero-padded
+        uint256 listedAt;
+    }
+
+    // Signed score adjustment for an unordered pair of zodiac signs
+    struct SignPairAdjustment {
+        uint8 signA;
+        uint8 signB;
+        int8 adjustment;
+    }
+
+    // Group match lifecycle (mirror GroupStatus of MatchTypes.sol); PROCESSING is unused
+    // because reveals are instant
+    enum GroupStatus {
+        NONE,
+        OPEN,
+        SCORED,
+        PROCESSING,
+        REVEALED,
+        CANCELLED
+    }
+
+    // Group compatibility of three or more profiles, scored over every pair
+    struct GroupMatch {
+        address creator;
+        address[] members;          // Creator first, then the invited members in order
+        mapping(address => bool) joined;
+        uint256 joinedCount;        // Creator included
+        uint256 pairSum;            // Sum of the pair scores computed so far
+        uint8 minPairScore;         // Lowest pair score computed so far
+        uint8 averageScore;         // pairSum / pair count, set once everyone joined
+        uint8 publicAverage;        // Public average (after reveal)
+        uint8 publicMinPair;        // Public lowest pair score (after reveal)
+        GroupStatus status;
+        uint256 createdAt;
+        uint256 expiresAt;
+    }
+
+    // Built-in models (mirror CompatibilityScoring.Preset)
+    enum ScoringPreset {
+        DEFAULT,
+        TRADITIONAL
+    }
+
+    // Scoring model, same layout and semantics as CompatibilityScoring.Model
+    struct ScoringModel {
+        uint8 baseScore;
+        int8[] elementMatrix;       // [element1 * 4 + element2], symmetric
+        int8[] qualityMatrix;       // [quality1 * 3 + quality2], symmetric
+        int8[] aspectAdjustments;   // [sign distance 0-6], ASPECT_COUNT entries
+        int8 sameSignAdjustment;
+        SignPairAdjustment[] signPairs;
+        uint8 randomRange;          // Random bonus in [0, randomRange), power of two
+    }
+
+    // Sign with its element and quality
+    struct Placement {
+        uint8 sign;
+        uint8 element;
+        uint8 quality;
+    }
+
+    // Placement interaction weights, same semantics as CompatibilityScoring.NatalWeights
+    struct NatalWeights {
+        uint8 sun;
+        uint8 moon;
+        uint8 rising;
+        uint8 sunMoon;          // Per direction
+    }
+
+    ScoringModel internal scoringModel;
+    NatalWeights internal natalWeights;
+
     mapping(address => UserProfile) public userProfiles;
     mapping(bytes32 => CompatibilityMatch) public matches;
     mapping(address => uint256) public userMatchCount;
+    mapping(address => bytes32[]) public userMatchIds;
+    mapping(bytes32 => MatchInvitation) internal invitations;
+    mapping(address => bytes32[]) internal userInvitationIds;
+    address[] internal directoryUsers;
+    mapping(address => uint256) internal directoryPositions; // Index in directoryUsers plus one
+    mapping(address => Listing) internal directoryListings;
+    mapping(address => uint8) internal bestMatchIndex;
+    mapping(bytes32 => GroupMatch) internal groups;
+    mapping(address => bytes32[]) internal userGroupIds;
+    uint256 internal groupCount;
 
     event ProfileCreated(address indexed user);
+    event ProfileDeleted(address indexed user, uint256 timestamp);
+    event NatalSignsUpdated(address indexed user, bool hasMoon, bool hasRising, uint256 timestamp);
+    event MatchInvitationCreated(
+        bytes32 indexed matchId,
+        address indexed requester,
+        address indexed partner,
+        uint256 expiresAt
+    );
+    event MatchInvitationAccepted(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationDeclined(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationCancelled(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchRequestFailed(address indexed requester, address indexed partner, string reason);
     event MatchRequested(address indexed user1, address indexed user2, bytes32 matchId);
     event CompatibilityRevealed(bytes32 indexed matchId, uint8 score);
+    event ScoreRevealedPrivately(bytes32 indexed matchId, address indexed user1, address indexed user2);
+    event MatchCancelled(bytes32 indexed matchId, address indexed user1, address indexed user2);
+    event DirectoryListed(address indexed user, bytes32 displayName, bytes32 handle);
+    event DirectoryUnlisted(address indexed user);
+    event BestMatchSearched(address indexed user, address[] candidates, uint256 timestamp);
+    event ScoringConfigUpdated(uint256 version, uint256 timestamp);
+    event GroupMatchCreated(bytes32 indexed groupId, address indexed creator, address[] members, uint256 expiresAt);
+    event GroupMemberJoined(bytes32 indexed groupId, address indexed member, uint256 joinedCount);
+    event GroupMatchScored(bytes32 indexed groupId, uint256 timestamp);
+    event GroupMatchCancelled(bytes32 indexed groupId, address indexed by);
+    event GroupCompatibilityRevealed(bytes32 indexed groupId, uint8 averageScore, uint8 minPairScore);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not authorized");
@@ -65,6 +242,9 @@ contract AstralCompatibilityMock {
     constructor() {
         owner = msg.sender;
         totalMatches = 0;
+
+        _setScoringPreset(ScoringPreset.DEFAULT);
+        natalWeights = NatalWeights({ sun: 50, moon: 25, rising: 15, sunMoon: 5 });
     }
 
     /**
@@ -87,7 +267,11 @@ contract AstralCompatibilityMock {
             zodiac: _zodiac,
             element: _element,
             quality: _quality,
+            moon: 0,
+            rising: 0,
             hasProfile: true,
+            hasMoon: false,
+            hasRising: false,
             timestamp: block.timestamp
         });
 
@@ -95,81 +279,558 @@ contract AstralCompatibilityMock {
     }
 
     /**
-     * @notice Request compatibility match with another user
+     * @notice Set or clear the optional moon and rising signs
+     * @param _moon Moon sign (0-11), or NO_SIGN to leave it unset
+     * @param _rising Rising sign (0-11), or NO_SIGN to leave it unset
+     */
+    function setNatalSigns(uint8 _moon, uint8 _rising) external hasProfile(msg.sender) {
+        require(_moon <= NO_SIGN && _rising <= NO_SIGN, "Invalid natal sign");
+
+        UserProfile storage profile = userProfiles[msg.sender];
+        profile.hasMoon = _moon != NO_SIGN;
+        profile.moon = profile.hasMoon ? _moon : 0;
+        profile.hasRising = _rising != NO_SIGN;
+        profile.rising = profile.hasRising ? _rising : 0;
+        profile.timestamp = block.timestamp;
+
+        emit NatalSignsUpdated(msg.sender, profile.hasMoon, profile.hasRising, block.timestamp);
+    }
+
+    /**
+     * @notice Invite another user to a compatibility match
      * @param _partner Address of the partner to match with
+     * @dev No score is computed until the partner calls acceptMatchInvitation
      */
-    function requestCompatibilityMatch(address _partner) external
+    function requestCompatibilityMatch(address _partner) external hasProfile(msg.sender) {
+        (bytes32 matchId, string memory failure) = _checkInvite(_partner);
+        require(bytes(failure).length == 0, failure);
+
+        _invite(matchId, _partner);
+    }
+
+    /**
+     * @notice Invite several users at once, each on the terms of requestCompatibilityMatch
+     * @param _partners Up to MAX_BATCH_INVITATIONS addresses to invite
+     * @return created Number of invitations opened
+     * @dev Mirrors AstralCompatibilityEnhanced.requestCompatibilityMatches without fees: an entry
+     * that cannot be invited is skipped with MatchRequestFailed instead of reverting the batch.
+     */
+    function requestCompatibilityMatches(address[] calldata _partners)
+        external
         hasProfile(msg.sender)
-        hasProfile(_partner)
+        returns (uint256 created)
     {
-        require(_partner != msg.sender, "Cannot match with yourself");
+        require(_partners.length > 0 && _partners.length <= MAX_BATCH_INVITATIONS, "Invalid partner count");
+
+        for (uint256 i = 0; i < _partners.length; i++) {
+            (bytes32 matchId, string memory failure) = _checkInvite(_partners[i]);
+            if (bytes(failure).length != 0) {
+                emit MatchRequestFailed(msg.sender, _partners[i], failure);
+                continue;
+            }
+
+            _invite(matchId, _partners[i]);
+            created++;
+        }
+    }
+
+    /**
+     * @notice Accept an invitation and compute the score
+     * @param _matchId Match ID of the invitation (see generateMatchId)
+     */
+    function acceptMatchInvitation(bytes32 _matchId) external hasProfile(msg.sender) {
+        MatchInvitation storage invitation = _openInvitation(_matchId);
+        require(msg.sender == invitation.partner, "Not authorized");
+        require(block.timestamp < invitation.expiresAt, "Invitation expired");
+        require(userProfiles[invitation.requester].hasProfile, "User has no profile");
 
-        bytes32 matchId = generateMatchId(msg.sender, _partner);
-        require(matches[matchId].user1 == address(0), "Match already exists");
+        invitation.status = InvitationStatus.ACCEPTED;
+        address requester = invitation.requester;
 
         // Calculate compatibility score (mock version)
-        uint8 compatibilityScore = calculateCompatibility(msg.sender, _partner);
+        uint8 compatibilityScore = calculateCompatibility(requester, msg.sender);
 
-        matches[matchId] = CompatibilityMatch({
-            user1: msg.sender,
-            user2: _partner,
+        matches[_matchId] = CompatibilityMatch({
+            user1: requester,
+            user2: msg.sender,
             compatibilityScore: compatibilityScore,
             isRevealed: false,
             publicScore: 0,
+            isPrivatelyRevealed: false,
+            isCancelled: false,
             matchTime: block.timestamp
         });
 
+        userMatchCount[requester]++;
         userMatchCount[msg.sender]++;
-        userMatchCount[_partner]++;
+        userMatchIds[requester].push(_matchId);
+        userMatchIds[msg.sender].push(_matchId);
         totalMatches++;
 
-        emit MatchRequested(msg.sender, _partner, matchId);
+        emit MatchInvitationAccepted(_matchId, requester, msg.sender);
+        emit MatchRequested(requester, msg.sender, _matchId);
     }
 
     /**
-     * @notice Calculate compatibility score (mock version without encryption)
-     * @dev This is a simplified version for Sepolia testing
+     * @notice Decline an invitation
+     * @param _matchId Match ID of the invitation
      */
-    function calculateCompatibility(address _user1, address _user2)
-        private
-        view
-        returns (uint8)
+    function declineMatchInvitation(bytes32 _matchId) external {
+        MatchInvitation storage invitation = _openInvitation(_matchId);
+        require(msg.sender == invitation.partner, "Not authorized");
+
+        invitation.status = InvitationStatus.DECLINED;
+
+        emit MatchInvitationDeclined(_matchId, invitation.requester, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw an open or expired invitation
+     * @param _matchId Match ID of the invitation
+     */
+    function cancelMatchInvitation(bytes32 _matchId) external {
+        MatchInvitation storage invitation = _openInvitation(_matchId);
+        require(msg.sender == invitation.requester, "Not authorized");
+
+        invitation.status = InvitationStatus.CANCELLED;
+
+        emit MatchInvitationCancelled(_matchId, msg.sender, invitation.partner);
+    }
+
+    /**
+     * @notice Delete the caller's profile and leave the system
+     * @dev Mirrors AstralCompatibilityEnhanced.deleteProfile without fees. Open invitations
+     * are closed (cancelled when sent, declined when received) and matches and group
+     * matches still waiting for a reveal are cancelled. Revealed matches, invitation records and past events stay.
+     * Closes the first DELETION_PAGE_SIZE of each, clearDeletedProfile the rest.
+     */
+    function deleteProfile() external hasProfile(msg.sender) {
+        delete userProfiles[msg.sender];
+        _closeRecords(0);
+
+        if (_unlist(msg.sender)) {
+            emit DirectoryUnlisted(msg.sender);
+        }
+
+        emit ProfileDeleted(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @notice Close the invitations, matches and groups of the caller's deleted profile
+     * that deleteProfile did not reach
+     * @param _offset Index of the first invitation, match and group to close
+     * @dev Mirrors AstralCompatibilityEnhanced.clearDeletedProfile
+     */
+    function clearDeletedProfile(uint256 _offset) external {
+        require(!userProfiles[msg.sender].hasProfile, "Profile already exists");
+        _closeRecords(_offset);
+    }
+
+    /// @dev Close a page of the caller's open invitations, unrevealed matches and groups
+    function _closeRecords(uint256 _offset) private {
+        bytes32[] storage invitationIds = userInvitationIds[msg.sender];
+        uint256 end = _pageEnd(invitationIds.length, _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            MatchInvitation storage invitation = invitations[invitationIds[i]];
+            if (invitation.status != InvitationStatus.OPEN) {
+                continue;
+            }
+
+            if (invitation.requester == msg.sender) {
+                invitation.status = InvitationStatus.CANCELLED;
+                emit MatchInvitationCancelled(invitationIds[i], msg.sender, invitation.partner);
+            } else {
+                invitation.status = InvitationStatus.DECLINED;
+                emit MatchInvitationDeclined(invitationIds[i], invitation.requester, msg.sender);
+            }
+        }
+
+        bytes32[] storage ids = userMatchIds[msg.sender];
+        end = _pageEnd(ids.length, _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            CompatibilityMatch storage matchData = matches[ids[i]];
+            if (!matchData.isRevealed && !matchData.isPrivatelyRevealed && !matchData.isCancelled) {
+                matchData.isCancelled = true;
+                emit MatchCancelled(ids[i], matchData.user1, matchData.user2);
+            }
+        }
+
+        bytes32[] storage groupIds = userGroupIds[msg.sender];
+        end = _pageEnd(groupIds.length, _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            GroupMatch storage group = groups[groupIds[i]];
+            if (group.status == GroupStatus.OPEN || group.status == GroupStatus.SCORED) {
+                group.status = GroupStatus.CANCELLED;
+                emit GroupMatchCancelled(groupIds[i], msg.sender);
+            }
+        }
+    }
+
+    /// @dev End of the deletion page starting at _offset in a list of _length entries
+    function _pageEnd(uint256 _length, uint256 _offset) private pure returns (uint256) {
+        return _length < _offset + DELETION_PAGE_SIZE ? _length : _offset + DELETION_PAGE_SIZE;
+    }
+
+    /**
+     * @notice List the caller in the public directory, or update their entry
+     * @param _displayName Optional public name, UTF-8 zero-padded to 32 bytes
+     * @param _handle Optional public handle in the same encoding
+     * @dev Mirrors AstralCompatibilityEnhanced.listInDirectory; listedAt keeps the first listing
+     */
+    function listInDirectory(bytes32 _displayName, bytes32 _handle)
+        external
+        hasProfile(msg.sender)
     {
-        UserProfile storage profile1 = userProfiles[_user1];
-        UserProfile storage profile2 = userProfiles[_user2];
+        Listing storage listing = directoryListings[msg.sender];
+        if (directoryPositions[msg.sender] == 0) {
+            directoryUsers.push(msg.sender);
+            directoryPositions[msg.sender] = directoryUsers.length;
+            listing.user = msg.sender;
+            listing.listedAt = block.timestamp;
+        }
+        listing.displayName = _displayName;
+        listing.handle = _handle;
+
+        emit DirectoryListed(msg.sender, _displayName, _handle);
+    }
+
+    /**
+     * @notice Remove the caller from the public directory
+     */
+    function unlistFromDirectory() external {
+        require(_unlist(msg.sender), "Not listed");
+        emit DirectoryUnlisted(msg.sender);
+    }
+
+    /**
+     * @notice Find which of a batch of directory users the caller is most compatible with
+     * @param _candidates Listed users to compare, 2 to MAX_SEARCH_CANDIDATES
+     * @return bestIndex Position of the best candidate; ties keep the earlier one
+     * @dev Mirrors AstralCompatibilityEnhanced.findBestMatch in plaintext. Read the
+     * result with getBestMatchIndex.
+     */
+    function findBestMatch(address[] calldata _candidates)
+        external
+        hasProfile(msg.sender)
+        returns (uint8 bestIndex)
+    {
+        require(
+            _candidates.length >= 2 && _candidates.length <= MAX_SEARCH_CANDIDATES,
+            "Invalid candidate count"
+        );
+
+        uint8 bestScore;
+        for (uint256 i = 0; i < _candidates.length; i++) {
+            require(directoryPositions[_candidates[i]] != 0, "Candidate not listed");
+            require(_candidates[i] != msg.sender, "Cannot match with yourself");
+
+            uint8 score = calculateCompatibility(msg.sender, _candidates[i]);
+            if (i == 0 || score > bestScore) {
+                bestScore = score;
+                bestIndex = uint8(i);
+            }
+        }
+
+        bestMatchIndex[msg.sender] = bestIndex;
+        emit BestMatchSearched(msg.sender, _candidates, block.timestamp);
+    }
+
+    /**
+     * @notice Get the winner of the caller's latest findBestMatch
+     * @return Position in the candidates of the latest BestMatchSearched event
+     */
+    function getBestMatchIndex() external view returns (uint8) {
+        return bestMatchIndex[msg.sender];
+    }
+
+    /// @dev Swap-and-pop removal; returns false if the user was not listed
+    function _unlist(address _user) private returns (bool) {
+        uint256 position = directoryPositions[_user];
+        if (position == 0) {
+            return false;
+        }
+
+        address last = directoryUsers[directoryUsers.length - 1];
+        directoryUsers[position - 1] = last;
+        directoryPositions[last] = position;
+        directoryUsers.pop();
+
+        delete directoryPositions[_user];
+        delete directoryListings[_user];
+        return true;
+    }
+
+    function _openInvitation(bytes32 _matchId) private view returns (MatchInvitation storage invitation) {
+        invitation = invitations[_matchId];
+        require(invitation.status == InvitationStatus.OPEN, "Invitation not open");
+    }
+
+    // Match ID of the caller and _partner, and the revert reason for inviting _partner (empty if allowed)
+    function _checkInvite(address _partner) private view returns (bytes32 matchId, string memory failure) {
+        matchId = generateMatchId(msg.sender, _partner);
+        if (!userProfiles[_partner].hasProfile) {
+            failure = "User has no profile";
+        } else if (_partner == msg.sender) {
+            failure = "Cannot match with yourself";
+        } else if (matches[matchId].user1 != address(0)) {
+            failure = "Match already exists";
+        } else if (invitations[matchId].status == InvitationStatus.OPEN) {
+            failure = "Invitation already open";
+        }
+    }
+
+    // Open an invitation from the caller
+    function _invite(bytes32 _matchId, address _partner) private {
+        if (invitations[_matchId].status == InvitationStatus.NONE) {
+            userInvitationIds[msg.sender].push(_matchId);
+            userInvitationIds[_partner].push(_matchId);
+        }
+
+        uint256 expiresAt = block.timestamp + invitationExpiry;
+        invitations[_matchId] = MatchInvitation({
+            requester: msg.sender,
+            partner: _partner,
+            createdAt: block.timestamp,
+            expiresAt: expiresAt,
+            status: InvitationStatus.OPEN
+        });
 
-        // Base score: 50
-        uint8 score = 50;
+        emit MatchInvitationCreated(_matchId, msg.sender, _partner, expiresAt);
+    }
+
+    /**
+     * @notice Invite several users to a group compatibility score
+     * @param _members Users to invite, 2 to MAX_GROUP_SIZE - 1, each with a profile
+     * @return groupId ID of the new group (see GroupMatchCreated)
+     * @dev Mirrors AstralCompatibilityEnhanced.createGroupMatch: the caller is the first
+     * member and the others join with joinGroupMatch before invitationExpiry passes
+     */
+    function createGroupMatch(address[] calldata _members)
+        external
+        hasProfile(msg.sender)
+        returns (bytes32 groupId)
+    {
+        require(_members.length >= 2 && _members.length < MAX_GROUP_SIZE, "Invalid group size");
+
+        groupId = keccak256(abi.encode(address(this), ++groupCount));
+        GroupMatch storage group = groups[groupId];
+
+        group.creator = msg.sender;
+        group.members.push(msg.sender);
+        group.joined[msg.sender] = true;
+        group.joinedCount = 1;
+        group.status = GroupStatus.OPEN;
+        group.createdAt = block.timestamp;
+        group.expiresAt = block.timestamp + invitationExpiry;
+        userGroupIds[msg.sender].push(groupId);
 
-        // Element compatibility bonus: +20 if same
-        if (profile1.element == profile2.element) {
-            score += 20;
+        for (uint256 i = 0; i < _members.length; i++) {
+            address member = _members[i];
+            require(userProfiles[member].hasProfile, "User has no profile");
+            require(member != msg.sender, "Cannot match with yourself");
+            for (uint256 j = 1; j < group.members.length; j++) {
+                require(group.members[j] != member, "Duplicate member");
+            }
+
+            group.members.push(member);
+            userGroupIds[member].push(groupId);
         }
 
-        // Quality compatibility bonus: +15 if same
-        if (profile1.quality == profile2.quality) {
-            score += 15;
+        emit GroupMatchCreated(groupId, msg.sender, group.members, group.expiresAt);
+    }
+
+    /**
+     * @notice Join a group the caller was invited to
+     * @dev Scores the caller against every member already in; the last member to join
+     * completes the average and lowest pair score
+     */
+    function joinGroupMatch(bytes32 _groupId) external hasProfile(msg.sender) {
+        GroupMatch storage group = groups[_groupId];
+        require(group.status == GroupStatus.OPEN, "Group not open");
+        require(block.timestamp < group.expiresAt, "Group invitation expired");
+        require(_isGroupMember(group, msg.sender), "Not a group member");
+        require(!group.joined[msg.sender], "Already joined");
+
+        for (uint256 i = 0; i < group.members.length; i++) {
+            address member = group.members[i];
+            if (!group.joined[member]) {
+                continue;
+            }
+
+            uint8 score = calculateCompatibility(member, msg.sender);
+            if (group.joinedCount == 1 || score < group.minPairScore) {
+                group.minPairScore = score;
+            }
+            group.pairSum += score;
         }
 
-        // Same zodiac penalty: -10 if same
-        if (profile1.zodiac == profile2.zodiac) {
-            score -= 10;
+        group.joined[msg.sender] = true;
+        group.joinedCount++;
+        emit GroupMemberJoined(_groupId, msg.sender, group.joinedCount);
+
+        uint256 size = group.members.length;
+        if (group.joinedCount == size) {
+            group.averageScore = uint8(group.pairSum / (size * (size - 1) / 2));
+            group.status = GroupStatus.SCORED;
+            emit GroupMatchScored(_groupId, block.timestamp);
         }
+    }
+
+    /**
+     * @notice Leave a group that is still waiting for members, which cancels it
+     */
+    function leaveGroupMatch(bytes32 _groupId) external {
+        GroupMatch storage group = groups[_groupId];
+        require(_isGroupMember(group, msg.sender), "Not a group member");
+        require(group.status == GroupStatus.OPEN, "Group not open");
+
+        group.status = GroupStatus.CANCELLED;
+        emit GroupMatchCancelled(_groupId, msg.sender);
+    }
 
-        // Add pseudo-random factor: 0-15
+    /**
+     * @notice Publish a scored group's average and lowest pair score
+     * @dev Any member may publish; mirrors AstralCompatibilityEnhanced.requestRevealGroupScore
+     * without the decryption round trip
+     */
+    function revealGroupScore(bytes32 _groupId) external {
+        GroupMatch storage group = groups[_groupId];
+        require(_isGroupMember(group, msg.sender), "Not a group member");
+        require(group.status == GroupStatus.SCORED, "Invalid status for reveal");
+
+        group.publicAverage = group.averageScore;
+        group.publicMinPair = group.minPairScore;
+        group.status = GroupStatus.REVEALED;
+
+        emit GroupCompatibilityRevealed(_groupId, group.publicAverage, group.publicMinPair);
+    }
+
+    function _isGroupMember(GroupMatch storage _group, address _user) private view returns (bool) {
+        for (uint256 i = 0; i < _group.members.length; i++) {
+            if (_group.members[i] == _user) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @notice Calculate compatibility score (mock version without encryption)
+     * @dev Evaluates the scoring model in plaintext, matching CompatibilityScoring.evaluate
+     * and, once moon or rising signs are set, CompatibilityScoring.evaluateNatal
+     */
+    function calculateCompatibility(address _user1, address _user2)
+        private
+        view
+        returns (uint8)
+    {
+        UserProfile storage profile1 = userProfiles[_user1];
+        UserProfile storage profile2 = userProfiles[_user2];
+
+        // Add pseudo-random factor: 0 to randomRange - 1
         uint256 randomSeed = uint256(keccak256(abi.encodePacked(
             block.timestamp,
             block.prevrandao,
             _user1,
             _user2
         )));
-        uint8 randomBonus = uint8(randomSeed % 16);
-        score += randomBonus;
+        int256 random = int256(randomSeed % scoringModel.randomRange);
+
+        (uint256 weightedSum, uint256 totalWeight) = _natalSums(profile1, profile2);
+        int256 score = totalWeight == 0
+            ? _placementScore(_sunOf(profile1), _sunOf(profile2)) + random
+            : int256(weightedSum / totalWeight) + random;
 
         // Ensure score is in valid range (0-100)
+        if (score < 0) score = 0;
+        if (score > 100) score = 100;
+
+        return uint8(uint256(score));
+    }
+
+    // Weighted sum of clamped placement scores; zero weight when only the sun signs apply
+    function _natalSums(UserProfile storage _profile1, UserProfile storage _profile2)
+        private
+        view
+        returns (uint256 sum, uint256 weight)
+    {
+        NatalWeights storage weights = natalWeights;
+        bool moons = weights.moon > 0 && _profile1.hasMoon && _profile2.hasMoon;
+        bool risings = weights.rising > 0 && _profile1.hasRising && _profile2.hasRising;
+        bool sunMoons = weights.sunMoon > 0 && (_profile1.hasMoon || _profile2.hasMoon);
+
+        if (!moons && !risings && !sunMoons) {
+            return (0, 0);
+        }
+
+        sum = _weightedScore(_sunOf(_profile1), _sunOf(_profile2), weights.sun);
+        weight = weights.sun;
+
+        if (moons) {
+            sum += _weightedScore(_placementOf(_profile1.moon), _placementOf(_profile2.moon), weights.moon);
+            weight += weights.moon;
+        }
+        if (risings) {
+            sum += _weightedScore(_placementOf(_profile1.rising), _placementOf(_profile2.rising), weights.rising);
+            weight += weights.rising;
+        }
+        if (sunMoons && _profile2.hasMoon) {
+            sum += _weightedScore(_sunOf(_profile1), _placementOf(_profile2.moon), weights.sunMoon);
+            weight += weights.sunMoon;
+        }
+        if (sunMoons && _profile1.hasMoon) {
+            sum += _weightedScore(_placementOf(_profile1.moon), _sunOf(_profile2), weights.sunMoon);
+            weight += weights.sunMoon;
+        }
+    }
+
+    function _weightedScore(Placement memory _a, Placement memory _b, uint8 _weight)
+        private
+        view
+        returns (uint256)
+    {
+        int256 score = _placementScore(_a, _b);
+        if (score < 0) score = 0;
         if (score > 100) score = 100;
+        return uint256(score) * _weight;
+    }
+
+    // Base score plus every model adjustment for two placements, unclamped and without the random factor
+    function _placementScore(Placement memory _a, Placement memory _b) private view returns (int256 score) {
+        ScoringModel storage model = scoringModel;
+
+        score = int256(uint256(model.baseScore));
+
+        // Element and quality pair adjustments
+        score += model.elementMatrix[_a.element * 4 + _b.element];
+        score += model.qualityMatrix[_a.quality * 3 + _b.quality];
 
-        return score;
+        // Aspect adjustment: distance 0-6 between the signs on the zodiac wheel
+        uint8 distance = (_a.sign + 12 - _b.sign) % 12;
+        score += model.aspectAdjustments[distance > 6 ? 12 - distance : distance];
+
+        // Sign adjustments
+        if (_a.sign == _b.sign) {
+            score += model.sameSignAdjustment;
+        }
+        for (uint256 i = 0; i < model.signPairs.length; i++) {
+            SignPairAdjustment storage pair = model.signPairs[i];
+            if (
+                (pair.signA == _a.sign && pair.signB == _b.sign) ||
+                (pair.signA == _b.sign && pair.signB == _a.sign)
+            ) {
+                score += pair.adjustment;
+            }
+        }
+    }
+
+    function _sunOf(UserProfile storage _profile) private view returns (Placement memory) {
+        return Placement(_profile.zodiac, _profile.element, _profile.quality);
+    }
+
+    // Elements repeat every 4 signs and qualities every 3
+    function _placementOf(uint8 _sign) private pure returns (Placement memory) {
+        return Placement(_sign, _sign % 4, _sign % 3);
     }
 
     /**
@@ -177,10 +838,7 @@ contract AstralCompatibilityMock {
      * @param _matchId Match ID to reveal
      */
     function revealCompatibilityScore(bytes32 _matchId) external {
-        CompatibilityMatch storage matchData = matches[_matchId];
-        require(matchData.user1 != address(0), "Match does not exist");
-        require(msg.sender == matchData.user1 || msg.sender == matchData.user2, "Not authorized");
-        require(!matchData.isRevealed, "Score already revealed");
+        CompatibilityMatch storage matchData = _unrevealedMatch(_matchId);
 
         // Mark as revealed and set public score
         matchData.isRevealed = true;
@@ -189,6 +847,42 @@ contract AstralCompatibilityMock {
         emit CompatibilityRevealed(_matchId, matchData.compatibilityScore);
     }
 
+    /**
+     * @notice Reveal the score to the two participants only
+     * @param _matchId Match ID to reveal
+     * @dev Mirrors the FHE versions, where participants decrypt the score with a
+     * signed user-decryption request. Read it with getPrivateScore; publicScore
+     * stays unset and the match cannot be published afterwards.
+     */
+    function revealScorePrivately(bytes32 _matchId) external {
+        CompatibilityMatch storage matchData = _unrevealedMatch(_matchId);
+
+        matchData.isPrivatelyRevealed = true;
+
+        emit ScoreRevealedPrivately(_matchId, matchData.user1, matchData.user2);
+    }
+
+    /**
+     * @notice Get a privately revealed score (participants only)
+     */
+    function getPrivateScore(bytes32 _matchId) external view returns (uint8) {
+        CompatibilityMatch storage matchData = _participantMatch(_matchId);
+        require(matchData.isPrivatelyRevealed, "Score not revealed privately");
+        return matchData.compatibilityScore;
+    }
+
+    function _participantMatch(bytes32 _matchId) private view returns (CompatibilityMatch storage matchData) {
+        matchData = matches[_matchId];
+        require(matchData.user1 != address(0), "Match does not exist");
+        require(msg.sender == matchData.user1 || msg.sender == matchData.user2, "Not authorized");
+    }
+
+    function _unrevealedMatch(bytes32 _matchId) private view returns (CompatibilityMatch storage matchData) {
+        matchData = _participantMatch(_matchId);
+        require(!matchData.isCancelled, "Match cancelled");
+        require(!matchData.isRevealed && !matchData.isPrivatelyRevealed, "Score already revealed");
+    }
+
     /**
      * @notice Process score reveal (for compatibility with original interface)
      * @param matchId Match ID
@@ -259,6 +953,18 @@ contract AstralCompatibilityMock {
         );
     }
 
+    /**
+     * @notice Get which optional natal placements a user has set
+     */
+    function getNatalProfileStatus(address _user)
+        external
+        view
+        returns (bool hasMoon, bool hasRising)
+    {
+        UserProfile storage profile = userProfiles[_user];
+        return (profile.hasMoon, profile.hasRising);
+    }
+
     /**
      * @notice Get user statistics
      */
@@ -270,6 +976,180 @@ contract AstralCompatibilityMock {
         return userMatchCount[_user];
     }
 
+    /**
+     * @notice Get a page of a user's matches, oldest first
+     * @param _user User address
+     * @param _offset Index of the first match to return
+     * @param _limit Maximum number of matches to return
+     * @return page Match summaries in the requested window
+     * @return total Total number of matches of the user
+     */
+    function getUserMatches(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (MatchSummary[] memory page, uint256 total)
+    {
+        bytes32[] storage ids = userMatchIds[_user];
+        total = ids.length;
+        if (_offset >= total) {
+            return (new MatchSummary[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new MatchSummary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            CompatibilityMatch storage matchData = matches[ids[i]];
+            page[i - _offset] = MatchSummary({
+                matchId: ids[i],
+                user1: matchData.user1,
+                user2: matchData.user2,
+                isRevealed: matchData.isRevealed,
+                publicScore: matchData.publicScore,
+                isPrivatelyRevealed: matchData.isPrivatelyRevealed,
+                isCancelled: matchData.isCancelled,
+                matchTime: matchData.matchTime
+            });
+        }
+    }
+
+    /**
+     * @notice Get the invitation for a pair of users
+     */
+    function getMatchInvitation(bytes32 _matchId)
+        external
+        view
+        returns (
+            address requester,
+            address partner,
+            uint256 createdAt,
+            uint256 expiresAt,
+            InvitationStatus status
+        )
+    {
+        MatchInvitation storage invitation = invitations[_matchId];
+        return (
+            invitation.requester,
+            invitation.partner,
+            invitation.createdAt,
+            invitation.expiresAt,
+            invitation.status
+        );
+    }
+
+    /**
+     * @notice Get a page of a user's invitations, incoming and outgoing, oldest first
+     * @param _user User address
+     * @param _offset Index of the first invitation to return
+     * @param _limit Maximum number of invitations to return
+     * @return page Invitation summaries in the requested window
+     * @return total Total number of invitations of the user
+     */
+    function getUserInvitations(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (InvitationSummary[] memory page, uint256 total)
+    {
+        bytes32[] storage ids = userInvitationIds[_user];
+        total = ids.length;
+        if (_offset >= total) {
+            return (new InvitationSummary[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new InvitationSummary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            MatchInvitation storage invitation = invitations[ids[i]];
+            page[i - _offset] = InvitationSummary({
+                matchId: ids[i],
+                requester: invitation.requester,
+                partner: invitation.partner,
+                createdAt: invitation.createdAt,
+                expiresAt: invitation.expiresAt,
+                status: invitation.status
+            });
+        }
+    }
+
+    /**
+     * @notice Get a page of the public directory
+     * @param _offset Index of the first entry to return
+     * @param _limit Maximum number of entries to return
+     * @return page Listed users with their display names and handles
+     * @return total Number of listed users
+     */
+    function getDirectory(uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (Listing[] memory page, uint256 total)
+    {
+        total = directoryUsers.length;
+        if (_offset >= total) {
+            return (new Listing[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new Listing[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = directoryListings[directoryUsers[i]];
+        }
+    }
+
+    /**
+     * @notice Get a user's directory entry
+     * @return listing The entry; listedAt is zero if the user is not listed
+     */
+    function getDirectoryListing(address _user) external view returns (Listing memory) {
+        return directoryListings[_user];
+    }
+
+    /**
+     * @notice Get a group match
+     * @dev members lists the creator first, then the invited members (see hasJoinedGroup)
+     */
+    function getGroupMatch(bytes32 _groupId)
+        external
+        view
+        returns (
+            address creator,
+            address[] memory members,
+            uint256 joinedCount,
+            GroupStatus status,
+            uint8 publicAverage,
+            uint8 publicMinPair,
+            uint256 createdAt,
+            uint256 expiresAt
+        )
+    {
+        GroupMatch storage group = groups[_groupId];
+        return (
+            group.creator,
+            group.members,
+            group.joinedCount,
+            group.status,
+            group.publicAverage,
+            group.publicMinPair,
+            group.createdAt,
+            group.expiresAt
+        );
+    }
+
+    /**
+     * @notice Check if a member has joined a group
+     */
+    function hasJoinedGroup(bytes32 _groupId, address _member) external view returns (bool) {
+        return groups[_groupId].joined[_member];
+    }
+
+    /**
+     * @notice Get the IDs of the groups a user created or was invited to, oldest first
+     */
+    function getUserGroupMatches(address _user) external view returns (bytes32[] memory) {
+        return userGroupIds[_user];
+    }
+
     /**
      * @notice Get zodiac information (reference only)
      */
@@ -312,4 +1192,178 @@ contract AstralCompatibilityMock {
         profile.quality = _quality;
         profile.timestamp = block.timestamp;
     }
+
+    /**
+     * @notice Replace the compatibility scoring model (see AstralCompatibilityEnhanced.setScoringConfig)
+     */
+    function setScoringConfig(
+        uint8 _baseScore,
+        int8[] calldata _elementMatrix,
+        int8[] calldata _qualityMatrix,
+        int8[] calldata _aspectAdjustments,
+        int8 _sameSignAdjustment,
+        SignPairAdjustment[] calldata _signPairs,
+        uint8 _randomRange
+    ) external onlyOwner {
+        _setScoringConfig(
+            _baseScore,
+            _elementMatrix,
+            _qualityMatrix,
+            _aspectAdjustments,
+            _sameSignAdjustment,
+            _signPairs,
+            _randomRange
+        );
+    }
+
+    /**
+     * @notice Switch to a built-in scoring model (see AstralCompatibilityEnhanced.setScoringPreset)
+     */
+    function setScoringPreset(ScoringPreset _preset) external onlyOwner {
+        _setScoringPreset(_preset);
+    }
+
+    /**
+     * @notice Get the compatibility scoring model used for new matches
+     */
+    function getScoringConfig()
+        external
+        view
+        returns (
+            uint8 baseScore,
+            int8[] memory elementMatrix,
+            int8[] memory qualityMatrix,
+            int8[] memory aspectAdjustments,
+            int8 sameSignAdjustment,
+            SignPairAdjustment[] memory signPairs,
+            uint8 randomRange
+        )
+    {
+        ScoringModel storage model = scoringModel;
+        return (
+            model.baseScore,
+            model.elementMatrix,
+            model.qualityMatrix,
+            model.aspectAdjustments,
+            model.sameSignAdjustment,
+            model.signPairs,
+            model.randomRange
+        );
+    }
+
+    /**
+     * @notice Set how sun, moon and rising interactions are weighted (see AstralCompatibilityEnhanced.setNatalWeights)
+     */
+    function setNatalWeights(uint8 _sun, uint8 _moon, uint8 _rising, uint8 _sunMoon) external onlyOwner {
+        require(_sun > 0, "Sun weight must be positive");
+        require(
+            uint256(_sun) + _moon + _rising + 2 * uint256(_sunMoon) <= MAX_NATAL_WEIGHT,
+            "Natal weights too large"
+        );
+
+        natalWeights = NatalWeights(_sun, _moon, _rising, _sunMoon);
+
+        scoringConfigVersion++;
+        emit ScoringConfigUpdated(scoringConfigVersion, block.timestamp);
+    }
+
+    /**
+     * @notice Get the natal weights used for new matches
+     */
+    function getNatalWeights()
+        external
+        view
+        returns (uint8 sun, uint8 moon, uint8 rising, uint8 sunMoon)
+    {
+        NatalWeights storage weights = natalWeights;
+        return (weights.sun, weights.moon, weights.rising, weights.sunMoon);
+    }
+
+    function _setScoringConfig(
+        uint8 _baseScore,
+        int8[] memory _elementMatrix,
+        int8[] memory _qualityMatrix,
+        int8[] memory _aspectAdjustments,
+        int8 _sameSignAdjustment,
+        SignPairAdjustment[] memory _signPairs,
+        uint8 _randomRange
+    ) private {
+        require(_baseScore <= 100, "Invalid base score");
+        require(_isSymmetric(_elementMatrix, 4), "Invalid element matrix");
+        require(_isSymmetric(_qualityMatrix, 3), "Invalid quality matrix");
+        require(_aspectAdjustments.length == ASPECT_COUNT, "Invalid aspect table");
+        require(_signPairs.length <= MAX_SIGN_PAIRS, "Too many sign pairs");
+        require(
+            _randomRange > 0 && (_randomRange & (_randomRange - 1)) == 0,
+            "Random range must be a power of two"
+        );
+
+        scoringModel.baseScore = _baseScore;
+        scoringModel.elementMatrix = _elementMatrix;
+        scoringModel.qualityMatrix = _qualityMatrix;
+        scoringModel.aspectAdjustments = _aspectAdjustments;
+        scoringModel.sameSignAdjustment = _sameSignAdjustment;
+        scoringModel.randomRange = _randomRange;
+
+        delete scoringModel.signPairs;
+        for (uint256 i = 0; i < _signPairs.length; i++) {
+            require(_signPairs[i].signA < 12 && _signPairs[i].signB < 12, "Invalid sign pair");
+            scoringModel.signPairs.push(_signPairs[i]);
+        }
+
+        scoringConfigVersion++;
+        emit ScoringConfigUpdated(scoringConfigVersion, block.timestamp);
+    }
+
+    // Same tables as CompatibilityScoring.configurePreset
+    function _setScoringPreset(ScoringPreset _preset) private {
+        int8[] memory elementMatrix = new int8[](16);
+        int8[] memory qualityMatrix = new int8[](9);
+        int8[] memory aspectAdjustments = new int8[](ASPECT_COUNT);
+
+        if (_preset == ScoringPreset.TRADITIONAL) {
+            for (uint8 i = 0; i < 4; i++) {
+                elementMatrix[i * 5] = 10;
+            }
+            elementMatrix[2] = elementMatrix[8] = 10;   // Fire - Air
+            elementMatrix[7] = elementMatrix[13] = 10;  // Earth - Water
+            elementMatrix[3] = elementMatrix[12] = -10; // Fire - Water
+            elementMatrix[6] = elementMatrix[9] = -10;  // Earth - Air
+
+            for (uint8 i = 0; i < 3; i++) {
+                qualityMatrix[i * 4] = -5;
+            }
+
+            aspectAdjustments[2] = 10;  // Sextile
+            aspectAdjustments[3] = -10; // Square
+            aspectAdjustments[4] = 15;  // Trine
+            aspectAdjustments[5] = -5;  // Quincunx
+            aspectAdjustments[6] = 5;   // Opposition
+
+            _setScoringConfig(50, elementMatrix, qualityMatrix, aspectAdjustments, 0, new SignPairAdjustment[](0), 16);
+            return;
+        }
+
+        for (uint8 i = 0; i < 4; i++) {
+            elementMatrix[i * 5] = 20;
+        }
+        for (uint8 i = 0; i < 3; i++) {
+            qualityMatrix[i * 4] = 15;
+        }
+        _setScoringConfig(50, elementMatrix, qualityMatrix, aspectAdjustments, -10, new SignPairAdjustment[](0), 16);
+    }
+
+    function _isSymmetric(int8[] memory _matrix, uint256 _size) private pure returns (bool) {
+        if (_matrix.length != _size * _size) {
+            return false;
+        }
+        for (uint256 i = 0; i < _size; i++) {
+            for (uint256 j = 0; j < i; j++) {
+                if (_matrix[i * _size + j] != _matrix[j * _size + i]) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
 }
@@ -0,0 +1,443 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint16, ebool } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title CompatibilityScoring
+ * @notice Configurable compatibility scoring model evaluated on encrypted profiles
+ * @dev Deployed once and linked into AstralCompatibilityEnhanced. Public library
+ * functions run via DELEGATECALL, so FHE operations, ACL permissions and the
+ * coprocessor configuration are those of the calling contract.
+ *
+ * Score = clamp(base + element pair + quality pair + aspect + sign adjustments + random, 0, 100)
+ *
+ * The aspect is the angular distance between the two signs on the zodiac wheel
+ * (conjunction, semi-sextile, sextile, square, trine, quincunx, opposition).
+ *
+ * FHE integers are unsigned, so positive and negative adjustments are summed
+ * separately and only subtracted at the end. Table lookups compare an encrypted
+ * pair index against every non-zero entry; zero entries cost nothing.
+ *
+ * Natal charts (evaluateNatal) score sun, moon and rising placements with the
+ * same model and average them by NatalWeights. rankBest picks the best of several
+ * candidates without decrypting any score.
+ */
+library CompatibilityScoring {
+
+    /// @notice Maximum sign-pair adjustments (bounds HCU cost per match)
+    uint256 public constant MAX_SIGN_PAIRS = 16;
+
+    /// @notice Aspects by sign distance: conjunction (0) through opposition (6)
+    uint256 public constant ASPECT_COUNT = 7;
+
+    /// @notice Maximum total natal weight (keeps weighted sums within euint16)
+    uint256 public constant MAX_NATAL_WEIGHT = 100;
+
+    /// @notice Built-in models
+    enum Preset {
+        DEFAULT,        // Same element +20, same quality +15, same sign -10
+        TRADITIONAL     // Complementary elements and aspects (trine, sextile, square, ...)
+    }
+
+    /// @notice Signed score adjustment for an unordered pair of zodiac signs
+    struct SignPairAdjustment {
+        uint8 signA;
+        uint8 signB;
+        int8 adjustment;
+    }
+
+    /// @notice Scoring model, see configure
+    struct Model {
+        uint8 baseScore;
+        int8[] elementMatrix;       // [element1 * 4 + element2], symmetric
+        int8[] qualityMatrix;       // [quality1 * 3 + quality2], symmetric
+        int8[] aspectAdjustments;   // [sign distance 0-6], ASPECT_COUNT entries
+        int8 sameSignAdjustment;
+        SignPairAdjustment[] signPairs;
+        uint8 randomRange;          // Random bonus in [0, randomRange), power of two
+    }
+
+    /// @notice Encrypted traits of one profile
+    struct Traits {
+        euint8 sign;
+        euint8 element;
+        euint8 quality;
+    }
+
+    /// @notice Encrypted natal chart of one profile; moon and rising are optional
+    struct NatalTraits {
+        Traits sun;
+        euint8 moon;
+        euint8 rising;
+        bool hasMoon;
+        bool hasRising;
+    }
+
+    /// @notice Relative weight of each placement interaction, see evaluateNatal
+    struct NatalWeights {
+        uint8 sun;          // Sun - Sun
+        uint8 moon;         // Moon - Moon
+        uint8 rising;       // Rising - Rising
+        uint8 sunMoon;      // Sun of one user - Moon of the other, counted per direction
+    }
+
+    /// @notice Running bonus and penalty sums
+    struct Tally {
+        euint16 bonus;
+        euint16 penalty;
+    }
+
+    /// @notice Running weighted sum of placement scores
+    struct WeightedSum {
+        euint16 sum;
+        uint16 weight;
+    }
+
+    /**
+     * @notice Validate and store a scoring model
+     * @param _baseScore Starting score (0-100)
+     * @param _elementMatrix Adjustment per element pair, indexed element1 * 4 + element2 (symmetric)
+     * @param _qualityMatrix Adjustment per quality pair, indexed quality1 * 3 + quality2 (symmetric)
+     * @param _aspectAdjustments Adjustment per aspect, indexed by sign distance 0-6
+     * @param _sameSignAdjustment Adjustment when both users share a sign
+     * @param _signPairs Adjustments for specific unordered sign pairs (at most MAX_SIGN_PAIRS)
+     * @param _randomRange Random bonus drawn from [0, _randomRange), a power of two (1 disables it)
+     */
+    function configure(
+        Model storage self,
+        uint8 _baseScore,
+        int8[] memory _elementMatrix,
+        int8[] memory _qualityMatrix,
+        int8[] memory _aspectAdjustments,
+        int8 _sameSignAdjustment,
+        SignPairAdjustment[] memory _signPairs,
+        uint8 _randomRange
+    ) public {
+        require(_baseScore <= 100, "AC: Invalid base score");
+        require(_isSymmetric(_elementMatrix, 4), "AC: Invalid element matrix");
+        require(_isSymmetric(_qualityMatrix, 3), "AC: Invalid quality matrix");
+        require(_aspectAdjustments.length == ASPECT_COUNT, "AC: Invalid aspect table");
+        require(_signPairs.length <= MAX_SIGN_PAIRS, "AC: Too many sign pairs");
+        require(
+            _randomRange > 0 && (_randomRange & (_randomRange - 1)) == 0,
+            "AC: Random range must be a power of two"
+        );
+
+        self.baseScore = _baseScore;
+        self.elementMatrix = _elementMatrix;
+        self.qualityMatrix = _qualityMatrix;
+        self.aspectAdjustments = _aspectAdjustments;
+        self.sameSignAdjustment = _sameSignAdjustment;
+        self.randomRange = _randomRange;
+
+        delete self.signPairs;
+        for (uint256 i = 0; i < _signPairs.length; i++) {
+            require(_signPairs[i].signA < 12 && _signPairs[i].signB < 12, "AC: Invalid sign pair");
+            self.signPairs.push(_signPairs[i]);
+        }
+    }
+
+    /**
+     * @notice Store a built-in model
+     * @dev DEFAULT is the original fixed model: base 50, same element +20,
+     * same quality +15, same sign -10, random 0-15.
+     * TRADITIONAL follows classic astrology: same and complementary elements
+     * (Fire-Air, Earth-Water) +10, opposing elements (Fire-Water, Earth-Air) -10,
+     * same quality -5, trine +15, sextile +10, opposition +5, quincunx -5,
+     * square -10, random 0-15.
+     */
+    function configurePreset(Model storage self, Preset _preset) public {
+        int8[] memory elementMatrix = new int8[](16);
+        int8[] memory qualityMatrix = new int8[](9);
+        int8[] memory aspectAdjustments = new int8[](ASPECT_COUNT);
+
+        if (_preset == Preset.TRADITIONAL) {
+            for (uint8 i = 0; i < 4; i++) {
+                elementMatrix[i * 5] = 10;
+            }
+            // Fire (0) - Air (2), Earth (1) - Water (3)
+            elementMatrix[2] = elementMatrix[8] = 10;
+            elementMatrix[7] = elementMatrix[13] = 10;
+            // Fire (0) - Water (3), Earth (1) - Air (2)
+            elementMatrix[3] = elementMatrix[12] = -10;
+            elementMatrix[6] = elementMatrix[9] = -10;
+
+            for (uint8 i = 0; i < 3; i++) {
+                qualityMatrix[i * 4] = -5;
+            }
+
+            aspectAdjustments[2] = 10;  // Sextile
+            aspectAdjustments[3] = -10; // Square
+            aspectAdjustments[4] = 15;  // Trine
+            aspectAdjustments[5] = -5;  // Quincunx
+            aspectAdjustments[6] = 5;   // Opposition
+
+            configure(self, 50, elementMatrix, qualityMatrix, aspectAdjustments, 0, new SignPairAdjustment[](0), 16);
+            return;
+        }
+
+        for (uint8 i = 0; i < 4; i++) {
+            elementMatrix[i * 5] = 20;
+        }
+        for (uint8 i = 0; i < 3; i++) {
+            qualityMatrix[i * 4] = 15;
+        }
+        configure(self, 50, elementMatrix, qualityMatrix, aspectAdjustments, -10, new SignPairAdjustment[](0), 16);
+    }
+
+    /**
+     * @notice Name, element and quality of a sign (reference data, see getZodiacInfo)
+     * @dev Elements (Fire=0, Earth=1, Air=2, Water=3) repeat every 4 signs,
+     * qualities (Cardinal=0, Fixed=1, Mutable=2) every 3
+     */
+    function signInfo(uint8 _sign) public pure returns (string memory name, uint8 element, uint8 quality) {
+        require(_sign < 12, "AC: Invalid zodiac");
+
+        string[12] memory names = [
+            "Aries", "Taurus", "Gemini", "Cancer",
+            "Leo", "Virgo", "Libra", "Scorpio",
+            "Sagittarius", "Capricorn", "Aquarius", "Pisces"
+        ];
+        return (names[_sign], _sign % 4, _sign % 3);
+    }
+
+    /**
+     * @notice Check natal weights before they are stored
+     * @dev The sun weight must be positive so every pair has something to average.
+     * sun + moon + rising + 2 * sunMoon is capped at MAX_NATAL_WEIGHT.
+     */
+    function checkNatalWeights(NatalWeights memory _weights) public pure {
+        require(_weights.sun > 0, "AC: Sun weight must be positive");
+        require(
+            uint256(_weights.sun) + _weights.moon + _weights.rising + 2 * uint256(_weights.sunMoon) <= MAX_NATAL_WEIGHT,
+            "AC: Natal weights too large"
+        );
+    }
+
+    /**
+     * @notice Evaluate the model on two encrypted profiles
+     * @return score Encrypted score (0-100)
+     */
+    function evaluate(Model storage self, Traits memory _a, Traits memory _b)
+        public
+        returns (euint8 score)
+    {
+        Tally memory tally = _sumAdjustments(self, _a, _b);
+
+        // Random factor prevents score inference
+        if (self.randomRange > 1) {
+            tally.bonus = FHE.add(tally.bonus, FHE.asEuint16(FHE.randEuint8(self.randomRange)));
+        }
+
+        score = FHE.asEuint8(FHE.min(_net(tally), uint16(100)));
+    }
+
+    /**
+     * @notice Evaluate the model on two encrypted natal charts
+     * @return score Encrypted score (0-100)
+     * @dev Every placement pair present on both sides (sun-sun, moon-moon, rising-rising,
+     * and sun-moon in each direction) is scored by the model without its random bonus and
+     * clamped to 0-100. The scores are averaged by weight, then the random bonus is added
+     * and the result capped at 100. Pairs with a missing placement drop out of the average,
+     * so two sun-only profiles score exactly as with evaluate.
+     */
+    function evaluateNatal(
+        Model storage self,
+        NatalWeights memory _weights,
+        NatalTraits memory _a,
+        NatalTraits memory _b
+    ) public returns (euint8 score) {
+        bool moons = _weights.moon > 0 && _a.hasMoon && _b.hasMoon;
+        bool risings = _weights.rising > 0 && _a.hasRising && _b.hasRising;
+        bool sunMoons = _weights.sunMoon > 0 && (_a.hasMoon || _b.hasMoon);
+
+        if (!moons && !risings && !sunMoons) {
+            return evaluate(self, _a.sun, _b.sun);
+        }
+
+        WeightedSum memory total = WeightedSum(FHE.asEuint16(0), 0);
+        _addPlacement(self, total, _a.sun, _b.sun, _weights.sun);
+
+        if (moons) {
+            _addPlacement(self, total, _signTraits(_a.moon), _signTraits(_b.moon), _weights.moon);
+        }
+        if (risings) {
+            _addPlacement(self, total, _signTraits(_a.rising), _signTraits(_b.rising), _weights.rising);
+        }
+        if (sunMoons && _b.hasMoon) {
+            _addPlacement(self, total, _a.sun, _signTraits(_b.moon), _weights.sunMoon);
+        }
+        if (sunMoons && _a.hasMoon) {
+            _addPlacement(self, total, _signTraits(_a.moon), _b.sun, _weights.sunMoon);
+        }
+
+        euint16 average = FHE.div(total.sum, total.weight);
+
+        // Random factor prevents score inference
+        if (self.randomRange > 1) {
+            average = FHE.add(average, FHE.asEuint16(FHE.randEuint8(self.randomRange)));
+        }
+
+        score = FHE.asEuint8(FHE.min(average, uint16(100)));
+    }
+
+    /**
+     * @notice Find the candidate whose natal chart scores highest against a profile
+     * @return bestIndex Encrypted position in _candidates of the highest score
+     * @dev Scores are compared and selected on ciphertexts, so neither the scores nor the
+     * ranking are revealed; ties keep the earlier candidate. HCU cost grows linearly with
+     * the number of candidates.
+     */
+    function rankBest(
+        Model storage self,
+        NatalWeights memory _weights,
+        NatalTraits memory _profile,
+        NatalTraits[] memory _candidates
+    ) public returns (euint8 bestIndex) {
+        euint8 bestScore = evaluateNatal(self, _weights, _profile, _candidates[0]);
+        bestIndex = FHE.asEuint8(0);
+
+        for (uint256 i = 1; i < _candidates.length; i++) {
+            euint8 score = evaluateNatal(self, _weights, _profile, _candidates[i]);
+            ebool better = FHE.gt(score, bestScore);
+            bestScore = FHE.select(better, score, bestScore);
+            bestIndex = FHE.select(better, FHE.asEuint8(uint8(i)), bestIndex);
+        }
+    }
+
+    // ==================== INTERNAL ====================
+
+    /// @dev Sum the model's adjustments for two profiles, without the random bonus
+    function _sumAdjustments(Model storage self, Traits memory _a, Traits memory _b)
+        private
+        returns (Tally memory tally)
+    {
+        tally = Tally(FHE.asEuint16(uint16(self.baseScore)), FHE.asEuint16(0));
+
+        euint8 elementPair = FHE.add(FHE.mul(_a.element, 4), _b.element);
+        _applyPairTable(tally, elementPair, self.elementMatrix, 4);
+
+        euint8 qualityPair = FHE.add(FHE.mul(_a.quality, 3), _b.quality);
+        _applyPairTable(tally, qualityPair, self.qualityMatrix, 3);
+
+        _applySignAdjustments(self, tally, _a.sign, _b.sign);
+    }
+
+    /// @dev bonus - penalty, floored at 0 (privacy-preserving comparison)
+    function _net(Tally memory _sums) private returns (euint16) {
+        return FHE.select(
+            FHE.gt(_sums.penalty, _sums.bonus),
+            FHE.asEuint16(0),
+            FHE.sub(_sums.bonus, _sums.penalty)
+        );
+    }
+
+    /// @dev Add the weighted, clamped score of one placement pair
+    function _addPlacement(
+        Model storage self,
+        WeightedSum memory _total,
+        Traits memory _a,
+        Traits memory _b,
+        uint8 _weight
+    ) private {
+        euint16 placementScore = FHE.min(_net(_sumAdjustments(self, _a, _b)), uint16(100));
+        _total.sum = FHE.add(_total.sum, FHE.mul(placementScore, uint16(_weight)));
+        _total.weight += _weight;
+    }
+
+    /// @dev Element and quality of a sign repeat every 4 and 3 signs around the wheel
+    function _signTraits(euint8 _sign) private returns (Traits memory) {
+        return Traits(_sign, FHE.rem(_sign, 4), FHE.rem(_sign, 3));
+    }
+
+    /// @dev Add the entry of a symmetric _size x _size table matching the encrypted pair index
+    function _applyPairTable(Tally memory _tally, euint8 _pair, int8[] storage _table, uint8 _size) private {
+        for (uint8 i = 0; i < _size; i++) {
+            for (uint8 j = i; j < _size; j++) {
+                int8 weight = _table[i * _size + j];
+                if (weight == 0) {
+                    continue;
+                }
+
+                // (i, j) and (j, i) share one weight
+                ebool hit = FHE.eq(_pair, i * _size + j);
+                if (i != j) {
+                    hit = FHE.or(hit, FHE.eq(_pair, j * _size + i));
+                }
+                _applyAdjustment(_tally, hit, weight);
+            }
+        }
+    }
+
+    function _applySignAdjustments(Model storage self, Tally memory _tally, euint8 _sign1, euint8 _sign2) private {
+        _applyAspects(self.aspectAdjustments, _tally, _sign1, _sign2);
+
+        if (self.sameSignAdjustment != 0) {
+            _applyAdjustment(_tally, FHE.eq(_sign1, _sign2), self.sameSignAdjustment);
+        }
+
+        if (self.signPairs.length == 0) {
+            return;
+        }
+
+        euint8 signPair = FHE.add(FHE.mul(_sign1, 12), _sign2);
+        for (uint256 i = 0; i < self.signPairs.length; i++) {
+            SignPairAdjustment storage pair = self.signPairs[i];
+            ebool hit = FHE.eq(signPair, pair.signA * 12 + pair.signB);
+            if (pair.signA != pair.signB) {
+                hit = FHE.or(hit, FHE.eq(signPair, pair.signB * 12 + pair.signA));
+            }
+            _applyAdjustment(_tally, hit, pair.adjustment);
+        }
+    }
+
+    /// @dev Add the adjustment of the aspect between two signs, from their distance on the wheel
+    function _applyAspects(int8[] storage _aspects, Tally memory _tally, euint8 _sign1, euint8 _sign2) private {
+        euint8 distance;
+        bool computed;
+
+        for (uint8 k = 0; k < ASPECT_COUNT; k++) {
+            int8 weight = _aspects[k];
+            if (weight == 0) {
+                continue;
+            }
+
+            // (sign1 - sign2) mod 12; aspect k spans distances k and 12 - k
+            if (!computed) {
+                distance = FHE.rem(FHE.sub(FHE.add(_sign1, 12), _sign2), 12);
+                computed = true;
+            }
+            ebool hit = FHE.eq(distance, k);
+            if (k != 0 && k != 6) {
+                hit = FHE.or(hit, FHE.eq(distance, 12 - k));
+            }
+            _applyAdjustment(_tally, hit, weight);
+        }
+    }
+
+    /// @dev Add |_weight| to the bonus or penalty sum when _hit is true
+    function _applyAdjustment(Tally memory _tally, ebool _hit, int8 _weight) private {
+        if (_weight > 0) {
+            euint16 amount = FHE.asEuint16(uint16(int16(_weight)));
+            _tally.bonus = FHE.add(_tally.bonus, FHE.select(_hit, amount, FHE.asEuint16(0)));
+        } else {
+            euint16 amount = FHE.asEuint16(uint16(-int16(_weight)));
+            _tally.penalty = FHE.add(_tally.penalty, FHE.select(_hit, amount, FHE.asEuint16(0)));
+        }
+    }
+
+    function _isSymmetric(int8[] memory _matrix, uint256 _size) private pure returns (bool) {
+        if (_matrix.length != _size * _size) {
+            return false;
+        }
+        for (uint256 i = 0; i < _size; i++) {
+            for (uint256 j = 0; j < i; j++) {
+                if (_matrix[i * _size + j] != _matrix[j * _size + i]) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+}
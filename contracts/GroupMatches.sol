@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { CompatibilityScoring } from "./CompatibilityScoring.sol";
+import { ProfileRegistry } from "./ProfileRegistry.sol";
+import { GroupStatus, GroupMatch } from "./MatchTypes.sol";
+
+/**
+ * @title GroupMatches
+ * @notice Group compatibility: a creator invites several users, and once all of them joined
+ * the group gets an encrypted average pair score and its lowest pair score
+ * @dev Deployed once and linked into AstralCompatibilityEnhanced. Public library
+ * functions run via DELEGATECALL on the calling contract's storage, so ACL grants go
+ * to the calling contract.
+ *
+ * Links CompatibilityScoring. Every member scores against every other member with the
+ * model and natal weights of pair matches. The pairs are computed as members join,
+ * each joining member against those already in, which spreads the HCU cost of a
+ * group over its members' transactions. Groups carry no fee.
+ */
+library GroupMatches {
+
+    /// @notice Groups and the per-user index used for enumeration
+    struct Book {
+        mapping(bytes32 => GroupMatch) groups;
+        mapping(address => bytes32[]) userGroupIds;    // Created and invited groups
+        uint256 groupCount;
+    }
+
+    // Same signatures as AstralCompatibilityEnhanced's events
+    event GroupMatchCreated(bytes32 indexed groupId, address indexed creator, address[] members, uint256 expiresAt);
+    event GroupMemberJoined(bytes32 indexed groupId, address indexed member, uint256 joinedCount);
+    event GroupMatchScored(bytes32 indexed groupId, uint256 timestamp);
+    event GroupMatchCancelled(bytes32 indexed groupId, address indexed by);
+
+    /**
+     * @notice Create a group of the caller and the invited members
+     * @dev The caller joins on creation. Every invited member needs a profile and may
+     * appear once; the calling contract bounds the group size.
+     * @return groupId New group ID
+     */
+    function create(
+        Book storage self,
+        mapping(address => ProfileRegistry.Profile) storage _profiles,
+        address[] calldata _invited,
+        uint256 _expiresAt
+    ) public returns (bytes32 groupId) {
+        groupId = keccak256(abi.encode(address(this), ++self.groupCount));
+        GroupMatch storage group = self.groups[groupId];
+
+        group.creator = msg.sender;
+        group.members.push(msg.sender);
+        group.joined[msg.sender] = true;
+        group.joinedCount = 1;
+        group.status = GroupStatus.OPEN;
+        group.createdAt = block.timestamp;
+        group.expiresAt = _expiresAt;
+        self.userGroupIds[msg.sender].push(groupId);
+
+        for (uint256 i = 0; i < _invited.length; i++) {
+            address member = _invited[i];
+            require(_profiles[member].hasProfile, "AC: User has no profile");
+            require(member != msg.sender, "AC: Cannot match with yourself");
+            for (uint256 j = 1; j < group.members.length; j++) {
+                require(group.members[j] != member, "AC: Duplicate member");
+            }
+
+            group.members.push(member);
+            self.userGroupIds[member].push(groupId);
+        }
+
+        emit GroupMatchCreated(groupId, msg.sender, group.members, _expiresAt);
+    }
+
+    /**
+     * @notice Join a group the caller was invited to and score them against the members already in
+     * @dev The last member to join completes the aggregate: the average is the pair sum
+     * divided by the number of pairs, and the contract alone may use both scores until a
+     * member requests the reveal.
+     */
+    function join(
+        Book storage self,
+        mapping(address => ProfileRegistry.Profile) storage _profiles,
+        CompatibilityScoring.Model storage _model,
+        CompatibilityScoring.NatalWeights storage _weights,
+        bytes32 _groupId
+    ) public {
+        GroupMatch storage group = self.groups[_groupId];
+        require(group.status == GroupStatus.OPEN, "AC: Group not open");
+        require(block.timestamp < group.expiresAt, "AC: Group invitation expired");
+        require(isMember(group, msg.sender), "AC: Not a group member");
+        require(!group.joined[msg.sender], "AC: Already joined");
+
+        CompatibilityScoring.NatalTraits memory traits = ProfileRegistry.natalTraits(_profiles[msg.sender]);
+        for (uint256 i = 0; i < group.members.length; i++) {
+            address member = group.members[i];
+            if (!group.joined[member]) {
+                continue;
+            }
+
+            euint8 score = CompatibilityScoring.evaluateNatal(
+                _model,
+                _weights,
+                ProfileRegistry.natalTraits(_profiles[member]),
+                traits
+            );
+            if (FHE.isInitialized(group.pairSum)) {
+                group.pairSum = FHE.add(group.pairSum, FHE.asEuint16(score));
+                group.minPairScore = FHE.min(group.minPairScore, score);
+            } else {
+                group.pairSum = FHE.asEuint16(score);
+                group.minPairScore = score;
+            }
+        }
+        FHE.allowThis(group.pairSum);
+        FHE.allowThis(group.minPairScore);
+
+        group.joined[msg.sender] = true;
+        group.joinedCount++;
+        emit GroupMemberJoined(_groupId, msg.sender, group.joinedCount);
+
+        uint256 size = group.members.length;
+        if (group.joinedCount == size) {
+            group.averageScore = FHE.asEuint8(FHE.div(group.pairSum, uint16(size * (size - 1) / 2)));
+            FHE.allowThis(group.averageScore);
+            group.status = GroupStatus.SCORED;
+            emit GroupMatchScored(_groupId, block.timestamp);
+        }
+    }
+
+    /**
+     * @notice Leave a group that is still waiting for members, which cancels it
+     * @dev Any member may leave, joined or not; groups past expiry can be cleared the same way
+     */
+    function leave(Book storage self, bytes32 _groupId) public {
+        GroupMatch storage group = self.groups[_groupId];
+        require(isMember(group, msg.sender), "AC: Not a group member");
+        require(group.status == GroupStatus.OPEN, "AC: Group not open");
+
+        group.status = GroupStatus.CANCELLED;
+        emit GroupMatchCancelled(_groupId, msg.sender);
+    }
+
+    /**
+     * @notice Cancel the groups that have not been revealed in a window of a user's groups
+     * (see deleteProfile)
+     * @dev Anyone can add the user to new groups, so callers cancel them a bounded page at a time
+     * @param _offset Index of the first group to look at, in the order of userGroupIds
+     * @param _limit Maximum number of groups to look at
+     */
+    function leavePage(Book storage self, address _user, uint256 _offset, uint256 _limit) public {
+        bytes32[] storage ids = self.userGroupIds[_user];
+        uint256 end = ids.length < _offset + _limit ? ids.length : _offset + _limit;
+        for (uint256 i = _offset; i < end; i++) {
+            GroupMatch storage group = self.groups[ids[i]];
+            if (
+                group.status == GroupStatus.OPEN ||
+                group.status == GroupStatus.SCORED ||
+                group.status == GroupStatus.PROCESSING
+            ) {
+                group.status = GroupStatus.CANCELLED;
+                emit GroupMatchCancelled(ids[i], _user);
+            }
+        }
+    }
+
+    /// @notice Whether _user is the creator or an invited member of a group
+    function isMember(GroupMatch storage _group, address _user) internal view returns (bool) {
+        for (uint256 i = 0; i < _group.members.length; i++) {
+            if (_group.members[i] == _user) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MatchInvitations
+ * @notice Mutual-consent match invitations: a requester invites, the partner accepts or declines
+ * @dev Deployed once and linked into AstralCompatibilityEnhanced. Public library
+ * functions run via DELEGATECALL on the calling contract's storage.
+ *
+ * An invitation is keyed by the match ID of its two users, so each pair has at
+ * most one open invitation. A declined or cancelled invitation can be replaced by
+ * a new one in either direction. Fees and scores stay with the calling contract;
+ * the book only tracks consent.
+ */
+library MatchInvitations {
+
+    /// @notice Invitation lifecycle
+    enum Status {
+        NONE,           // Never invited
+        OPEN,           // Waiting for the partner (until expiresAt)
+        ACCEPTED,       // Partner accepted, the match exists
+        DECLINED,       // Partner declined
+        CANCELLED       // Requester withdrew, e.g. after expiry
+    }
+
+    /// @notice One invitation between two users
+    struct Invitation {
+        address requester;
+        address partner;
+        uint256 createdAt;
+        uint256 expiresAt;
+        Status status;
+    }
+
+    /// @notice Invitation summary returned by pageOf
+    struct Summary {
+        bytes32 matchId;
+        address requester;
+        address partner;
+        uint256 createdAt;
+        uint256 expiresAt;
+        Status status;
+    }
+
+    /// @notice Invitations and the per-user index used for enumeration
+    struct Book {
+        mapping(bytes32 => Invitation) invitations;
+        mapping(address => bytes32[]) userInvitationIds;   // Incoming and outgoing, each pair listed once
+    }
+
+    // Same signatures as AstralCompatibilityEnhanced's events
+    event MatchInvitationDeclined(bytes32 indexed matchId, address indexed requester, address indexed partner);
+    event MatchInvitationCancelled(bytes32 indexed matchId, address indexed requester, address indexed partner);
+
+    /**
+     * @notice Open an invitation from _requester to _partner
+     * @dev Reverts while the pair already has an open invitation, in either direction
+     */
+    function open(
+        Book storage self,
+        bytes32 _matchId,
+        address _requester,
+        address _partner,
+        uint256 _expiresAt
+    ) public {
+        Invitation storage invitation = self.invitations[_matchId];
+        require(invitation.status != Status.OPEN, "AC: Invitation already open");
+
+        if (invitation.status == Status.NONE) {
+            self.userInvitationIds[_requester].push(_matchId);
+            self.userInvitationIds[_partner].push(_matchId);
+        }
+
+        self.invitations[_matchId] = Invitation({
+            requester: _requester,
+            partner: _partner,
+            createdAt: block.timestamp,
+            expiresAt: _expiresAt,
+            status: Status.OPEN
+        });
+    }
+
+    /**
+     * @notice Accept an open invitation before it expires
+     * @param _caller Must be the invited partner
+     * @return requester Who sent the invitation
+     */
+    function accept(Book storage self, bytes32 _matchId, address _caller) public returns (address requester) {
+        Invitation storage invitation = _openInvitation(self, _matchId);
+        require(_caller == invitation.partner, "AC: Not authorized");
+        require(block.timestamp < invitation.expiresAt, "AC: Invitation expired");
+
+        invitation.status = Status.ACCEPTED;
+        return invitation.requester;
+    }
+
+    /**
+     * @notice Decline an open invitation, expired or not
+     * @param _caller Must be the invited partner
+     * @return requester Who sent the invitation
+     */
+    function decline(Book storage self, bytes32 _matchId, address _caller) public returns (address requester) {
+        Invitation storage invitation = _openInvitation(self, _matchId);
+        require(_caller == invitation.partner, "AC: Not authorized");
+
+        invitation.status = Status.DECLINED;
+        return invitation.requester;
+    }
+
+    /**
+     * @notice Withdraw an open invitation, expired or not
+     * @param _caller Must be the requester
+     * @return partner Who was invited
+     */
+    function cancel(Book storage self, bytes32 _matchId, address _caller) public returns (address partner) {
+        Invitation storage invitation = _openInvitation(self, _matchId);
+        require(_caller == invitation.requester, "AC: Not authorized");
+
+        invitation.status = Status.CANCELLED;
+        return invitation.partner;
+    }
+
+    /**
+     * @notice Close the open invitations, expired or not, in a window of a user's invitations
+     * @dev Invitations the user sent are cancelled, invitations they received are declined;
+     * emits MatchInvitationCancelled or MatchInvitationDeclined for each. Other users can
+     * grow the list, so callers close it a bounded page at a time.
+     * @param _offset Index of the first invitation to close, in the order of pageOf
+     * @param _limit Maximum number of invitations to look at
+     * @return closed Match IDs of the closed invitations
+     */
+    function closePage(Book storage self, address _user, uint256 _offset, uint256 _limit)
+        public
+        returns (bytes32[] memory closed)
+    {
+        bytes32[] storage ids = self.userInvitationIds[_user];
+        uint256 end = ids.length < _offset + _limit ? ids.length : _offset + _limit;
+
+        uint256 count;
+        for (uint256 i = _offset; i < end; i++) {
+            if (self.invitations[ids[i]].status == Status.OPEN) {
+                count++;
+            }
+        }
+
+        closed = new bytes32[](count);
+        count = 0;
+        for (uint256 i = _offset; i < end; i++) {
+            Invitation storage invitation = self.invitations[ids[i]];
+            if (invitation.status != Status.OPEN) {
+                continue;
+            }
+
+            closed[count++] = ids[i];
+            if (invitation.requester == _user) {
+                invitation.status = Status.CANCELLED;
+                emit MatchInvitationCancelled(ids[i], invitation.requester, invitation.partner);
+            } else {
+                invitation.status = Status.DECLINED;
+                emit MatchInvitationDeclined(ids[i], invitation.requester, invitation.partner);
+            }
+        }
+    }
+
+    /**
+     * @notice Get a page of a user's invitations, incoming and outgoing, oldest first
+     * @return page Invitation summaries in the requested window
+     * @return total Total number of invitations of the user
+     */
+    function pageOf(Book storage self, address _user, uint256 _offset, uint256 _limit)
+        public
+        view
+        returns (Summary[] memory page, uint256 total)
+    {
+        bytes32[] storage ids = self.userInvitationIds[_user];
+        total = ids.length;
+        if (_offset >= total) {
+            return (new Summary[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new Summary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            Invitation storage invitation = self.invitations[ids[i]];
+            page[i - _offset] = Summary({
+                matchId: ids[i],
+                requester: invitation.requester,
+                partner: invitation.partner,
+                createdAt: invitation.createdAt,
+                expiresAt: invitation.expiresAt,
+                status: invitation.status
+            });
+        }
+    }
+
+    function _openInvitation(Book storage self, bytes32 _matchId)
+        private
+        view
+        returns (Invitation storage invitation)
+    {
+        invitation = self.invitations[_matchId];
+        require(invitation.status == Status.OPEN, "AC: Invitation not open");
+    }
+}
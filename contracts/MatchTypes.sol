@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint8, euint16 } from "@fhevm/solidity/lib/FHE.sol";
+
+// Match records of AstralCompatibilityEnhanced. They are declared at file level so
+// the linked libraries that update them (ScoreDecryption, GroupMatches) share the contract's types.
+
+/// @notice Request status tracking
+enum RequestStatus {
+    PENDING,        // Waiting for Gateway
+    PROCESSING,     // Gateway is processing
+    COMPLETED,      // Successfully resolved
+    FAILED,         // Failed decryption
+    TIMED_OUT,      // Exceeded timeout
+    REFUNDED,       // User claimed refund
+    CANCELLED       // A participant deleted their profile before the reveal
+}
+
+/// @notice Compatibility match data
+struct CompatibilityMatch {
+    address user1;
+    address user2;
+    euint8 compatibilityScore;  // Encrypted score
+    bool isRevealed;
+    uint8 publicScore;          // Revealed score (0-100)
+    bool isPrivatelyRevealed;   // Participants may decrypt the score, publicScore stays unset
+    uint256 matchTime;
+    uint256 feePaid;            // Fee paid for this match
+    RequestStatus status;       // Current status
+    uint256 timeoutDeadline;    // When request expires
+}
+
+/// @notice Match summary returned by getUserMatches
+struct MatchSummary {
+    bytes32 matchId;
+    address user1;
+    address user2;
+    bool isRevealed;
+    uint8 publicScore;
+    bool isPrivatelyRevealed;
+    uint256 matchTime;
+    uint256 feePaid;
+    RequestStatus status;
+    uint256 timeoutDeadline;
+}
+
+/// @notice Who paid for a match and where the fee went
+/// @dev amountPaid = platformFee (booked in platformFees on acceptance) + escrowed.
+/// The whole fee is escrowed while the invitation is open.
+struct FeeLedgerEntry {
+    address payer;
+    uint256 amountPaid;         // Match fee charged (excess payment goes to pendingRefunds)
+    uint256 platformFee;        // Platform share, non-refundable
+    uint256 escrowed;           // Released to platformFees on reveal or to the payer on refund
+}
+
+/// @notice Group match lifecycle
+enum GroupStatus {
+    NONE,           // Never created
+    OPEN,           // Waiting for invited members to join (until expiresAt)
+    SCORED,         // Everyone joined, the encrypted aggregate is ready
+    PROCESSING,     // Gateway is decrypting the aggregate
+    REVEALED,       // Aggregate decrypted and public
+    CANCELLED       // A member left or deleted their profile before the reveal
+}
+
+/// @notice Group compatibility of three or more profiles, scored over every pair
+struct GroupMatch {
+    address creator;
+    address[] members;          // Creator first, then the invited members in order
+    mapping(address => bool) joined;
+    uint256 joinedCount;        // Creator included
+    euint16 pairSum;            // Running sum of the pair scores computed so far
+    euint8 minPairScore;        // Lowest pair score computed so far
+    euint8 averageScore;        // pairSum / pair count, set once everyone joined
+    uint8 publicAverage;        // Revealed average (0-100)
+    uint8 publicMinPair;        // Revealed lowest pair score (0-100)
+    GroupStatus status;
+    uint256 createdAt;
+    uint256 expiresAt;          // Invited members must join before this
+    uint256 revealDeadline;     // While PROCESSING: when a new reveal may be requested
+}
@@ -0,0 +1,254 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { CompatibilityScoring } from "./CompatibilityScoring.sol";
+
+/**
+ * @title ProfileRegistry
+ * @notice Encrypted zodiac profiles: the sun sign with its traits plus optional moon and rising signs,
+ * and the opt-in public directory of matchable users
+ * @dev Deployed once and linked into AstralCompatibilityEnhanced. Public library
+ * functions run via DELEGATECALL, so FHE inputs are verified for the calling contract
+ * and msg.sender, and ACL grants go to both of them.
+ *
+ * Links CompatibilityScoring for rankListed.
+ *
+ * The calling contract decides who may write a profile and keeps the hasProfile flag;
+ * the registry only encrypts and stores the placements. Directory listings are plaintext
+ * and never reference the profile's ciphertexts.
+ */
+library ProfileRegistry {
+
+    /// @notice Plaintext placeholder for an unset moon or rising sign
+    uint8 internal constant NO_SIGN = 12;
+
+    /// @notice User zodiac profile (encrypted)
+    struct Profile {
+        euint8 encryptedZodiac;     // Encrypted zodiac sign (0-11)
+        euint8 encryptedElement;    // Encrypted element (0-3: Fire, Earth, Air, Water)
+        euint8 encryptedQuality;    // Encrypted quality (0-2: Cardinal, Fixed, Mutable)
+        euint8 encryptedMoon;       // Encrypted moon sign (0-11), set if hasMoon
+        euint8 encryptedRising;     // Encrypted rising sign / ascendant (0-11), set if hasRising
+        bool hasProfile;
+        bool hasMoon;
+        bool hasRising;
+        uint256 timestamp;
+    }
+
+    /// @notice Public directory entry; carries no zodiac data
+    struct Listing {
+        address user;
+        bytes32 displayName;    // Optional UTF-8 text, zero-padded; empty when zero
+        bytes32 handle;         // Optional UTF-8 text, zero-padded; not unique
+        uint256 listedAt;
+    }
+
+    /// @notice Listed users and the index used for enumeration
+    struct Directory {
+        address[] users;
+        mapping(address => uint256) positions;     // Index in users plus one, zero when unlisted
+        mapping(address => Listing) listings;
+    }
+
+    /**
+     * @notice Validate, encrypt and store a plaintext sun sign with its element and quality
+     * @dev Element and quality must be the sign's own (zodiac % 4, zodiac % 3)
+     */
+    function setSunSign(Profile storage self, uint8 _zodiac, uint8 _element, uint8 _quality) public {
+        require(_zodiac < 12, "AC: Invalid zodiac");
+        require(_element < 4, "AC: Invalid element");
+        require(_quality < 3, "AC: Invalid quality");
+        require(_element == _zodiac % 4 && _quality == _zodiac % 3, "AC: Element and quality do not match zodiac");
+
+        _setSun(self, FHE.asEuint8(_zodiac), FHE.asEuint8(_element), FHE.asEuint8(_quality));
+    }
+
+    /**
+     * @notice Verify a client-side encrypted sun sign and store it with its element and quality
+     * @dev Input proofs are bound to the calling contract and msg.sender by the InputVerifier.
+     * Range checks are impossible on ciphertexts, so the sign is reduced modulo 12. Elements
+     * repeat every 4 signs and qualities every 3, so both are derived homomorphically.
+     */
+    function setEncryptedSunSign(Profile storage self, externalEuint8 _zodiac, bytes calldata _inputProof) public {
+        euint8 zodiac = FHE.rem(FHE.fromExternal(_zodiac, _inputProof), 12);
+        _setSun(self, zodiac, FHE.rem(zodiac, 4), FHE.rem(zodiac, 3));
+    }
+
+    /**
+     * @notice Replace both optional placements from plaintext signs
+     * @param _moon Moon sign (0-11), or NO_SIGN to leave it unset
+     * @param _rising Rising sign (0-11), or NO_SIGN to leave it unset
+     */
+    function setNatalSigns(Profile storage self, uint8 _moon, uint8 _rising) public {
+        require(_moon <= NO_SIGN && _rising <= NO_SIGN, "AC: Invalid natal sign");
+
+        (self.encryptedMoon, self.hasMoon) = _natalSign(_moon);
+        (self.encryptedRising, self.hasRising) = _natalSign(_rising);
+        self.timestamp = block.timestamp;
+    }
+
+    /**
+     * @notice Replace both optional placements from client-side encrypted handles
+     * @dev A zero handle leaves the placement unset; signs are reduced modulo 12
+     */
+    function setEncryptedNatalSigns(
+        Profile storage self,
+        externalEuint8 _moon,
+        externalEuint8 _rising,
+        bytes calldata _inputProof
+    ) public {
+        (self.encryptedMoon, self.hasMoon) = _natalSignFromExternal(_moon, _inputProof);
+        (self.encryptedRising, self.hasRising) = _natalSignFromExternal(_rising, _inputProof);
+        self.timestamp = block.timestamp;
+    }
+
+    /**
+     * @notice Add a user to the directory, or replace the name and handle of their entry
+     * @dev listedAt keeps the time of the first listing
+     */
+    function list(Directory storage self, address _user, bytes32 _displayName, bytes32 _handle) public {
+        Listing storage listing = self.listings[_user];
+        if (self.positions[_user] == 0) {
+            self.users.push(_user);
+            self.positions[_user] = self.users.length;
+            listing.user = _user;
+            listing.listedAt = block.timestamp;
+        }
+        listing.displayName = _displayName;
+        listing.handle = _handle;
+    }
+
+    /**
+     * @notice Remove a user from the directory
+     * @dev The last entry takes the removed one's place, so page order is not stable
+     * @return removed False if the user was not listed
+     */
+    function unlist(Directory storage self, address _user) public returns (bool removed) {
+        uint256 position = self.positions[_user];
+        if (position == 0) {
+            return false;
+        }
+
+        address last = self.users[self.users.length - 1];
+        self.users[position - 1] = last;
+        self.positions[last] = position;
+        self.users.pop();
+
+        delete self.positions[_user];
+        delete self.listings[_user];
+        return true;
+    }
+
+    /**
+     * @notice Get a page of directory entries
+     * @return page Entries in the requested window
+     * @return total Number of listed users
+     */
+    function pageOf(Directory storage self, uint256 _offset, uint256 _limit)
+        public
+        view
+        returns (Listing[] memory page, uint256 total)
+    {
+        total = self.users.length;
+        if (_offset >= total) {
+            return (new Listing[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new Listing[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = self.listings[self.users[i]];
+        }
+    }
+
+    /**
+     * @notice Score two users' profiles, see CompatibilityScoring.evaluateNatal
+     * @return score Encrypted score (0-100)
+     */
+    function evaluatePair(
+        mapping(address => Profile) storage self,
+        CompatibilityScoring.Model storage _model,
+        CompatibilityScoring.NatalWeights storage _weights,
+        address _user1,
+        address _user2
+    ) public returns (euint8 score) {
+        return CompatibilityScoring.evaluateNatal(
+            _model,
+            _weights,
+            natalTraits(self[_user1]),
+            natalTraits(self[_user2])
+        );
+    }
+
+    /**
+     * @notice Rank a batch of directory entries against a user's profile
+     * @dev Every candidate must be listed, which implies a profile, and must not be the user.
+     * See CompatibilityScoring.rankBest.
+     * @return bestIndex Encrypted position in _candidates of the best candidate
+     */
+    function rankListed(
+        mapping(address => Profile) storage self,
+        Directory storage _directory,
+        CompatibilityScoring.Model storage _model,
+        CompatibilityScoring.NatalWeights storage _weights,
+        address _user,
+        address[] calldata _candidates
+    ) public returns (euint8 bestIndex) {
+        CompatibilityScoring.NatalTraits[] memory traits = new CompatibilityScoring.NatalTraits[](_candidates.length);
+
+        for (uint256 i = 0; i < _candidates.length; i++) {
+            require(_directory.positions[_candidates[i]] != 0, "AC: Candidate not listed");
+            require(_candidates[i] != _user, "AC: Cannot match with yourself");
+            traits[i] = natalTraits(self[_candidates[i]]);
+        }
+
+        return CompatibilityScoring.rankBest(_model, _weights, natalTraits(self[_user]), traits);
+    }
+
+    /// @notice Scoring input for a profile
+    function natalTraits(Profile storage self) internal view returns (CompatibilityScoring.NatalTraits memory) {
+        return CompatibilityScoring.NatalTraits(
+            CompatibilityScoring.Traits(self.encryptedZodiac, self.encryptedElement, self.encryptedQuality),
+            self.encryptedMoon,
+            self.encryptedRising,
+            self.hasMoon,
+            self.hasRising
+        );
+    }
+
+    /// @dev Store encrypted sun sign traits; the contract and the profile owner may use them
+    function _setSun(Profile storage self, euint8 _zodiac, euint8 _element, euint8 _quality) private {
+        self.encryptedZodiac = _allowOwner(_zodiac);
+        self.encryptedElement = _allowOwner(_element);
+        self.encryptedQuality = _allowOwner(_quality);
+        self.timestamp = block.timestamp;
+    }
+
+    /// @dev Grant the calling contract and msg.sender access to a profile value
+    function _allowOwner(euint8 _value) private returns (euint8) {
+        FHE.allowThis(_value);
+        FHE.allow(_value, msg.sender);
+        return _value;
+    }
+
+    /// @dev Verify an optional encrypted sign; a zero handle means unset
+    function _natalSignFromExternal(externalEuint8 _sign, bytes calldata _inputProof)
+        private
+        returns (euint8 sign, bool isSet)
+    {
+        if (externalEuint8.unwrap(_sign) == bytes32(0)) {
+            return (sign, false);
+        }
+        return (_allowOwner(FHE.rem(FHE.fromExternal(_sign, _inputProof), 12)), true);
+    }
+
+    /// @dev Encrypt an optional plaintext sign; NO_SIGN means unset
+    function _natalSign(uint8 _sign) private returns (euint8 sign, bool isSet) {
+        if (_sign == NO_SIGN) {
+            return (sign, false);
+        }
+        return (_allowOwner(FHE.asEuint8(_sign)), true);
+    }
+}
@@ -0,0 +1,409 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { GroupMatches } from "./GroupMatches.sol";
+import {
+    RequestStatus,
+    CompatibilityMatch,
+    MatchSummary,
+    FeeLedgerEntry,
+    GroupStatus,
+    GroupMatch
+} from "./MatchTypes.sol";
+
+/**
+ * @title ScoreDecryption
+ * @notice Public reveal of encrypted compatibility scores through the decryption oracle
+ * @dev Deployed once and linked into AstralCompatibilityEnhanced. Public library
+ * functions run via DELEGATECALL, so the oracle sees the calling contract as the
+ * requester and calls it back, KMS signatures are checked against its configuration,
+ * and the events below are emitted from its address.
+ *
+ * Requests are keyed by the oracle's request ID, which the callback passes back. One
+ * request can carry the scores of several matches; they are decrypted, verified and
+ * revealed together. A group reveal is a request for the average and lowest pair score
+ * of one group, answered through the same callback. Matches cancelled by a profile
+ * deletion leave the reveal lifecycle here as well.
+ */
+library ScoreDecryption {
+
+    /// @notice Decryption request for Gateway callback
+    struct Request {
+        address requester;
+        bytes32[] matchIds;         // In the order of the submitted handles; empty for a group reveal
+        bytes32 groupId;            // Set for a group reveal
+        uint256 timestamp;
+        uint256 timeoutDeadline;
+        uint256 kmsGeneration;
+        bool completed;             // Set once the callback verified the scores
+    }
+
+    // Same signatures as AstralCompatibilityEnhanced's events
+    event DecryptionRequested(
+        uint256 indexed requestId,
+        bytes32 indexed matchId,
+        address indexed requester,
+        uint256 kmsGeneration,
+        uint256 timeoutDeadline
+    );
+
+    event DecryptionCompleted(
+        uint256 indexed requestId,
+        bytes32 indexed matchId,
+        uint8 revealedScore,
+        uint256 timestamp
+    );
+
+    event CompatibilityRevealed(
+        bytes32 indexed matchId,
+        uint8 score,
+        address indexed user1,
+        address indexed user2
+    );
+
+    event ScoreRevealedPrivately(bytes32 indexed matchId, address indexed user1, address indexed user2);
+
+    event DecryptionTimedOut(
+        uint256 indexed requestId,
+        bytes32 indexed matchId,
+        uint256 timestamp
+    );
+
+    event MatchCancelled(bytes32 indexed matchId, address indexed user1, address indexed user2);
+
+    event GroupRevealRequested(
+        uint256 indexed requestId,
+        bytes32 indexed groupId,
+        address indexed requester,
+        uint256 timeoutDeadline
+    );
+
+    event GroupCompatibilityRevealed(bytes32 indexed groupId, uint8 averageScore, uint8 minPairScore);
+
+    /**
+     * @notice Check that a match exists and the caller takes part in it
+     */
+    function checkParticipant(mapping(bytes32 => CompatibilityMatch) storage _matches, bytes32 _matchId)
+        public
+        view
+    {
+        CompatibilityMatch storage matchData = _matches[_matchId];
+
+        require(matchData.user1 != address(0), "AC: Match does not exist");
+        require(
+            msg.sender == matchData.user1 || msg.sender == matchData.user2,
+            "AC: Not authorized"
+        );
+    }
+
+    /**
+     * @notice Check that the caller may reveal a match: they take part in it, it still
+     * waits for a reveal mode and its reveal deadline has not passed
+     */
+    function checkRevealable(mapping(bytes32 => CompatibilityMatch) storage _matches, bytes32 _matchId)
+        public
+        view
+    {
+        checkParticipant(_matches, _matchId);
+        CompatibilityMatch storage matchData = _matches[_matchId];
+
+        require(!matchData.isRevealed, "AC: Score already revealed");
+        require(
+            matchData.status == RequestStatus.PENDING,
+            "AC: Invalid status for reveal"
+        );
+        require(
+            block.timestamp < matchData.timeoutDeadline,
+            "AC: Match request expired"
+        );
+    }
+
+    /**
+     * @notice Let both participants decrypt a match's score instead of publishing it
+     * @dev The match must pass checkRevealable and completes without a public score. The
+     * ACL grants go to the calling contract's participants; the caller settles the fee.
+     */
+    function revealPrivately(mapping(bytes32 => CompatibilityMatch) storage _matches, bytes32 _matchId) public {
+        checkRevealable(_matches, _matchId);
+        CompatibilityMatch storage matchData = _matches[_matchId];
+
+        matchData.isPrivatelyRevealed = true;
+        matchData.status = RequestStatus.COMPLETED;
+
+        FHE.allow(matchData.compatibilityScore, matchData.user1);
+        FHE.allow(matchData.compatibilityScore, matchData.user2);
+
+        emit ScoreRevealedPrivately(_matchId, matchData.user1, matchData.user2);
+    }
+
+    /**
+     * @notice Time out an unrevealed match of the caller once its deadline has passed
+     * @dev Covers matches still PENDING and requests the oracle never answered; the caller
+     * refunds the escrow
+     */
+    function timeOut(mapping(bytes32 => CompatibilityMatch) storage _matches, bytes32 _matchId) public {
+        checkParticipant(_matches, _matchId);
+        CompatibilityMatch storage matchData = _matches[_matchId];
+
+        require(
+            !matchData.isRevealed,
+            "AC: Score already revealed"
+        );
+        require(
+            block.timestamp >= matchData.timeoutDeadline,
+            "AC: Timeout not reached"
+        );
+        require(_isUnrevealed(matchData), "AC: Invalid status for refund");
+
+        matchData.status = RequestStatus.TIMED_OUT;
+
+        emit DecryptionTimedOut(0, _matchId, block.timestamp);
+    }
+
+    /**
+     * @notice Take a match out of the reveal flow for an owner refund (see emergencyWithdraw)
+     * @dev Reverts for unknown and completed matches and unless _payer paid the fee
+     */
+    function refund(
+        mapping(bytes32 => CompatibilityMatch) storage _matches,
+        mapping(bytes32 => FeeLedgerEntry) storage _feeLedger,
+        bytes32 _matchId,
+        address _payer
+    ) public {
+        CompatibilityMatch storage matchData = _matches[_matchId];
+        require(matchData.user1 != address(0), "AC: Match does not exist");
+        require(_payer == _feeLedger[_matchId].payer, "AC: Recipient is not the payer");
+        require(
+            matchData.status != RequestStatus.COMPLETED,
+            "AC: Match already completed"
+        );
+
+        matchData.status = RequestStatus.REFUNDED;
+    }
+
+    /**
+     * @notice Submit the scores of several matches to the decryption oracle in one request
+     * @dev Every match must pass checkRevealable and moves to PROCESSING, which also
+     * rejects a match listed twice. Emits DecryptionRequested per match.
+     * @param _matchIds Matches to reveal; the calling contract must be allowed to use their scores
+     * @param _callbackSelector Function the oracle calls on the calling contract
+     * @return requestId Oracle request ID, passed back to the callback
+     */
+    function open(
+        mapping(uint256 => Request) storage self,
+        mapping(bytes32 => CompatibilityMatch) storage _matches,
+        bytes32[] memory _matchIds,
+        bytes4 _callbackSelector,
+        uint256 _timeoutDeadline,
+        uint256 _kmsGeneration
+    ) public returns (uint256 requestId) {
+        bytes32[] memory cts = new bytes32[](_matchIds.length);
+        for (uint256 i = 0; i < _matchIds.length; i++) {
+            checkRevealable(_matches, _matchIds[i]);
+            CompatibilityMatch storage matchData = _matches[_matchIds[i]];
+            matchData.status = RequestStatus.PROCESSING;
+            cts[i] = FHE.toBytes32(matchData.compatibilityScore);
+        }
+        requestId = FHE.requestDecryption(cts, _callbackSelector);
+
+        self[requestId] = Request({
+            requester: msg.sender,
+            matchIds: _matchIds,
+            groupId: bytes32(0),
+            timestamp: block.timestamp,
+            timeoutDeadline: _timeoutDeadline,
+            kmsGeneration: _kmsGeneration,
+            completed: false
+        });
+
+        for (uint256 i = 0; i < _matchIds.length; i++) {
+            emit DecryptionRequested(requestId, _matchIds[i], msg.sender, _kmsGeneration, _timeoutDeadline);
+        }
+    }
+
+    /**
+     * @notice Submit the average and lowest pair score of a group to the decryption oracle
+     * @dev Any member may publish a SCORED group. A group left PROCESSING past its deadline,
+     * because the oracle never answered, can be submitted again; whichever answer arrives
+     * first reveals it. Emits GroupRevealRequested.
+     * @return requestId Oracle request ID, passed back to the callback
+     */
+    function openGroup(
+        mapping(uint256 => Request) storage self,
+        mapping(bytes32 => GroupMatch) storage _groups,
+        bytes32 _groupId,
+        bytes4 _callbackSelector,
+        uint256 _timeoutDeadline,
+        uint256 _kmsGeneration
+    ) public returns (uint256 requestId) {
+        GroupMatch storage group = _groups[_groupId];
+        require(GroupMatches.isMember(group, msg.sender), "AC: Not a group member");
+        require(
+            group.status == GroupStatus.SCORED ||
+            (group.status == GroupStatus.PROCESSING && block.timestamp >= group.revealDeadline),
+            "AC: Invalid status for reveal"
+        );
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(group.averageScore);
+        cts[1] = FHE.toBytes32(group.minPairScore);
+        requestId = FHE.requestDecryption(cts, _callbackSelector);
+
+        group.status = GroupStatus.PROCESSING;
+        group.revealDeadline = _timeoutDeadline;
+
+        Request storage request = self[requestId];
+        request.requester = msg.sender;
+        request.groupId = _groupId;
+        request.timestamp = block.timestamp;
+        request.timeoutDeadline = _timeoutDeadline;
+        request.kmsGeneration = _kmsGeneration;
+
+        emit GroupRevealRequested(requestId, _groupId, msg.sender, _timeoutDeadline);
+    }
+
+    /**
+     * @notice Verify the KMS signatures of an oracle callback and reveal every match of its request
+     * @dev Reverts if the proof does not cover the request's handles and cleartexts, for
+     * unknown request IDs, for requests already completed and if any of the matches is no
+     * longer processing (e.g. cancelled by a profile deletion), so no match is revealed alone.
+     * Each match's escrowed fee is taken off its ledger entry. A group reveal publishes the
+     * group's scores instead, and reverts if the group was cancelled meanwhile.
+     * @return released Escrow released by the reveals; the caller books it as platform revenue
+     */
+    function resolve(
+        mapping(uint256 => Request) storage self,
+        mapping(bytes32 => CompatibilityMatch) storage _matches,
+        mapping(bytes32 => FeeLedgerEntry) storage _feeLedger,
+        mapping(bytes32 => GroupMatch) storage _groups,
+        uint256 _requestId,
+        bytes memory _cleartexts,
+        bytes memory _decryptionProof
+    ) public returns (uint256 released) {
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        Request storage request = self[_requestId];
+        bytes32[] memory matchIds = request.matchIds;
+        require(matchIds.length != 0 || request.groupId != bytes32(0), "AC: Invalid request ID");
+        require(!request.completed, "AC: Request not processing");
+        request.completed = true;
+
+        if (request.groupId != bytes32(0)) {
+            _revealGroup(_groups[request.groupId], request.groupId, _cleartexts);
+            return 0;
+        }
+
+        // The cleartexts are one ABI word per handle; prefix offset and length to decode them as an array
+        uint8[] memory scores = abi.decode(bytes.concat(abi.encode(32, matchIds.length), _cleartexts), (uint8[]));
+
+        for (uint256 i = 0; i < matchIds.length; i++) {
+            CompatibilityMatch storage matchData = _matches[matchIds[i]];
+            require(
+                matchData.status == RequestStatus.PROCESSING,
+                "AC: Match not processing"
+            );
+
+            matchData.publicScore = scores[i];
+            matchData.isRevealed = true;
+            matchData.status = RequestStatus.COMPLETED;
+
+            FeeLedgerEntry storage entry = _feeLedger[matchIds[i]];
+            released += entry.escrowed;
+            entry.escrowed = 0;
+
+            emit DecryptionCompleted(_requestId, matchIds[i], scores[i], block.timestamp);
+            emit CompatibilityRevealed(matchIds[i], scores[i], matchData.user1, matchData.user2);
+        }
+    }
+
+    /**
+     * @notice Cancel the matches still waiting for their reveal (PENDING or PROCESSING) in a
+     * window of a user's matches
+     * @dev A pending oracle request that includes a cancelled match can no longer be resolved
+     * @param _offset Index of the first match to cancel, in the order of pageOf
+     * @param _limit Maximum number of matches to look at
+     * @return cancelled Match IDs of the cancelled matches; the caller refunds their escrow
+     */
+    function cancelPage(
+        mapping(bytes32 => CompatibilityMatch) storage _matches,
+        bytes32[] storage _ids,
+        uint256 _offset,
+        uint256 _limit
+    ) public returns (bytes32[] memory cancelled) {
+        uint256 end = _ids.length < _offset + _limit ? _ids.length : _offset + _limit;
+
+        uint256 count;
+        for (uint256 i = _offset; i < end; i++) {
+            if (_isUnrevealed(_matches[_ids[i]])) {
+                count++;
+            }
+        }
+
+        cancelled = new bytes32[](count);
+        count = 0;
+        for (uint256 i = _offset; i < end; i++) {
+            CompatibilityMatch storage matchData = _matches[_ids[i]];
+            if (!_isUnrevealed(matchData)) {
+                continue;
+            }
+
+            matchData.status = RequestStatus.CANCELLED;
+            cancelled[count++] = _ids[i];
+            emit MatchCancelled(_ids[i], matchData.user1, matchData.user2);
+        }
+    }
+
+    /**
+     * @notice Get a page of a user's matches, oldest first (see getUserMatches)
+     * @param _ids The user's match IDs
+     * @return page Match summaries in the requested window
+     * @return total Total number of matches of the user
+     */
+    function pageOf(
+        mapping(bytes32 => CompatibilityMatch) storage _matches,
+        bytes32[] storage _ids,
+        uint256 _offset,
+        uint256 _limit
+    ) public view returns (MatchSummary[] memory page, uint256 total) {
+        total = _ids.length;
+        if (_offset >= total) {
+            return (new MatchSummary[](0), total);
+        }
+
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new MatchSummary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            CompatibilityMatch storage matchData = _matches[_ids[i]];
+            page[i - _offset] = MatchSummary({
+                matchId: _ids[i],
+                user1: matchData.user1,
+                user2: matchData.user2,
+                isRevealed: matchData.isRevealed,
+                publicScore: matchData.publicScore,
+                isPrivatelyRevealed: matchData.isPrivatelyRevealed,
+                matchTime: matchData.matchTime,
+                feePaid: matchData.feePaid,
+                status: matchData.status,
+                timeoutDeadline: matchData.timeoutDeadline
+            });
+        }
+    }
+
+    function _isUnrevealed(CompatibilityMatch storage _match) private view returns (bool) {
+        return _match.status == RequestStatus.PENDING || _match.status == RequestStatus.PROCESSING;
+    }
+
+    /// @dev Publish a group's average and lowest pair score from verified cleartexts
+    function _revealGroup(GroupMatch storage _group, bytes32 _groupId, bytes memory _cleartexts) private {
+        require(_group.status == GroupStatus.PROCESSING, "AC: Group not processing");
+
+        (uint8 average, uint8 minPair) = abi.decode(_cleartexts, (uint8, uint8));
+        _group.publicAverage = average;
+        _group.publicMinPair = minPair;
+        _group.status = GroupStatus.REVEALED;
+
+        emit GroupCompatibilityRevealed(_groupId, average, minPair);
+    }
+}
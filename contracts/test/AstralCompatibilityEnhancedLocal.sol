@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { Impl, CoprocessorConfig } from "@fhevm/solidity/lib/Impl.sol";
+import { AstralCompatibilityEnhanced } from "../AstralCompatibilityEnhanced.sol";
+
+/**
+ * @title AstralCompatibility Enhanced - Local Test Build
+ * @notice AstralCompatibilityEnhanced wired to a caller-supplied FHEVM deployment
+ * @dev LOCAL TESTING ONLY - point it at the mocks in contracts/test/ so the
+ *      Gateway callback flow runs end to end on a Hardhat network.
+ */
+contract AstralCompatibilityEnhancedLocal is AstralCompatibilityEnhanced {
+
+    constructor(
+        address[] memory _pauserAddresses,
+        uint256 _kmsGeneration,
+        CoprocessorConfig memory _coprocessorConfig
+    ) AstralCompatibilityEnhanced(_pauserAddresses, _kmsGeneration) {
+        FHE.setCoprocessor(_coprocessorConfig);
+    }
+
+    /**
+     * @notice FHEVM contracts this build talks to (used by scripts/mock-gateway.js)
+     */
+    function getCoprocessorConfig() external view returns (CoprocessorConfig memory) {
+        return Impl.getCoprocessorConfig();
+    }
+}
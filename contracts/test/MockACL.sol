@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockACL
+ * @notice Permissive access-control list for the local FHEVM stand-in
+ * @dev LOCAL TESTING ONLY - records permissions so they can be inspected,
+ *      but never rejects a call. Transient permissions are stored permanently, so
+ *      there is no cleanTransientStorage (no contract here calls FHE.cleanTransientStorage).
+ */
+contract MockACL {
+
+    mapping(bytes32 => mapping(address => bool)) private _allowed;
+    mapping(bytes32 => bool) private _allowedForDecryption;
+
+    function allowTransient(bytes32 handle, address account) external {
+        _allowed[handle][account] = true;
+    }
+
+    function allow(bytes32 handle, address account) external {
+        _allowed[handle][account] = true;
+    }
+
+    function allowForDecryption(bytes32[] memory handlesList) external {
+        for (uint256 i = 0; i < handlesList.length; i++) {
+            _allowedForDecryption[handlesList[i]] = true;
+        }
+    }
+
+    function isAllowed(bytes32 handle, address account) external view returns (bool) {
+        return _allowed[handle][account];
+    }
+
+    function isAllowedForDecryption(bytes32 handle) external view returns (bool) {
+        return _allowedForDecryption[handle];
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockDecryptionOracle
+ * @notice Records decryption requests for the local gateway to pick up
+ * @dev LOCAL TESTING ONLY - scripts/mock-gateway.js watches `DecryptionRequest`
+ *      and calls the requester's callback with the cleartexts and a proof.
+ */
+contract MockDecryptionOracle {
+
+    event DecryptionRequest(
+        uint256 indexed requestID,
+        address indexed requester,
+        bytes32[] handles,
+        bytes4 callbackSelector
+    );
+
+    function requestDecryption(
+        uint256 requestID,
+        bytes32[] calldata ctsHandles,
+        bytes4 callbackSelector
+    ) external payable {
+        emit DecryptionRequest(requestID, msg.sender, ctsHandles, callbackSelector);
+    }
+}
@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FheType } from "@fhevm/solidity/lib/FheType.sol";
+
+/**
+ * @title MockFHEVMExecutor
+ * @notice Plaintext stand-in for the FHEVM coprocessor on a local Hardhat network
+ * @dev LOCAL TESTING ONLY - values are stored in the clear, nothing is encrypted.
+ *
+ * Every handle maps to its cleartext in `cleartexts`, which is what the local
+ * gateway (scripts/mock-gateway.js) reads to answer decryption requests.
+ *
+ * Inputs: `verifyCiphertext` treats the external handle itself as the cleartext
+ * and ignores the input proof, so local clients pass `bytes32(value)` handles.
+ */
+contract MockFHEVMExecutor {
+
+    mapping(bytes32 => uint256) public cleartexts;
+    mapping(bytes32 => FheType) public handleTypes;
+    uint256 private _handleCounter;
+
+    // ==================== ARITHMETIC ====================
+
+    function fheAdd(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        unchecked {
+            return _newHandle(a + b, t);
+        }
+    }
+
+    function fheSub(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        unchecked {
+            return _newHandle(a - b, t);
+        }
+    }
+
+    function fheMul(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        unchecked {
+            return _newHandle(a * b, t);
+        }
+    }
+
+    function fheDiv(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        require(b != 0, "Division by zero");
+        return _newHandle(a / b, t);
+    }
+
+    function fheRem(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        require(b != 0, "Division by zero");
+        return _newHandle(a % b, t);
+    }
+
+    function fheNeg(bytes32 ct) external returns (bytes32) {
+        unchecked {
+            return _newHandle(0 - cleartexts[ct], handleTypes[ct]);
+        }
+    }
+
+    function fheMin(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a < b ? a : b, t);
+    }
+
+    function fheMax(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a > b ? a : b, t);
+    }
+
+    // ==================== BITWISE ====================
+
+    function fheBitAnd(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a & b, t);
+    }
+
+    function fheBitOr(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a | b, t);
+    }
+
+    function fheBitXor(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a ^ b, t);
+    }
+
+    function fheNot(bytes32 ct) external returns (bytes32) {
+        return _newHandle(~cleartexts[ct], handleTypes[ct]);
+    }
+
+    function fheShl(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a << (b % _bits(t)), t);
+    }
+
+    function fheShr(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, FheType t) = _operands(lhs, rhs, scalarByte);
+        return _newHandle(a >> (b % _bits(t)), t);
+    }
+
+    // ==================== COMPARISON ====================
+
+    function fheEq(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, ) = _operands(lhs, rhs, scalarByte);
+        return _newBool(a == b);
+    }
+
+    function fheNe(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, ) = _operands(lhs, rhs, scalarByte);
+        return _newBool(a != b);
+    }
+
+    function fheGe(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, ) = _operands(lhs, rhs, scalarByte);
+        return _newBool(a >= b);
+    }
+
+    function fheGt(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, ) = _operands(lhs, rhs, scalarByte);
+        return _newBool(a > b);
+    }
+
+    function fheLe(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, ) = _operands(lhs, rhs, scalarByte);
+        return _newBool(a <= b);
+    }
+
+    function fheLt(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (uint256 a, uint256 b, ) = _operands(lhs, rhs, scalarByte);
+        return _newBool(a < b);
+    }
+
+    function fheIfThenElse(bytes32 control, bytes32 ifTrue, bytes32 ifFalse) external returns (bytes32) {
+        bytes32 chosen = cleartexts[control] != 0 ? ifTrue : ifFalse;
+        return _newHandle(cleartexts[chosen], handleTypes[ifTrue]);
+    }
+
+    // ==================== INPUTS & CASTS ====================
+
+    function verifyCiphertext(
+        bytes32 inputHandle,
+        address,
+        bytes memory,
+        FheType toType
+    ) external returns (bytes32) {
+        return _newHandle(uint256(inputHandle), toType);
+    }
+
+    function trivialEncrypt(uint256 value, FheType toType) external returns (bytes32) {
+        return _newHandle(value, toType);
+    }
+
+    function cast(bytes32 ct, FheType toType) external returns (bytes32) {
+        return _newHandle(cleartexts[ct], toType);
+    }
+
+    function fheRand(FheType randType) external returns (bytes32) {
+        return _newHandle(_random(), randType);
+    }
+
+    function fheRandBounded(uint256 upperBound, FheType randType) external returns (bytes32) {
+        return _newHandle(_random() % upperBound, randType);
+    }
+
+    function getInputVerifierAddress() external pure returns (address) {
+        return address(0);
+    }
+
+    // ==================== INTERNAL ====================
+
+    function _operands(bytes32 lhs, bytes32 rhs, bytes1 scalarByte)
+        private
+        view
+        returns (uint256 a, uint256 b, FheType t)
+    {
+        a = cleartexts[lhs];
+        b = scalarByte == 0x01 ? uint256(rhs) : cleartexts[rhs];
+        t = handleTypes[lhs];
+    }
+
+    function _newBool(bool value) private returns (bytes32) {
+        return _newHandle(value ? 1 : 0, FheType.Bool);
+    }
+
+    function _newHandle(uint256 value, FheType t) private returns (bytes32 handle) {
+        uint256 bits = _bits(t);
+        handle = keccak256(abi.encode(address(this), ++_handleCounter));
+        cleartexts[handle] = bits == 256 ? value : value % (1 << bits);
+        handleTypes[handle] = t;
+    }
+
+    function _random() private view returns (uint256) {
+        return uint256(keccak256(abi.encode(block.prevrandao, block.timestamp, _handleCounter)));
+    }
+
+    function _bits(FheType t) private pure returns (uint256) {
+        // Bool, Uint4, Uint8, ..., Uint256 are the first nine FheType members
+        uint16[9] memory widths = [1, 4, 8, 16, 32, 64, 128, 160, 256];
+        require(uint8(t) <= uint8(FheType.Uint256), "Unsupported FHE type");
+        return widths[uint8(t)];
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockKMSVerifier
+ * @notice Single-signer replacement for the KMS signature check
+ * @dev LOCAL TESTING ONLY - a decryption proof is accepted when it is an
+ *      `eth_sign` signature by `signer` over keccak256(abi.encode(handles, decryptedResult)).
+ */
+contract MockKMSVerifier {
+
+    address public signer;
+
+    constructor(address _signer) {
+        signer = _signer;
+    }
+
+    function verifyDecryptionEIP712KMSSignatures(
+        bytes32[] memory handlesList,
+        bytes memory decryptedResult,
+        bytes memory decryptionProof
+    ) external view returns (bool) {
+        if (decryptionProof.length != 65) {
+            return false;
+        }
+
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19Ethereum Signed Message:\n32",
+                keccak256(abi.encode(handlesList, decryptedResult))
+            )
+        );
+
+        // r, s and v packed as 32 + 32 + 1 bytes
+        bytes32 r;
+        bytes32 s;
+        for (uint256 i = 0; i < 32; i++) {
+            r |= bytes32(decryptionProof[i]) >> (i * 8);
+            s |= bytes32(decryptionProof[32 + i]) >> (i * 8);
+        }
+        uint8 v = uint8(decryptionProof[64]);
+
+        return ecrecover(digest, v, r, s) == signer;
+    }
+}
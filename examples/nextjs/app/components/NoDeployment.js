@@ -0,0 +1,15 @@
+// Server component: shown while no contract address is configured for the network
+export default function NoDeployment({ network }) {
+  return (
+    <section className="card">
+      <h1>No deployment configured</h1>
+      <p className="notice">
+        No contract is recorded for {network} and NEXT_PUBLIC_CONTRACT_ADDRESS is not set.
+      </p>
+      <p>
+        Deploy one from the repository root (e.g. <code>npm run deploy:local</code>), run{' '}
+        <code>npm run abi:generate</code> to regenerate <code>@astral/contracts</code>, then restart this app.
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,45 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useWallet } from './WalletProvider';
+
+// Client component: publish a match score from a participant's wallet
+export default function RevealButton({ matchId, participants }) {
+  const router = useRouter();
+  const { client, account, connect } = useWallet();
+  const [pending, setPending] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const isParticipant = account && participants.some((user) => user.toLowerCase() === account.toLowerCase());
+
+  const reveal = async () => {
+    setPending(true);
+    setStatus(null);
+    try {
+      const { requestId } = await client.reveal(matchId);
+      // The mock reveals in the transaction; the other variants wait for the Gateway callback
+      setStatus(requestId === null ? null : `Decryption requested (#${requestId}), the score appears once the Gateway answers`);
+      router.refresh();
+    } catch (error) {
+      console.error('Error revealing score:', error);
+      setStatus(error.reason || error.message);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  if (!account) {
+    return <button className="btn" onClick={() => connect().catch((error) => setStatus(error.message))}>Connect Wallet</button>;
+  }
+
+  return (
+    <>
+      <button className="btn" onClick={reveal} disabled={pending || !isParticipant}>
+        {pending ? 'Revealing...' : 'Reveal Score'}
+      </button>
+      {!isParticipant && <p><small>Only the two participants can reveal this score.</small></p>}
+      {status && <p>{status}</p>}
+    </>
+  );
+}
@@ -0,0 +1,99 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ZODIAC_SIGNS, formatAddress } from '../../lib/astral';
+import { useWallet } from './WalletProvider';
+
+// Client component: connect, create a profile and invite a partner
+export default function WalletActions() {
+  const router = useRouter();
+  const { client, account, variantNotice, connect } = useWallet();
+  const [zodiac, setZodiac] = useState(0);
+  const [partner, setPartner] = useState('');
+  const [pending, setPending] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [lastInvitation, setLastInvitation] = useState(null);
+
+  // Run one wallet action, then refresh the server components so their reads catch up
+  const run = async (label, action) => {
+    setPending(label);
+    setMessage(null);
+    try {
+      await action();
+      router.refresh();
+    } catch (error) {
+      console.error(`Error: ${label}`, error);
+      setMessage({ type: 'error', text: error.reason || error.message });
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (!account) {
+    return (
+      <section className="card">
+        <h2>Get Started</h2>
+        <button className="btn" onClick={() => run('connect', connect)} disabled={pending !== null}>
+          {pending === 'connect' ? 'Connecting...' : 'Connect Wallet'}
+        </button>
+        {message && <p className={message.type}>{message.text}</p>}
+      </section>
+    );
+  }
+
+  const createProfile = () =>
+    run('profile', async () => {
+      await client.createProfile(zodiac);
+      setMessage({ type: 'success', text: `Profile created as ${ZODIAC_SIGNS[zodiac]}` });
+    });
+
+  const requestMatch = () =>
+    run('match', async () => {
+      const receipt = await client.requestMatch(partner);
+      const created = client.parseEvents(receipt).find((event) => event.name === 'MatchInvitationCreated');
+      setLastInvitation(created ? created.args.matchId : null);
+      setMessage({ type: 'success', text: `Invitation sent to ${formatAddress(partner)}` });
+      setPartner('');
+    });
+
+  return (
+    <section className="card">
+      <h2>Connected as {formatAddress(account)}</h2>
+      {variantNotice && <p className="notice">{variantNotice}</p>}
+
+      <div className="form-row">
+        <select value={zodiac} onChange={(event) => setZodiac(Number(event.target.value))}>
+          {ZODIAC_SIGNS.map((name, id) => (
+            <option key={name} value={id}>{name}</option>
+          ))}
+        </select>
+        <button className="btn" onClick={createProfile} disabled={pending !== null}>
+          {pending === 'profile' ? 'Encrypting...' : 'Create Profile'}
+        </button>
+      </div>
+
+      <div className="form-row">
+        <input
+          placeholder="Partner address (0x...)"
+          value={partner}
+          onChange={(event) => setPartner(event.target.value.trim())}
+        />
+        <button className="btn" onClick={requestMatch} disabled={pending !== null || !partner}>
+          {pending === 'match' ? 'Inviting...' : 'Request Match'}
+        </button>
+      </div>
+
+      {message && <p className={message.type}>{message.text}</p>}
+      {lastInvitation && (
+        <p>
+          <small>
+            Once your partner accepts, the match is at{' '}
+            <Link href={`/matches/${lastInvitation}`}>/matches/{formatAddress(lastInvitation)}</Link>
+          </small>
+        </p>
+      )}
+    </section>
+  );
+}
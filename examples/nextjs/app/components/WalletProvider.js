@@ -0,0 +1,81 @@
+'use client';
+
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { detectVariant } from '@astral/fhevm-sdk';
+import { ethers } from 'ethers';
+import { CONTRACT, NETWORK, createClient, formatAddress } from '../../lib/astral';
+
+const WalletContext = createContext(null);
+
+// The relayer SDK only loads in the browser, on first encryption or decryption
+let fhevmInstancePromise = null;
+
+const createFhevmInstance = () => {
+  if (!fhevmInstancePromise) {
+    fhevmInstancePromise = import('@zama-fhe/relayer-sdk/web').then(async (relayer) => {
+      await relayer.initSDK();
+      return relayer.createInstance({ ...relayer.SepoliaConfig, network: window.ethereum });
+    });
+  }
+  return fhevmInstancePromise;
+};
+
+export const useWallet = () => {
+  const context = useContext(WalletContext);
+  if (!context) {
+    throw new Error('useWallet must be used within a WalletProvider');
+  }
+  return context;
+};
+
+// Client component: holds the wallet connection for every wallet action on the page
+export default function WalletProvider({ children }) {
+  const [client, setClient] = useState(null);
+  const [account, setAccount] = useState(null);
+  // Set when the contract answers to another variant than NEXT_PUBLIC_CONTRACT_VARIANT
+  const [variantNotice, setVariantNotice] = useState(null);
+
+  const connect = useCallback(async () => {
+    if (typeof window.ethereum === 'undefined') {
+      throw new Error('MetaMask is required to use this application');
+    }
+
+    // The mock stores signs in plaintext, the other variants take relayer SDK ciphertexts
+    const clientFor = (variant) => createClient(variant === 'mock' ? undefined : createFhevmInstance, variant);
+
+    let connected = clientFor(CONTRACT.variant);
+    const connectedAccount = await connected.connect(window.ethereum, NETWORK);
+
+    // Probe the deployed contract; its answer wins over NEXT_PUBLIC_CONTRACT_VARIANT
+    const deployed = await detectVariant(ethers, CONTRACT.address, connected.provider);
+    let notice = null;
+    if (deployed !== CONTRACT.variant) {
+      notice = `${formatAddress(CONTRACT.address)} is a ${deployed} contract, not ${CONTRACT.variant}`;
+      connected = await clientFor(deployed).attach(connected.signer, connected.provider);
+    }
+
+    setVariantNotice(notice);
+    setAccount(connectedAccount);
+    setClient(connected);
+  }, []);
+
+  useEffect(() => {
+    if (typeof window.ethereum === 'undefined') return;
+
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        setClient(null);
+        setAccount(null);
+      } else {
+        connect().catch((error) => console.error('Error reconnecting wallet:', error));
+      }
+    };
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    return () => window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+  }, [connect]);
+
+  return (
+    <WalletContext.Provider value={{ client, account, variantNotice, connect }}>{children}</WalletContext.Provider>
+  );
+}
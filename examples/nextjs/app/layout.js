@@ -0,0 +1,19 @@
+import WalletProvider from './components/WalletProvider';
+import './globals.css';
+
+export const metadata = {
+  title: 'Astral Compatibility - Next.js',
+  description: 'Privacy-preserving zodiac compatibility matching with FHE',
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="en">
+      <body>
+        <WalletProvider>
+          <main className="container">{children}</main>
+        </WalletProvider>
+      </body>
+    </html>
+  );
+}
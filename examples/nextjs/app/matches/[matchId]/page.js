@@ -0,0 +1,54 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { ethers } from 'ethers';
+import { CONTRACT, DEPLOYMENT_NETWORK, createReadClient, formatAddress } from '../../../lib/astral';
+import NoDeployment from '../../components/NoDeployment';
+import RevealButton from '../../components/RevealButton';
+
+// Server component: the match is read at request time, wallet actions live in RevealButton
+export const dynamic = 'force-dynamic';
+
+export default async function MatchPage({ params }) {
+  const { matchId } = params;
+  if (!CONTRACT.address) {
+    return <NoDeployment network={DEPLOYMENT_NETWORK} />;
+  }
+  if (!ethers.isHexString(matchId, 32)) {
+    notFound();
+  }
+
+  const client = await createReadClient();
+  let match;
+  try {
+    match = await client.getMatch(matchId);
+  } catch (error) {
+    notFound();
+  }
+  if (match.user1 === ethers.ZeroAddress) {
+    notFound();
+  }
+
+  const score = Number(match.publicScore);
+  const matchedAt = new Date(Number(match.matchTime) * 1000).toLocaleString('en-US', { timeZone: 'UTC' });
+
+  return (
+    <section className="card">
+      <Link href="/">← Back</Link>
+      <h1>Match {formatAddress(matchId)}</h1>
+      <p>
+        {formatAddress(match.user1)} ↔ {formatAddress(match.user2)}
+        <br />
+        <small>Matched {matchedAt} UTC</small>
+      </p>
+
+      {match.isRevealed && score > 0 ? (
+        <p className="stat-number">{score}% compatible</p>
+      ) : (
+        <>
+          <p>The score is still encrypted. Either participant can publish it.</p>
+          <RevealButton matchId={matchId} participants={[match.user1, match.user2]} />
+        </>
+      )}
+    </section>
+  );
+}
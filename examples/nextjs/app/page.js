@@ -0,0 +1,52 @@
+import { ethers } from 'ethers';
+import { CONTRACT, DEPLOYMENT_NETWORK, createReadClient, readContractStats } from '../lib/astral';
+import NoDeployment from './components/NoDeployment';
+import WalletActions from './components/WalletActions';
+
+// Server component: stats are read through a read-only provider and cached for 15 seconds
+export const revalidate = 15;
+
+export default async function HomePage() {
+  if (!CONTRACT.address) {
+    return <NoDeployment network={DEPLOYMENT_NETWORK} />;
+  }
+
+  const client = await createReadClient();
+  const stats = await readContractStats(client);
+
+  return (
+    <>
+      <section className="card">
+        <h1>Astral Compatibility</h1>
+        <p>
+          Discover your astrological compatibility without revealing your zodiac sign. Scores are
+          computed on encrypted profiles with Fully Homomorphic Encryption.
+        </p>
+        <div className="stats">
+          <div>
+            <span className="stat-number">{stats.totalMatches}</span>
+            <span className="stat-label">Total Matches</span>
+          </div>
+          {client.variant === 'enhanced' && (
+            <>
+              <div>
+                <span className="stat-number">{ethers.formatEther(stats.matchFee)} ETH</span>
+                <span className="stat-label">Match Fee</span>
+              </div>
+              <div>
+                <span className="stat-number">{Math.round(stats.requestTimeout / 60)} min</span>
+                <span className="stat-label">Reveal Timeout</span>
+              </div>
+              <div>
+                <span className="stat-number">{stats.isPaused ? 'Paused' : 'Live'}</span>
+                <span className="stat-label">Status</span>
+              </div>
+            </>
+          )}
+        </div>
+      </section>
+
+      <WalletActions />
+    </>
+  );
+}
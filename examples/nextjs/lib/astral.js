@@ -0,0 +1,58 @@
+import { ethers } from 'ethers';
+import { AstralClient, detectVariant } from '@astral/fhevm-sdk';
+import { VARIANT_CONTRACTS, getAbi, getAddress } from '@astral/contracts';
+
+// Shared by server and client components; only NEXT_PUBLIC_ values reach the browser
+const variant = process.env.NEXT_PUBLIC_CONTRACT_VARIANT || 'mock';
+const network = process.env.NEXT_PUBLIC_NETWORK || 'sepolia';
+
+export const DEPLOYMENT_NETWORK = network;
+
+export const CONTRACT = {
+  // variant is the default; clients probe the deployed contract and use what it answers
+  // Defaults to the deployment recorded for the network in deployments/<network>.json
+  address: process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || (VARIANT_CONTRACTS[variant] ? getAddress(network, variant) : null),
+  variant,
+};
+
+export const NETWORK = {
+  chainId: Number(process.env.NEXT_PUBLIC_CHAIN_ID || 11155111),
+  chainName: 'Sepolia Test Network',
+  rpcUrl: process.env.NEXT_PUBLIC_RPC_URL,
+  explorerUrl: process.env.NEXT_PUBLIC_EXPLORER_URL,
+};
+
+export const ZODIAC_SIGNS = [
+  'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+  'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces',
+];
+
+export const createClient = (createFhevmInstance, clientVariant = CONTRACT.variant) => {
+  if (!VARIANT_CONTRACTS[clientVariant]) {
+    throw new Error(`NEXT_PUBLIC_CONTRACT_VARIANT must be one of: ${Object.keys(VARIANT_CONTRACTS).join(', ')}`);
+  }
+  if (!CONTRACT.address) {
+    throw new Error(`No ${CONTRACT.variant} deployment on ${network}, set NEXT_PUBLIC_CONTRACT_ADDRESS`);
+  }
+
+  return new AstralClient({
+    ethers,
+    abi: getAbi(clientVariant),
+    address: CONTRACT.address,
+    variant: clientVariant,
+    createFhevmInstance,
+  });
+};
+
+// Read-only client for server components, no wallet involved, built for the deployed variant
+export const createReadClient = async () => {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || NETWORK.rpcUrl, NETWORK.chainId);
+  const deployed = CONTRACT.address ? await detectVariant(ethers, CONTRACT.address, provider) : CONTRACT.variant;
+  return createClient(undefined, deployed).attach(provider);
+};
+
+// Enhanced reports every figure; the mock and basic contracts only count matches
+export const readContractStats = async (client) =>
+  client.variant === 'enhanced' ? client.getContractStats() : { totalMatches: await client.getTotalMatches() };
+
+export const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -1,16 +1,37 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+// AstralCompatibilityEnhanced is close to the 24 KB bytecode limit, so it is optimized
+// for size rather than call cost; libraries and the other contracts keep runs: 200
+const sizeOptimized = {
+  version: "0.8.24",
+  settings: {
+    optimizer: {
+      enabled: true,
+      runs: 1
+    },
+    evmVersion: "cancun"
+  }
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.24",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
-      },
-      evmVersion: "cancun"
+    compilers: [
+      {
+        version: "0.8.24",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          evmVersion: "cancun"
+        }
+      }
+    ],
+    overrides: {
+      "contracts/AstralCompatibilityEnhanced.sol": sizeOptimized,
+      "contracts/test/AstralCompatibilityEnhancedLocal.sol": sizeOptimized
     }
   },
   networks: {
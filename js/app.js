@@ -1,8 +1,24 @@
 // Global variables
+// Contract calls, encryption and decryption go through the shared SDK client (lib/fhevm-sdk)
+let client = null;
+// Deployment picked in the switcher; its variant is replaced by the probed one on connect
+let deployment = null;
 let provider;
-let signer;
 let contract;
 let userAccount = null;
+let fhevmInstancePromise = null;
+let loadedMatches = [];
+let totalUserMatches = 0;
+let invitations = { incoming: [], outgoing: [] };
+let revealRequests = {};
+// Privately decrypted scores, kept in memory only and never persisted
+let privateScores = {};
+let revealPollTimer = null;
+let revealCountdownTimer = null;
+let refundState = { pending: null, feeBps: 0, claimable: [] };
+let scoringModel = CONFIG.SCORING;
+let natalWeights = CONFIG.NATAL_WEIGHTS;
+let selectedZodiacId = null;
 
 // Wait for both DOM and ethers to load
 window.addEventListener('load', function() {
@@ -19,9 +35,10 @@ window.addEventListener('load', function() {
 
 async function initApp() {
     console.log('DOM loaded, initializing app...');
+    deployment = findDeployment(localStorage.getItem(CONFIG.DEPLOYMENT_STORAGE_KEY));
+    renderDeploymentSwitcher();
     await initializeApp();
     setupEventListeners();
-    populateZodiacSelect();
     console.log('App initialization complete');
 }
 
@@ -34,7 +51,7 @@ async function initializeApp() {
 
             // Check if already connected
             const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-            if (accounts.length > 0) {
+            if (accounts.length > 0 && deployment) {
                 await connectWallet();
             }
         } else {
@@ -72,16 +89,52 @@ function setupEventListeners() {
         updateBtn.addEventListener('click', updateProfile);
     }
 
+    // Delete profile button
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', deleteProfile);
+    }
+
     // Request match button
     const matchBtn = document.getElementById('requestMatchBtn');
     if (matchBtn) {
         matchBtn.addEventListener('click', requestMatch);
     }
 
-    // Zodiac select change
-    const zodiacSelect = document.getElementById('zodiacSelect');
-    if (zodiacSelect) {
-        zodiacSelect.addEventListener('change', onZodiacChange);
+    // Batch invitations: pasted list, CSV upload and send button
+    const partnerList = document.getElementById('partnerList');
+    if (partnerList) {
+        partnerList.addEventListener('input', renderPartnerList);
+    }
+    const partnerFile = document.getElementById('partnerFile');
+    if (partnerFile) {
+        partnerFile.addEventListener('change', loadPartnerFile);
+    }
+    const matchesBtn = document.getElementById('requestMatchesBtn');
+    if (matchesBtn) {
+        matchesBtn.addEventListener('click', requestMatches);
+    }
+
+    // Birth date change
+    const birthDate = document.getElementById('birthDate');
+    if (birthDate) {
+        birthDate.max = new Date().toISOString().split('T')[0];
+        birthDate.addEventListener('change', onBirthDateChange);
+    }
+
+    // Optional moon and rising signs
+    ['moonSign', 'risingSign'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            renderNatalSignOptions(select);
+            select.addEventListener('change', onNatalSignChange);
+        }
+    });
+
+    // Deployment switcher
+    const deploymentSelect = document.getElementById('deploymentSelect');
+    if (deploymentSelect) {
+        deploymentSelect.addEventListener('change', switchDeployment);
     }
 
     // Listen for account changes
@@ -102,33 +155,38 @@ async function connectWallet() {
             return;
         }
 
+        if (!deployment) {
+            throw new Error('No contract deployments configured, run npm run abi:generate');
+        }
+
         console.log('Showing loading...');
         showLoading('Connecting to wallet...');
 
-        // Request account access
-        const accounts = await window.ethereum.request({
-            method: 'eth_requestAccounts',
-        });
-
-        // Check if we're on the correct network
-        const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-        if (parseInt(chainId, 16) !== CONFIG.CHAIN_ID) {
-            await switchToSepoliaNetwork();
+        // Requests accounts and switches to the deployment's chain, adding it to the wallet if needed
+        client = createClient(deployment.variant);
+        userAccount = await client.connect(window.ethereum, networkFor(deployment));
+
+        // The record names a contract; the chain decides which variant answers at the address
+        const variant = await AstralSDK.detectVariant(ethers, deployment.address, client.provider);
+        let variantNotice = null;
+        if (variant !== client.variant) {
+            variantNotice = `${formatAddress(deployment.address)} is a ${variant} contract, not ${client.variant}`;
+            deployment = { ...deployment, variant };
+            client = await createClient(variant).attach(client.signer, client.provider);
         }
-
-        // Set up ethers
-        provider = new ethers.providers.Web3Provider(window.ethereum);
-        signer = provider.getSigner();
-        contract = new ethers.Contract(CONFIG.CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-
-        userAccount = accounts[0];
+        provider = client.provider;
+        contract = client.contract;
 
         // Update UI
         updateWalletUI();
         await loadUserData();
 
         hideLoading();
-        showSuccess('Wallet connected successfully!');
+        if (variantNotice) {
+            showNotification(`Wallet connected. ${variantNotice}`, 'info');
+        } else {
+            showSuccess('Wallet connected successfully!');
+        }
 
         // Setup contract event listeners
         setupContractEventListeners();
@@ -140,49 +198,50 @@ async function connectWallet() {
     }
 }
 
-// Switch to Sepolia network
-async function switchToSepoliaNetwork() {
-    try {
-        await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: '0x' + CONFIG.CHAIN_ID.toString(16) }],
-        });
-    } catch (switchError) {
-        // This error code indicates that the chain has not been added to MetaMask
-        if (switchError.code === 4902) {
-            try {
-                await window.ethereum.request({
-                    method: 'wallet_addEthereumChain',
-                    params: [
-                        {
-                            chainId: '0x' + CONFIG.CHAIN_ID.toString(16),
-                            chainName: 'Sepolia Test Network',
-                            nativeCurrency: {
-                                name: 'ETH',
-                                symbol: 'ETH',
-                                decimals: 18,
-                            },
-                            rpcUrls: [CONFIG.RPC_URL],
-                            blockExplorerUrls: [CONFIG.EXPLORER_URL],
-                        },
-                    ],
-                });
-            } catch (addError) {
-                throw new Error('Failed to add Sepolia network');
-            }
-        } else {
-            throw switchError;
-        }
+function createClient(variant) {
+    return new AstralSDK.AstralClient({
+        ethers,
+        address: deployment.address,
+        abi: getContractAbi(variant),
+        variant,
+        createFhevmInstance
+    });
+}
+
+// Deployment switcher: one option per recorded network and variant
+function renderDeploymentSwitcher() {
+    const select = document.getElementById('deploymentSelect');
+    const deployments = getDeployments();
+
+    select.innerHTML = deployments.map(entry => `
+        <option value="${entry.id}" ${deployment && entry.id === deployment.id ? 'selected' : ''}>
+            ${entry.network} · ${entry.variant} · ${formatAddress(entry.address)}
+        </option>
+    `).join('');
+    select.style.display = deployments.length > 1 ? '' : 'none';
+
+    // Nothing to connect to until a deployment is recorded and the modules regenerated
+    if (!deployment) {
+        document.getElementById('deploymentMissing').classList.remove('hidden');
+        const connectBtn = document.getElementById('connectWallet');
+        connectBtn.disabled = true;
+        connectBtn.textContent = 'No Deployment';
     }
 }
 
+// Every loaded list belongs to the old contract, so start over like a chain change does
+function switchDeployment(event) {
+    localStorage.setItem(CONFIG.DEPLOYMENT_STORAGE_KEY, event.target.value);
+    window.location.reload();
+}
+
 // Handle account changes
 async function handleAccountsChanged(accounts) {
     if (accounts.length === 0) {
         // User disconnected
         userAccount = null;
+        client = null;
         provider = null;
-        signer = null;
         contract = null;
         updateWalletUI();
     } else {
@@ -213,6 +272,32 @@ function updateWalletUI() {
         connectBtn.disabled = false;
         walletStatus.classList.add('hidden');
     }
+
+    // Only AstralCompatibilityEnhanced escrows fees and has timeouts
+    const showRefunds = userAccount && deployment.variant === 'enhanced';
+    document.getElementById('refunds').style.display = showRefunds ? '' : 'none';
+    document.getElementById('refundsNavLink').style.display = showRefunds ? '' : 'none';
+
+    // AstralCompatibility (basic) has no requestCompatibilityMatches
+    document.getElementById('matchBatch').style.display = deployment.variant === 'basic' ? 'none' : '';
+    renderPartnerList();
+
+    document.getElementById('contractVariant').textContent = deployment.variant;
+    renderMatchFee();
+}
+
+// Enhanced escrows matchFee with every invitation; the other variants invite for free
+async function renderMatchFee() {
+    const button = document.getElementById('requestMatchBtn');
+    button.textContent = 'Send Match Invitation';
+    if (!client || deployment.variant !== 'enhanced') return;
+
+    try {
+        const fee = await client.matchFee();
+        button.textContent = `Send Match Invitation (${ethers.utils.formatEther(fee.toString())} ETH)`;
+    } catch (error) {
+        console.error('Error loading match fee:', error);
+    }
 }
 
 // Load user data
@@ -220,17 +305,20 @@ async function loadUserData() {
     if (!contract || !userAccount) return;
 
     try {
-        // Load profile status
-        const profileStatus = await contract.getUserProfileStatus(userAccount);
-        updateProfileUI(profileStatus.hasProfile);
+        updateProfileUI(await client.hasProfile(userAccount));
+        document.getElementById('userMatches').textContent = await client.getUserMatchCount(userAccount);
+        document.getElementById('totalMatches').textContent = await client.getTotalMatches();
 
-        // Load user stats
-        const userStats = await contract.getUserStats(userAccount);
-        document.getElementById('userMatches').textContent = userStats.toString();
+        await loadScoringModel();
 
-        // Load total matches
-        const totalMatches = await contract.totalMatches();
-        document.getElementById('totalMatches').textContent = totalMatches.toString();
+        // Restore in-flight reveals before the first render of the match list
+        loadRevealRequests();
+        privateScores = {};
+        await loadUserMatches();
+        await loadInvitations();
+        await refreshRevealRequests();
+        startRevealTracking();
+        await loadRefunds();
 
     } catch (error) {
         console.error('Error loading user data:', error);
@@ -242,42 +330,101 @@ function updateProfileUI(hasProfile) {
     const profileStatus = document.getElementById('profileStatus');
     const createBtn = document.getElementById('createProfileBtn');
     const updateBtn = document.getElementById('updateProfileBtn');
+    const deleteBtn = document.getElementById('deleteProfileBtn');
 
     if (hasProfile) {
         profileStatus.textContent = 'Profile Created ✅';
         createBtn.style.display = 'none';
         updateBtn.style.display = 'inline-block';
+        deleteBtn.style.display = 'inline-block';
     } else {
         profileStatus.textContent = 'No Profile';
         createBtn.style.display = 'inline-block';
         updateBtn.style.display = 'none';
+        deleteBtn.style.display = 'none';
     }
 }
 
-// Populate zodiac select
-function populateZodiacSelect() {
-    const select = document.getElementById('zodiacSelect');
+// Derive the sign from the birth date; the date never leaves this function
+function onBirthDateChange() {
+    const value = document.getElementById('birthDate').value;
+    const cuspChoice = document.getElementById('cuspChoice');
 
-    CONFIG.ZODIAC_SIGNS.forEach(zodiac => {
-        const option = document.createElement('option');
-        option.value = zodiac.id;
-        option.textContent = zodiac.name;
-        select.appendChild(option);
-    });
+    if (!value) {
+        cuspChoice.style.display = 'none';
+        selectZodiac(null);
+        return;
+    }
+
+    let derived;
+    try {
+        derived = deriveZodiacFromBirthDate(value);
+    } catch (error) {
+        cuspChoice.style.display = 'none';
+        selectZodiac(null);
+        showError(error.message);
+        return;
+    }
+
+    if (derived.cuspZodiacId === null) {
+        cuspChoice.style.display = 'none';
+    } else {
+        renderCuspOptions(derived.zodiacId, derived.cuspZodiacId);
+        cuspChoice.style.display = 'block';
+    }
+    selectZodiac(derived.zodiacId);
+}
+
+// Let users born on a cusp choose between the two neighbouring signs
+function renderCuspOptions(zodiacId, cuspZodiacId) {
+    document.getElementById('cuspOptions').innerHTML = [zodiacId, cuspZodiacId]
+        .map(id => `
+            <label class="cusp-option">
+                <input type="radio" name="cuspSign" value="${id}" ${id === zodiacId ? 'checked' : ''}
+                    onchange="selectZodiac(${id})">
+                ${CONFIG.ZODIAC_SIGNS[id].name}
+            </label>
+        `)
+        .join('');
+}
+
+// Sign options for a moon or rising select; an empty value leaves the placement unset
+function renderNatalSignOptions(select) {
+    select.innerHTML = `<option value="">I don't know</option>` + CONFIG.ZODIAC_SIGNS
+        .map(zodiac => `<option value="${zodiac.id}">${zodiac.name}</option>`)
+        .join('');
+}
+
+// Selected moon and rising signs, null when unknown
+function getNatalSigns() {
+    const value = id => {
+        const select = document.getElementById(id);
+        return select && select.value !== '' ? Number(select.value) : null;
+    };
+    return { moon: value('moonSign'), rising: value('risingSign') };
+}
+
+function onNatalSignChange() {
+    if (selectedZodiacId !== null) {
+        renderNatalWeights();
+        renderScoreBreakdown(selectedZodiacId);
+    }
 }
 
-// Handle zodiac selection change
-function onZodiacChange() {
-    const selectValue = document.getElementById('zodiacSelect').value;
+// Show the selected sign's element and quality
+function selectZodiac(zodiacId) {
     const zodiacInfo = document.getElementById('zodiacInfo');
     const createBtn = document.getElementById('createProfileBtn');
+    selectedZodiacId = zodiacId;
 
-    if (selectValue) {
-        const zodiac = CONFIG.ZODIAC_SIGNS[parseInt(selectValue)];
+    if (zodiacId !== null) {
+        const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
 
         document.getElementById('selectedZodiacName').textContent = zodiac.name;
         document.getElementById('selectedElement').textContent = CONFIG.ELEMENTS[zodiac.element];
         document.getElementById('selectedQuality').textContent = CONFIG.QUALITIES[zodiac.quality];
+        renderNatalWeights();
+        renderScoreBreakdown(zodiac.id);
 
         zodiacInfo.style.display = 'block';
         createBtn.disabled = false;
@@ -287,6 +434,97 @@ function onZodiacChange() {
     }
 }
 
+// Load the contract's scoring model; older deployments keep the CONFIG.SCORING default
+async function loadScoringModel() {
+    try {
+        scoringModel = scoringModelFromChain(await contract.getScoringConfig());
+    } catch (error) {
+        scoringModel = CONFIG.SCORING;
+    }
+
+    try {
+        natalWeights = natalWeightsFromChain(await contract.getNatalWeights());
+    } catch (error) {
+        natalWeights = CONFIG.NATAL_WEIGHTS;
+    }
+
+    if (selectedZodiacId !== null) {
+        renderNatalWeights();
+        renderScoreBreakdown(selectedZodiacId);
+    }
+}
+
+// Explain how sun, moon and rising placements are weighted into one score
+function renderNatalWeights() {
+    const { moon, rising } = getNatalSigns();
+    const weights = [
+        { label: 'Sun + Sun', weight: natalWeights.SUN, active: true },
+        { label: 'Moon + Moon', weight: natalWeights.MOON, active: moon !== null },
+        { label: 'Rising + Rising', weight: natalWeights.RISING, active: rising !== null },
+        { label: 'Sun + Moon, each way', weight: natalWeights.SUN_MOON, active: true }
+    ].filter(entry => entry.weight > 0);
+
+    document.getElementById('natalWeights').innerHTML = `
+        <h5>How your placements are weighted</h5>
+        <ul class="natal-weight-list">
+            ${weights.map(entry => `
+                <li class="${entry.active ? '' : 'inactive'}">${entry.label}: <strong>${entry.weight}</strong></li>
+            `).join('')}
+        </ul>
+        <p>Each pair of placements is scored on its own and the scores are averaged by these weights.
+        Moon and Rising pairs only count when your match has set them too; with no moons on either side only the Sun signs are compared.</p>
+    `;
+}
+
+// Explain how scores against every sign are composed, best matches first
+function renderScoreBreakdown(zodiacId) {
+    const describe = explanation => {
+        const parts = [`Base ${explanation.base}`].concat(
+            explanation.parts.map(part => `${part.label} ${part.adjustment > 0 ? '+' : ''}${part.adjustment}`)
+        );
+        if (explanation.randomRange > 1) {
+            parts.push(`random 0-${explanation.randomRange - 1}`);
+        }
+        return parts.join(', ');
+    };
+
+    // Partners are compared by Sun sign; their own moon and rising stay private
+    const chart = { sun: zodiacId, ...getNatalSigns() };
+    const rows = CONFIG.ZODIAC_SIGNS
+        .map(partner => ({
+            partner,
+            explanation: explainNatalCompatibility(
+                chart, { sun: partner.id, moon: null, rising: null }, scoringModel, natalWeights
+            )
+        }))
+        .sort((a, b) => b.explanation.max - a.explanation.max);
+
+    const describePlacements = explanation => explanation.placements.length > 1
+        ? `<span class="breakdown-parts">${explanation.placements
+            .map(placement => `${placement.label} ${placement.score} ×${placement.weight}`)
+            .join(', ')}</span>`
+        : '';
+
+    document.getElementById('scoreBreakdown').innerHTML = `
+        <h5>How your scores are composed</h5>
+        <ul class="score-breakdown-list">
+            ${rows.map(({ partner, explanation }) => `
+                <li>
+                    <span class="breakdown-sign">${partner.name}</span>
+                    <span class="breakdown-aspect ${explanation.aspect.nature}" title="${explanation.elementRelation} elements">
+                        ${explanation.aspect.name}
+                    </span>
+                    <span class="breakdown-parts">${describe(explanation)}</span>
+                    ${describePlacements(explanation)}
+                    <span class="breakdown-range">
+                        ${explanation.min === explanation.max ? explanation.min : `${explanation.min}-${explanation.max}`}%
+                    </span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
 // Create profile
 async function createProfile() {
     if (!contract || !userAccount) {
@@ -294,20 +532,17 @@ async function createProfile() {
         return;
     }
 
-    const zodiacValue = document.getElementById('zodiacSelect').value;
-    if (!zodiacValue) {
-        showError('Please select your zodiac sign');
+    if (selectedZodiacId === null) {
+        showError('Please enter your birth date');
         return;
     }
 
     try {
-        showLoading('Creating your private profile...');
+        checkZodiac(selectedZodiacId);
 
-        const zodiacId = parseInt(zodiacValue);
-        const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
-
-        const tx = await contract.createProfile(zodiacId, zodiac.element, zodiac.quality);
-        await tx.wait();
+        // The sign is encrypted in the browser, except on the mock which stores it in plaintext
+        showLoading('Encrypting and saving your private profile...');
+        await client.createProfile(selectedZodiacId, getNatalSigns());
 
         hideLoading();
         showSuccess('Profile created successfully! Your zodiac information is now encrypted and private.');
@@ -328,20 +563,17 @@ async function updateProfile() {
         return;
     }
 
-    const zodiacValue = document.getElementById('zodiacSelect').value;
-    if (!zodiacValue) {
-        showError('Please select your zodiac sign');
+    if (selectedZodiacId === null) {
+        showError('Please enter your birth date');
         return;
     }
 
     try {
-        showLoading('Updating your profile...');
-
-        const zodiacId = parseInt(zodiacValue);
-        const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
+        checkZodiac(selectedZodiacId);
 
-        const tx = await contract.updateProfile(zodiacId, zodiac.element, zodiac.quality);
-        await tx.wait();
+        // Unknown placements are cleared
+        showLoading('Encrypting and updating your profile...');
+        await client.updateProfile(selectedZodiacId, getNatalSigns());
 
         hideLoading();
         showSuccess('Profile updated successfully!');
@@ -353,6 +585,62 @@ async function updateProfile() {
     }
 }
 
+// Shown before deleteProfile: what is wiped and what the chain keeps
+const DELETE_PROFILE_NOTICE = [
+    'Delete your profile?',
+    '',
+    'Your encrypted zodiac data is cleared and nobody can invite or match you until you create a new profile. ' +
+        'Open invitations are closed and unrevealed matches are cancelled; escrowed fees go back to whoever paid them.',
+    '',
+    'What remains on chain: revealed scores, match and invitation records with both addresses, ' +
+        'past transactions and events. Encrypted values cannot be erased, and anyone already allowed to ' +
+        'decrypt a value (such as a partner after a private reveal) still can.'
+].join('\n');
+
+// Delete the profile (right to be forgotten)
+async function deleteProfile() {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    if (!window.confirm(DELETE_PROFILE_NOTICE)) return;
+
+    try {
+        showLoading('Deleting your profile...');
+        await client.deleteProfile();
+
+        hideLoading();
+        showSuccess('Profile deleted. Open invitations were closed and unrevealed matches cancelled.');
+
+        await loadUserData();
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error deleting profile:', error);
+        showError('Failed to delete profile: ' + error.message);
+    }
+}
+
+// Relayer SDK instance for encryption and decryption, created on first use and shared across connections
+function createFhevmInstance() {
+    if (!fhevmInstancePromise) {
+        if (typeof window.relayerSDK === 'undefined') {
+            return Promise.reject(new Error('Relayer SDK not loaded properly'));
+        }
+
+        const { initSDK, createInstance, SepoliaConfig } = window.relayerSDK;
+        fhevmInstancePromise = initSDK().then(() => createInstance({ ...SepoliaConfig, network: window.ethereum }));
+    }
+    return fhevmInstancePromise;
+}
+
+// Refuse signs whose CONFIG traits disagree with the on-chain derivation
+function checkZodiac(zodiacId) {
+    const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId] || {};
+    validateZodiacProfile(zodiacId, zodiac.element, zodiac.quality);
+}
+
 // Request compatibility match
 async function requestMatch() {
     if (!contract || !userAccount) {
@@ -377,38 +665,685 @@ async function requestMatch() {
     }
 
     try {
-        showLoading('Requesting compatibility match...');
-
-        // Check if partner has a profile
-        const partnerProfile = await contract.getUserProfileStatus(partnerAddress);
-        if (!partnerProfile.hasProfile) {
-            hideLoading();
-            showError('Partner does not have a profile yet');
-            return;
-        }
+        showLoading('Sending match invitation...');
 
-        const tx = await contract.requestCompatibilityMatch(partnerAddress);
-        await tx.wait();
+        // Checks the partner's profile; Enhanced escrows matchFee with the invitation
+        await client.requestMatch(partnerAddress);
 
         hideLoading();
-        showSuccess('Compatibility match requested! The compatibility score is being calculated privately.');
+        showSuccess('Invitation sent! The compatibility score is calculated privately once your partner accepts.');
 
         document.getElementById('partnerAddress').value = '';
-        await loadUserMatches();
+        await loadInvitations();
 
     } catch (error) {
         hideLoading();
         console.error('Error requesting match:', error);
-        showError('Failed to request match: ' + error.message);
+        showError('Failed to send invitation: ' + error.message);
+    }
+}
+
+// Addresses from the pasted list or CSV, without the connected wallet
+function getPartnerList() {
+    const { addresses, invalid } = parsePartnerList(document.getElementById('partnerList').value);
+    return { partners: addresses.filter(address => !isCurrentAccount(address)), invalid };
+}
+
+function renderPartnerList() {
+    const text = document.getElementById('partnerList').value;
+    const { partners, invalid } = getPartnerList();
+
+    document.getElementById('partnerListSummary').innerHTML = text
+        ? `<span>${partners.length} addresses to invite</span>` +
+          (invalid.length ? `<span class="match-batch-invalid">Ignored (checksum mismatch): ${invalid.join(', ')}</span>` : '')
+        : '';
+
+    const button = document.getElementById('requestMatchesBtn');
+    button.textContent = `Invite ${partners.length} Partners`;
+    button.disabled = partners.length === 0;
+}
+
+function loadPartnerFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('partnerList').value = reader.result;
+        renderPartnerList();
+    };
+    reader.onerror = () => showError('Failed to read ' + file.name);
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+// Invite every listed partner, MAX_BATCH_INVITATIONS per transaction; skipped entries are listed with their reason
+async function requestMatches() {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    const { partners } = getPartnerList();
+    if (partners.length === 0) {
+        showError('Please add at least one partner address');
+        return;
+    }
+
+    let failed = [];
+
+    try {
+        showLoading('Sending match invitations...');
+        const result = await client.requestMatches(partners, (done, total) => {
+            if (done < total) {
+                showLoading(`Sending match invitations (transaction ${done + 1} of ${total})...`);
+            }
+        });
+        const created = result.created;
+        failed = result.failed;
+
+        hideLoading();
+        if (failed.length === 0) {
+            showSuccess(`${created} invitations sent! Scores are calculated privately once partners accept.`);
+            document.getElementById('partnerList').value = '';
+            renderPartnerList();
+        } else {
+            showNotification(`${created} invitations sent, ${failed.length} skipped. See the list below the form.`, 'info');
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('Error requesting matches:', error);
+        showError('Failed to send invitations: ' + error.message);
+    }
+
+    document.getElementById('matchBatchFailures').innerHTML = failed
+        .map(({ partner, reason }) => `<li><span title="${partner}">${formatAddress(partner)}</span>${reason.replace(/^AC: /, '')}</li>`)
+        .join('');
+    await loadInvitations();
+}
+
+function isCurrentAccount(address) {
+    return !!userAccount && address.toLowerCase() === userAccount.toLowerCase();
+}
+
+// Load open invitations, split into incoming (to answer) and outgoing (awaiting the partner)
+async function loadInvitations() {
+    if (!contract || !userAccount) return;
+
+    try {
+        invitations = await client.listInvitations(userAccount);
+        renderInvitations();
+    } catch (error) {
+        console.error('Error loading invitations:', error);
+        document.getElementById('invitationList').innerHTML = '<p>Unable to load your invitations right now.</p>';
+    }
+}
+
+function renderInvitations() {
+    const now = Math.floor(Date.now() / 1000);
+
+    const renderItem = (invitation, incoming) => {
+        const other = incoming ? invitation.requester : invitation.partner;
+        const expiresAt = invitation.expiresAt.toNumber();
+        const expired = expiresAt <= now;
+        const expiry = expired
+            ? 'Expired'
+            : `Expires ${new Date(expiresAt * 1000).toLocaleString()}`;
+        const actions = incoming
+            ? `
+                <button class="btn btn-primary" onclick="answerInvitation('${invitation.matchId}', 'accept')" ${expired ? 'disabled' : ''}>Accept</button>
+                <button class="btn btn-secondary" onclick="answerInvitation('${invitation.matchId}', 'decline')">Decline</button>
+            `
+            : `<button class="btn btn-secondary" onclick="answerInvitation('${invitation.matchId}', 'cancel')">Cancel</button>`;
+
+        return `
+            <li class="invitation-item ${expired ? 'expired' : ''}">
+                <div>
+                    <span class="match-partner" title="${other}">${incoming ? 'From' : 'To'} ${formatAddress(other)}</span>
+                    <small>${expiry}</small>
+                </div>
+                <div class="invitation-actions">${actions}</div>
+            </li>
+        `;
+    };
+
+    const section = (title, list, incoming, empty) => `
+        <h4>${title}</h4>
+        ${list.length
+            ? `<ul class="invitation-items">${list.map(invitation => renderItem(invitation, incoming)).join('')}</ul>`
+            : `<p class="invitation-empty">${empty}</p>`}
+    `;
+
+    document.getElementById('invitationList').innerHTML =
+        section('Incoming', invitations.incoming, true, 'No invitations waiting for your answer.') +
+        section('Sent', invitations.outgoing, false, 'No invitations waiting for a partner.');
+}
+
+const INVITATION_ACTIONS = {
+    accept: { method: 'acceptInvitation', loading: 'Accepting invitation...', success: 'Invitation accepted! Your compatibility score is being calculated privately.' },
+    decline: { method: 'declineInvitation', loading: 'Declining invitation...', success: 'Invitation declined' },
+    cancel: { method: 'cancelInvitation', loading: 'Cancelling invitation...', success: 'Invitation cancelled' }
+};
+
+// Accept, decline or cancel an invitation; declines and cancellations refund the requester on Enhanced
+async function answerInvitation(matchId, action) {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    const { method, loading, success } = INVITATION_ACTIONS[action];
+    try {
+        showLoading(loading);
+
+        await client[method](matchId);
+
+        hideLoading();
+        showSuccess(success);
+
+        await loadInvitations();
+        if (action === 'accept') {
+            await loadUserMatches();
+        }
+
+    } catch (error) {
+        hideLoading();
+        console.error(`Error (${action}) on invitation:`, error);
+        showError(`Failed to ${action} invitation: ` + error.message);
     }
 }
 
-// Load user matches
-async function loadUserMatches() {
-    // This would require additional contract functionality to get match IDs
-    // For now, we'll show a placeholder
+// Load user matches (first page, or the next page when appending)
+async function loadUserMatches(append = false) {
+    if (!contract || !userAccount) return;
+
+    try {
+        const offset = append ? loadedMatches.length : 0;
+        const { matches: page, total } = await client.listMatches(userAccount, offset, CONFIG.MATCHES_PAGE_SIZE);
+
+        loadedMatches = append ? loadedMatches.concat(page) : page;
+        totalUserMatches = total;
+
+        // Once the score is on chain the card shows it directly, stop tracking the reveal
+        loadedMatches
+            .filter(match => match.isRevealed && match.publicScore > 0)
+            .forEach(match => delete revealRequests[match.matchId]);
+        saveRevealRequests();
+
+        renderMatchList();
+    } catch (error) {
+        console.error('Error loading matches:', error);
+        document.getElementById('matchList').innerHTML = '<p>Unable to load your matches right now.</p>';
+    }
+}
+
+// Render loaded matches as cards
+function renderMatchList() {
     const matchList = document.getElementById('matchList');
-    matchList.innerHTML = '<p>Match results will be displayed here once the compatibility calculations are complete.</p>';
+
+    if (loadedMatches.length === 0) {
+        matchList.innerHTML = '<p>No compatibility matches yet. Request one above to get started.</p>';
+        return;
+    }
+
+    let html = '';
+    const publishable = publishableMatches();
+    if (publishable.length > 1) {
+        html += `
+            <div class="match-reveal-all">
+                <button class="btn btn-secondary" onclick="revealScores()"
+                    title="Decrypts the scores on chain in one Gateway request, where anyone can read them">
+                    Publish all ${publishable.length} scores
+                </button>
+            </div>
+        `;
+    }
+    html += `<div class="match-cards">${loadedMatches.map(renderMatchCard).join('')}</div>`;
+    if (loadedMatches.length < totalUserMatches) {
+        html += `
+            <button class="btn btn-secondary load-more-btn" onclick="loadUserMatches(true)">
+                Load more (${loadedMatches.length} of ${totalUserMatches})
+            </button>
+        `;
+    }
+    matchList.innerHTML = html;
+}
+
+// Render a single match card
+function renderMatchCard(match) {
+    const partner = match.user1.toLowerCase() === userAccount.toLowerCase() ? match.user2 : match.user1;
+    const matchTime = new Date(match.matchTime.toNumber() * 1000).toLocaleString();
+    // Basic marks a match revealed as soon as decryption is requested, before the score arrives
+    const revealed = match.isRevealed && !revealRequests[match.matchId];
+    const privateScore = privateScores[match.matchId];
+
+    let status = 'Pending';
+    let score = '🔒 Encrypted';
+    if (isCancelledMatch(match)) {
+        status = 'Cancelled';
+        score = '—';
+    } else if (revealed) {
+        status = 'Revealed';
+        score = match.publicScore + '%';
+    } else if (match.isPrivatelyRevealed) {
+        status = 'Private';
+        score = privateScore !== undefined ? privateScore + '% 🔐' : '🔐 Private';
+    }
+
+    return `
+        <div class="match-card">
+            <div class="match-card-header">
+                <span class="match-partner" title="${partner}">${formatAddress(partner)}</span>
+                <span class="match-status ${status.toLowerCase()}">${status}</span>
+            </div>
+            <div class="match-score">${score}</div>
+            <div class="match-time">Matched ${matchTime}</div>
+            ${renderRevealControls(match)}
+        </div>
+    `;
+}
+
+// Mock and Basic flag cancelled matches; Enhanced has a CANCELLED status
+function isCancelledMatch(match) {
+    return match.isCancelled === true || CONFIG.REQUEST_STATUS[match.status] === 'CANCELLED';
+}
+
+// Reveal request tracking
+const REVEAL_STATUS_LABELS = {
+    PENDING: 'Waiting for confirmation...',
+    PROCESSING: 'Decrypting via Gateway...',
+    COMPLETED: 'Score decrypted, loading...',
+    FAILED: 'Decryption failed',
+    TIMED_OUT: 'Timed out',
+    REFUNDED: 'Refunded',
+    CANCELLED: 'Match cancelled'
+};
+
+const FINAL_REVEAL_STATUSES = ['COMPLETED', 'FAILED', 'TIMED_OUT', 'REFUNDED', 'CANCELLED'];
+
+// Reveal controls for a match card: tracked request status, or View privately / Publish buttons
+function renderRevealControls(match) {
+    if (isCancelledMatch(match)) return '';
+
+    const request = revealRequests[match.matchId];
+
+    if (request) {
+        const countdown = request.status === 'PROCESSING' && request.timeoutDeadline
+            ? `<span class="reveal-countdown" data-deadline="${request.timeoutDeadline}">${formatCountdown(request.timeoutDeadline)}</span>`
+            : '';
+        return `
+            <div class="reveal-status status-${request.status.toLowerCase()}">
+                <span>${REVEAL_STATUS_LABELS[request.status]}</span>
+                ${countdown}
+            </div>
+        `;
+    }
+
+    if (match.isRevealed) return '';
+
+    if (match.isPrivatelyRevealed) {
+        if (privateScores[match.matchId] !== undefined) return '';
+        return `<button class="btn btn-secondary reveal-btn" onclick="viewPrivateScore('${match.matchId}')">View privately</button>`;
+    }
+
+    return `
+        <div class="reveal-actions">
+            <button class="btn btn-secondary reveal-btn" onclick="revealPrivately('${match.matchId}')"
+                title="Only you and your partner can decrypt the score">View privately</button>
+            <button class="btn btn-secondary reveal-btn" onclick="revealScore('${match.matchId}')"
+                title="Decrypts the score on chain where anyone can read it">Publish score</button>
+        </div>
+    `;
+}
+
+function revealStorageKey() {
+    return `${CONFIG.REVEAL.STORAGE_KEY}:${deployment.address.toLowerCase()}:${userAccount.toLowerCase()}`;
+}
+
+function loadRevealRequests() {
+    try {
+        revealRequests = JSON.parse(localStorage.getItem(revealStorageKey())) || {};
+    } catch (error) {
+        console.error('Error reading saved reveal requests:', error);
+        revealRequests = {};
+    }
+}
+
+function saveRevealRequests() {
+    localStorage.setItem(revealStorageKey(), JSON.stringify(revealRequests));
+}
+
+function updateRevealRequest(matchId, changes) {
+    revealRequests[matchId] = { ...revealRequests[matchId], ...changes, updatedAt: Date.now() };
+    saveRevealRequests();
+    renderMatchList();
+}
+
+function removeRevealRequest(matchId) {
+    delete revealRequests[matchId];
+    saveRevealRequests();
+    renderMatchList();
+}
+
+function hasActiveReveals() {
+    return Object.values(revealRequests).some(request => !FINAL_REVEAL_STATUSES.includes(request.status));
+}
+
+// Submit a reveal for one match and start tracking it
+async function revealScore(matchId) {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    try {
+        updateRevealRequest(matchId, { status: 'PENDING', requestId: null, timeoutDeadline: null, txHash: null });
+
+        const request = await client.reveal(matchId, {
+            onSubmitted: tx => updateRevealRequest(matchId, { txHash: tx.hash })
+        });
+        applyRevealRequest(matchId, request);
+        startRevealTracking();
+    } catch (error) {
+        removeRevealRequest(matchId);
+        console.error('Error requesting reveal:', error);
+        showError('Failed to request reveal: ' + error.message);
+    }
+}
+
+// Matches whose score can still be published; Enhanced decrypts several in one Gateway request
+function publishableMatches() {
+    if (deployment.variant !== 'enhanced') return [];
+
+    return loadedMatches.filter(match =>
+        !match.isRevealed &&
+        !match.isPrivatelyRevealed &&
+        !revealRequests[match.matchId] &&
+        CONFIG.REQUEST_STATUS[match.status] === 'PENDING'
+    );
+}
+
+// Publish every publishable score, MAX_BATCH_REVEALS per transaction and Gateway request
+async function revealScores() {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    const matchIds = publishableMatches().map(match => match.matchId);
+    let batch = [];
+
+    try {
+        const batchSize = await client.maxBatchReveals();
+
+        for (let i = 0; i < matchIds.length; i += batchSize) {
+            batch = matchIds.slice(i, i + batchSize);
+            batch.forEach(matchId => updateRevealRequest(matchId, { status: 'PENDING', requestId: null, timeoutDeadline: null, txHash: null }));
+
+            const { receipt } = await client.revealScores(batch, {
+                onSubmitted: tx => batch.forEach(matchId => updateRevealRequest(matchId, { txHash: tx.hash }))
+            });
+            batch.forEach(matchId => applyRevealRequest(matchId, client.revealRequestOf(receipt, matchId)));
+            startRevealTracking();
+        }
+    } catch (error) {
+        batch.forEach(matchId => removeRevealRequest(matchId));
+        console.error('Error requesting reveals:', error);
+        showError('Failed to request reveals: ' + error.message);
+    }
+}
+
+// Grant both participants access to the score without publishing it, then decrypt it locally
+async function revealPrivately(matchId) {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    try {
+        showLoading('Revealing score privately...');
+        await client.revealPrivately(matchId);
+        hideLoading();
+
+        await loadUserMatches();
+        await viewPrivateScore(matchId);
+    } catch (error) {
+        hideLoading();
+        console.error('Error revealing score privately:', error);
+        showError('Failed to reveal score privately: ' + error.message);
+    }
+}
+
+// Decrypt a privately revealed score for the connected account; nothing is sent on chain
+async function viewPrivateScore(matchId) {
+    try {
+        showLoading('Decrypting your score...');
+        // The mock serves its plaintext score to participants, elsewhere the relayer decrypts it
+        privateScores[matchId] = (await client.getPrivateScore(matchId)).toString();
+        hideLoading();
+        renderMatchList();
+    } catch (error) {
+        hideLoading();
+        console.error('Error decrypting private score:', error);
+        showError('Failed to decrypt score: ' + error.message);
+    }
+}
+
+// Move a mined reveal to PROCESSING (Gateway) or COMPLETED (mock reveals synchronously)
+function applyRevealRequest(matchId, { requestId, timeoutDeadline }) {
+    if (requestId === null) {
+        setRevealStatus(matchId, 'COMPLETED');
+        return;
+    }
+
+    updateRevealRequest(matchId, { status: 'PROCESSING', requestId, timeoutDeadline });
+}
+
+function setRevealStatus(matchId, status) {
+    if (!revealRequests[matchId] || revealRequests[matchId].status === status) return;
+
+    updateRevealRequest(matchId, { status });
+
+    if (status === 'COMPLETED') {
+        loadUserMatches();
+    } else if (status === 'FAILED') {
+        showError('Decryption failed for one of your matches');
+    } else if (status === 'TIMED_OUT') {
+        showError('A reveal request timed out before the Gateway answered');
+    }
+}
+
+// Re-check every in-flight reveal against the chain
+async function refreshRevealRequests() {
+    const active = Object.entries(revealRequests)
+        .filter(([, request]) => !FINAL_REVEAL_STATUSES.includes(request.status));
+
+    for (const [matchId, request] of active) {
+        try {
+            await refreshRevealRequest(matchId, request);
+        } catch (error) {
+            console.error('Error refreshing reveal request:', error);
+        }
+    }
+
+    if (!hasActiveReveals()) {
+        stopRevealTracking();
+    }
+}
+
+async function refreshRevealRequest(matchId, request) {
+    if (request.status === 'PENDING') {
+        // The page was closed before the wallet returned a transaction
+        if (!request.txHash) {
+            removeRevealRequest(matchId);
+            return;
+        }
+
+        const receipt = await provider.getTransactionReceipt(request.txHash);
+        if (!receipt) return;
+
+        if (receipt.status === 0) {
+            removeRevealRequest(matchId);
+        } else {
+            applyRevealRequest(matchId, client.revealRequestOf(receipt, matchId));
+        }
+        return;
+    }
+
+    if (deployment.variant === 'enhanced') {
+        const info = await client.getRevealRequest(request.requestId);
+        setRevealStatus(matchId, CONFIG.REQUEST_STATUS[info.status]);
+    } else {
+        const matchInfo = await client.getMatch(matchId);
+        setRevealStatus(matchId, matchInfo.publicScore > 0 ? 'COMPLETED' : 'PROCESSING');
+    }
+}
+
+function startRevealTracking() {
+    if (!hasActiveReveals()) return;
+
+    if (!revealPollTimer) {
+        revealPollTimer = setInterval(refreshRevealRequests, CONFIG.REVEAL.POLL_INTERVAL);
+    }
+    if (!revealCountdownTimer) {
+        revealCountdownTimer = setInterval(updateRevealCountdowns, 1000);
+    }
+}
+
+function stopRevealTracking() {
+    clearInterval(revealPollTimer);
+    clearInterval(revealCountdownTimer);
+    revealPollTimer = null;
+    revealCountdownTimer = null;
+}
+
+function updateRevealCountdowns() {
+    document.querySelectorAll('.reveal-countdown[data-deadline]').forEach(element => {
+        element.textContent = formatCountdown(Number(element.dataset.deadline));
+    });
+}
+
+function formatCountdown(deadline) {
+    const seconds = Math.floor(deadline - Date.now() / 1000);
+    if (seconds <= 0) return 'Timeout reached';
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+    const secs = String(seconds % 60).padStart(2, '0');
+    return `${hours}h ${minutes}m ${secs}s left`;
+}
+
+// Refund center (Enhanced only)
+// Load the pending refund balance and every match past its reveal deadline
+async function loadRefunds() {
+    if (!contract || !userAccount || deployment.variant !== 'enhanced') return;
+
+    try {
+        refundState = await client.getRefunds(userAccount);
+        renderRefundPanel();
+    } catch (error) {
+        console.error('Error loading refunds:', error);
+        document.getElementById('refundPanel').innerHTML = '<p>Unable to load your refunds right now.</p>';
+    }
+}
+
+// Mirrors claimTimeoutRefund: the platform fee was kept when the invitation was accepted
+function refundAmount(feePaid) {
+    return feePaid.sub(feePaid.mul(refundState.feeBps).div(10000));
+}
+
+function renderRefundPanel() {
+    const feePercent = refundState.feeBps / 100;
+    const claimable = refundState.claimable.map(match => {
+        const partner = match.user1.toLowerCase() === userAccount.toLowerCase() ? match.user2 : match.user1;
+        const deadline = new Date(match.timeoutDeadline.toNumber() * 1000).toLocaleString();
+
+        return `
+            <li class="refund-item">
+                <div>
+                    <span class="match-partner" title="${partner}">${formatAddress(partner)}</span>
+                    <small>
+                        Deadline ${deadline} · fee ${ethers.utils.formatEther(match.feePaid)} ETH ·
+                        refund ${ethers.utils.formatEther(refundAmount(match.feePaid))} ETH to ${formatAddress(match.user1)}
+                    </small>
+                </div>
+                <button class="btn btn-secondary" onclick="claimRefund('${match.matchId}')">Claim refund</button>
+            </li>
+        `;
+    }).join('');
+
+    document.getElementById('refundPanel').innerHTML = `
+        <div class="refund-explainer">
+            Every match invitation pays the match fee. A declined or cancelled invitation refunds all of it.
+            ${feePercent}% is kept as the platform fee once the partner accepts, so a timed-out reveal refunds
+            the remaining ${100 - feePercent}%.
+            Either participant can claim once the deadline has passed; the refund is always credited to
+            whoever requested (and paid for) the match.
+        </div>
+        <div class="refund-balance">
+            <div>
+                <span class="refund-label">Pending refunds</span>
+                <span class="refund-amount">${ethers.utils.formatEther(refundState.pending)} ETH</span>
+            </div>
+            <button class="btn btn-primary" onclick="withdrawRefunds()" ${refundState.pending.isZero() ? 'disabled' : ''}>
+                Withdraw
+            </button>
+        </div>
+        <h3>Claimable Matches</h3>
+        ${claimable
+            ? `<ul class="refund-list">${claimable}</ul>`
+            : '<p class="refund-empty">No matches are past their reveal deadline.</p>'}
+    `;
+}
+
+// Claim a timeout refund, credited to the requester's pending balance
+async function claimRefund(matchId) {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    try {
+        showLoading('Claiming timeout refund...');
+
+        await client.claimTimeoutRefund(matchId);
+
+        hideLoading();
+        showSuccess('Refund credited to the requester\'s pending balance');
+
+        if (revealRequests[matchId]) {
+            updateRevealRequest(matchId, { status: 'REFUNDED' });
+        }
+        await loadRefunds();
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error claiming refund:', error);
+        showError('Failed to claim refund: ' + error.message);
+    }
+}
+
+// Withdraw the pending refund balance to the connected wallet
+async function withdrawRefunds() {
+    if (!contract || !userAccount) {
+        showError('Please connect your wallet first');
+        return;
+    }
+
+    try {
+        showLoading('Withdrawing refunds...');
+
+        await client.withdrawRefunds();
+
+        hideLoading();
+        showSuccess('Refunds withdrawn to your wallet');
+        await loadRefunds();
+
+    } catch (error) {
+        hideLoading();
+        console.error('Error withdrawing refunds:', error);
+        showError('Failed to withdraw refunds: ' + error.message);
+    }
 }
 
 // Utility functions
@@ -479,24 +1414,116 @@ function setupContractEventListeners() {
         }
     });
 
-    // Listen for MatchRequested events
+    contract.on('ProfileDeleted', (user) => {
+        if (isCurrentAccount(user)) {
+            loadUserData();
+        }
+    });
+
+    // Invitation events keep the inbox current without polling
+    contract.on('MatchInvitationCreated', (matchId, requester, partner) => {
+        if (isCurrentAccount(partner)) {
+            showNotification(`New match invitation from ${formatAddress(requester)}`);
+        }
+        if (isCurrentAccount(partner) || isCurrentAccount(requester)) {
+            loadInvitations();
+        }
+    });
+
+    contract.on('MatchInvitationAccepted', (matchId, requester, partner) => {
+        if (isCurrentAccount(requester)) {
+            showSuccess(`${formatAddress(partner)} accepted your match invitation!`);
+        }
+        if (isCurrentAccount(partner) || isCurrentAccount(requester)) {
+            loadInvitations();
+        }
+    });
+
+    contract.on('MatchInvitationDeclined', (matchId, requester, partner) => {
+        if (isCurrentAccount(requester)) {
+            showNotification(`${formatAddress(partner)} declined your match invitation`);
+            loadInvitations();
+        }
+    });
+
+    contract.on('MatchInvitationCancelled', (matchId, requester, partner) => {
+        if (isCurrentAccount(partner)) {
+            loadInvitations();
+        }
+    });
+
+    // Listen for MatchRequested events (emitted when an invitation is accepted)
     contract.on('MatchRequested', (user1, user2, matchId) => {
         if (user1.toLowerCase() === userAccount.toLowerCase() ||
             user2.toLowerCase() === userAccount.toLowerCase()) {
-            showSuccess('New compatibility match requested!');
             loadUserMatches();
         }
     });
 
-    // Listen for DecryptionRequested events (新增)
-    contract.on('DecryptionRequested', (requestId, matchId) => {
-        console.log('Decryption requested:', { requestId: requestId.toString(), matchId });
-        showSuccess(`Decryption requested for match. Request ID: ${requestId.toString()}`);
-    });
+    // Listen for DecryptionRequested events (新增); the mock reveals without the Gateway
+    if (deployment.variant !== 'mock') {
+        contract.on('DecryptionRequested', (requestId, matchId, requester, kmsGeneration, timeoutDeadline) => {
+            if (requester.toLowerCase() !== userAccount.toLowerCase()) return;
+
+            // Picks up reveals submitted from another tab
+            const request = revealRequests[matchId];
+            if (!request || request.status === 'PENDING') {
+                updateRevealRequest(matchId, {
+                    status: 'PROCESSING',
+                    requestId: requestId.toString(),
+                    timeoutDeadline: deployment.variant === 'enhanced' ? timeoutDeadline.toNumber() : null
+                });
+                startRevealTracking();
+            }
+        });
+    }
+
+    // Gateway outcome events (Enhanced)
+    if (deployment.variant === 'enhanced') {
+        contract.on('DecryptionCompleted', (requestId, matchId, revealedScore) => {
+            if (!revealRequests[matchId]) return;
+            showSuccess(`Compatibility score revealed: ${revealedScore}%`);
+            setRevealStatus(matchId, 'COMPLETED');
+        });
+
+        contract.on('DecryptionFailed', (requestId, matchId) => {
+            setRevealStatus(matchId, 'FAILED');
+        });
+
+        contract.on('DecryptionTimedOut', (requestId, matchId) => {
+            setRevealStatus(matchId, 'TIMED_OUT');
+        });
+    }
 
     // Listen for CompatibilityRevealed events
     contract.on('CompatibilityRevealed', (matchId, score) => {
         showSuccess(`Compatibility score revealed: ${score}%`);
         loadUserMatches();
     });
-}
\ No newline at end of file
+
+    // A participant deleted their profile before the score was revealed
+    contract.on('MatchCancelled', (matchId, user1, user2) => {
+        if (!isCurrentAccount(user1) && !isCurrentAccount(user2)) return;
+
+        setRevealStatus(matchId, 'CANCELLED');
+        loadUserMatches();
+    });
+
+    // The partner revealed a shared match privately; the score stays off chain
+    contract.on('ScoreRevealedPrivately', (matchId, user1, user2) => {
+        if (isCurrentAccount(user1) || isCurrentAccount(user2)) {
+            loadUserMatches();
+        }
+    });
+
+    // Refund events only exist on Enhanced
+    if (deployment.variant === 'enhanced') {
+        const onRefundEvent = (user) => {
+            if (user.toLowerCase() === userAccount.toLowerCase()) {
+                loadRefunds();
+            }
+        };
+        contract.on('RefundIssued', onRefundEvent);
+        contract.on('RefundClaimed', onRefundEvent);
+    }
+}
\ No newline at end of file
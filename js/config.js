@@ -1,347 +1,400 @@
 // Blockchain Configuration
 const CONFIG = {
-    CONTRACT_ADDRESS: '0x3897f97Cdfa21926450B05329B55AC7F85F7F066', // Updated: 2025-10-12 - AstralCompatibilityMock
-    CHAIN_ID: 11155111, // Sepolia testnet
-    RPC_URL: 'https://ethereum-sepolia-rpc.publicnode.com',
-    EXPLORER_URL: 'https://sepolia.etherscan.io',
+    // Default deployment: CONTRACT_VARIANT as recorded for NETWORK in deployments/<NETWORK>.json
+    NETWORK: 'sepolia',
+    CONTRACT_ADDRESS: null,
 
-    // Zodiac signs mapping
+    // Wallet settings for the networks deployments can live on
+    NETWORKS: {
+        sepolia: {
+            chainName: 'Sepolia Test Network',
+            rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+            explorerUrl: 'https://sepolia.etherscan.io'
+        },
+        localhost: {
+            chainName: 'Hardhat Localhost',
+            rpcUrl: 'http://127.0.0.1:8545'
+        }
+    },
+
+    // Deployment picked in the switcher (persisted in localStorage)
+    DEPLOYMENT_STORAGE_KEY: 'astral.deployment',
+
+    // Zodiac signs mapping (start: [month, day] the Sun usually enters the sign)
     ZODIAC_SIGNS: [
-        { id: 0, name: 'Aries', element: 0, quality: 0 },
-        { id: 1, name: 'Taurus', element: 1, quality: 1 },
-        { id: 2, name: 'Gemini', element: 2, quality: 2 },
-        { id: 3, name: 'Cancer', element: 3, quality: 0 },
-        { id: 4, name: 'Leo', element: 0, quality: 1 },
-        { id: 5, name: 'Virgo', element: 1, quality: 2 },
-        { id: 6, name: 'Libra', element: 2, quality: 0 },
-        { id: 7, name: 'Scorpio', element: 3, quality: 1 },
-        { id: 8, name: 'Sagittarius', element: 0, quality: 2 },
-        { id: 9, name: 'Capricorn', element: 1, quality: 0 },
-        { id: 10, name: 'Aquarius', element: 2, quality: 1 },
-        { id: 11, name: 'Pisces', element: 3, quality: 2 }
+        { id: 0, name: 'Aries', element: 0, quality: 0, start: [3, 21] },
+        { id: 1, name: 'Taurus', element: 1, quality: 1, start: [4, 20] },
+        { id: 2, name: 'Gemini', element: 2, quality: 2, start: [5, 21] },
+        { id: 3, name: 'Cancer', element: 3, quality: 0, start: [6, 21] },
+        { id: 4, name: 'Leo', element: 0, quality: 1, start: [7, 23] },
+        { id: 5, name: 'Virgo', element: 1, quality: 2, start: [8, 23] },
+        { id: 6, name: 'Libra', element: 2, quality: 0, start: [9, 23] },
+        { id: 7, name: 'Scorpio', element: 3, quality: 1, start: [10, 23] },
+        { id: 8, name: 'Sagittarius', element: 0, quality: 2, start: [11, 22] },
+        { id: 9, name: 'Capricorn', element: 1, quality: 0, start: [12, 22] },
+        { id: 10, name: 'Aquarius', element: 2, quality: 1, start: [1, 20] },
+        { id: 11, name: 'Pisces', element: 3, quality: 2, start: [2, 19] }
     ],
 
     // Elements
     ELEMENTS: ['Fire', 'Earth', 'Air', 'Water'],
 
     // Qualities
-    QUALITIES: ['Cardinal', 'Fixed', 'Mutable']
-};
+    QUALITIES: ['Cardinal', 'Fixed', 'Mutable'],
 
-// Contract ABI
-const CONTRACT_ABI = [
-    {
-        "inputs": [],
-        "stateMutability": "nonpayable",
-        "type": "constructor"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            {
-                "indexed": true,
-                "internalType": "bytes32",
-                "name": "matchId",
-                "type": "bytes32"
-            },
-            {
-                "indexed": false,
-                "internalType": "uint8",
-                "name": "score",
-                "type": "uint8"
-            }
-        ],
-        "name": "CompatibilityRevealed",
-        "type": "event"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            {
-                "indexed": true,
-                "internalType": "uint256",
-                "name": "requestId",
-                "type": "uint256"
-            },
-            {
-                "indexed": true,
-                "internalType": "bytes32",
-                "name": "matchId",
-                "type": "bytes32"
-            }
-        ],
-        "name": "DecryptionRequested",
-        "type": "event"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            {
-                "indexed": true,
-                "internalType": "address",
-                "name": "user1",
-                "type": "address"
-            },
-            {
-                "indexed": true,
-                "internalType": "address",
-                "name": "user2",
-                "type": "address"
-            },
-            {
-                "indexed": false,
-                "internalType": "bytes32",
-                "name": "matchId",
-                "type": "bytes32"
-            }
-        ],
-        "name": "MatchRequested",
-        "type": "event"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            {
-                "indexed": true,
-                "internalType": "address",
-                "name": "user",
-                "type": "address"
-            }
-        ],
-        "name": "ProfileCreated",
-        "type": "event"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "uint8",
-                "name": "_zodiac",
-                "type": "uint8"
-            },
-            {
-                "internalType": "uint8",
-                "name": "_element",
-                "type": "uint8"
-            },
-            {
-                "internalType": "uint8",
-                "name": "_quality",
-                "type": "uint8"
-            }
-        ],
-        "name": "createProfile",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "address",
-                "name": "_user1",
-                "type": "address"
-            },
-            {
-                "internalType": "address",
-                "name": "_user2",
-                "type": "address"
-            }
-        ],
-        "name": "generateMatchId",
-        "outputs": [
-            {
-                "internalType": "bytes32",
-                "name": "",
-                "type": "bytes32"
-            }
-        ],
-        "stateMutability": "pure",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "bytes32",
-                "name": "_matchId",
-                "type": "bytes32"
-            }
-        ],
-        "name": "getMatchInfo",
-        "outputs": [
-            {
-                "internalType": "address",
-                "name": "user1",
-                "type": "address"
-            },
-            {
-                "internalType": "address",
-                "name": "user2",
-                "type": "address"
-            },
-            {
-                "internalType": "bool",
-                "name": "isRevealed",
-                "type": "bool"
-            },
-            {
-                "internalType": "uint8",
-                "name": "publicScore",
-                "type": "uint8"
-            },
-            {
-                "internalType": "uint256",
-                "name": "matchTime",
-                "type": "uint256"
-            }
-        ],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "address",
-                "name": "_user",
-                "type": "address"
-            }
-        ],
-        "name": "getUserProfileStatus",
-        "outputs": [
-            {
-                "internalType": "bool",
-                "name": "hasProfile",
-                "type": "bool"
-            },
-            {
-                "internalType": "uint256",
-                "name": "timestamp",
-                "type": "uint256"
-            }
-        ],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "address",
-                "name": "_user",
-                "type": "address"
-            }
-        ],
-        "name": "getUserStats",
-        "outputs": [
-            {
-                "internalType": "uint256",
-                "name": "matchCount",
-                "type": "uint256"
-            }
-        ],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "uint8",
-                "name": "_zodiac",
-                "type": "uint8"
-            }
-        ],
-        "name": "getZodiacInfo",
-        "outputs": [
-            {
-                "internalType": "string",
-                "name": "name",
-                "type": "string"
-            },
-            {
-                "internalType": "uint8",
-                "name": "element",
-                "type": "uint8"
-            },
-            {
-                "internalType": "uint8",
-                "name": "quality",
-                "type": "uint8"
-            }
-        ],
-        "stateMutability": "pure",
-        "type": "function"
+    // Birth dates this many days from a sign boundary may belong to either sign
+    CUSP_DAYS: 2,
+
+    // Number of matches fetched per getUserMatches call
+    MATCHES_PAGE_SIZE: 10,
+
+    // Default contract flavour: 'mock' reveals instantly, 'basic' and 'enhanced' decrypt via the Gateway.
+    // The connected contract is probed on connect (AstralSDK.detectVariant) and that answer wins.
+    CONTRACT_VARIANT: 'mock',
+
+    // RequestStatus enum order in AstralCompatibilityEnhanced
+    REQUEST_STATUS: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'TIMED_OUT', 'REFUNDED', 'CANCELLED'],
+
+    // MatchInvitations.Status order; an OPEN invitation past expiresAt can only be declined or cancelled
+    INVITATION_STATUS: ['NONE', 'OPEN', 'ACCEPTED', 'DECLINED', 'CANCELLED'],
+
+    // In-flight reveal tracking (persisted in localStorage per contract and account)
+    REVEAL: {
+        POLL_INTERVAL: 15000,
+        STORAGE_KEY: 'astral.revealRequests'
     },
-    {
-        "inputs": [],
-        "name": "owner",
-        "outputs": [
-            {
-                "internalType": "address",
-                "name": "",
-                "type": "address"
-            }
+
+    // Default scoring model (CompatibilityScoring.configurePreset DEFAULT); replaced by getScoringConfig() when the contract has one
+    SCORING: {
+        BASE_SCORE: 50,
+        // Indexed element1 * 4 + element2 (Fire, Earth, Air, Water)
+        ELEMENT_MATRIX: [
+            20, 0, 0, 0,
+            0, 20, 0, 0,
+            0, 0, 20, 0,
+            0, 0, 0, 20
         ],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            {
-                "internalType": "address",
-                "name": "_partner",
-                "type": "address"
-            }
+        // Indexed quality1 * 3 + quality2 (Cardinal, Fixed, Mutable)
+        QUALITY_MATRIX: [
+            15, 0, 0,
+            0, 15, 0,
+            0, 0, 15
         ],
-        "name": "requestCompatibilityMatch",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
+        // Indexed by sign distance, see ASPECTS
+        ASPECT_ADJUSTMENTS: [0, 0, 0, 0, 0, 0, 0],
+        SAME_SIGN_ADJUSTMENT: -10,
+        // { signA, signB, adjustment } for unordered sign pairs
+        SIGN_PAIRS: [],
+        // Random bonus in [0, RANDOM_RANGE)
+        RANDOM_RANGE: 16
     },
-    {
-        "inputs": [
-            {
-                "internalType": "bytes32",
-                "name": "_matchId",
-                "type": "bytes32"
-            }
+
+    // Natal placement weights (getNatalWeights); SUN_MOON applies in each direction
+    NATAL_WEIGHTS: { SUN: 50, MOON: 25, RISING: 15, SUN_MOON: 5 },
+
+    // Moon or rising sign left unset (setNatalSigns)
+    NO_SIGN: 12,
+
+    // CompatibilityScoring.Preset order (setScoringPreset)
+    SCORING_PRESETS: ['DEFAULT', 'TRADITIONAL'],
+
+    // TRADITIONAL preset (CompatibilityScoring.configurePreset), same layout as SCORING
+    TRADITIONAL_SCORING: {
+        BASE_SCORE: 50,
+        // Same and complementary elements +10, opposing elements -10
+        ELEMENT_MATRIX: [
+            10, 0, 10, -10,
+            0, 10, -10, 10,
+            10, -10, 10, 0,
+            -10, 10, 0, 10
         ],
-        "name": "revealCompatibilityScore",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [],
-        "name": "totalMatches",
-        "outputs": [
-            {
-                "internalType": "uint256",
-                "name": "",
-                "type": "uint256"
-            }
+        // Same quality -5 (signs in square or opposition)
+        QUALITY_MATRIX: [
+            -5, 0, 0,
+            0, -5, 0,
+            0, 0, -5
         ],
-        "stateMutability": "view",
-        "type": "function"
+        ASPECT_ADJUSTMENTS: [0, 0, 10, -10, 15, -5, 5],
+        SAME_SIGN_ADJUSTMENT: 0,
+        SIGN_PAIRS: [],
+        RANDOM_RANGE: 16
     },
-    {
-        "inputs": [
-            {
-                "internalType": "uint8",
-                "name": "_zodiac",
-                "type": "uint8"
-            },
-            {
-                "internalType": "uint8",
-                "name": "_element",
-                "type": "uint8"
-            },
-            {
-                "internalType": "uint8",
-                "name": "_quality",
-                "type": "uint8"
-            }
-        ],
-        "name": "updateProfile",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
+
+    // Aspects by distance between two signs on the zodiac wheel (0-6)
+    ASPECTS: [
+        { distance: 0, name: 'Conjunction', nature: 'neutral' },
+        { distance: 1, name: 'Semi-sextile', nature: 'neutral' },
+        { distance: 2, name: 'Sextile', nature: 'complementary' },
+        { distance: 3, name: 'Square', nature: 'challenging' },
+        { distance: 4, name: 'Trine', nature: 'complementary' },
+        { distance: 5, name: 'Quincunx', nature: 'challenging' },
+        { distance: 6, name: 'Opposition', nature: 'complementary' }
+    ],
+
+    // Element pair relations, indexed element1 * 4 + element2
+    ELEMENT_RELATIONS: [
+        'same', 'neutral', 'complementary', 'challenging',
+        'neutral', 'same', 'challenging', 'complementary',
+        'complementary', 'challenging', 'same', 'neutral',
+        'challenging', 'complementary', 'neutral', 'same'
+    ]
+};
+
+// Address of CONTRACT_VARIANT on NETWORK, from the modules scripts/generate-abi.js writes to lib/contracts
+if (typeof AstralContracts !== 'undefined') {
+    CONFIG.CONTRACT_ADDRESS = AstralContracts.getAddress(CONFIG.NETWORK, CONFIG.CONTRACT_VARIANT);
+}
+
+// Compiled ABI for a variant (lib/contracts)
+function getContractAbi(variant = CONFIG.CONTRACT_VARIANT) {
+    return AstralContracts.getAbi(variant);
+}
+
+// Every recorded deployment the user can switch between, as { id, network, chainId, variant, address }
+function getDeployments() {
+    if (typeof AstralContracts === 'undefined') return [];
+
+    return Object.entries(AstralContracts.addresses).flatMap(([network, record]) =>
+        Object.keys(AstralContracts.VARIANT_CONTRACTS)
+            .map(variant => ({
+                id: `${network}:${variant}`,
+                network,
+                chainId: record.chainId,
+                variant,
+                address: AstralContracts.getAddress(network, variant)
+            }))
+            .filter(deployment => deployment.address)
+    );
+}
+
+// The deployment with this id, else the default one (NETWORK and CONTRACT_VARIANT), else the first
+function findDeployment(id) {
+    const deployments = getDeployments();
+    return deployments.find(deployment => deployment.id === id) ||
+        deployments.find(deployment => deployment.id === `${CONFIG.NETWORK}:${CONFIG.CONTRACT_VARIANT}`) ||
+        deployments[0] ||
+        null;
+}
+
+// Chain settings handed to the wallet when connecting to a deployment
+function networkFor(deployment) {
+    return { chainId: deployment.chainId, chainName: deployment.network, ...CONFIG.NETWORKS[deployment.network] };
+}
+
+// Day of the year in a leap year, so February 29 has a place
+// Read wallet addresses from a pasted list or CSV (mirrors the React parsePartnerList):
+// unique checksummed addresses, plus the entries whose mixed-case checksum does not match
+function parsePartnerList(text) {
+    const addresses = [];
+    const invalid = [];
+    for (const entry of (text || '').match(/\b0x[0-9a-fA-F]{40}\b/g) || []) {
+        let address;
+        try {
+            address = ethers.utils.getAddress(entry);
+        } catch (error) {
+            invalid.push(entry);
+            continue;
+        }
+        if (!addresses.includes(address)) addresses.push(address);
+    }
+    return { addresses, invalid };
+}
+
+function dayOfYear(month, day) {
+    return Math.round((Date.UTC(2000, month - 1, day) - Date.UTC(2000, 0, 1)) / 86400000);
+}
+
+/**
+ * Derive the sun sign from a birth date ('YYYY-MM-DD', as from <input type="date">).
+ * Runs entirely in the browser; the date is never stored or sent.
+ * Returns the sign id and, for dates on a cusp, the neighbouring sign id.
+ */
+function deriveZodiacFromBirthDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        throw new Error('Please enter a valid birth date');
+    }
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new Error('Please enter a valid birth date');
+    }
+    if (year < 1900 || date > new Date()) {
+        throw new Error('Birth date must be between 1900 and today');
+    }
+
+    const target = dayOfYear(month, day);
+    const byStart = CONFIG.ZODIAC_SIGNS
+        .map(zodiac => ({ id: zodiac.id, start: dayOfYear(...zodiac.start) }))
+        .sort((a, b) => a.start - b.start);
+
+    // Last sign starting on or before the date; early January still belongs to Capricorn
+    let index = byStart.length - 1;
+    byStart.forEach((entry, i) => {
+        if (entry.start <= target) index = i;
+    });
+
+    const current = byStart[index];
+    const next = byStart[(index + 1) % byStart.length];
+    const previous = byStart[(index + byStart.length - 1) % byStart.length];
+    const daysSinceStart = (target - current.start + 366) % 366;
+    const daysUntilNext = (next.start - target + 366) % 366;
+
+    let cuspZodiacId = null;
+    if (daysSinceStart < CONFIG.CUSP_DAYS) {
+        cuspZodiacId = previous.id;
+    } else if (daysUntilNext <= CONFIG.CUSP_DAYS) {
+        cuspZodiacId = next.id;
+    }
+
+    return { zodiacId: current.id, cuspZodiacId };
+}
+
+/**
+ * Check a sign, element and quality triple before it is encrypted: it must
+ * match CONFIG.ZODIAC_SIGNS and the wheel order, where elements repeat every
+ * 4 signs (Fire, Earth, Air, Water) and qualities every 3 (Cardinal, Fixed, Mutable).
+ */
+function validateZodiacProfile(zodiacId, element, quality) {
+    const zodiac = CONFIG.ZODIAC_SIGNS[zodiacId];
+    const consistent = zodiac !== undefined &&
+        zodiac.element === element && zodiac.quality === quality &&
+        element === zodiacId % 4 && quality === zodiacId % 3;
+
+    if (!consistent) {
+        throw new Error('Inconsistent zodiac profile: sign, element and quality do not match');
     }
-];
\ No newline at end of file
+}
+
+// Aspect between two signs: the shorter distance around the wheel
+function getAspect(signA, signB) {
+    const distance = (signA - signB + 12) % 12;
+    return CONFIG.ASPECTS[Math.min(distance, 12 - distance)];
+}
+
+// Convert a getScoringConfig() result into the CONFIG.SCORING shape
+function scoringModelFromChain(result) {
+    return {
+        BASE_SCORE: Number(result.baseScore),
+        ELEMENT_MATRIX: result.elementMatrix.map(Number),
+        QUALITY_MATRIX: result.qualityMatrix.map(Number),
+        ASPECT_ADJUSTMENTS: result.aspectAdjustments.map(Number),
+        SAME_SIGN_ADJUSTMENT: Number(result.sameSignAdjustment),
+        SIGN_PAIRS: result.signPairs.map(pair => ({
+            signA: Number(pair.signA),
+            signB: Number(pair.signB),
+            adjustment: Number(pair.adjustment)
+        })),
+        RANDOM_RANGE: Number(result.randomRange)
+    };
+}
+
+/**
+ * Reference implementation of the on-chain scoring model.
+ * Returns every non-zero adjustment for two signs plus the score range the
+ * random bonus can produce: clamp(base + adjustments + random, 0, 100).
+ */
+function explainCompatibility(signA, signB, model = CONFIG.SCORING) {
+    const a = CONFIG.ZODIAC_SIGNS[signA];
+    const b = CONFIG.ZODIAC_SIGNS[signB];
+    const parts = [];
+
+    const elementAdjustment = model.ELEMENT_MATRIX[a.element * 4 + b.element];
+    if (elementAdjustment !== 0) {
+        parts.push({
+            label: `${CONFIG.ELEMENTS[a.element]} + ${CONFIG.ELEMENTS[b.element]}`,
+            adjustment: elementAdjustment
+        });
+    }
+
+    const qualityAdjustment = model.QUALITY_MATRIX[a.quality * 3 + b.quality];
+    if (qualityAdjustment !== 0) {
+        parts.push({
+            label: `${CONFIG.QUALITIES[a.quality]} + ${CONFIG.QUALITIES[b.quality]}`,
+            adjustment: qualityAdjustment
+        });
+    }
+
+    const aspect = getAspect(signA, signB);
+    const aspectAdjustment = model.ASPECT_ADJUSTMENTS[aspect.distance];
+    if (aspectAdjustment !== 0) {
+        parts.push({ label: aspect.name, adjustment: aspectAdjustment });
+    }
+
+    if (signA === signB && model.SAME_SIGN_ADJUSTMENT !== 0) {
+        parts.push({ label: 'Same sign', adjustment: model.SAME_SIGN_ADJUSTMENT });
+    }
+
+    model.SIGN_PAIRS.forEach(pair => {
+        if ((pair.signA === signA && pair.signB === signB) || (pair.signA === signB && pair.signB === signA)) {
+            parts.push({ label: `${a.name} + ${b.name}`, adjustment: pair.adjustment });
+        }
+    });
+
+    const clamp = value => Math.min(Math.max(value, 0), 100);
+    const total = parts.reduce((sum, part) => sum + part.adjustment, model.BASE_SCORE);
+
+    return {
+        base: model.BASE_SCORE,
+        aspect,
+        elementRelation: CONFIG.ELEMENT_RELATIONS[a.element * 4 + b.element],
+        parts,
+        randomRange: model.RANDOM_RANGE,
+        min: clamp(total),
+        max: clamp(total + model.RANDOM_RANGE - 1)
+    };
+}
+
+// Convert a getNatalWeights() result into the CONFIG.NATAL_WEIGHTS shape
+function natalWeightsFromChain(result) {
+    return {
+        SUN: Number(result.sun),
+        MOON: Number(result.moon),
+        RISING: Number(result.rising),
+        SUN_MOON: Number(result.sunMoon)
+    };
+}
+
+/**
+ * Reference implementation of CompatibilityScoring.evaluateNatal.
+ * Charts are { sun, moon, rising } with null for unknown placements. Each
+ * placement pair is scored like explainCompatibility without the random
+ * bonus, clamped, and averaged by weight; the bonus is added once at the end.
+ */
+function explainNatalCompatibility(chartA, chartB, model = CONFIG.SCORING, weights = CONFIG.NATAL_WEIGHTS) {
+    const has = sign => sign !== null && sign !== undefined;
+    const moons = weights.MOON > 0 && has(chartA.moon) && has(chartB.moon);
+    const risings = weights.RISING > 0 && has(chartA.rising) && has(chartB.rising);
+    const sunMoons = weights.SUN_MOON > 0 && (has(chartA.moon) || has(chartB.moon));
+
+    const sun = explainCompatibility(chartA.sun, chartB.sun, model);
+    if (!moons && !risings && !sunMoons) {
+        return { ...sun, placements: [{ label: 'Sun + Sun', weight: weights.SUN, score: sun.min }] };
+    }
+
+    const clamp = value => Math.min(Math.max(value, 0), 100);
+    const placements = [];
+    const addPlacement = (label, signA, signB, weight) => {
+        const { base, parts } = explainCompatibility(signA, signB, model);
+        const score = clamp(parts.reduce((sum, part) => sum + part.adjustment, base));
+        placements.push({ label, weight, score });
+    };
+
+    addPlacement('Sun + Sun', chartA.sun, chartB.sun, weights.SUN);
+    if (moons) addPlacement('Moon + Moon', chartA.moon, chartB.moon, weights.MOON);
+    if (risings) addPlacement('Rising + Rising', chartA.rising, chartB.rising, weights.RISING);
+    if (sunMoons && has(chartB.moon)) addPlacement('Sun + Moon', chartA.sun, chartB.moon, weights.SUN_MOON);
+    if (sunMoons && has(chartA.moon)) addPlacement('Moon + Sun', chartA.moon, chartB.sun, weights.SUN_MOON);
+
+    const sum = placements.reduce((total, placement) => total + placement.score * placement.weight, 0);
+    const weight = placements.reduce((total, placement) => total + placement.weight, 0);
+    const average = Math.floor(sum / weight);
+
+    return {
+        ...sun,
+        placements,
+        min: Math.min(average, 100),
+        max: Math.min(average + model.RANDOM_RANGE - 1, 100)
+    };
+}
@@ -0,0 +1,84 @@
+// Generated by scripts/generate-abi.js - do not edit (source: artifacts AstralCompatibility)
+(function (root, value) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = value;
+  } else {
+    root.AstralContracts = root.AstralContracts || { abis: {}, addresses: {} };
+    root.AstralContracts.abis["AstralCompatibility"] = value;
+  }
+})(typeof self !== "undefined" ? self : this, [
+  {"inputs":[{"internalType":"address[]","name":"_pauserAddresses","type":"address[]"},{"internalType":"uint256","name":"_kmsGeneration","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"score","type":"uint8"}],"name":"CompatibilityRevealed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"by","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ContractPaused","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"by","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ContractUnpaused","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":false,"internalType":"uint256","name":"kmsGeneration","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"DecryptionRequested","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"address","name":"kmsNode","type":"address"},{"indexed":false,"internalType":"bytes","name":"encryptedShare","type":"bytes"},{"indexed":false,"internalType":"bytes","name":"signature","type":"bytes"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"DecryptionResponse","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"bytes32","name":"displayName","type":"bytes32"},{"indexed":false,"internalType":"bytes32","name":"handle","type":"bytes32"}],"name":"DirectoryListed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"}],"name":"DirectoryUnlisted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldGeneration","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newGeneration","type":"uint256"}],"name":"KmsGenerationUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"MatchCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationAccepted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"},{"indexed":false,"internalType":"uint256","name":"expiresAt","type":"uint256"}],"name":"MatchInvitationCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationDeclined","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"},{"indexed":false,"internalType":"bytes32","name":"matchId","type":"bytes32"}],"name":"MatchRequested","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"pauser","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"PauserAdded","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"pauser","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"PauserRemoved","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"}],"name":"ProfileCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ProfileDeleted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"ScoreRevealedPrivately","type":"event"},
+  {"inputs":[],"name":"DELETION_PAGE_SIZE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"acceptMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_pauser","type":"address"}],"name":"addPauser","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"cancelMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_offset","type":"uint256"}],"name":"clearDeletedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"externalEuint8","name":"_zodiac","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"}],"name":"createEncryptedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"},{"internalType":"uint8","name":"_element","type":"uint8"},{"internalType":"uint8","name":"_quality","type":"uint8"}],"name":"createProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"declineMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"decryptionRequestCounter","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"decryptionRequests","outputs":[{"internalType":"uint256","name":"requestId","type":"uint256"},{"internalType":"address","name":"requester","type":"address"},{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"bool","name":"fulfilled","type":"bool"},{"internalType":"uint256","name":"kmsGeneration","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"deleteProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user1","type":"address"},{"internalType":"address","name":"_user2","type":"address"}],"name":"generateMatchId","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_requestId","type":"uint256"}],"name":"getDecryptionRequestInfo","outputs":[{"internalType":"address","name":"requester","type":"address"},{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"bool","name":"fulfilled","type":"bool"},{"internalType":"uint256","name":"kmsGen","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getDirectory","outputs":[{"components":[{"internalType":"address","name":"user","type":"address"},{"internalType":"bytes32","name":"displayName","type":"bytes32"},{"internalType":"bytes32","name":"handle","type":"bytes32"},{"internalType":"uint256","name":"listedAt","type":"uint256"}],"internalType":"struct AstralCompatibility.Listing[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDirectoryListing","outputs":[{"components":[{"internalType":"address","name":"user","type":"address"},{"internalType":"bytes32","name":"displayName","type":"bytes32"},{"internalType":"bytes32","name":"handle","type":"bytes32"},{"internalType":"uint256","name":"listedAt","type":"uint256"}],"internalType":"struct AstralCompatibility.Listing","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getEncryptedScore","outputs":[{"internalType":"euint8","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getMatchInfo","outputs":[{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"uint256","name":"matchTime","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getMatchInvitation","outputs":[{"internalType":"address","name":"requester","type":"address"},{"internalType":"address","name":"partner","type":"address"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"enum AstralCompatibility.InvitationStatus","name":"status","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_index","type":"uint256"}],"name":"getPauserAtIndex","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getPauserCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getUserInvitations","outputs":[{"components":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"address","name":"requester","type":"address"},{"internalType":"address","name":"partner","type":"address"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"enum AstralCompatibility.InvitationStatus","name":"status","type":"uint8"}],"internalType":"struct AstralCompatibility.InvitationSummary[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getUserMatches","outputs":[{"components":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"bool","name":"isPrivatelyRevealed","type":"bool"},{"internalType":"bool","name":"isCancelled","type":"bool"},{"internalType":"uint256","name":"matchTime","type":"uint256"}],"internalType":"struct AstralCompatibility.MatchSummary[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserProfileStatus","outputs":[{"internalType":"bool","name":"profileExists","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserStats","outputs":[{"internalType":"uint256","name":"matchCount","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"}],"name":"getZodiacInfo","outputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"uint8","name":"element","type":"uint8"},{"internalType":"uint8","name":"quality","type":"uint8"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[],"name":"invitationExpiry","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isContractPaused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"isMatchValid","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isPaused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_address","type":"address"}],"name":"isPauser","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"isPauserAddress","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isPublicDecryptAllowed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"kmsGeneration","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_displayName","type":"bytes32"},{"internalType":"bytes32","name":"_handle","type":"bytes32"}],"name":"listInDirectory","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"name":"matches","outputs":[{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"euint8","name":"compatibilityScore","type":"bytes32"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"bool","name":"isPrivatelyRevealed","type":"bool"},{"internalType":"bool","name":"isCancelled","type":"bool"},{"internalType":"uint256","name":"matchTime","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"pauserAddresses","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"uint8","name":"decryptedValue","type":"uint8"}],"name":"processScoreReveal","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"protocolId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_pauser","type":"address"}],"name":"removePauser","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_partner","type":"address"}],"name":"requestCompatibilityMatch","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"revealCompatibilityScore","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"revealScorePrivately","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_requestId","type":"uint256"},{"internalType":"bytes","name":"_encryptedShare","type":"bytes"},{"internalType":"bytes","name":"_signature","type":"bytes"}],"name":"submitDecryptionResponse","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"totalMatches","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"unlistFromDirectory","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"externalEuint8","name":"_zodiac","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"}],"name":"updateEncryptedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_newGeneration","type":"uint256"}],"name":"updateKmsGeneration","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"},{"internalType":"uint8","name":"_element","type":"uint8"},{"internalType":"uint8","name":"_quality","type":"uint8"}],"name":"updateProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userMatchCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"userMatchIds","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userProfiles","outputs":[{"internalType":"euint8","name":"encryptedZodiac","type":"bytes32"},{"internalType":"euint8","name":"encryptedElement","type":"bytes32"},{"internalType":"euint8","name":"encryptedQuality","type":"bytes32"},{"internalType":"bool","name":"hasProfile","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"stateMutability":"view","type":"function"}
+]);
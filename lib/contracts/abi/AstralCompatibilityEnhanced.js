@@ -0,0 +1,147 @@
+// Generated by scripts/generate-abi.js - do not edit (source: artifacts AstralCompatibilityEnhanced)
+(function (root, value) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = value;
+  } else {
+    root.AstralContracts = root.AstralContracts || { abis: {}, addresses: {} };
+    root.AstralContracts.abis["AstralCompatibilityEnhanced"] = value;
+  }
+})(typeof self !== "undefined" ? self : this, [
+  {"inputs":[{"internalType":"address[]","name":"_pauserAddresses","type":"address[]"},{"internalType":"uint256","name":"_kmsGeneration","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"address[]","name":"candidates","type":"address[]"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"BestMatchSearched","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"score","type":"uint8"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"CompatibilityRevealed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"by","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ContractPaused","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"by","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ContractUnpaused","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"revealedScore","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"DecryptionCompleted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"string","name":"reason","type":"string"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"DecryptionFailed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":false,"internalType":"uint256","name":"kmsGeneration","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timeoutDeadline","type":"uint256"}],"name":"DecryptionRequested","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"DecryptionTimedOut","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"bytes32","name":"displayName","type":"bytes32"},{"indexed":false,"internalType":"bytes32","name":"handle","type":"bytes32"}],"name":"DirectoryListed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"}],"name":"DirectoryUnlisted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"string","name":"reason","type":"string"}],"name":"EmergencyWithdrawal","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"averageScore","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"minPairScore","type":"uint8"}],"name":"GroupCompatibilityRevealed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"by","type":"address"}],"name":"GroupMatchCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"creator","type":"address"},{"indexed":false,"internalType":"address[]","name":"members","type":"address[]"},{"indexed":false,"internalType":"uint256","name":"expiresAt","type":"uint256"}],"name":"GroupMatchCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"GroupMatchScored","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"member","type":"address"},{"indexed":false,"internalType":"uint256","name":"joinedCount","type":"uint256"}],"name":"GroupMemberJoined","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":false,"internalType":"uint256","name":"timeoutDeadline","type":"uint256"}],"name":"GroupRevealRequested","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldExpiry","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newExpiry","type":"uint256"}],"name":"InvitationExpiryUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldGeneration","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newGeneration","type":"uint256"}],"name":"KmsGenerationUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"MatchCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"payer","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"MatchFeePaid","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldFee","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newFee","type":"uint256"}],"name":"MatchFeeUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationAccepted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"},{"indexed":false,"internalType":"uint256","name":"expiresAt","type":"uint256"}],"name":"MatchInvitationCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationDeclined","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"},{"indexed":false,"internalType":"string","name":"reason","type":"string"}],"name":"MatchRequestFailed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"},{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"feePaid","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"MatchRequested","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"bool","name":"hasMoon","type":"bool"},{"indexed":false,"internalType":"bool","name":"hasRising","type":"bool"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"NatalSignsUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"pauser","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"PauserAdded","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"pauser","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"PauserRemoved","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"PlatformFeesWithdrawn","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ProfileCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ProfileDeleted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ProfileUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"RefundClaimed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"string","name":"reason","type":"string"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"RefundIssued","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"ScoreRevealedPrivately","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"version","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ScoringConfigUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldTimeout","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newTimeout","type":"uint256"}],"name":"TimeoutUpdated","type":"event"},
+  {"inputs":[],"name":"DELETION_PAGE_SIZE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_BATCH_INVITATIONS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_BATCH_REVEALS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_GROUP_SIZE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_INVITATION_EXPIRY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_SEARCH_CANDIDATES","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_TIMEOUT","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MIN_INVITATION_EXPIRY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MIN_TIMEOUT","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"NO_SIGN","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PLATFORM_FEE_BPS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PRIVACY_MULTIPLIER","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"acceptMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_pauser","type":"address"}],"name":"addPauser","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"cancelMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"claimTimeoutRefund","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_offset","type":"uint256"}],"name":"clearDeletedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"externalEuint8","name":"_zodiac","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"}],"name":"createEncryptedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address[]","name":"_members","type":"address[]"}],"name":"createGroupMatch","outputs":[{"internalType":"bytes32","name":"groupId","type":"bytes32"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"},{"internalType":"uint8","name":"_element","type":"uint8"},{"internalType":"uint8","name":"_quality","type":"uint8"}],"name":"createProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"declineMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"decryptionRequestCounter","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"deleteProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_to","type":"address"},{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"emergencyWithdraw","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"name":"feeLedger","outputs":[{"internalType":"address","name":"payer","type":"address"},{"internalType":"uint256","name":"amountPaid","type":"uint256"},{"internalType":"uint256","name":"platformFee","type":"uint256"},{"internalType":"uint256","name":"escrowed","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address[]","name":"_candidates","type":"address[]"}],"name":"findBestMatch","outputs":[{"internalType":"euint8","name":"bestIndex","type":"bytes32"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user1","type":"address"},{"internalType":"address","name":"_user2","type":"address"}],"name":"generateMatchId","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[],"name":"getBestMatchIndex","outputs":[{"internalType":"euint8","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getContractStats","outputs":[{"internalType":"uint256","name":"_totalMatches","type":"uint256"},{"internalType":"uint256","name":"_totalRefunds","type":"uint256"},{"internalType":"uint256","name":"_platformFees","type":"uint256"},{"internalType":"uint256","name":"_matchFee","type":"uint256"},{"internalType":"uint256","name":"_requestTimeout","type":"uint256"},{"internalType":"bool","name":"_isPaused","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_requestId","type":"uint256"}],"name":"getDecryptionRequestInfo","outputs":[{"internalType":"address","name":"requester","type":"address"},{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"timeoutDeadline","type":"uint256"},{"internalType":"enum RequestStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"kmsGen","type":"uint256"},{"internalType":"uint256","name":"feePaid","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_requestId","type":"uint256"}],"name":"getDecryptionRequestMatches","outputs":[{"internalType":"bytes32[]","name":"","type":"bytes32[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getDirectory","outputs":[{"components":[{"internalType":"address","name":"user","type":"address"},{"internalType":"bytes32","name":"displayName","type":"bytes32"},{"internalType":"bytes32","name":"handle","type":"bytes32"},{"internalType":"uint256","name":"listedAt","type":"uint256"}],"internalType":"struct ProfileRegistry.Listing[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDirectoryListing","outputs":[{"components":[{"internalType":"address","name":"user","type":"address"},{"internalType":"bytes32","name":"displayName","type":"bytes32"},{"internalType":"bytes32","name":"handle","type":"bytes32"},{"internalType":"uint256","name":"listedAt","type":"uint256"}],"internalType":"struct ProfileRegistry.Listing","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getEncryptedScore","outputs":[{"internalType":"euint8","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"getGroupMatch","outputs":[{"internalType":"address","name":"creator","type":"address"},{"internalType":"address[]","name":"members","type":"address[]"},{"internalType":"uint256","name":"joinedCount","type":"uint256"},{"internalType":"enum GroupStatus","name":"status","type":"uint8"},{"internalType":"uint8","name":"publicAverage","type":"uint8"},{"internalType":"uint8","name":"publicMinPair","type":"uint8"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getMatchInfo","outputs":[{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"uint256","name":"matchTime","type":"uint256"},{"internalType":"uint256","name":"feePaid","type":"uint256"},{"internalType":"enum RequestStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"timeoutDeadline","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getMatchInvitation","outputs":[{"internalType":"address","name":"requester","type":"address"},{"internalType":"address","name":"partner","type":"address"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"enum MatchInvitations.Status","name":"status","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getNatalProfileStatus","outputs":[{"internalType":"bool","name":"hasMoon","type":"bool"},{"internalType":"bool","name":"hasRising","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getNatalWeights","outputs":[{"internalType":"uint8","name":"sun","type":"uint8"},{"internalType":"uint8","name":"moon","type":"uint8"},{"internalType":"uint8","name":"rising","type":"uint8"},{"internalType":"uint8","name":"sunMoon","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_index","type":"uint256"}],"name":"getPauserAtIndex","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getPauserCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getScoringConfig","outputs":[{"internalType":"uint8","name":"baseScore","type":"uint8"},{"internalType":"int8[]","name":"elementMatrix","type":"int8[]"},{"internalType":"int8[]","name":"qualityMatrix","type":"int8[]"},{"internalType":"int8[]","name":"aspectAdjustments","type":"int8[]"},{"internalType":"int8","name":"sameSignAdjustment","type":"int8"},{"components":[{"internalType":"uint8","name":"signA","type":"uint8"},{"internalType":"uint8","name":"signB","type":"uint8"},{"internalType":"int8","name":"adjustment","type":"int8"}],"internalType":"struct CompatibilityScoring.SignPairAdjustment[]","name":"signPairs","type":"tuple[]"},{"internalType":"uint8","name":"randomRange","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserGroupMatches","outputs":[{"internalType":"bytes32[]","name":"","type":"bytes32[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getUserInvitations","outputs":[{"components":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"address","name":"requester","type":"address"},{"internalType":"address","name":"partner","type":"address"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"enum MatchInvitations.Status","name":"status","type":"uint8"}],"internalType":"struct MatchInvitations.Summary[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getUserMatches","outputs":[{"components":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"bool","name":"isPrivatelyRevealed","type":"bool"},{"internalType":"uint256","name":"matchTime","type":"uint256"},{"internalType":"uint256","name":"feePaid","type":"uint256"},{"internalType":"enum RequestStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"timeoutDeadline","type":"uint256"}],"internalType":"struct MatchSummary[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserProfileStatus","outputs":[{"internalType":"bool","name":"profileExists","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserStats","outputs":[{"internalType":"uint256","name":"matchCount","type":"uint256"},{"internalType":"uint256","name":"pendingRefundAmount","type":"uint256"},{"internalType":"bool","name":"hasProfile","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"}],"name":"getZodiacInfo","outputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"uint8","name":"element","type":"uint8"},{"internalType":"uint8","name":"quality","type":"uint8"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"},{"internalType":"address","name":"_member","type":"address"}],"name":"hasJoinedGroup","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"invitationExpiry","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isContractPaused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"isMatchValid","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isPaused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_address","type":"address"}],"name":"isPauser","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"isPublicDecryptAllowed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"joinGroupMatch","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"kmsGeneration","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"leaveGroupMatch","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_displayName","type":"bytes32"},{"internalType":"bytes32","name":"_handle","type":"bytes32"}],"name":"listInDirectory","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"matchFee","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"pendingRefunds","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"platformFees","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"protocolId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_pauser","type":"address"}],"name":"removePauser","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_partner","type":"address"}],"name":"requestCompatibilityMatch","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[{"internalType":"address[]","name":"_partners","type":"address[]"}],"name":"requestCompatibilityMatches","outputs":[{"internalType":"uint256","name":"created","type":"uint256"}],"stateMutability":"payable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"requestRevealGroupScore","outputs":[{"internalType":"uint256","name":"requestId","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"requestRevealScore","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32[]","name":"_matchIds","type":"bytes32[]"}],"name":"requestRevealScores","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"requestTimeout","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"requestId","type":"uint256"},{"internalType":"bytes","name":"cleartexts","type":"bytes"},{"internalType":"bytes","name":"decryptionProof","type":"bytes"}],"name":"resolveTallyCallback","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"revealScorePrivately","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"scoringConfigVersion","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"externalEuint8","name":"_moon","type":"bytes32"},{"internalType":"externalEuint8","name":"_rising","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"}],"name":"setEncryptedNatalSigns","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_moon","type":"uint8"},{"internalType":"uint8","name":"_rising","type":"uint8"}],"name":"setNatalSigns","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_sun","type":"uint8"},{"internalType":"uint8","name":"_moon","type":"uint8"},{"internalType":"uint8","name":"_rising","type":"uint8"},{"internalType":"uint8","name":"_sunMoon","type":"uint8"}],"name":"setNatalWeights","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_baseScore","type":"uint8"},{"internalType":"int8[]","name":"_elementMatrix","type":"int8[]"},{"internalType":"int8[]","name":"_qualityMatrix","type":"int8[]"},{"internalType":"int8[]","name":"_aspectAdjustments","type":"int8[]"},{"internalType":"int8","name":"_sameSignAdjustment","type":"int8"},{"components":[{"internalType":"uint8","name":"signA","type":"uint8"},{"internalType":"uint8","name":"signB","type":"uint8"},{"internalType":"int8","name":"adjustment","type":"int8"}],"internalType":"struct CompatibilityScoring.SignPairAdjustment[]","name":"_signPairs","type":"tuple[]"},{"internalType":"uint8","name":"_randomRange","type":"uint8"}],"name":"setScoringConfig","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"enum CompatibilityScoring.Preset","name":"_preset","type":"uint8"}],"name":"setScoringPreset","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"totalEscrowed","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalMatches","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalRefunds","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"unlistFromDirectory","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"externalEuint8","name":"_zodiac","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"}],"name":"updateEncryptedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_newExpiry","type":"uint256"}],"name":"updateInvitationExpiry","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_newGeneration","type":"uint256"}],"name":"updateKmsGeneration","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_newFee","type":"uint256"}],"name":"updateMatchFee","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"},{"internalType":"uint8","name":"_element","type":"uint8"},{"internalType":"uint8","name":"_quality","type":"uint8"}],"name":"updateProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_newTimeout","type":"uint256"}],"name":"updateRequestTimeout","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userMatchCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userProfiles","outputs":[{"internalType":"euint8","name":"encryptedZodiac","type":"bytes32"},{"internalType":"euint8","name":"encryptedElement","type":"bytes32"},{"internalType":"euint8","name":"encryptedQuality","type":"bytes32"},{"internalType":"euint8","name":"encryptedMoon","type":"bytes32"},{"internalType":"euint8","name":"encryptedRising","type":"bytes32"},{"internalType":"bool","name":"hasProfile","type":"bool"},{"internalType":"bool","name":"hasMoon","type":"bool"},{"internalType":"bool","name":"hasRising","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_to","type":"address"}],"name":"withdrawPlatformFees","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"withdrawRefunds","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"stateMutability":"payable","type":"receive"}
+]);
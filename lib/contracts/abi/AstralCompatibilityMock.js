@@ -0,0 +1,89 @@
+// Generated by scripts/generate-abi.js - do not edit (source: artifacts AstralCompatibilityMock)
+(function (root, value) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = value;
+  } else {
+    root.AstralContracts = root.AstralContracts || { abis: {}, addresses: {} };
+    root.AstralContracts.abis["AstralCompatibilityMock"] = value;
+  }
+})(typeof self !== "undefined" ? self : this, [
+  {"inputs":[],"stateMutability":"nonpayable","type":"constructor"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"address[]","name":"candidates","type":"address[]"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"BestMatchSearched","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"score","type":"uint8"}],"name":"CompatibilityRevealed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"bytes32","name":"displayName","type":"bytes32"},{"indexed":false,"internalType":"bytes32","name":"handle","type":"bytes32"}],"name":"DirectoryListed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"}],"name":"DirectoryUnlisted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":false,"internalType":"uint8","name":"averageScore","type":"uint8"},{"indexed":false,"internalType":"uint8","name":"minPairScore","type":"uint8"}],"name":"GroupCompatibilityRevealed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"by","type":"address"}],"name":"GroupMatchCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"creator","type":"address"},{"indexed":false,"internalType":"address[]","name":"members","type":"address[]"},{"indexed":false,"internalType":"uint256","name":"expiresAt","type":"uint256"}],"name":"GroupMatchCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"GroupMatchScored","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"groupId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"member","type":"address"},{"indexed":false,"internalType":"uint256","name":"joinedCount","type":"uint256"}],"name":"GroupMemberJoined","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"MatchCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationAccepted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"},{"indexed":false,"internalType":"uint256","name":"expiresAt","type":"uint256"}],"name":"MatchInvitationCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"}],"name":"MatchInvitationDeclined","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"requester","type":"address"},{"indexed":true,"internalType":"address","name":"partner","type":"address"},{"indexed":false,"internalType":"string","name":"reason","type":"string"}],"name":"MatchRequestFailed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"},{"indexed":false,"internalType":"bytes32","name":"matchId","type":"bytes32"}],"name":"MatchRequested","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"bool","name":"hasMoon","type":"bool"},{"indexed":false,"internalType":"bool","name":"hasRising","type":"bool"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"NatalSignsUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"}],"name":"ProfileCreated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ProfileDeleted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"matchId","type":"bytes32"},{"indexed":true,"internalType":"address","name":"user1","type":"address"},{"indexed":true,"internalType":"address","name":"user2","type":"address"}],"name":"ScoreRevealedPrivately","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"version","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"ScoringConfigUpdated","type":"event"},
+  {"inputs":[],"name":"ASPECT_COUNT","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"DELETION_PAGE_SIZE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_BATCH_INVITATIONS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_GROUP_SIZE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_NATAL_WEIGHT","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_SEARCH_CANDIDATES","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_SIGN_PAIRS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"NO_SIGN","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"acceptMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"cancelMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_offset","type":"uint256"}],"name":"clearDeletedProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address[]","name":"_members","type":"address[]"}],"name":"createGroupMatch","outputs":[{"internalType":"bytes32","name":"groupId","type":"bytes32"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"},{"internalType":"uint8","name":"_element","type":"uint8"},{"internalType":"uint8","name":"_quality","type":"uint8"}],"name":"createProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"declineMatchInvitation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"deleteProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address[]","name":"_candidates","type":"address[]"}],"name":"findBestMatch","outputs":[{"internalType":"uint8","name":"bestIndex","type":"uint8"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user1","type":"address"},{"internalType":"address","name":"_user2","type":"address"}],"name":"generateMatchId","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[],"name":"getBestMatchIndex","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getDirectory","outputs":[{"components":[{"internalType":"address","name":"user","type":"address"},{"internalType":"bytes32","name":"displayName","type":"bytes32"},{"internalType":"bytes32","name":"handle","type":"bytes32"},{"internalType":"uint256","name":"listedAt","type":"uint256"}],"internalType":"struct AstralCompatibilityMock.Listing[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getDirectoryListing","outputs":[{"components":[{"internalType":"address","name":"user","type":"address"},{"internalType":"bytes32","name":"displayName","type":"bytes32"},{"internalType":"bytes32","name":"handle","type":"bytes32"},{"internalType":"uint256","name":"listedAt","type":"uint256"}],"internalType":"struct AstralCompatibilityMock.Listing","name":"","type":"tuple"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"getGroupMatch","outputs":[{"internalType":"address","name":"creator","type":"address"},{"internalType":"address[]","name":"members","type":"address[]"},{"internalType":"uint256","name":"joinedCount","type":"uint256"},{"internalType":"enum AstralCompatibilityMock.GroupStatus","name":"status","type":"uint8"},{"internalType":"uint8","name":"publicAverage","type":"uint8"},{"internalType":"uint8","name":"publicMinPair","type":"uint8"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getMatchInfo","outputs":[{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"uint256","name":"matchTime","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getMatchInvitation","outputs":[{"internalType":"address","name":"requester","type":"address"},{"internalType":"address","name":"partner","type":"address"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"enum AstralCompatibilityMock.InvitationStatus","name":"status","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getNatalProfileStatus","outputs":[{"internalType":"bool","name":"hasMoon","type":"bool"},{"internalType":"bool","name":"hasRising","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getNatalWeights","outputs":[{"internalType":"uint8","name":"sun","type":"uint8"},{"internalType":"uint8","name":"moon","type":"uint8"},{"internalType":"uint8","name":"rising","type":"uint8"},{"internalType":"uint8","name":"sunMoon","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"getPrivateScore","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getScoringConfig","outputs":[{"internalType":"uint8","name":"baseScore","type":"uint8"},{"internalType":"int8[]","name":"elementMatrix","type":"int8[]"},{"internalType":"int8[]","name":"qualityMatrix","type":"int8[]"},{"internalType":"int8[]","name":"aspectAdjustments","type":"int8[]"},{"internalType":"int8","name":"sameSignAdjustment","type":"int8"},{"components":[{"internalType":"uint8","name":"signA","type":"uint8"},{"internalType":"uint8","name":"signB","type":"uint8"},{"internalType":"int8","name":"adjustment","type":"int8"}],"internalType":"struct AstralCompatibilityMock.SignPairAdjustment[]","name":"signPairs","type":"tuple[]"},{"internalType":"uint8","name":"randomRange","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserGroupMatches","outputs":[{"internalType":"bytes32[]","name":"","type":"bytes32[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getUserInvitations","outputs":[{"components":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"address","name":"requester","type":"address"},{"internalType":"address","name":"partner","type":"address"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"enum AstralCompatibilityMock.InvitationStatus","name":"status","type":"uint8"}],"internalType":"struct AstralCompatibilityMock.InvitationSummary[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_offset","type":"uint256"},{"internalType":"uint256","name":"_limit","type":"uint256"}],"name":"getUserMatches","outputs":[{"components":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"bool","name":"isPrivatelyRevealed","type":"bool"},{"internalType":"bool","name":"isCancelled","type":"bool"},{"internalType":"uint256","name":"matchTime","type":"uint256"}],"internalType":"struct AstralCompatibilityMock.MatchSummary[]","name":"page","type":"tuple[]"},{"internalType":"uint256","name":"total","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserProfileStatus","outputs":[{"internalType":"bool","name":"hasProfile","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserStats","outputs":[{"internalType":"uint256","name":"matchCount","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"}],"name":"getZodiacInfo","outputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"uint8","name":"element","type":"uint8"},{"internalType":"uint8","name":"quality","type":"uint8"}],"stateMutability":"pure","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"},{"internalType":"address","name":"_member","type":"address"}],"name":"hasJoinedGroup","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"invitationExpiry","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"joinGroupMatch","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"leaveGroupMatch","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_displayName","type":"bytes32"},{"internalType":"bytes32","name":"_handle","type":"bytes32"}],"name":"listInDirectory","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"name":"matches","outputs":[{"internalType":"address","name":"user1","type":"address"},{"internalType":"address","name":"user2","type":"address"},{"internalType":"uint8","name":"compatibilityScore","type":"uint8"},{"internalType":"bool","name":"isRevealed","type":"bool"},{"internalType":"uint8","name":"publicScore","type":"uint8"},{"internalType":"bool","name":"isPrivatelyRevealed","type":"bool"},{"internalType":"bool","name":"isCancelled","type":"bool"},{"internalType":"uint256","name":"matchTime","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"matchId","type":"bytes32"},{"internalType":"uint8","name":"decryptedValue","type":"uint8"}],"name":"processScoreReveal","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_partner","type":"address"}],"name":"requestCompatibilityMatch","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address[]","name":"_partners","type":"address[]"}],"name":"requestCompatibilityMatches","outputs":[{"internalType":"uint256","name":"created","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"revealCompatibilityScore","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_groupId","type":"bytes32"}],"name":"revealGroupScore","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"_matchId","type":"bytes32"}],"name":"revealScorePrivately","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"scoringConfigVersion","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_moon","type":"uint8"},{"internalType":"uint8","name":"_rising","type":"uint8"}],"name":"setNatalSigns","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_sun","type":"uint8"},{"internalType":"uint8","name":"_moon","type":"uint8"},{"internalType":"uint8","name":"_rising","type":"uint8"},{"internalType":"uint8","name":"_sunMoon","type":"uint8"}],"name":"setNatalWeights","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_baseScore","type":"uint8"},{"internalType":"int8[]","name":"_elementMatrix","type":"int8[]"},{"internalType":"int8[]","name":"_qualityMatrix","type":"int8[]"},{"internalType":"int8[]","name":"_aspectAdjustments","type":"int8[]"},{"internalType":"int8","name":"_sameSignAdjustment","type":"int8"},{"components":[{"internalType":"uint8","name":"signA","type":"uint8"},{"internalType":"uint8","name":"signB","type":"uint8"},{"internalType":"int8","name":"adjustment","type":"int8"}],"internalType":"struct AstralCompatibilityMock.SignPairAdjustment[]","name":"_signPairs","type":"tuple[]"},{"internalType":"uint8","name":"_randomRange","type":"uint8"}],"name":"setScoringConfig","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"enum AstralCompatibilityMock.ScoringPreset","name":"_preset","type":"uint8"}],"name":"setScoringPreset","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"totalMatches","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"unlistFromDirectory","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint8","name":"_zodiac","type":"uint8"},{"internalType":"uint8","name":"_element","type":"uint8"},{"internalType":"uint8","name":"_quality","type":"uint8"}],"name":"updateProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userMatchCount","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"userMatchIds","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userProfiles","outputs":[{"internalType":"uint8","name":"zodiac","type":"uint8"},{"internalType":"uint8","name":"element","type":"uint8"},{"internalType":"uint8","name":"quality","type":"uint8"},{"internalType":"uint8","name":"moon","type":"uint8"},{"internalType":"uint8","name":"rising","type":"uint8"},{"internalType":"bool","name":"hasProfile","type":"bool"},{"internalType":"bool","name":"hasMoon","type":"bool"},{"internalType":"bool","name":"hasRising","type":"bool"},{"internalType":"uint256","name":"timestamp","type":"uint256"}],"stateMutability":"view","type":"function"}
+]);
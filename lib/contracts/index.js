@@ -0,0 +1,41 @@
+// Generated by scripts/generate-abi.js - do not edit
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      {
+        AstralCompatibility: require("./abi/AstralCompatibility"),
+        AstralCompatibilityEnhanced: require("./abi/AstralCompatibilityEnhanced"),
+        AstralCompatibilityMock: require("./abi/AstralCompatibilityMock"),
+      },
+      {}
+    );
+  } else {
+    const generated = root.AstralContracts || { abis: {}, addresses: {} };
+    root.AstralContracts = factory(generated.abis, generated.addresses);
+  }
+})(typeof self !== "undefined" ? self : this, function (abis, addresses) {
+  "use strict";
+
+  // Contract behind each CONTRACT_VARIANT
+  const VARIANT_CONTRACTS = {
+    basic: "AstralCompatibility",
+    enhanced: "AstralCompatibilityEnhanced",
+    mock: "AstralCompatibilityMock",
+  };
+
+  function getAbi(variant) {
+    const abi = abis[VARIANT_CONTRACTS[variant]];
+    if (!abi) {
+      throw new Error(`No ABI for contract variant "${variant}"`);
+    }
+    return abi;
+  }
+
+  // Deployed address of the variant on a network, or null when it is not deployed there
+  function getAddress(network, variant) {
+    const deployment = addresses[network];
+    return (deployment && deployment.contracts[VARIANT_CONTRACTS[variant]]) || null;
+  }
+
+  return { abis, addresses, VARIANT_CONTRACTS, getAbi, getAddress };
+});
@@ -0,0 +1,292 @@
+// Type declarations for @astral/fhevm-sdk
+
+/** Contract flavour the client talks to */
+export type ContractVariant = "basic" | "enhanced" | "mock";
+
+/** Integer as returned by the caller's ethers version: BigNumber (v5) or bigint (v6) */
+export type ChainInteger = bigint | { toString(): string };
+
+/** Minimal EIP-1193 provider, e.g. window.ethereum */
+export interface Eip1193Provider {
+  request(args: { method: string; params?: unknown[] }): Promise<any>;
+}
+
+export interface NetworkConfig {
+  chainId: number;
+  chainName?: string;
+  rpcUrl?: string;
+  explorerUrl?: string;
+}
+
+/** The parts of a relayer SDK instance (createInstance from @zama-fhe/relayer-sdk) the client uses */
+export interface FhevmInstance {
+  createEncryptedInput(contractAddress: string, userAddress: string): {
+    add8(value: number): void;
+    encrypt(): Promise<{ handles: Array<string | Uint8Array>; inputProof: string | Uint8Array }>;
+  };
+  generateKeypair(): { publicKey: string; privateKey: string };
+  createEIP712(
+    publicKey: string,
+    contractAddresses: string[],
+    startTimestamp: string | number,
+    durationDays: string | number
+  ): {
+    domain: Record<string, unknown>;
+    types: Record<string, Array<{ name: string; type: string }>>;
+    primaryType: string;
+    message: Record<string, unknown>;
+  };
+  userDecrypt(
+    handles: Array<{ handle: string | Uint8Array; contractAddress: string }>,
+    privateKey: string,
+    publicKey: string,
+    signature: string,
+    contractAddresses: string[],
+    userAddress: string,
+    startTimestamp: string | number,
+    durationDays: string | number
+  ): Promise<Record<string, bigint | boolean | string>>;
+}
+
+export interface AstralClientOptions {
+  /** The ethers namespace, v5 or v6 */
+  ethers: any;
+  address: string;
+  abi: readonly any[];
+  /** Defaults to 'enhanced' */
+  variant?: ContractVariant;
+  /** Lazy factory for the relayer SDK instance; without it profiles go in plaintext */
+  createFhevmInstance?: () => Promise<FhevmInstance>;
+}
+
+/** Moon and rising signs, 0 to 11, or null when unknown */
+export interface NatalSigns {
+  moon?: number | null;
+  rising?: number | null;
+}
+
+/** Natal placement weights in the CONFIG.NATAL_WEIGHTS shape */
+export interface NatalWeights {
+  SUN: number;
+  MOON: number;
+  RISING: number;
+  SUN_MOON: number;
+}
+
+/** Scoring model in the CONFIG.SCORING shape */
+export interface ScoringModel {
+  BASE_SCORE: number;
+  ELEMENT_MATRIX: number[];
+  QUALITY_MATRIX: number[];
+  ASPECT_ADJUSTMENTS: number[];
+  SAME_SIGN_ADJUSTMENT: number;
+  SIGN_PAIRS: Array<{ signA: number; signB: number; adjustment: number }>;
+  RANDOM_RANGE: number;
+}
+
+export interface MatchInfo {
+  matchId: string;
+  user1: string;
+  user2: string;
+  isRevealed: boolean;
+  publicScore: number | ChainInteger;
+  matchTime: ChainInteger;
+  feePaid?: ChainInteger;
+  status?: number | ChainInteger;
+  timeoutDeadline?: ChainInteger;
+  [field: string]: any;
+}
+
+export interface Invitation {
+  matchId: string;
+  requester: string;
+  partner: string;
+  expiresAt: ChainInteger;
+  status: number | ChainInteger;
+  [field: string]: any;
+}
+
+export interface DirectoryListing {
+  user: string;
+  displayName: string;
+  handle: string;
+  listedAt: number;
+}
+
+export interface GroupMatch {
+  groupId: string;
+  joined: boolean;
+  creator: string;
+  members: string[];
+  joinedCount: ChainInteger;
+  status: number | ChainInteger;
+  expiresAt: ChainInteger;
+  publicAverage: number | ChainInteger;
+  publicMinPair: number | ChainInteger;
+  [field: string]: any;
+}
+
+export interface RevealRequest {
+  /** Gateway request ID, null when the score was revealed in the transaction (mock) */
+  requestId: string | null;
+  /** Unix time after which a refund can be claimed (Enhanced only) */
+  timeoutDeadline: number | null;
+}
+
+export interface RevealResult extends RevealRequest {
+  receipt: any;
+}
+
+export interface RevealOptions {
+  /** Called with the transaction before it is mined */
+  onSubmitted?: (tx: { hash: string }) => void;
+}
+
+export interface Refunds {
+  pending: ChainInteger;
+  feeBps: number;
+  claimable: MatchInfo[];
+}
+
+export interface ContractStats {
+  totalMatches: number;
+  totalRefunds: ChainInteger;
+  platformFees: ChainInteger;
+  matchFee: ChainInteger;
+  requestTimeout: number;
+  isPaused: boolean;
+}
+
+export type ProgressCallback = (done: number, total: number) => void;
+
+export class AstralClient {
+  constructor(options: AstralClientOptions);
+
+  readonly ethers: any;
+  readonly address: string;
+  readonly abi: readonly any[];
+  readonly variant: ContractVariant;
+  provider: any | null;
+  signer: any | null;
+  contract: any | null;
+  account: string | null;
+  /** Whether profiles are encrypted in the client (relayer SDK configured, not the mock) */
+  readonly encryptsProfiles: boolean;
+
+  // Connection
+  connect(ethereum: Eip1193Provider, network?: NetworkConfig | null): Promise<string>;
+  attach(runner: any, provider?: any): Promise<this>;
+  disconnect(): void;
+  parseEvents(receipt: { logs: readonly any[] }): Array<{ name: string; args: any }>;
+
+  // Encryption
+  getFhevmInstance(): Promise<FhevmInstance>;
+  /** userDecrypt one handle; signs an EIP-712 permit for the contract once per day */
+  decrypt(handle: string): Promise<bigint>;
+
+  // Profiles
+  hasProfile(user?: string): Promise<boolean>;
+  createProfile(zodiacId: number, natalSigns?: NatalSigns): Promise<void>;
+  updateProfile(zodiacId: number, natalSigns?: NatalSigns): Promise<void>;
+  setNatalSigns(natalSigns: NatalSigns): Promise<any>;
+  deleteProfile(): Promise<any>;
+  getUserMatchCount(user?: string): Promise<number>;
+  getTotalMatches(): Promise<number>;
+  getNatalWeights(): Promise<NatalWeights>;
+
+  // Matches
+  matchFee(): Promise<bigint>;
+  requestMatch(partner: string): Promise<any>;
+  requestMatches(
+    partners: string[],
+    onProgress?: ProgressCallback
+  ): Promise<{ created: number; failed: Array<{ partner: string; reason: string }> }>;
+  acceptInvitation(matchId: string): Promise<any>;
+  declineInvitation(matchId: string): Promise<any>;
+  cancelInvitation(matchId: string): Promise<any>;
+  listInvitations(user?: string): Promise<{ incoming: Invitation[]; outgoing: Invitation[] }>;
+  listMatches(user?: string, offset?: number, limit?: number): Promise<{ matches: MatchInfo[]; total: number }>;
+  getMatch(matchId: string): Promise<MatchInfo>;
+
+  // Reveals
+  revealRequestOf(receipt: { logs: readonly any[] }, matchId: string): RevealRequest;
+  reveal(matchId: string, options?: RevealOptions): Promise<RevealResult>;
+  maxBatchReveals(): Promise<number>;
+  revealScores(matchIds: string[], options?: RevealOptions): Promise<RevealResult>;
+  revealPrivately(matchId: string): Promise<any>;
+  getPrivateScore(matchId: string): Promise<number>;
+  getRevealRequest(requestId: string): Promise<any>;
+
+  // Refunds (Enhanced)
+  getRefunds(user?: string): Promise<Refunds>;
+  claimTimeoutRefund(matchId: string): Promise<any>;
+  withdrawRefunds(): Promise<any>;
+
+  // Directory and search
+  listInDirectory(displayName: string, handle: string): Promise<any>;
+  unlistFromDirectory(): Promise<any>;
+  getDirectory(offset?: number, limit?: number): Promise<{ listings: DirectoryListing[]; total: number }>;
+  getDirectoryListing(user?: string): Promise<DirectoryListing | null>;
+  findBestMatch(candidates: string[], onProgress?: ProgressCallback): Promise<string>;
+
+  // Groups
+  createGroup(members: string[]): Promise<any>;
+  joinGroup(groupId: string): Promise<any>;
+  leaveGroup(groupId: string): Promise<any>;
+  revealGroup(groupId: string): Promise<any>;
+  listGroups(user?: string): Promise<GroupMatch[]>;
+
+  // Admin
+  getContractStats(): Promise<ContractStats>;
+  updateMatchFee(fee: ChainInteger): Promise<any>;
+  updateRequestTimeout(seconds: number): Promise<any>;
+  updateInvitationExpiry(seconds: number): Promise<any>;
+  setScoringConfig(model: ScoringModel): Promise<any>;
+  setScoringPreset(preset: number): Promise<any>;
+  setNatalWeights(weights: NatalWeights): Promise<any>;
+  pause(): Promise<any>;
+  unpause(): Promise<any>;
+  addPauser(pauser: string): Promise<any>;
+  removePauser(pauser: string): Promise<any>;
+  withdrawPlatformFees(to: string): Promise<any>;
+  emergencyWithdraw(to: string, matchId: string): Promise<any>;
+}
+
+export const VARIANTS: ContractVariant[];
+export const REQUEST_STATUS: string[];
+export const INVITATION_STATUS: string[];
+export const GROUP_STATUS: string[];
+export const NO_SIGN: number;
+
+/** Probe the contract at address for the variant deployed there */
+export function detectVariant(ethers: any, address: string, provider: any): Promise<ContractVariant>;
+export function switchNetwork(ethereum: Eip1193Provider, network: NetworkConfig): Promise<void>;
+export function zodiacTraits(zodiacId: number): { element: number; quality: number };
+export function searchTransactionCount(count: number, batchSize: number): number;
+
+export interface QueryEntry<T = any> {
+  data: T | undefined;
+  error: Error | null;
+  promise: Promise<void> | null;
+  updatedAt: number;
+  stale: boolean;
+  fetcher: ((client: AstralClient) => Promise<T>) | null;
+  listeners: Set<() => void>;
+}
+
+/** Query results per client, shared by the React hooks and the Vue composables */
+export interface QueryCache {
+  entry<T = any>(client: AstralClient, key: string): QueryEntry<T>;
+  fetch(client: AstralClient, key: string): Promise<void>;
+  subscribe<T = any>(
+    client: AstralClient,
+    key: string,
+    fetcher: (client: AstralClient) => Promise<T>,
+    listener: () => void,
+    staleTime?: number
+  ): () => void;
+  /** Refetch key and the keys below it ("refunds" covers "refunds:0xabc"); every key when empty */
+  invalidate(client: AstralClient | null, key?: string): void;
+}
+
+export function createQueryCache(): QueryCache;
@@ -0,0 +1,1019 @@
+/**
+ * @astral/fhevm-sdk
+ *
+ * Client for the Astral Compatibility contracts (AstralCompatibility, AstralCompatibilityEnhanced
+ * and AstralCompatibilityMock). It wires the wallet, the network and the contract ABI, encrypts
+ * profiles and decrypts scores with the Zama relayer SDK (@zama-fhe/relayer-sdk) and wraps every
+ * contract call the frontends and scripts make.
+ *
+ * The caller passes in its own ethers namespace, v5 (the frontends) or v6 (Hardhat). Struct
+ * fields come back the way that ethers version returns them (BigNumber or bigint); values the
+ * client derives itself, such as totals and batch sizes, are plain numbers.
+ *
+ * Loads as CommonJS (`require("@astral/fhevm-sdk")`) or from a script tag as `window.AstralSDK`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AstralSDK = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Contract flavours: 'mock' reveals instantly, 'basic' and 'enhanced' decrypt via the Gateway
+  const VARIANTS = ["basic", "enhanced", "mock"];
+
+  // RequestStatus enum order in AstralCompatibilityEnhanced
+  const REQUEST_STATUS = ["PENDING", "PROCESSING", "COMPLETED", "FAILED", "TIMED_OUT", "REFUNDED", "CANCELLED"];
+
+  // MatchInvitations.Status order
+  const INVITATION_STATUS = ["NONE", "OPEN", "ACCEPTED", "DECLINED", "CANCELLED"];
+
+  // GroupStatus order (MatchTypes.sol)
+  const GROUP_STATUS = ["NONE", "OPEN", "SCORED", "PROCESSING", "REVEALED", "CANCELLED"];
+
+  // Moon or rising sign left unset (setNatalSigns)
+  const NO_SIGN = 12;
+
+  // Days a user decryption signature stays valid; decrypt asks for a new one once it lapses
+  const DECRYPT_PERMIT_DAYS = 1;
+
+  // Views that tell the variants apart, tried in order: Enhanced also has kmsGeneration and NO_SIGN,
+  // the basic contract lacks NO_SIGN and the mock lacks kmsGeneration
+  const VARIANT_PROBES = [
+    [
+      "enhanced",
+      "getContractStats",
+      "function getContractStats() view returns (uint256, uint256, uint256, uint256, uint256, bool)",
+    ],
+    ["basic", "kmsGeneration", "function kmsGeneration() view returns (uint256)"],
+    ["mock", "NO_SIGN", "function NO_SIGN() view returns (uint8)"],
+  ];
+
+  // Page size used when the client walks every page of a paginated view
+  const PAGE_SIZE = 20;
+
+  const ZERO_HASH = "0x" + "0".repeat(64);
+
+  const toNumber = (value) => Number(value.toString());
+  const toBigInt = (value) => BigInt(value.toString());
+  const isSameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  // IDs arrive as hex or decimal strings, numbers, bigint or BigNumber
+  const isSameId = (a, b) => toBigInt(a) === toBigInt(b);
+
+  // Element and quality are the sign's own (zodiac % 4, zodiac % 3), as the contracts check
+  const zodiacTraits = (zodiacId) => {
+    if (!Number.isInteger(zodiacId) || zodiacId < 0 || zodiacId > 11) {
+      throw new Error(`Invalid zodiac sign: ${zodiacId}`);
+    }
+    return { element: zodiacId % 4, quality: zodiacId % 3 };
+  };
+
+  // findBestMatch transactions needed to reduce `count` candidates to one
+  const searchTransactionCount = (count, batchSize) => {
+    let transactions = 0;
+    while (count > 1) {
+      const leftover = count % batchSize;
+      transactions += Math.floor(count / batchSize) + (leftover > 1 ? 1 : 0);
+      count = Math.ceil(count / batchSize);
+    }
+    return transactions;
+  };
+
+  // A match can be refunded once its reveal deadline passed without a score
+  const isRefundable = (match, now) =>
+    !match.isRevealed &&
+    ["PENDING", "PROCESSING"].includes(REQUEST_STATUS[toNumber(match.status)]) &&
+    toNumber(match.timeoutDeadline) <= now;
+
+  /**
+   * Ask an EIP-1193 wallet to switch to `network`, adding the chain first if the wallet does not know it
+   * @param {object} ethereum EIP-1193 provider, e.g. window.ethereum
+   * @param {{ chainId: number, chainName?: string, rpcUrl?: string, explorerUrl?: string }} network
+   */
+  async function switchNetwork(ethereum, network) {
+    const chainId = "0x" + network.chainId.toString(16);
+    try {
+      await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId }] });
+    } catch (switchError) {
+      // This error code indicates that the chain has not been added to the wallet
+      if (switchError.code !== 4902) {
+        throw switchError;
+      }
+
+      try {
+        await ethereum.request({
+          method: "wallet_addEthereumChain",
+          params: [
+            {
+              chainId,
+              chainName: network.chainName || `Chain ${network.chainId}`,
+              nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+              rpcUrls: network.rpcUrl ? [network.rpcUrl] : [],
+              blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : [],
+            },
+          ],
+        });
+      } catch (addError) {
+        throw new Error(`Failed to add ${network.chainName || "the network"}`);
+      }
+    }
+  }
+
+  /**
+   * Find which variant is deployed at `address` by calling views only some variants have
+   * @param {object} ethers The ethers namespace (v5 or v6)
+   * @param {string} address Contract address
+   * @param {object} provider Provider on the contract's chain
+   * @returns {Promise<string>} 'basic', 'enhanced' or 'mock'
+   */
+  async function detectVariant(ethers, address, provider) {
+    if ((await provider.getCode(address)) === "0x") {
+      throw new Error(`No contract deployed at ${address}`);
+    }
+
+    for (const [variant, method, fragment] of VARIANT_PROBES) {
+      try {
+        await new ethers.Contract(address, [fragment], provider)[method]();
+        return variant;
+      } catch (error) {
+        // Reverts without the function; try the next variant
+      }
+    }
+    throw new Error(`${address} is not an Astral Compatibility contract`);
+  }
+
+  // A key matches itself and the keys below it: "refunds" covers "refunds:0xabc", "match:1" not "match:10"
+  const isKeyUnder = (key, prefix) => !prefix || key === prefix || key.startsWith(`${prefix}:`);
+
+  /**
+   * Query results per AstralClient, behind the React hooks and the Vue composables. Callers
+   * subscribing to one key share one entry and one in-flight request; a new client (wallet
+   * or account change) starts empty. Listeners run when a request starts and when it settles.
+   */
+  function createQueryCache() {
+    const caches = new WeakMap();
+
+    function entry(client, key) {
+      if (!caches.has(client)) caches.set(client, new Map());
+      const cache = caches.get(client);
+      if (!cache.has(key)) {
+        cache.set(key, {
+          data: undefined,
+          error: null,
+          promise: null,
+          updatedAt: 0,
+          // Set when the entry is invalidated mid-request, the answer may predate the change
+          stale: false,
+          fetcher: null,
+          listeners: new Set(),
+        });
+      }
+      return cache.get(key);
+    }
+
+    const notify = (current) => current.listeners.forEach((listener) => listener());
+
+    // Fetch a key, sharing the request with every caller while it is in flight
+    function fetch(client, key) {
+      const current = entry(client, key);
+      if (current.promise) {
+        return current.promise;
+      }
+      if (!current.fetcher) {
+        return Promise.resolve();
+      }
+
+      current.stale = false;
+      current.promise = current
+        .fetcher(client)
+        .then((data) => {
+          current.data = data;
+          current.error = null;
+        })
+        .catch((error) => {
+          console.error(`Error loading ${key}:`, error);
+          current.error = error;
+        })
+        .finally(() => {
+          current.promise = null;
+          // A stale answer nobody is waiting for reloads on next use
+          current.updatedAt = current.stale ? 0 : Date.now();
+          notify(current);
+          if (current.stale && current.listeners.size > 0) {
+            fetch(client, key);
+          }
+        });
+      notify(current);
+      return current.promise;
+    }
+
+    /**
+     * Start watching a key: fetcher(client) loads it, listener runs on every change, and data
+     * younger than staleTime (ms) is reused. Returns the function that stops watching.
+     */
+    function subscribe(client, key, fetcher, listener, staleTime = 0) {
+      const current = entry(client, key);
+      current.fetcher = fetcher;
+      current.listeners.add(listener);
+      if (!current.promise && Date.now() - current.updatedAt >= staleTime) {
+        fetch(client, key);
+      }
+      return () => current.listeners.delete(listener);
+    }
+
+    /**
+     * Refetch the cached queries under key (every query when key is empty). Keys nobody is
+     * subscribed to are only marked stale, so they reload on next use.
+     */
+    function invalidate(client, key = "") {
+      if (!client || !caches.has(client)) return;
+
+      caches.get(client).forEach((current, cachedKey) => {
+        if (!isKeyUnder(cachedKey, key)) return;
+        current.updatedAt = 0;
+        if (current.promise) {
+          current.stale = true;
+        } else if (current.listeners.size > 0) {
+          fetch(client, cachedKey);
+        }
+      });
+    }
+
+    return { entry, fetch, subscribe, invalidate };
+  }
+
+  class AstralClient {
+    /**
+     * @param {object} options
+     * @param {object} options.ethers The ethers namespace (v5 or v6)
+     * @param {string} options.address Contract address
+     * @param {Array} options.abi Contract ABI for the variant
+     * @param {string} [options.variant] 'basic', 'enhanced' (default) or 'mock'
+     * @param {Function} [options.createFhevmInstance] Async factory for a relayer SDK instance
+     * (createInstance from @zama-fhe/relayer-sdk). Without it profiles are sent in plaintext and
+     * scores cannot be decrypted in the client.
+     */
+    constructor({ ethers, address, abi, variant = "enhanced", createFhevmInstance = null }) {
+      if (!ethers) throw new Error("AstralClient needs the ethers library");
+      if (!address) throw new Error("AstralClient needs a contract address");
+      if (!abi) throw new Error("AstralClient needs the contract ABI");
+      if (!VARIANTS.includes(variant)) throw new Error(`Unknown contract variant: ${variant}`);
+
+      this.ethers = ethers;
+      this.address = address;
+      this.abi = abi;
+      this.variant = variant;
+      this.createFhevmInstance = createFhevmInstance;
+
+      this.provider = null;
+      this.signer = null;
+      this.contract = null;
+      this.account = null;
+      this._fhevmInstance = null;
+      this._decryptKeys = null;
+    }
+
+    // ==================== CONNECTION ====================
+
+    /**
+     * Connect an EIP-1193 wallet: request accounts, switch to `network` if given and
+     * create the signer-backed contract
+     * @returns {Promise<string>} The connected account
+     */
+    async connect(ethereum, network = null) {
+      const accounts = await ethereum.request({ method: "eth_requestAccounts" });
+
+      if (network) {
+        const chainId = await ethereum.request({ method: "eth_chainId" });
+        if (parseInt(chainId, 16) !== network.chainId) {
+          await switchNetwork(ethereum, network);
+        }
+      }
+
+      // ethers v6 has BrowserProvider, v5 providers.Web3Provider
+      const provider = this.ethers.BrowserProvider
+        ? new this.ethers.BrowserProvider(ethereum)
+        : new this.ethers.providers.Web3Provider(ethereum);
+      await this.attach(await provider.getSigner(accounts[0]), provider);
+      this.account = accounts[0];
+      return this.account;
+    }
+
+    /**
+     * Use a signer or a read-only provider directly, e.g. a Hardhat signer in scripts and tests
+     * @returns {Promise<AstralClient>} this
+     */
+    async attach(runner, provider = null) {
+      const isSigner = typeof runner.getAddress === "function";
+
+      this.signer = isSigner ? runner : null;
+      this.provider = provider || (isSigner ? runner.provider : runner);
+      this.contract = new this.ethers.Contract(this.address, this.abi, runner);
+      this.account = isSigner ? await runner.getAddress() : null;
+      this._decryptKeys = null;
+      return this;
+    }
+
+    /** Forget the wallet; the next call needs connect or attach again */
+    disconnect() {
+      this.provider = null;
+      this.signer = null;
+      this.contract = null;
+      this.account = null;
+      this._decryptKeys = null;
+    }
+
+    _requireContract() {
+      if (!this.contract) {
+        throw new Error("Please connect your wallet first");
+      }
+      return this.contract;
+    }
+
+    _requireSigner() {
+      this._requireContract();
+      if (!this.signer) {
+        throw new Error("Please connect your wallet first");
+      }
+    }
+
+    _requireVariant(variants, feature) {
+      if (!variants.includes(this.variant)) {
+        throw new Error(`${feature} is not available on the ${this.variant} contract`);
+      }
+    }
+
+    /**
+     * Send a transaction and wait for it to be mined
+     * @param {Function} [onSubmitted] Called with the transaction before it is mined
+     */
+    async _send(method, args, overrides = null, onSubmitted = null) {
+      this._requireSigner();
+      const tx = overrides
+        ? await this.contract[method](...args, overrides)
+        : await this.contract[method](...args);
+      if (onSubmitted) {
+        onSubmitted(tx);
+      }
+      return tx.wait();
+    }
+
+    // Walk every page of a (user, offset, limit) view returning (page, total)
+    async _allPages(method, user) {
+      const items = [];
+      let total = 0;
+      for (let offset = 0; offset === 0 || offset < total; offset += PAGE_SIZE) {
+        const [page, pageTotal] = await this._requireContract()[method](user, offset, PAGE_SIZE);
+        total = toNumber(pageTotal);
+        items.push(...page);
+      }
+      return items;
+    }
+
+    /** Decode this contract's events in a receipt, skipping logs of other contracts */
+    parseEvents(receipt) {
+      const contract = this._requireContract();
+      return receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    }
+
+    // ==================== ENCRYPTION ====================
+
+    /** Whether profiles are encrypted in the client (relayer SDK configured, not the mock) */
+    get encryptsProfiles() {
+      return Boolean(this.createFhevmInstance) && this.variant !== "mock";
+    }
+
+    /** The relayer SDK instance, created on first use */
+    async getFhevmInstance() {
+      if (!this.createFhevmInstance) {
+        throw new Error("The relayer SDK is not configured for this client");
+      }
+      if (!this._fhevmInstance) {
+        this._fhevmInstance = await this.createFhevmInstance();
+      }
+      return this._fhevmInstance;
+    }
+
+    // Encrypt the zodiac sign so no plaintext reaches calldata; element and quality are derived on chain
+    async _encryptZodiac(zodiacId) {
+      zodiacTraits(zodiacId);
+      const instance = await this.getFhevmInstance();
+      const input = instance.createEncryptedInput(this.address, this.account);
+      input.add8(zodiacId);
+      return input.encrypt();
+    }
+
+    // Encrypt the known moon and rising signs; unset placements get a zero handle
+    async _encryptNatalSigns({ moon, rising }) {
+      const signs = [moon, rising];
+      if (signs.every((sign) => sign === null)) {
+        return { handles: [ZERO_HASH, ZERO_HASH], inputProof: "0x" };
+      }
+
+      const instance = await this.getFhevmInstance();
+      const input = instance.createEncryptedInput(this.address, this.account);
+      signs.filter((sign) => sign !== null).forEach((sign) => input.add8(sign));
+      const { handles, inputProof } = await input.encrypt();
+
+      let next = 0;
+      return {
+        handles: signs.map((sign) => (sign === null ? ZERO_HASH : handles[next++])),
+        inputProof,
+      };
+    }
+
+    /**
+     * Decrypt a handle the connected account may use with the relayer's userDecrypt; nothing is
+     * sent on chain. One EIP-712 signature per connection covers every handle of the contract
+     * for DECRYPT_PERMIT_DAYS.
+     */
+    async decrypt(handle) {
+      this._requireSigner();
+      const instance = await this.getFhevmInstance();
+      const now = Math.floor(Date.now() / 1000);
+
+      if (!this._decryptKeys || now >= this._decryptKeys.expiresAt) {
+        const { publicKey, privateKey } = instance.generateKeypair();
+        const eip712 = instance.createEIP712(publicKey, [this.address], now, DECRYPT_PERMIT_DAYS);
+        const types = { [eip712.primaryType]: eip712.types[eip712.primaryType] };
+        // ethers v6 signTypedData, v5 _signTypedData
+        const signature = this.signer.signTypedData
+          ? await this.signer.signTypedData(eip712.domain, types, eip712.message)
+          : await this.signer._signTypedData(eip712.domain, types, eip712.message);
+        this._decryptKeys = {
+          publicKey,
+          privateKey,
+          signature,
+          startTimestamp: now,
+          expiresAt: now + DECRYPT_PERMIT_DAYS * 86400,
+        };
+      }
+
+      const { publicKey, privateKey, signature, startTimestamp } = this._decryptKeys;
+      const results = await instance.userDecrypt(
+        [{ handle, contractAddress: this.address }],
+        privateKey,
+        publicKey,
+        signature,
+        [this.address],
+        this.account,
+        startTimestamp,
+        DECRYPT_PERMIT_DAYS
+      );
+      // Results are keyed by the lowercase hex handle
+      return results[handle.toLowerCase()];
+    }
+
+    // ==================== PROFILES ====================
+
+    async hasProfile(user = this.account) {
+      const status = await this._requireContract().getUserProfileStatus(user);
+      return Boolean(status.profileExists ?? status[0]);
+    }
+
+    /**
+     * Create the caller's profile. With the relayer SDK the sign is encrypted in the client, otherwise it is
+     * sent in plaintext and encrypted by the contract. Moon and rising are only sent when one is known.
+     * @param {number} zodiacId Sun sign, 0 (Aries) to 11 (Pisces)
+     * @param {{ moon: number|null, rising: number|null }} [natalSigns]
+     */
+    async createProfile(zodiacId, natalSigns = { moon: null, rising: null }) {
+      if (this.encryptsProfiles) {
+        const { handles, inputProof } = await this._encryptZodiac(zodiacId);
+        await this._send("createEncryptedProfile", [handles[0], inputProof]);
+      } else {
+        const { element, quality } = zodiacTraits(zodiacId);
+        await this._send("createProfile", [zodiacId, element, quality]);
+      }
+
+      if (natalSigns.moon !== null || natalSigns.rising !== null) {
+        await this.setNatalSigns(natalSigns);
+      }
+    }
+
+    /** Update the caller's profile; unknown moon and rising signs are cleared (not on the basic contract) */
+    async updateProfile(zodiacId, natalSigns = { moon: null, rising: null }) {
+      if (this.encryptsProfiles) {
+        const { handles, inputProof } = await this._encryptZodiac(zodiacId);
+        await this._send("updateEncryptedProfile", [handles[0], inputProof]);
+      } else {
+        const { element, quality } = zodiacTraits(zodiacId);
+        await this._send("updateProfile", [zodiacId, element, quality]);
+      }
+
+      if (this.variant !== "basic") {
+        await this.setNatalSigns(natalSigns);
+      }
+    }
+
+    /** Set or clear the moon and rising signs (null when unknown) */
+    async setNatalSigns({ moon = null, rising = null }) {
+      this._requireVariant(["enhanced", "mock"], "Setting natal signs");
+
+      if (this.encryptsProfiles) {
+        const { handles, inputProof } = await this._encryptNatalSigns({ moon, rising });
+        return this._send("setEncryptedNatalSigns", [handles[0], handles[1], inputProof]);
+      }
+      return this._send("setNatalSigns", [moon === null ? NO_SIGN : moon, rising === null ? NO_SIGN : rising]);
+    }
+
+    /**
+     * Delete the caller's profile: closes open invitations and cancels unrevealed matches and groups.
+     * Lists longer than DELETION_PAGE_SIZE are finished with clearDeletedProfile transactions.
+     * @returns {Promise<Object>} The deleteProfile receipt
+     */
+    async deleteProfile() {
+      const contract = this._requireContract();
+      const receipt = await this._send("deleteProfile", []);
+
+      // The lists cannot grow once the profile is gone, so their totals are final
+      const pageSize = toNumber(await contract.DELETION_PAGE_SIZE());
+      const [, invitations] = await contract.getUserInvitations(this.account, 0, 0);
+      const [, matches] = await contract.getUserMatches(this.account, 0, 0);
+      const groups = this.variant === "basic" ? [] : await contract.getUserGroupMatches(this.account);
+      const total = Math.max(toNumber(invitations), toNumber(matches), groups.length);
+      for (let offset = pageSize; offset < total; offset += pageSize) {
+        await this._send("clearDeletedProfile", [offset]);
+      }
+      return receipt;
+    }
+
+    async getUserMatchCount(user = this.account) {
+      // Enhanced returns (matchCount, pendingRefundAmount, hasProfile), the others the count alone
+      const stats = await this._requireContract().getUserStats(user);
+      return toNumber(stats.matchCount !== undefined ? stats.matchCount : stats);
+    }
+
+    async getTotalMatches() {
+      return toNumber(await this._requireContract().totalMatches());
+    }
+
+    /** Natal placement weights in the { SUN, MOON, RISING, SUN_MOON } shape */
+    async getNatalWeights() {
+      const result = await this._requireContract().getNatalWeights();
+      return {
+        SUN: toNumber(result.sun),
+        MOON: toNumber(result.moon),
+        RISING: toNumber(result.rising),
+        SUN_MOON: toNumber(result.sunMoon),
+      };
+    }
+
+    // ==================== MATCHES ====================
+
+    /** Fee per invitation: matchFee on Enhanced, zero elsewhere */
+    async matchFee() {
+      return this.variant === "enhanced" ? toBigInt(await this._requireContract().matchFee()) : 0n;
+    }
+
+    async _feeOverrides(count) {
+      return this.variant === "enhanced" ? { value: (await this.matchFee()) * BigInt(count) } : null;
+    }
+
+    /** Invite a partner; Enhanced escrows matchFee until the score is revealed or refunded */
+    async requestMatch(partner) {
+      if (!(await this.hasProfile(partner))) {
+        throw new Error("Partner does not have a profile yet");
+      }
+      return this._send("requestCompatibilityMatch", [partner], await this._feeOverrides(1));
+    }
+
+    /**
+     * Invite several partners, MAX_BATCH_INVITATIONS per transaction (not on the basic contract).
+     * Entries the contract cannot invite are skipped on chain and returned with the reason from
+     * MatchRequestFailed. onProgress(done, total) counts transactions.
+     * @returns {Promise<{ created: number, failed: Array<{ partner: string, reason: string }> }>}
+     */
+    async requestMatches(partners, onProgress = () => {}) {
+      this._requireVariant(["enhanced", "mock"], "Inviting in batches");
+      if (partners.length === 0) {
+        throw new Error("Add at least one partner address");
+      }
+
+      const batchSize = toNumber(await this._requireContract().MAX_BATCH_INVITATIONS());
+      const total = Math.ceil(partners.length / batchSize);
+      let created = 0;
+      const failed = [];
+
+      for (let i = 0; i < partners.length; i += batchSize) {
+        const batch = partners.slice(i, i + batchSize);
+        const receipt = await this._send("requestCompatibilityMatches", [batch], await this._feeOverrides(batch.length));
+
+        for (const event of this.parseEvents(receipt)) {
+          if (event.name === "MatchInvitationCreated") {
+            created++;
+          } else if (event.name === "MatchRequestFailed") {
+            failed.push({ partner: event.args.partner, reason: event.args.reason });
+          }
+        }
+        onProgress(i / batchSize + 1, total);
+      }
+
+      return { created, failed };
+    }
+
+    /** Accept an invitation; the encrypted score is computed in this transaction */
+    async acceptInvitation(matchId) {
+      return this._send("acceptMatchInvitation", [matchId]);
+    }
+
+    /** Decline an invitation as the partner; Enhanced refunds the whole fee */
+    async declineInvitation(matchId) {
+      return this._send("declineMatchInvitation", [matchId]);
+    }
+
+    /** Withdraw an invitation as the requester; Enhanced refunds the whole fee */
+    async cancelInvitation(matchId) {
+      return this._send("cancelMatchInvitation", [matchId]);
+    }
+
+    /**
+     * Open invitations of a user, split into incoming (to answer) and outgoing (awaiting the partner)
+     */
+    async listInvitations(user = this.account) {
+      const open = (await this._allPages("getUserInvitations", user)).filter(
+        (invitation) => INVITATION_STATUS[toNumber(invitation.status)] === "OPEN"
+      );
+      return {
+        incoming: open.filter((invitation) => isSameAddress(invitation.partner, user)),
+        outgoing: open.filter((invitation) => isSameAddress(invitation.requester, user)),
+      };
+    }
+
+    /**
+     * A page of a user's matches, oldest first
+     * @returns {Promise<{ matches: Array, total: number }>}
+     */
+    async listMatches(user = this.account, offset = 0, limit = PAGE_SIZE) {
+      const [page, total] = await this._requireContract().getUserMatches(user, offset, limit);
+      return { matches: [...page], total: toNumber(total) };
+    }
+
+    async getMatch(matchId) {
+      return this._requireContract().getMatchInfo(matchId);
+    }
+
+    // ==================== REVEALS ====================
+
+    /**
+     * The Gateway request a reveal receipt opened for a match, or nulls when the score was
+     * revealed in the transaction (mock)
+     * @returns {{ requestId: string|null, timeoutDeadline: number|null }}
+     */
+    revealRequestOf(receipt, matchId) {
+      const requested = this.parseEvents(receipt).find(
+        (event) => event.name === "DecryptionRequested" && isSameId(event.args.matchId, matchId)
+      );
+      if (!requested) {
+        return { requestId: null, timeoutDeadline: null };
+      }
+      return {
+        requestId: requested.args.requestId.toString(),
+        // Only Enhanced emits a deadline; Basic's last field is the request timestamp
+        timeoutDeadline: this.variant === "enhanced" ? toNumber(requested.args.timeoutDeadline) : null,
+      };
+    }
+
+    /**
+     * Publish a match score: through the Gateway on Basic and Enhanced, instantly on the mock
+     * @param {{ onSubmitted?: Function }} [options] onSubmitted gets the transaction before it is mined
+     * @returns {Promise<{ receipt: object, requestId: string|null, timeoutDeadline: number|null }>}
+     */
+    async reveal(matchId, { onSubmitted = null } = {}) {
+      const method = this.variant === "enhanced" ? "requestRevealScore" : "revealCompatibilityScore";
+      const receipt = await this._send(method, [matchId], null, onSubmitted);
+      return { receipt, ...this.revealRequestOf(receipt, matchId) };
+    }
+
+    /** Scores one requestRevealScores transaction may publish (Enhanced) */
+    async maxBatchReveals() {
+      this._requireVariant(["enhanced"], "Revealing in batches");
+      return toNumber(await this._requireContract().MAX_BATCH_REVEALS());
+    }
+
+    /**
+     * Publish up to maxBatchReveals() scores with one Gateway decryption request (Enhanced)
+     * @returns {Promise<{ receipt: object, requestId: string|null, timeoutDeadline: number|null }>}
+     */
+    async revealScores(matchIds, { onSubmitted = null } = {}) {
+      this._requireVariant(["enhanced"], "Revealing in batches");
+      const receipt = await this._send("requestRevealScores", [matchIds], null, onSubmitted);
+      return { receipt, ...this.revealRequestOf(receipt, matchIds[0]) };
+    }
+
+    /** Grant both participants access to the score without publishing it (not on the basic contract) */
+    async revealPrivately(matchId) {
+      return this._send("revealScorePrivately", [matchId]);
+    }
+
+    /** A privately revealed score: read from the mock, decrypted with the relayer elsewhere */
+    async getPrivateScore(matchId) {
+      const contract = this._requireContract();
+      if (this.variant === "mock") {
+        return toNumber(await contract.getPrivateScore(matchId));
+      }
+      return toNumber(await this.decrypt(await contract.getEncryptedScore(matchId)));
+    }
+
+    /**
+     * Status of a Gateway decryption request (getDecryptionRequestInfo). On Enhanced the
+     * status is PROCESSING, COMPLETED, or TIMED_OUT once the deadline passes; the basic
+     * contract returns a `fulfilled` flag instead.
+     */
+    async getRevealRequest(requestId) {
+      this._requireVariant(["basic", "enhanced"], "Gateway decryption");
+      return this._requireContract().getDecryptionRequestInfo(requestId);
+    }
+
+    // ==================== REFUNDS (Enhanced) ====================
+
+    /**
+     * A user's pending refund balance and every match past its reveal deadline
+     * @returns {Promise<{ pending: BigNumber|bigint, feeBps: number, claimable: Array }>}
+     */
+    async getRefunds(user = this.account) {
+      this._requireVariant(["enhanced"], "The refund ledger");
+      const contract = this._requireContract();
+      const [pending, feeBps] = await Promise.all([contract.pendingRefunds(user), contract.PLATFORM_FEE_BPS()]);
+
+      // Walk all pages, a timed-out match can be anywhere in the history. Deadlines are compared
+      // with the chain's clock, which the contract checks on claim.
+      const now = (await this.provider.getBlock("latest")).timestamp;
+      const claimable = (await this._allPages("getUserMatches", user)).filter((match) => isRefundable(match, now));
+
+      return { pending, feeBps: toNumber(feeBps), claimable };
+    }
+
+    /** Claim a timeout refund, credited to the payer's pending balance */
+    async claimTimeoutRefund(matchId) {
+      this._requireVariant(["enhanced"], "The refund ledger");
+      return this._send("claimTimeoutRefund", [matchId]);
+    }
+
+    /** Withdraw the pending refund balance to the connected wallet */
+    async withdrawRefunds() {
+      this._requireVariant(["enhanced"], "The refund ledger");
+      return this._send("withdrawRefunds", []);
+    }
+
+    // ==================== DIRECTORY & SEARCH ====================
+
+    // Directory names and handles are UTF-8 strings zero-padded to bytes32
+    _encodeText(text, label) {
+      const encode = this.ethers.encodeBytes32String || this.ethers.utils.formatBytes32String;
+      try {
+        return encode(text.trim());
+      } catch (error) {
+        throw new Error(`${label} must be at most 31 bytes`);
+      }
+    }
+
+    _decodeListing(listing) {
+      const decode = this.ethers.decodeBytes32String || this.ethers.utils.parseBytes32String;
+      return {
+        user: listing.user,
+        displayName: decode(listing.displayName),
+        handle: decode(listing.handle),
+        listedAt: toNumber(listing.listedAt),
+      };
+    }
+
+    /** List the caller in the public directory, or update their name and handle */
+    async listInDirectory(displayName, handle) {
+      return this._send("listInDirectory", [
+        this._encodeText(displayName, "Display name"),
+        this._encodeText(handle, "Handle"),
+      ]);
+    }
+
+    async unlistFromDirectory() {
+      return this._send("unlistFromDirectory", []);
+    }
+
+    /**
+     * A page of the directory with names and handles decoded
+     * @returns {Promise<{ listings: Array, total: number }>}
+     */
+    async getDirectory(offset = 0, limit = PAGE_SIZE) {
+      const [page, total] = await this._requireContract().getDirectory(offset, limit);
+      return { listings: page.map((listing) => this._decodeListing(listing)), total: toNumber(total) };
+    }
+
+    /** A user's directory entry, or null when unlisted */
+    async getDirectoryListing(user = this.account) {
+      const listing = await this._requireContract().getDirectoryListing(user);
+      return toNumber(listing.listedAt) === 0 ? null : this._decodeListing(listing);
+    }
+
+    // Rank one findBestMatch batch on chain and return the winning address
+    async _searchBatch(batch) {
+      await this._send("findBestMatch", [batch]);
+
+      // The mock stores the winner in plaintext, Enhanced only lets the caller decrypt it
+      const contract = this._requireContract();
+      const index = this.variant === "mock"
+        ? await contract.getBestMatchIndex()
+        : await this.decrypt(await contract.getBestMatchIndex());
+      return batch[toNumber(index)];
+    }
+
+    /**
+     * Find the most compatible of several listed users. Each findBestMatch transaction ranks up to
+     * MAX_SEARCH_CANDIDATES of them; batch winners go on to the next round until one is left. Ties
+     * keep the earlier candidate. onProgress(done, total) counts transactions.
+     */
+    async findBestMatch(candidates, onProgress = () => {}) {
+      this._requireVariant(["enhanced", "mock"], "Best match search");
+      if (candidates.length < 2) {
+        throw new Error("Choose at least two listed users to compare");
+      }
+
+      const batchSize = toNumber(await this._requireContract().MAX_SEARCH_CANDIDATES());
+      const total = searchTransactionCount(candidates.length, batchSize);
+      let done = 0;
+      let round = candidates;
+
+      while (round.length > 1) {
+        const winners = [];
+        for (let i = 0; i < round.length; i += batchSize) {
+          const batch = round.slice(i, i + batchSize);
+          // A single leftover candidate goes through to the next round unranked
+          if (batch.length === 1) {
+            winners.push(batch[0]);
+            continue;
+          }
+          winners.push(await this._searchBatch(batch));
+          onProgress(++done, total);
+        }
+        round = winners;
+      }
+
+      return round[0];
+    }
+
+    // ==================== GROUPS ====================
+
+    /** Invite 2 to MAX_GROUP_SIZE - 1 users to a group; the caller joins on creation */
+    async createGroup(members) {
+      this._requireVariant(["enhanced", "mock"], "Group matching");
+      const maxSize = toNumber(await this._requireContract().MAX_GROUP_SIZE());
+      if (members.length < 2 || members.length >= maxSize) {
+        throw new Error(`Invite between 2 and ${maxSize - 1} members`);
+      }
+      return this._send("createGroupMatch", [members]);
+    }
+
+    /** Join a group; the caller is scored against every member already in */
+    async joinGroup(groupId) {
+      return this._send("joinGroupMatch", [groupId]);
+    }
+
+    /** Leave a group that is still open, which cancels it for every member */
+    async leaveGroup(groupId) {
+      return this._send("leaveGroupMatch", [groupId]);
+    }
+
+    /**
+     * Publish a scored group's average and lowest pair score: instantly on the mock, through the
+     * Gateway on Enhanced (GroupCompatibilityRevealed follows in the callback)
+     */
+    async revealGroup(groupId) {
+      this._requireVariant(["enhanced", "mock"], "Group matching");
+      return this._send(this.variant === "enhanced" ? "requestRevealGroupScore" : "revealGroupScore", [groupId]);
+    }
+
+    /** A user's groups, newest first, each with whether the user joined */
+    async listGroups(user = this.account) {
+      this._requireVariant(["enhanced", "mock"], "Group matching");
+      const contract = this._requireContract();
+      const groupIds = await contract.getUserGroupMatches(user);
+      return Promise.all(
+        [...groupIds].reverse().map(async (groupId) => {
+          const [group, joined] = await Promise.all([
+            contract.getGroupMatch(groupId),
+            contract.hasJoinedGroup(groupId, user),
+          ]);
+          // ethers v6 Results only spread their indices, toObject keeps the field names
+          const fields = typeof group.toObject === "function" ? group.toObject() : group;
+          return { ...fields, groupId, joined };
+        })
+      );
+    }
+
+    // ==================== ADMIN ====================
+
+    /**
+     * Contract-wide totals, fee and timeout (Enhanced getContractStats). Counts and the timeout
+     * are numbers, amounts stay as ethers returns them.
+     */
+    async getContractStats() {
+      this._requireVariant(["enhanced"], "getContractStats");
+      const [totalMatches, totalRefunds, platformFees, matchFee, requestTimeout, isPaused] =
+        await this._requireContract().getContractStats();
+      return {
+        totalMatches: toNumber(totalMatches),
+        totalRefunds,
+        platformFees,
+        matchFee,
+        requestTimeout: toNumber(requestTimeout),
+        isPaused,
+      };
+    }
+
+    async updateMatchFee(fee) {
+      this._requireVariant(["enhanced"], "The match fee");
+      return this._send("updateMatchFee", [fee]);
+    }
+
+    async updateRequestTimeout(seconds) {
+      this._requireVariant(["enhanced"], "The request timeout");
+      return this._send("updateRequestTimeout", [seconds]);
+    }
+
+    async updateInvitationExpiry(seconds) {
+      this._requireVariant(["enhanced"], "The invitation expiry");
+      return this._send("updateInvitationExpiry", [seconds]);
+    }
+
+    /** Replace the scoring model; `model` has the CONFIG.SCORING shape */
+    async setScoringConfig(model) {
+      this._requireVariant(["enhanced", "mock"], "The scoring model");
+      return this._send("setScoringConfig", [
+        model.BASE_SCORE,
+        model.ELEMENT_MATRIX,
+        model.QUALITY_MATRIX,
+        model.ASPECT_ADJUSTMENTS,
+        model.SAME_SIGN_ADJUSTMENT,
+        model.SIGN_PAIRS,
+        model.RANDOM_RANGE,
+      ]);
+    }
+
+    /** Switch to a built-in model: 0 default, 1 traditional */
+    async setScoringPreset(preset) {
+      this._requireVariant(["enhanced", "mock"], "The scoring model");
+      return this._send("setScoringPreset", [preset]);
+    }
+
+    /** Set the natal placement weights; `weights` has the CONFIG.NATAL_WEIGHTS shape */
+    async setNatalWeights(weights) {
+      this._requireVariant(["enhanced", "mock"], "Setting natal weights");
+      return this._send("setNatalWeights", [weights.SUN, weights.MOON, weights.RISING, weights.SUN_MOON]);
+    }
+
+    async pause() {
+      this._requireVariant(["basic", "enhanced"], "Pausing");
+      return this._send("pause", []);
+    }
+
+    async unpause() {
+      this._requireVariant(["basic", "enhanced"], "Pausing");
+      return this._send("unpause", []);
+    }
+
+    async addPauser(pauser) {
+      this._requireVariant(["basic", "enhanced"], "Pausing");
+      return this._send("addPauser", [pauser]);
+    }
+
+    async removePauser(pauser) {
+      this._requireVariant(["basic", "enhanced"], "Pausing");
+      return this._send("removePauser", [pauser]);
+    }
+
+    async withdrawPlatformFees(to) {
+      this._requireVariant(["enhanced"], "Withdrawing platform fees");
+      return this._send("withdrawPlatformFees", [to]);
+    }
+
+    /** Refund an unrevealed match's escrow to its payer `to` (owner only) */
+    async emergencyWithdraw(to, matchId) {
+      this._requireVariant(["enhanced"], "emergencyWithdraw");
+      return this._send("emergencyWithdraw", [to, matchId]);
+    }
+  }
+
+  return {
+    AstralClient,
+    VARIANTS,
+    REQUEST_STATUS,
+    INVITATION_STATUS,
+    GROUP_STATUS,
+    NO_SIGN,
+    detectVariant,
+    switchNetwork,
+    zodiacTraits,
+    searchTransactionCount,
+    createQueryCache,
+  };
+});
@@ -0,0 +1,86 @@
+// Type declarations for @astral/fhevm-vue
+import type { App, MaybeRefOrGetter, Ref, ShallowRef } from "vue";
+import type {
+  AstralClient,
+  AstralClientOptions,
+  ContractStats,
+  ContractVariant,
+  Eip1193Provider,
+  MatchInfo,
+  NetworkConfig,
+  Refunds,
+} from "@astral/fhevm-sdk";
+
+export interface AstralPluginOptions extends AstralClientOptions {
+  /** Chain connect() switches the wallet to */
+  network?: NetworkConfig | null;
+  /** ethers provider used for reads until a wallet connects */
+  readProvider?: any;
+  /** Cache lifetime in ms, default 10000 */
+  staleTime?: number;
+}
+
+export interface Astral {
+  client: ShallowRef<AstralClient | null>;
+  account: Ref<string | null>;
+  variant: ContractVariant;
+  staleTime: number;
+  /** Settles once the read-only client (if any) is attached */
+  ready: Promise<void>;
+  connect(ethereum?: Eip1193Provider): Promise<string>;
+  disconnect(): Promise<void>;
+  install(app: App): void;
+}
+
+export interface QueryResult<T> {
+  data: Readonly<Ref<T | undefined>>;
+  error: Readonly<Ref<Error | null>>;
+  /** No data yet and a request is pending */
+  loading: Readonly<Ref<boolean>>;
+  /** A request is in flight */
+  fetching: Readonly<Ref<boolean>>;
+  refetch(): Promise<void>;
+}
+
+export type EventMatcher<T> = true | ((event: { args: any }, data: T | undefined) => boolean);
+
+export interface QueryOptions<T> {
+  enabled?: MaybeRefOrGetter<boolean>;
+  events?: Record<string, EventMatcher<T>>;
+  refetchInterval?: number | null;
+}
+
+export interface Transaction<A extends unknown[], R> {
+  send(...args: A): Promise<R>;
+  pending: Ref<boolean>;
+  error: Ref<Error | null>;
+  reset(): void;
+}
+
+export function createAstral(options: AstralPluginOptions): Astral;
+export function useAstral(): Astral;
+export function invalidateQueries(client: AstralClient | null, key?: string): void;
+
+export function useContractQuery<T>(
+  key: () => string | null | false | undefined,
+  fetcher: (client: AstralClient) => Promise<T>,
+  options?: QueryOptions<T>
+): QueryResult<T>;
+
+export function useTransaction<A extends unknown[], R>(
+  action: (client: AstralClient, ...args: A) => Promise<R>,
+  options?: { invalidates?: string[] }
+): Transaction<A, R>;
+
+export function useProfile(user?: MaybeRefOrGetter<string | null>): QueryResult<{ hasProfile: boolean; matchCount: number }>;
+export function useMatches(options?: {
+  user?: MaybeRefOrGetter<string | null>;
+  offset?: MaybeRefOrGetter<number>;
+  limit?: MaybeRefOrGetter<number>;
+}): QueryResult<{ matches: MatchInfo[]; total: number }>;
+export function useMatch(matchId: MaybeRefOrGetter<string | null>): QueryResult<MatchInfo>;
+export function useRevealRequest(
+  requestId: MaybeRefOrGetter<string | bigint | null>
+): QueryResult<any> & { status: Readonly<Ref<string | null>> };
+export function useRefunds(options?: { pollInterval?: number }): QueryResult<Refunds>;
+export function useContractStats(): QueryResult<Partial<ContractStats> & { totalMatches: number }>;
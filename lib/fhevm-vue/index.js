@@ -0,0 +1,410 @@
+/**
+ * @astral/fhevm-vue
+ *
+ * Vue 3 composables for the Astral Compatibility contracts, built on AstralClient from
+ * @astral/fhevm-sdk. `createAstral()` is installed as a plugin and holds the connection;
+ * the query composables read through the connected client (or a read-only provider before
+ * a wallet connects) with the same caching and event refetch as the React hooks.
+ */
+import { computed, inject, markRaw, onScopeDispose, ref, shallowRef, toValue, watch } from "vue";
+import { AstralClient, REQUEST_STATUS, createQueryCache } from "@astral/fhevm-sdk";
+
+const ASTRAL_KEY = Symbol("astral");
+
+// Results younger than this are reused instead of refetched, unless options.staleTime says otherwise
+const DEFAULT_STALE_TIME = 10000;
+
+// Polling interval for queries whose state changes with time rather than transactions
+const DEFAULT_POLL_INTERVAL = 15000;
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Create the Astral plugin.
+ *
+ * options: AstralClient options ({ ethers, address, abi, variant, createFhevmInstance }) plus
+ *   network       NetworkConfig connect() switches the wallet to
+ *   readProvider  ethers provider used for reads until a wallet connects
+ *   staleTime     cache lifetime in ms (default 10s)
+ */
+export function createAstral(options) {
+  const { network = null, readProvider = null, staleTime = DEFAULT_STALE_TIME, ...clientOptions } = options;
+
+  const client = shallowRef(null);
+  const account = ref(null);
+  let listening = null;
+
+  const newClient = () => new AstralClient(clientOptions);
+
+  // The read-only client has no account; queries needing one stay idle until connect()
+  const attachReadOnly = async () => {
+    client.value = readProvider ? markRaw(await newClient().attach(readProvider)) : null;
+    account.value = null;
+  };
+
+  const handleAccountsChanged = (accounts) => {
+    if (accounts.length === 0) {
+      disconnect();
+    } else {
+      connect(listening).catch((error) => console.error("Error reconnecting wallet:", error));
+    }
+  };
+
+  // A new client per connection, so every query keyed on it reloads for the new account
+  async function connect(ethereum = globalThis.ethereum) {
+    if (!ethereum) {
+      throw new Error("MetaMask is required to use this application");
+    }
+
+    const connected = newClient();
+    const connectedAccount = await connected.connect(ethereum, network);
+    client.value = markRaw(connected);
+    account.value = connectedAccount;
+
+    if (listening !== ethereum && ethereum.on) {
+      if (listening && listening.removeListener) {
+        listening.removeListener("accountsChanged", handleAccountsChanged);
+      }
+      ethereum.on("accountsChanged", handleAccountsChanged);
+      listening = ethereum;
+    }
+    return connectedAccount;
+  }
+
+  function disconnect() {
+    if (listening && listening.removeListener) {
+      listening.removeListener("accountsChanged", handleAccountsChanged);
+    }
+    listening = null;
+    return attachReadOnly();
+  }
+
+  const astral = {
+    client,
+    account,
+    variant: clientOptions.variant || "enhanced",
+    staleTime,
+    ready: attachReadOnly(),
+    connect,
+    disconnect,
+    install(app) {
+      app.provide(ASTRAL_KEY, astral);
+    },
+  };
+  return astral;
+}
+
+/** The plugin state: { client, account, variant, connect, disconnect } */
+export function useAstral() {
+  const astral = inject(ASTRAL_KEY, null);
+  if (!astral) {
+    throw new Error("useAstral() needs app.use(createAstral(options))");
+  }
+  return astral;
+}
+
+// ==================== QUERY CACHE ====================
+
+// Query results per AstralClient, shared with the React hooks; a new client starts empty
+const cache = createQueryCache();
+
+const IDLE = { data: undefined, error: null, loading: false, fetching: false };
+
+const snapshot = (entry) => ({
+  data: entry.data,
+  error: entry.error,
+  loading: entry.data === undefined && (entry.promise !== null || entry.updatedAt === 0),
+  fetching: entry.promise !== null,
+});
+
+/**
+ * Refetch the cached queries under key: the key itself and the keys below it, so "refunds"
+ * covers "refunds:0xabc" and "match:1" leaves "match:10" alone. Keys nobody is subscribed
+ * to are only marked stale, so they reload on next use.
+ */
+export function invalidateQueries(client, key = "") {
+  cache.invalidate(client, key);
+}
+
+function hasEvent(contract, name) {
+  try {
+    return Boolean(contract.interface.getEvent(name));
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Read contract state through the current client. key is a getter returning the cache key,
+ * or null to stay idle; it is re-evaluated reactively.
+ *
+ * options.events maps contract event names to true or a predicate (event, data) => boolean;
+ * a matching event refetches the key. Events missing from the ABI are skipped.
+ *
+ * @returns {{ data: Ref, error: Ref, loading: Ref<boolean>, fetching: Ref<boolean>, refetch: () => Promise<void> }}
+ */
+export function useContractQuery(key, fetcher, { enabled = true, events = {}, refetchInterval = null } = {}) {
+  const astral = useAstral();
+  const current = shallowRef(null);
+  // The current entry as of its last change, so the refs below update with it
+  const state = shallowRef(IDLE);
+
+  const stop = watch(
+    () => [astral.client.value, key(), toValue(enabled)],
+    ([client, activeKey, active], _previous, onCleanup) => {
+      if (!client || !activeKey || !active) {
+        current.value = null;
+        state.value = IDLE;
+        return;
+      }
+
+      current.value = { client, key: activeKey };
+      const update = () => {
+        state.value = snapshot(cache.entry(client, activeKey));
+      };
+      const unsubscribe = cache.subscribe(client, activeKey, fetcher, update, astral.staleTime);
+      update();
+
+      const contract = client.contract;
+      const subscriptions = contract
+        ? Object.keys(events)
+          .filter((name) => hasEvent(contract, name))
+          .map((name) => {
+            // ethers passes the decoded arguments, then the event with named args
+            const handler = (...args) => {
+              const match = events[name];
+              const event = args[args.length - 1];
+              if (match === true || match(event, cache.entry(client, activeKey).data)) {
+                invalidateQueries(client, activeKey);
+              }
+            };
+            contract.on(name, handler);
+            return [name, handler];
+          })
+        : [];
+
+      const timer = refetchInterval ? setInterval(() => invalidateQueries(client, activeKey), refetchInterval) : null;
+
+      onCleanup(() => {
+        unsubscribe();
+        subscriptions.forEach(([name, handler]) => contract.off(name, handler));
+        if (timer) clearInterval(timer);
+      });
+    },
+    { immediate: true }
+  );
+  onScopeDispose(stop);
+
+  return {
+    data: computed(() => state.value.data),
+    error: computed(() => state.value.error),
+    loading: computed(() => state.value.loading),
+    fetching: computed(() => state.value.fetching),
+    refetch: () => (current.value ? cache.fetch(current.value.client, current.value.key) : Promise.resolve()),
+  };
+}
+
+/**
+ * Track one contract write on its own. action(client, ...args) runs with the connected client;
+ * once it settles, the queries under each invalidates key are refetched.
+ *
+ * @returns {{ send: (...args) => Promise, pending: Ref<boolean>, error: Ref, reset: () => void }}
+ */
+export function useTransaction(action, { invalidates = [] } = {}) {
+  const astral = useAstral();
+  const pending = ref(false);
+  const error = shallowRef(null);
+
+  async function send(...args) {
+    const client = astral.client.value;
+    if (!client || !astral.account.value) {
+      throw new Error("Please connect your wallet first");
+    }
+
+    pending.value = true;
+    error.value = null;
+    try {
+      return await action(client, ...args);
+    } catch (caught) {
+      error.value = caught;
+      throw caught;
+    } finally {
+      pending.value = false;
+      invalidates.forEach((key) => invalidateQueries(client, key));
+    }
+  }
+
+  const reset = () => {
+    pending.value = false;
+    error.value = null;
+  };
+
+  return { send, pending, error, reset };
+}
+
+// ==================== COMPOSABLES ====================
+
+/**
+ * Whether a user (the connected account by default) has a profile, and their match count
+ * @returns query with data { hasProfile, matchCount }
+ */
+export function useProfile(user = null) {
+  const { account } = useAstral();
+  const address = () => toValue(user) || account.value;
+
+  const isUser = ({ args }) => sameAddress(args.user, address());
+  const isParticipant = ({ args }) => sameAddress(args.user1, address()) || sameAddress(args.user2, address());
+
+  return useContractQuery(
+    () => address() && `profile:${address().toLowerCase()}`,
+    async (client) => {
+      const target = address();
+      const [hasProfile, matchCount] = await Promise.all([client.hasProfile(target), client.getUserMatchCount(target)]);
+      return { hasProfile, matchCount };
+    },
+    {
+      events: {
+        ProfileCreated: isUser,
+        ProfileDeleted: isUser,
+        MatchRequested: isParticipant,
+        MatchCancelled: isParticipant,
+      },
+    }
+  );
+}
+
+/**
+ * A page of a user's matches (the connected account by default) and their total, newest first
+ * @returns query with data { matches, total }
+ */
+export function useMatches({ user = null, offset = 0, limit = 10 } = {}) {
+  const { account } = useAstral();
+  const address = () => toValue(user) || account.value;
+
+  const isParticipant = ({ args }) => sameAddress(args.user1, address()) || sameAddress(args.user2, address());
+  const isListed = ({ args }, data) => Boolean(data) && data.matches.some((match) => match.matchId === args.matchId);
+
+  return useContractQuery(
+    () => address() && `matches:${address().toLowerCase()}:${toValue(offset)}:${toValue(limit)}`,
+    (client) => client.listMatches(address(), toValue(offset), toValue(limit)),
+    {
+      events: {
+        MatchRequested: isParticipant,
+        MatchCancelled: isParticipant,
+        ScoreRevealedPrivately: isParticipant,
+        CompatibilityRevealed: isListed,
+        DecryptionRequested: isListed,
+        DecryptionCompleted: isListed,
+        DecryptionFailed: isListed,
+        DecryptionTimedOut: isListed,
+      },
+    }
+  );
+}
+
+/** One match by ID; matchId may be a ref or getter */
+export function useMatch(matchId) {
+  const isMatch = ({ args }) => args.matchId.toString() === toValue(matchId).toString();
+
+  return useContractQuery(
+    () => toValue(matchId) && `match:${toValue(matchId)}`,
+    (client) => client.getMatch(toValue(matchId)),
+    {
+      events: {
+        MatchCancelled: isMatch,
+        CompatibilityRevealed: isMatch,
+        ScoreRevealedPrivately: isMatch,
+        DecryptionRequested: isMatch,
+        DecryptionCompleted: isMatch,
+        DecryptionFailed: isMatch,
+        DecryptionTimedOut: isMatch,
+        // claimTimeoutRefund only emits RefundIssued, which does not name the match
+        RefundIssued: true,
+      },
+    }
+  );
+}
+
+/**
+ * A Gateway decryption request by ID (Enhanced only). status is the REQUEST_STATUS name; the
+ * contract reports a request past its deadline as TIMED_OUT.
+ * @returns query plus status: Ref<string|null>
+ */
+export function useRevealRequest(requestId) {
+  const astral = useAstral();
+  const id = () => {
+    const value = toValue(requestId);
+    return value === null || value === undefined ? null : value.toString();
+  };
+  const isRequest = ({ args }) => args.requestId.toString() === id();
+
+  const query = useContractQuery(
+    () => id() && `reveal:${id()}`,
+    (client) => client.getRevealRequest(id()),
+    {
+      enabled: () => astral.variant === "enhanced",
+      events: {
+        DecryptionCompleted: isRequest,
+        DecryptionFailed: isRequest,
+        DecryptionTimedOut: isRequest,
+        RefundIssued: true,
+      },
+    }
+  );
+
+  const status = computed(() => (query.data.value ? REQUEST_STATUS[Number(query.data.value.status)] : null));
+
+  return { ...query, status };
+}
+
+/**
+ * The connected account's pending refund balance and matches past their reveal deadline
+ * (Enhanced only). Deadlines pass without an event, so the query also polls.
+ * @returns query with data { pending, feeBps, claimable }
+ */
+export function useRefunds({ pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+  const astral = useAstral();
+
+  const isAccount = ({ args }) => sameAddress(args.user, astral.account.value);
+  const isClaimable = ({ args }, data) => Boolean(data) && data.claimable.some((match) => match.matchId === args.matchId);
+
+  return useContractQuery(
+    () => astral.account.value && `refunds:${astral.account.value.toLowerCase()}`,
+    (client) => client.getRefunds(astral.account.value),
+    {
+      enabled: () => astral.variant === "enhanced",
+      refetchInterval: pollInterval,
+      events: {
+        RefundIssued: isAccount,
+        RefundClaimed: isAccount,
+        DecryptionCompleted: isClaimable,
+        DecryptionFailed: isClaimable,
+      },
+    }
+  );
+}
+
+/**
+ * Platform-wide figures. Enhanced reports all of them; the mock and basic contracts only have
+ * totalMatches. Works on the read-only client before a wallet connects.
+ * @returns query with data { totalMatches, totalRefunds?, platformFees?, matchFee?, requestTimeout?, isPaused? }
+ */
+export function useContractStats() {
+  return useContractQuery(
+    () => "stats",
+    async (client) =>
+      client.variant === "enhanced" ? client.getContractStats() : { totalMatches: await client.getTotalMatches() },
+    {
+      events: {
+        MatchRequested: true,
+        MatchCancelled: true,
+        RefundIssued: true,
+        RefundClaimed: true,
+        MatchFeeUpdated: true,
+        TimeoutUpdated: true,
+        ContractPaused: true,
+        ContractUnpaused: true,
+      },
+    }
+  );
+}
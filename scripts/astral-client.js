@@ -0,0 +1,39 @@
+const hre = require("hardhat");
+const { AstralClient } = require("../lib/fhevm-sdk");
+const { readDeployments } = require("./deployments");
+
+/**
+ * AstralClient for the deployment in CONTRACT_ADDRESS, shared by the Hardhat scripts
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS     Deployed contract (default: the variant's address in deployments/<network>.json)
+ *   CONTRACT_VARIANT     basic | enhanced | mock (default: basic)
+ *
+ * Scripts have no relayer SDK instance, so profiles are sent in plaintext and encrypted by the contract.
+ */
+
+// Artifact whose ABI matches each variant; local Enhanced builds share the Enhanced ABI
+const ARTIFACTS = {
+  basic: "AstralCompatibility",
+  enhanced: "AstralCompatibilityEnhanced",
+  mock: "AstralCompatibilityMock",
+};
+
+async function connectClient(signer) {
+  const variant = process.env.CONTRACT_VARIANT || "basic";
+  if (!ARTIFACTS[variant]) {
+    throw new Error(`CONTRACT_VARIANT must be one of: ${Object.keys(ARTIFACTS).join(", ")}`);
+  }
+
+  const deployment = readDeployments()[hre.network.name];
+  const recorded = deployment && deployment.contracts[ARTIFACTS[variant]];
+  const address = process.env.CONTRACT_ADDRESS || (recorded && recorded.address);
+  if (!address) {
+    throw new Error(`CONTRACT_ADDRESS not set in .env and no ${ARTIFACTS[variant]} recorded for ${hre.network.name}`);
+  }
+
+  const { abi } = await hre.artifacts.readArtifact(ARTIFACTS[variant]);
+  return new AstralClient({ ethers: hre.ethers, address, abi, variant }).attach(signer);
+}
+
+module.exports = { connectClient, ARTIFACTS };
@@ -1,4 +1,6 @@
 const hre = require("hardhat");
+const { saveDeployment } = require("./deployments");
+const { deployLibraries } = require("../test/helpers/deploy");
 
 /**
  * Deployment script for AstralCompatibilityEnhanced contract
@@ -16,7 +18,7 @@ async function main() {
     // Get deployer account
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying with account:", deployer.address);
-    console.log("Account balance:", (await deployer.getBalance()).toString());
+    console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
     // Configuration
     const PAUSER_ADDRESSES = [
@@ -34,18 +36,29 @@ async function main() {
     });
     console.log("- KMS Generation:", KMS_GENERATION);
 
+    // Deploy the scoring, invitation, profile, decryption and group libraries first; the contract links against them
+    console.log("\nDeploying libraries...");
+    const libraries = await deployLibraries();
+    for (const [name, address] of Object.entries(libraries)) {
+        console.log(`${name} library address:`, address);
+    }
+
     // Deploy contract
     console.log("\nDeploying AstralCompatibilityEnhanced...");
-    const AstralCompatibilityEnhanced = await hre.ethers.getContractFactory("AstralCompatibilityEnhanced");
+    const AstralCompatibilityEnhanced = await hre.ethers.getContractFactory("AstralCompatibilityEnhanced", {
+        libraries
+    });
     const contract = await AstralCompatibilityEnhanced.deploy(
         PAUSER_ADDRESSES,
         KMS_GENERATION
     );
 
-    await contract.deployed();
+    await contract.waitForDeployment();
+    const contractAddress = await contract.getAddress();
+    const deployment = await contract.deploymentTransaction().wait();
 
     console.log("\n✅ Contract deployed successfully!");
-    console.log("Contract address:", contract.address);
+    console.log("Contract address:", contractAddress);
 
     // Display initial configuration
     console.log("\n=== Initial Configuration ===");
@@ -58,8 +71,8 @@ async function main() {
 
     console.log("Owner:", owner);
     console.log("Total Matches:", totalMatches.toString());
-    console.log("Match Fee:", hre.ethers.utils.formatEther(matchFee), "ETH");
-    console.log("Request Timeout:", requestTimeout.toString(), "seconds (", requestTimeout / 3600, "hours)");
+    console.log("Match Fee:", hre.ethers.formatEther(matchFee), "ETH");
+    console.log("Request Timeout:", requestTimeout.toString(), "seconds (", requestTimeout / 3600n, "hours)");
     console.log("Is Paused:", isPaused);
     console.log("KMS Generation:", kmsGeneration.toString());
 
@@ -78,46 +91,56 @@ async function main() {
     console.log("\n=== Contract Statistics ===");
     console.log("Total Matches:", stats._totalMatches.toString());
     console.log("Total Refunds:", stats._totalRefunds.toString());
-    console.log("Platform Fees:", hre.ethers.utils.formatEther(stats._platformFees), "ETH");
-    console.log("Match Fee:", hre.ethers.utils.formatEther(stats._matchFee), "ETH");
+    console.log("Platform Fees:", hre.ethers.formatEther(stats._platformFees), "ETH");
+    console.log("Match Fee:", hre.ethers.formatEther(stats._matchFee), "ETH");
     console.log("Request Timeout:", stats._requestTimeout.toString(), "seconds");
     console.log("Is Paused:", stats._isPaused);
 
     // Save deployment info
     const deploymentInfo = {
         network: hre.network.name,
-        contractAddress: contract.address,
+        contractAddress,
+        libraries,
         deployer: deployer.address,
         deploymentTime: new Date().toISOString(),
         configuration: {
             pauserAddresses: PAUSER_ADDRESSES,
             kmsGeneration: KMS_GENERATION,
-            matchFee: hre.ethers.utils.formatEther(matchFee),
+            matchFee: hre.ethers.formatEther(matchFee),
             requestTimeout: requestTimeout.toString(),
         },
-        transactionHash: contract.deployTransaction.hash,
-        blockNumber: contract.deployTransaction.blockNumber,
+        transactionHash: deployment.hash,
+        blockNumber: deployment.blockNumber,
     };
 
     console.log("\n=== Deployment Info ===");
     console.log(JSON.stringify(deploymentInfo, null, 2));
+    await saveDeployment(hre, "AstralCompatibilityEnhanced", {
+        address: contractAddress,
+        deployer: deployer.address,
+        blockNumber: deploymentInfo.blockNumber,
+        timestamp: deploymentInfo.deploymentTime,
+    });
 
     // Verification instructions
     console.log("\n=== Verification Instructions ===");
     console.log("To verify the contract on Etherscan, run:");
-    console.log(`npx hardhat verify --network ${hre.network.name} ${contract.address} \\`);
+    for (const [name, address] of Object.entries(libraries)) {
+        console.log(`npx hardhat verify --network ${hre.network.name} ${address}  # ${name}`);
+    }
+    console.log(`npx hardhat verify --network ${hre.network.name} ${contractAddress} \\`);
     console.log(`  '${JSON.stringify(PAUSER_ADDRESSES)}' \\`);
     console.log(`  ${KMS_GENERATION}`);
 
     console.log("\n=== Frontend Configuration ===");
-    console.log("Update your frontend config with:");
-    console.log("CONTRACT_ADDRESS:", contract.address);
+    console.log("Regenerate the contract modules with npm run abi:generate, then set in the frontend config:");
+    console.log("CONTRACT_VARIANT: enhanced");
     console.log("NETWORK:", hre.network.name);
-    console.log("CHAIN_ID:", (await hre.ethers.provider.getNetwork()).chainId);
+    console.log("CHAIN_ID:", Number((await hre.ethers.provider.getNetwork()).chainId));
 
     console.log("\n=== Next Steps ===");
     console.log("1. Verify contract on Etherscan (see instructions above)");
-    console.log("2. Update frontend configuration");
+    console.log("2. Regenerate the frontend contract modules: npm run abi:generate");
     console.log("3. Test profile creation");
     console.log("4. Test compatibility matching");
     console.log("5. Test refund mechanism");
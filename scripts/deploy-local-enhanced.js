@@ -0,0 +1,68 @@
+const hre = require("hardhat");
+const { saveDeployment } = require("./deployments");
+const { deployMockCoprocessor, deployLibraries } = require("../test/helpers/deploy");
+
+async function main() {
+  console.log("🚀 Deploying AstralCompatibilityEnhancedLocal with mock FHEVM contracts...");
+  console.log("Network:", hre.network.name);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Deployer address:", deployer.address);
+
+  // Mock coprocessor stack (see contracts/test/)
+  // The deployer doubles as the KMS signer; scripts/mock-gateway.js signs with it
+  const coprocessorConfig = await deployMockCoprocessor(deployer);
+
+  // Scoring model, invitation, profile, decryption and group libraries linked into the enhanced contract
+  const libraries = await deployLibraries();
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`✅ ${name} deployed to:`, address);
+  }
+
+  const pausers = [deployer.address];
+  const kmsGeneration = 1;
+
+  const astralCompatibility = await hre.ethers.deployContract("AstralCompatibilityEnhancedLocal", [
+    pausers,
+    kmsGeneration,
+    coprocessorConfig,
+  ], { libraries });
+  await astralCompatibility.waitForDeployment();
+
+  const contractAddress = await astralCompatibility.getAddress();
+  console.log("✅ AstralCompatibilityEnhancedLocal deployed to:", contractAddress);
+
+  const deploymentInfo = {
+    network: hre.network.name,
+    contract: "AstralCompatibilityEnhancedLocal",
+    address: contractAddress,
+    libraries,
+    coprocessorConfig,
+    deployer: deployer.address,
+    timestamp: new Date().toISOString(),
+    blockNumber: await hre.ethers.provider.getBlockNumber(),
+  };
+
+  console.log("\n📋 Deployment Summary:");
+  console.log(JSON.stringify(deploymentInfo, null, 2));
+  // Same interface as AstralCompatibilityEnhanced, so frontends load it with the Enhanced ABI
+  await saveDeployment(hre, "AstralCompatibilityEnhanced", {
+    address: contractAddress,
+    contract: "AstralCompatibilityEnhancedLocal",
+    deployer: deployer.address,
+    blockNumber: deploymentInfo.blockNumber,
+    timestamp: deploymentInfo.timestamp,
+  });
+
+  console.log("\n📝 Next steps:");
+  console.log(`1. Start the local gateway: CONTRACT_ADDRESS=${contractAddress} npm run gateway:local`);
+  console.log("2. Create profiles, request a match, accept it as the partner and call requestRevealScore");
+  console.log("3. Point the frontends at it: npm run abi:generate, then set NETWORK to 'localhost'");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { saveDeployment } = require("./deployments");
 
 async function main() {
   console.log("🚀 Deploying AstralCompatibilityMock contract (for testing)...");
@@ -29,6 +30,12 @@ async function main() {
 
   console.log("\n📋 Deployment Summary:");
   console.log(JSON.stringify(deploymentInfo, null, 2));
+  await saveDeployment(hre, "AstralCompatibilityMock", {
+    address: contractAddress,
+    deployer: deployer.address,
+    blockNumber: deploymentInfo.blockNumber,
+    timestamp: deploymentInfo.timestamp,
+  });
 
   console.log("\n⏳ Waiting for block confirmations...");
   await astralCompatibility.deploymentTransaction().wait(5);
@@ -36,7 +43,7 @@ async function main() {
   console.log("\n✅ Deployment complete!");
   console.log("\n📝 Next steps:");
   console.log("1. Verify contract: npm run verify");
-  console.log("2. Update frontend config with contract address");
+  console.log("2. Regenerate the frontend contract modules: npm run abi:generate");
   console.log("3. Test interactions: npm run interact");
 }
 
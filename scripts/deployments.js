@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment records in deployments/<network>.json, one address per contract ABI.
+ * scripts/generate-abi.js turns them into the address modules in lib/contracts.
+ *
+ * {
+ *   "chainId": 11155111,
+ *   "contracts": {
+ *     "AstralCompatibilityMock": { "address": "0x…", "deployer": "0x…", "blockNumber": 1, "timestamp": "…" }
+ *   }
+ * }
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function readDeployments() {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    fs
+      .readdirSync(DEPLOYMENTS_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map((file) => [
+        path.basename(file, ".json"),
+        JSON.parse(fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8")),
+      ])
+  );
+}
+
+/**
+ * Record a deployment under the contract whose ABI it exposes. Builds with a different
+ * artifact name (e.g. AstralCompatibilityEnhancedLocal) pass it in info.contract.
+ * The in-process hardhat network is skipped, its contracts are gone when the script exits.
+ */
+async function saveDeployment(hre, abiName, info) {
+  if (hre.network.name === "hardhat") {
+    return null;
+  }
+
+  const file = path.join(DEPLOYMENTS_DIR, `${hre.network.name}.json`);
+  const record = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { contracts: {} };
+  record.chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  record.contracts[abiName] = info;
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+  console.log(`💾 Saved ${abiName} to deployments/${hre.network.name}.json`);
+  return file;
+}
+
+module.exports = { DEPLOYMENTS_DIR, readDeployments, saveDeployment };
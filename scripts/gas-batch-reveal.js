@@ -0,0 +1,118 @@
+const hre = require("hardhat");
+const { connectGateway, pendingRequests, fulfillRequest } = require("./mock-gateway");
+const { deployEnhancedLocal } = require("../test/helpers/deploy");
+
+/**
+ * Gas comparison: per-match reveals vs. one batched reveal
+ *
+ * Deploys AstralCompatibilityEnhancedLocal with the mock FHEVM contracts, lets a
+ * host match with N partners and reveals the scores twice on fresh deployments:
+ * once with requestRevealScore per match (one oracle request and callback each)
+ * and once with requestRevealScores (one oracle request and callback in total).
+ * Only the user's request transactions and the gateway callbacks are counted.
+ *
+ * Usage:
+ *   npm run gas:reveal
+ *
+ * Environment:
+ *   BATCH_SIZES   Comma-separated match counts (default: 1,2,5,10; at most MAX_BATCH_REVEALS)
+ */
+
+/**
+ * Fresh deployment where `host` has an accepted match with each partner.
+ */
+async function setupMatches(deployer, host, partners) {
+  const contract = await deployEnhancedLocal(deployer);
+  const gateway = await connectGateway(await contract.getAddress());
+  const matchFee = await contract.matchFee();
+
+  await contract.connect(host).createProfile(0, 0, 0);
+  const matchIds = [];
+  for (let i = 0; i < partners.length; i++) {
+    await contract.connect(partners[i]).createProfile((i + 1) % 12, (i + 1) % 4, (i + 1) % 3);
+    await contract.connect(host).requestCompatibilityMatch(partners[i].address, { value: matchFee });
+    const matchId = await contract.generateMatchId(host.address, partners[i].address);
+    await contract.connect(partners[i]).acceptMatchInvitation(matchId);
+    matchIds.push(matchId);
+  }
+
+  return { contract, gateway, matchIds };
+}
+
+/**
+ * Answer every open oracle request; returns the callbacks' gas.
+ */
+async function fulfillAll(gateway, fromBlock) {
+  let gas = 0n;
+  for (const request of await pendingRequests(gateway, fromBlock)) {
+    const receipt = await fulfillRequest(gateway, request);
+    gas += receipt.gasUsed;
+  }
+  return gas;
+}
+
+async function measureSingle(deployer, host, partners) {
+  const { contract, gateway, matchIds } = await setupMatches(deployer, host, partners);
+  const fromBlock = await hre.ethers.provider.getBlockNumber();
+
+  let requestGas = 0n;
+  for (const matchId of matchIds) {
+    const receipt = await (await contract.connect(host).requestRevealScore(matchId)).wait();
+    requestGas += receipt.gasUsed;
+  }
+  const callbackGas = await fulfillAll(gateway, fromBlock);
+
+  return { requestGas, callbackGas, total: requestGas + callbackGas };
+}
+
+async function measureBatch(deployer, host, partners) {
+  const { contract, gateway, matchIds } = await setupMatches(deployer, host, partners);
+  const fromBlock = await hre.ethers.provider.getBlockNumber();
+
+  const receipt = await (await contract.connect(host).requestRevealScores(matchIds)).wait();
+  const requestGas = receipt.gasUsed;
+  const callbackGas = await fulfillAll(gateway, fromBlock);
+
+  return { requestGas, callbackGas, total: requestGas + callbackGas };
+}
+
+async function main() {
+  const sizes = (process.env.BATCH_SIZES || "1,2,5,10").split(",").map((size) => parseInt(size, 10));
+  const [deployer, host, ...others] = await hre.ethers.getSigners();
+
+  console.log("⛽ Reveal gas: requestRevealScore per match vs. requestRevealScores");
+  console.log("Network:", hre.network.name);
+
+  const rows = [];
+  for (const size of sizes) {
+    if (!(size >= 1 && size <= others.length)) {
+      throw new Error(`Batch size ${size} needs between 1 and ${others.length} partner accounts`);
+    }
+    const partners = others.slice(0, size);
+
+    const single = await measureSingle(deployer, host, partners);
+    const batch = await measureBatch(deployer, host, partners);
+    const saved = single.total - batch.total;
+
+    rows.push({
+      matches: size,
+      "single: requests": single.requestGas.toString(),
+      "single: callbacks": single.callbackGas.toString(),
+      "single: total": single.total.toString(),
+      "batch: request": batch.requestGas.toString(),
+      "batch: callback": batch.callbackGas.toString(),
+      "batch: total": batch.total.toString(),
+      saved: `${saved} (${(Number(saved * 1000n / single.total) / 10).toFixed(1)}%)`,
+    });
+  }
+
+  console.table(rows);
+  console.log("Oracle requests: one per match when revealing singly, one per batch otherwise.");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const { readDeployments } = require("./deployments");
+
+/**
+ * Generate lib/contracts, the ABI and address modules every frontend loads, from the
+ * Hardhat artifacts and the deployment records in deployments/<network>.json.
+ *
+ * Usage:
+ *   npx hardhat compile && npm run abi:generate
+ *
+ * The modules are committed; test/ContractAbi.test.js fails when they drift from the
+ * compiled contracts, so rerun this after changing a contract interface or deploying.
+ */
+
+// Contracts with their own ABI; local builds and mocks of the same interface reuse these
+const CONTRACTS = ["AstralCompatibility", "AstralCompatibilityEnhanced", "AstralCompatibilityMock"];
+
+const OUTPUT_DIR = path.join(__dirname, "..", "lib", "contracts");
+
+const HEADER = "// Generated by scripts/generate-abi.js - do not edit";
+
+// UMD: CommonJS exports the value, a browser script adds it to the AstralContracts global
+const umd = (source, kind, name, value) => `${HEADER} (source: ${source})
+(function (root, value) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = value;
+  } else {
+    root.AstralContracts = root.AstralContracts || { abis: {}, addresses: {} };
+    root.AstralContracts.${kind}[${JSON.stringify(name)}] = value;
+  }
+})(typeof self !== "undefined" ? self : this, ${value});
+`;
+
+// One ABI entry per line keeps diffs to the entries that changed
+const formatAbi = (abi) => `[\n  ${abi.map((entry) => JSON.stringify(entry)).join(",\n  ")}\n]`;
+
+const formatAddresses = (deployment) =>
+  JSON.stringify(
+    {
+      chainId: deployment.chainId,
+      contracts: Object.fromEntries(
+        CONTRACTS.filter((name) => deployment.contracts[name]).map((name) => [name, deployment.contracts[name].address])
+      ),
+    },
+    null,
+    2
+  );
+
+// Object literal of require calls, one per line
+const requires = (entries) =>
+  entries.length
+    ? `{\n${entries.map(([key, file]) => `        ${key}: require("${file}"),`).join("\n")}\n      }`
+    : "{}";
+
+const indexModule = (networks) => `${HEADER}
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      ${requires(CONTRACTS.map((name) => [name, `./abi/${name}`]))},
+      ${requires(networks.map((network) => [JSON.stringify(network), `./addresses/${network}`]))}
+    );
+  } else {
+    const generated = root.AstralContracts || { abis: {}, addresses: {} };
+    root.AstralContracts = factory(generated.abis, generated.addresses);
+  }
+})(typeof self !== "undefined" ? self : this, function (abis, addresses) {
+  "use strict";
+
+  // Contract behind each CONTRACT_VARIANT
+  const VARIANT_CONTRACTS = {
+    basic: "AstralCompatibility",
+    enhanced: "AstralCompatibilityEnhanced",
+    mock: "AstralCompatibilityMock",
+  };
+
+  function getAbi(variant) {
+    const abi = abis[VARIANT_CONTRACTS[variant]];
+    if (!abi) {
+      throw new Error(\`No ABI for contract variant "\${variant}"\`);
+    }
+    return abi;
+  }
+
+  // Deployed address of the variant on a network, or null when it is not deployed there
+  function getAddress(network, variant) {
+    const deployment = addresses[network];
+    return (deployment && deployment.contracts[VARIANT_CONTRACTS[variant]]) || null;
+  }
+
+  return { abis, addresses, VARIANT_CONTRACTS, getAbi, getAddress };
+});
+`;
+
+/**
+ * Contents of every generated module keyed by path relative to lib/contracts.
+ * readArtifact is hre.artifacts.readArtifact or anything returning { abi }.
+ */
+async function generateModules(readArtifact, deployments = readDeployments()) {
+  const files = {};
+
+  for (const name of CONTRACTS) {
+    const { abi } = await readArtifact(name);
+    files[`abi/${name}.js`] = umd(`artifacts ${name}`, "abis", name, formatAbi(abi));
+  }
+
+  const networks = Object.keys(deployments);
+  for (const network of networks) {
+    files[`addresses/${network}.js`] = umd(
+      `deployments/${network}.json`,
+      "addresses",
+      network,
+      formatAddresses(deployments[network])
+    );
+  }
+
+  files["index.js"] = indexModule(networks);
+  return files;
+}
+
+// Generated modules on disk, for spotting ones left over from removed contracts or networks
+function listModules() {
+  return ["abi", "addresses"]
+    .filter((dir) => fs.existsSync(path.join(OUTPUT_DIR, dir)))
+    .flatMap((dir) => fs.readdirSync(path.join(OUTPUT_DIR, dir)).map((file) => `${dir}/${file}`))
+    .concat(fs.existsSync(path.join(OUTPUT_DIR, "index.js")) ? ["index.js"] : []);
+}
+
+async function main() {
+  const hre = require("hardhat");
+  const files = await generateModules((name) => hre.artifacts.readArtifact(name));
+
+  for (const file of listModules()) {
+    if (!files[file]) {
+      fs.unlinkSync(path.join(OUTPUT_DIR, file));
+      console.log("🗑️  Removed", `lib/contracts/${file}`);
+    }
+  }
+
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(OUTPUT_DIR, file)), { recursive: true });
+    fs.writeFileSync(path.join(OUTPUT_DIR, file), content);
+    console.log("✅ Wrote", `lib/contracts/${file}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { CONTRACTS, OUTPUT_DIR, generateModules, listModules };
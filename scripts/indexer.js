@@ -0,0 +1,614 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Event-sourced indexer for AstralCompatibilityEnhanced
+ *
+ * Replays contract logs into a local JSON store. The raw event log is the
+ * source of truth; profile/invitation/match/group/refund state is always derived from it, so a
+ * reorg rollback is simply "drop events past the common ancestor and replay".
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/indexer.js --network localhost
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS        Enhanced contract to index (required)
+ *   INDEXER_STORE           JSON store path (default: indexer-data/<network>-<address>.json)
+ *   INDEXER_START_BLOCK     First block to scan on a fresh store (default: 0)
+ *   INDEXER_CONFIRMATIONS   Blocks to stay behind the head (default: 0)
+ *   INDEXER_BATCH_SIZE      Max blocks per getLogs call (default: 2000)
+ *   INDEXER_POLL_MS         Keep following the chain at this interval (default: run once)
+ */
+
+const STORE_VERSION = 1;
+const REORG_WINDOW = 128;
+
+// ==================== Store ====================
+
+function emptyStore(network, address, chainId, startBlock) {
+  return {
+    version: STORE_VERSION,
+    network,
+    chainId,
+    address,
+    startBlock,
+    checkpoint: { blockNumber: startBlock - 1, blockHash: null },
+    recentBlocks: {},
+    events: [],
+  };
+}
+
+function loadStore(file, network, address, chainId, startBlock) {
+  if (!fs.existsSync(file)) {
+    return emptyStore(network, address, chainId, startBlock);
+  }
+
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(`Unsupported store version ${store.version} in ${file}`);
+  }
+  if (store.chainId !== chainId || store.address.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`Store ${file} belongs to ${store.address} on chain ${store.chainId}`);
+  }
+  return store;
+}
+
+function saveStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const snapshot = { ...store, state: deriveState(store.events), updatedAt: new Date().toISOString() };
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// ==================== State Derivation ====================
+
+function deriveState(events) {
+  const state = {
+    profiles: {},
+    directory: {},
+    bestMatchSearches: 0,
+    failedMatchRequests: {},
+    invitations: {},
+    matches: {},
+    groups: {},
+    requests: {},
+    users: {},
+    refunds: [],
+    config: { paused: false, matchFee: null, decryptionTimeout: null, invitationExpiry: null },
+    platformFeesWithdrawn: "0",
+  };
+
+  for (const event of events) {
+    applyEvent(state, event);
+  }
+  return state;
+}
+
+function userEntry(state, address) {
+  if (!state.users[address]) {
+    state.users[address] = { matches: [], feesPaid: "0", refundsIssued: "0", refundsClaimed: "0" };
+  }
+  return state.users[address];
+}
+
+// Directory text is UTF-8 zero-padded to bytes32; keep the raw value if it does not decode
+function decodeDirectoryText(value) {
+  try {
+    return hre.ethers.decodeBytes32String(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function addAmount(a, b) {
+  return (BigInt(a) + BigInt(b)).toString();
+}
+
+function setInvitationStatus(state, args, status, timestamp) {
+  const invitation = state.invitations[args.matchId];
+  if (invitation) {
+    invitation.status = status;
+    invitation.answeredAt = timestamp;
+  }
+}
+
+function setRequestStatus(state, args, status) {
+  const request = state.requests[args.requestId];
+  if (request) {
+    request.status = status;
+  }
+  const match = state.matches[args.matchId];
+  if (match) {
+    match.status = status;
+  }
+}
+
+// One handler per indexed event: (state, args, timestamp) => void
+const EVENT_HANDLERS = {
+  ProfileCreated(state, args, timestamp) {
+    state.profiles[args.user] = { createdAt: timestamp, updatedAt: timestamp, updates: 0 };
+  },
+
+  // Deleted profiles are dropped; matches and refunds keep the address, as on chain
+  ProfileDeleted(state, args) {
+    delete state.profiles[args.user];
+  },
+
+  // Updating an entry keeps the first listing time, as on chain
+  DirectoryListed(state, args, timestamp) {
+    const listing = state.directory[args.user];
+    state.directory[args.user] = {
+      displayName: decodeDirectoryText(args.displayName),
+      handle: decodeDirectoryText(args.handle),
+      listedAt: listing ? listing.listedAt : timestamp,
+    };
+  },
+
+  DirectoryUnlisted(state, args) {
+    delete state.directory[args.user];
+  },
+
+  // The winner is encrypted for the searcher; only the search itself is public
+  BestMatchSearched(state) {
+    state.bestMatchSearches += 1;
+  },
+
+  ProfileUpdated(state, args, timestamp) {
+    const profile = state.profiles[args.user];
+    if (profile) {
+      profile.updatedAt = timestamp;
+      profile.updates += 1;
+    }
+  },
+
+  // Re-inviting a declined or cancelled pair replaces its entry, as on chain
+  MatchInvitationCreated(state, args, timestamp) {
+    state.invitations[args.matchId] = {
+      requester: args.requester,
+      partner: args.partner,
+      createdAt: timestamp,
+      expiresAt: Number(args.expiresAt),
+      status: "OPEN",
+      answeredAt: null,
+    };
+  },
+
+  // Batch entries requestCompatibilityMatches skipped, counted by reason
+  MatchRequestFailed(state, args) {
+    state.failedMatchRequests[args.reason] = (state.failedMatchRequests[args.reason] || 0) + 1;
+  },
+
+  MatchInvitationAccepted(state, args, timestamp) {
+    setInvitationStatus(state, args, "ACCEPTED", timestamp);
+  },
+
+  MatchInvitationDeclined(state, args, timestamp) {
+    setInvitationStatus(state, args, "DECLINED", timestamp);
+  },
+
+  MatchInvitationCancelled(state, args, timestamp) {
+    setInvitationStatus(state, args, "CANCELLED", timestamp);
+  },
+
+  MatchRequested(state, args, timestamp) {
+    state.matches[args.matchId] = {
+      user1: args.user1,
+      user2: args.user2,
+      feePaid: args.feePaid,
+      requestedAt: timestamp,
+      status: "PENDING",
+      requestId: null,
+      score: null,
+      // "PUBLIC" once the score is on chain, "PRIVATE" when only the participants can decrypt it
+      visibility: null,
+      revealedAt: null,
+      revealLatency: null,
+    };
+    userEntry(state, args.user1).matches.push(args.matchId);
+    userEntry(state, args.user2).matches.push(args.matchId);
+  },
+
+  GroupMatchCreated(state, args, timestamp) {
+    state.groups[args.groupId] = {
+      creator: args.creator,
+      members: args.members,
+      joined: [args.creator],
+      createdAt: timestamp,
+      expiresAt: Number(args.expiresAt),
+      status: "OPEN",
+      requestId: null,
+      averageScore: null,
+      minPairScore: null,
+      cancelledBy: null,
+    };
+  },
+
+  GroupMemberJoined(state, args) {
+    const group = state.groups[args.groupId];
+    if (group) {
+      group.joined.push(args.member);
+    }
+  },
+
+  // The last member joined, so the encrypted average and lowest pair score exist
+  GroupMatchScored(state, args) {
+    const group = state.groups[args.groupId];
+    if (group) {
+      group.status = "SCORED";
+    }
+  },
+
+  // Emitted when a member leaves an open group and for each group of a deleted profile
+  GroupMatchCancelled(state, args) {
+    const group = state.groups[args.groupId];
+    if (group) {
+      group.status = "CANCELLED";
+      group.cancelledBy = args.by;
+    }
+  },
+
+  // A timed-out group reveal can be requested again, which replaces requestId
+  GroupRevealRequested(state, args, timestamp) {
+    state.requests[args.requestId] = {
+      groupId: args.groupId,
+      matchIds: [],
+      requester: args.requester,
+      requestedAt: timestamp,
+      timeoutDeadline: Number(args.timeoutDeadline),
+      status: "PROCESSING",
+    };
+    const group = state.groups[args.groupId];
+    if (group) {
+      group.status = "PROCESSING";
+      group.requestId = args.requestId;
+    }
+  },
+
+  GroupCompatibilityRevealed(state, args) {
+    const group = state.groups[args.groupId];
+    if (!group) {
+      return;
+    }
+    group.status = "REVEALED";
+    group.averageScore = Number(args.averageScore);
+    group.minPairScore = Number(args.minPairScore);
+    const request = state.requests[group.requestId];
+    if (request) {
+      request.status = "COMPLETED";
+    }
+  },
+
+  MatchFeePaid(state, args) {
+    const payer = userEntry(state, args.payer);
+    payer.feesPaid = addAmount(payer.feesPaid, args.amount);
+  },
+
+  // A batch reveal (requestRevealScores) emits one event per match under the same request ID
+  DecryptionRequested(state, args, timestamp) {
+    if (!state.requests[args.requestId]) {
+      state.requests[args.requestId] = {
+        matchIds: [],
+        requester: args.requester,
+        requestedAt: timestamp,
+        timeoutDeadline: Number(args.timeoutDeadline),
+        status: "PROCESSING",
+      };
+    }
+    state.requests[args.requestId].matchIds.push(args.matchId);
+    const match = state.matches[args.matchId];
+    if (match) {
+      match.status = "PROCESSING";
+      match.requestId = args.requestId;
+    }
+  },
+
+  DecryptionCompleted(state, args, timestamp) {
+    const request = state.requests[args.requestId];
+    setRequestStatus(state, args, "COMPLETED");
+    const match = state.matches[args.matchId];
+    if (match) {
+      match.score = Number(args.revealedScore);
+      match.visibility = "PUBLIC";
+      match.revealedAt = timestamp;
+      match.revealLatency = timestamp - (request ? request.requestedAt : match.requestedAt);
+    }
+  },
+
+  // The score never leaves the ciphertext, so there is nothing to record but the status
+  ScoreRevealedPrivately(state, args, timestamp) {
+    const match = state.matches[args.matchId];
+    if (match) {
+      match.status = "COMPLETED";
+      match.visibility = "PRIVATE";
+      match.revealedAt = timestamp;
+    }
+  },
+
+  MatchCancelled(state, args) {
+    const match = state.matches[args.matchId];
+    if (match) {
+      match.status = "CANCELLED";
+    }
+  },
+
+  DecryptionFailed(state, args) {
+    setRequestStatus(state, args, "FAILED");
+  },
+
+  DecryptionTimedOut(state, args) {
+    setRequestStatus(state, args, "TIMED_OUT");
+  },
+
+  RefundIssued(state, args, timestamp) {
+    state.refunds.push({ user: args.user, amount: args.amount, reason: args.reason, timestamp });
+    const user = userEntry(state, args.user);
+    user.refundsIssued = addAmount(user.refundsIssued, args.amount);
+  },
+
+  RefundClaimed(state, args) {
+    const user = userEntry(state, args.user);
+    user.refundsClaimed = addAmount(user.refundsClaimed, args.amount);
+  },
+
+  EmergencyWithdrawal(state, args) {
+    const match = state.matches[args.matchId];
+    if (match) {
+      match.status = "REFUNDED";
+    }
+  },
+
+  MatchFeeUpdated(state, args) {
+    state.config.matchFee = args.newFee;
+  },
+
+  TimeoutUpdated(state, args) {
+    state.config.decryptionTimeout = args.newTimeout;
+  },
+
+  InvitationExpiryUpdated(state, args) {
+    state.config.invitationExpiry = args.newExpiry;
+  },
+
+  ScoringConfigUpdated(state, args) {
+    state.config.scoringConfigVersion = Number(args.version);
+  },
+
+  ContractPaused(state) {
+    state.config.paused = true;
+  },
+
+  ContractUnpaused(state) {
+    state.config.paused = false;
+  },
+
+  PlatformFeesWithdrawn(state, args) {
+    state.platformFeesWithdrawn = addAmount(state.platformFeesWithdrawn, args.amount);
+  },
+};
+
+function applyEvent(state, event) {
+  const handler = EVENT_HANDLERS[event.name];
+  if (handler) {
+    handler(state, event.args, event.timestamp);
+  }
+}
+
+function summarize(state) {
+  const matches = Object.values(state.matches);
+  const latencies = matches.filter((m) => m.revealLatency !== null).map((m) => m.revealLatency);
+  const byStatus = {};
+  for (const match of matches) {
+    byStatus[match.status] = (byStatus[match.status] || 0) + 1;
+  }
+  const invitationsByStatus = {};
+  for (const invitation of Object.values(state.invitations)) {
+    invitationsByStatus[invitation.status] = (invitationsByStatus[invitation.status] || 0) + 1;
+  }
+  const groupsByStatus = {};
+  for (const group of Object.values(state.groups)) {
+    groupsByStatus[group.status] = (groupsByStatus[group.status] || 0) + 1;
+  }
+  const totalRefunded = state.refunds.reduce((sum, r) => sum + BigInt(r.amount), 0n);
+
+  return {
+    profiles: Object.keys(state.profiles).length,
+    listedInDirectory: Object.keys(state.directory).length,
+    bestMatchSearches: state.bestMatchSearches,
+    invitationsByStatus,
+    failedMatchRequests: state.failedMatchRequests,
+    matches: matches.length,
+    matchesByStatus: byStatus,
+    groupsByStatus,
+    revealed: latencies.length,
+    avgRevealLatencySeconds: latencies.length
+      ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+      : null,
+    refunds: state.refunds.length,
+    totalRefunded: hre.ethers.formatEther(totalRefunded),
+  };
+}
+
+// ==================== Chain Sync ====================
+
+function serializeValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  return Array.isArray(value) ? Array.from(value, serializeValue) : value;
+}
+
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    result[input.name] = serializeValue(args[i]);
+  });
+  return result;
+}
+
+function rememberBlock(store, blockNumber, blockHash) {
+  store.recentBlocks[blockNumber] = blockHash;
+  const floor = blockNumber - REORG_WINDOW;
+  for (const key of Object.keys(store.recentBlocks)) {
+    if (Number(key) < floor) {
+      delete store.recentBlocks[key];
+    }
+  }
+}
+
+/**
+ * Compare remembered block hashes with the canonical chain and roll back to
+ * the newest block that still matches. Returns true if a rollback happened.
+ */
+async function handleReorg(provider, store) {
+  const tracked = Object.keys(store.recentBlocks)
+    .map(Number)
+    .sort((a, b) => b - a);
+  if (tracked.length === 0) {
+    return false;
+  }
+
+  const head = await provider.getBlock(tracked[0]);
+  if (head && head.hash === store.recentBlocks[tracked[0]]) {
+    return false;
+  }
+
+  let ancestor = null;
+  for (const blockNumber of tracked.slice(1)) {
+    const block = await provider.getBlock(blockNumber);
+    if (block && block.hash === store.recentBlocks[blockNumber]) {
+      ancestor = { blockNumber, blockHash: block.hash };
+      break;
+    }
+  }
+
+  if (!ancestor) {
+    console.log("⚠️  Reorg deeper than tracked window, rebuilding from start block");
+    ancestor = { blockNumber: store.startBlock - 1, blockHash: null };
+  }
+
+  const dropped = store.events.filter((e) => e.blockNumber > ancestor.blockNumber).length;
+  store.events = store.events.filter((e) => e.blockNumber <= ancestor.blockNumber);
+  for (const key of Object.keys(store.recentBlocks)) {
+    if (Number(key) > ancestor.blockNumber) {
+      delete store.recentBlocks[key];
+    }
+  }
+  store.checkpoint = ancestor;
+
+  console.log(`⚠️  Reorg detected, rolled back to block ${ancestor.blockNumber} (${dropped} events dropped)`);
+  return true;
+}
+
+async function syncOnce(contract, store, options) {
+  const provider = hre.ethers.provider;
+
+  await handleReorg(provider, store);
+
+  const head = await provider.getBlockNumber();
+  const target = head - options.confirmations;
+  let fromBlock = store.checkpoint.blockNumber + 1;
+  let indexed = 0;
+
+  while (fromBlock <= target) {
+    const toBlock = Math.min(fromBlock + options.batchSize - 1, target);
+    const logs = await provider.getLogs({ address: store.address, fromBlock, toBlock });
+    const timestamps = {};
+
+    for (const log of logs) {
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed || !EVENT_HANDLERS[parsed.name]) {
+        continue;
+      }
+
+      if (timestamps[log.blockNumber] === undefined) {
+        const block = await provider.getBlock(log.blockNumber);
+        timestamps[log.blockNumber] = block.timestamp;
+      }
+
+      store.events.push({
+        name: parsed.name,
+        args: serializeArgs(parsed.fragment, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps[log.blockNumber],
+      });
+      rememberBlock(store, log.blockNumber, log.blockHash);
+      indexed++;
+    }
+
+    const checkpointBlock = await provider.getBlock(toBlock);
+    store.checkpoint = { blockNumber: toBlock, blockHash: checkpointBlock.hash };
+    rememberBlock(store, toBlock, checkpointBlock.hash);
+    saveStore(options.storeFile, store);
+
+    console.log(`📦 Blocks ${fromBlock}-${toBlock}: ${logs.length} logs`);
+    fromBlock = toBlock + 1;
+  }
+
+  return indexed;
+}
+
+async function main() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+
+  if (!contractAddress) {
+    throw new Error("CONTRACT_ADDRESS not set in .env");
+  }
+
+  const network = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const options = {
+    storeFile:
+      process.env.INDEXER_STORE || path.join("indexer-data", `${network}-${contractAddress.toLowerCase()}.json`),
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || "0", 10),
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || "0", 10),
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || "2000", 10),
+    pollMs: parseInt(process.env.INDEXER_POLL_MS || "0", 10),
+  };
+
+  console.log("🔎 Indexing AstralCompatibilityEnhanced at:", contractAddress);
+  console.log("Network:", network);
+  console.log("Store:", options.storeFile);
+
+  const contract = await hre.ethers.getContractAt("AstralCompatibilityEnhanced", contractAddress);
+  const store = loadStore(options.storeFile, network, contractAddress, Number(chainId), options.startBlock);
+  console.log(`Resuming after block ${store.checkpoint.blockNumber} (${store.events.length} events stored)`);
+
+  do {
+    const indexed = await syncOnce(contract, store, options);
+    if (indexed > 0 || options.pollMs === 0) {
+      console.log("\n📊 Summary:");
+      console.log(JSON.stringify(summarize(deriveState(store.events)), null, 2));
+    }
+    if (options.pollMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, options.pollMs));
+    }
+  } while (options.pollMs > 0);
+
+  saveStore(options.storeFile, store);
+  console.log("\n✅ Indexer up to date at block", store.checkpoint.blockNumber);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  EVENT_HANDLERS,
+  emptyStore,
+  loadStore,
+  saveStore,
+  deriveState,
+  summarize,
+  handleReorg,
+  syncOnce,
+};
@@ -1,44 +1,44 @@
 const hre = require("hardhat");
+const { connectClient } = require("./astral-client");
 
 async function main() {
-  const contractAddress = process.env.CONTRACT_ADDRESS;
-
-  if (!contractAddress) {
-    throw new Error("CONTRACT_ADDRESS not set in .env");
-  }
-
-  console.log("🔗 Interacting with AstralCompatibility at:", contractAddress);
-
   const [signer] = await hre.ethers.getSigners();
-  const contract = await hre.ethers.getContractAt("AstralCompatibility", contractAddress);
+  const client = await connectClient(signer);
+
+  console.log(`🔗 Interacting with the ${client.variant} contract at:`, client.address);
 
   // Check owner
-  const owner = await contract.owner();
+  const owner = await client.contract.owner();
   console.log("📋 Contract owner:", owner);
 
   // Check total matches
-  const totalMatches = await contract.totalMatches();
-  console.log("📊 Total matches:", totalMatches.toString());
+  console.log("📊 Total matches:", await client.getTotalMatches());
 
   // Check if user has profile
-  const profile = await contract.userProfiles(signer.address);
-  console.log("👤 Your profile exists:", profile.hasProfile);
+  const hasProfile = await client.hasProfile();
+  console.log("👤 Your profile exists:", hasProfile);
 
   // Create profile if doesn't exist
-  if (!profile.hasProfile) {
+  if (!hasProfile) {
     console.log("\n🆕 Creating profile (Aries, Fire, Cardinal)...");
-    const tx = await contract.createProfile(0, 0, 0);
-    await tx.wait();
+    await client.createProfile(0);
     console.log("✅ Profile created!");
   }
 
-  // Check paused status
-  const isPaused = await contract.isPaused();
-  console.log("⏸️  Contract paused:", isPaused);
+  // The mock has no pausing or KMS
+  if (client.variant !== "mock") {
+    const isPaused = await client.contract.isPaused();
+    console.log("⏸️  Contract paused:", isPaused);
+
+    const kmsGeneration = await client.contract.kmsGeneration();
+    console.log("🔑 KMS generation:", kmsGeneration.toString());
+  }
 
-  // Check KMS generation
-  const kmsGeneration = await contract.kmsGeneration();
-  console.log("🔑 KMS generation:", kmsGeneration.toString());
+  if (client.variant === "enhanced") {
+    const stats = await client.getContractStats();
+    console.log("💰 Match fee:", hre.ethers.formatEther(stats.matchFee), "ETH");
+    console.log("⏱️  Request timeout:", stats.requestTimeout, "seconds");
+  }
 
   console.log("\n✅ Interaction complete!");
 }
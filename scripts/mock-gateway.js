@@ -0,0 +1,191 @@
+const hre = require("hardhat");
+
+/**
+ * Local decryption gateway for AstralCompatibilityEnhancedLocal
+ *
+ * Watches MockDecryptionOracle for decryption requests, reads the cleartexts
+ * from MockFHEVMExecutor, signs them with the MockKMSVerifier signer and calls
+ * the requesting contract's callback (resolveTallyCallback) like the real relayer.
+ *
+ * Usage:
+ *   npm run deploy:local-enhanced
+ *   CONTRACT_ADDRESS=0x... npm run gateway:local
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS     AstralCompatibilityEnhancedLocal deployment (required)
+ *   GATEWAY_MODE         respond | fail | silent (default: respond)
+ *                        fail   - answer with a proof the KMS verifier rejects
+ *                        silent - never answer, so requests run into their timeout
+ *   GATEWAY_DELAY_MS     Wait this long after a request before answering (default: 0)
+ *   GATEWAY_POLL_MS      Polling interval (default: 1000)
+ *   GATEWAY_ONCE         Answer the requests already on chain and exit (default: false)
+ */
+
+const MODES = ["respond", "fail", "silent"];
+
+/**
+ * Resolve the mock FHEVM contracts behind a local test build and the signer
+ * whose key the MockKMSVerifier accepts.
+ */
+async function connectGateway(contractAddress) {
+  const contract = await hre.ethers.getContractAt("AstralCompatibilityEnhancedLocal", contractAddress);
+  const config = await contract.getCoprocessorConfig();
+
+  const oracle = await hre.ethers.getContractAt("MockDecryptionOracle", config.DecryptionOracleAddress);
+  const executor = await hre.ethers.getContractAt("MockFHEVMExecutor", config.CoprocessorAddress);
+  const kmsVerifier = await hre.ethers.getContractAt("MockKMSVerifier", config.KMSVerifierAddress);
+
+  const kmsAddress = await kmsVerifier.signer();
+  const signers = await hre.ethers.getSigners();
+  const kmsSigner = signers.find((s) => s.address.toLowerCase() === kmsAddress.toLowerCase());
+  if (!kmsSigner) {
+    throw new Error(`KMS signer ${kmsAddress} is not an account on ${hre.network.name}`);
+  }
+
+  return { oracle, executor, kmsSigner, relayer: signers[0] };
+}
+
+/**
+ * Decryption requests emitted since `fromBlock` that have not been fulfilled yet.
+ */
+async function pendingRequests(gateway, fromBlock = 0) {
+  const events = await gateway.oracle.queryFilter(gateway.oracle.filters.DecryptionRequest(), fromBlock);
+  const pending = [];
+
+  for (const event of events) {
+    const request = {
+      requestId: event.args.requestID,
+      requester: event.args.requester,
+      handles: [...event.args.handles],
+      callbackSelector: event.args.callbackSelector,
+      blockNumber: event.blockNumber,
+    };
+    if (!(await isFulfilled(request, fromBlock))) {
+      pending.push(request);
+    }
+  }
+  return pending;
+}
+
+async function isFulfilled(request, fromBlock) {
+  // FHE.checkSignatures emits DecryptionFulfilled(requestID) from the requester
+  const topic = hre.ethers.id("DecryptionFulfilled(uint256)");
+  const logs = await hre.ethers.provider.getLogs({
+    address: request.requester,
+    topics: [topic, hre.ethers.toBeHex(request.requestId, 32)],
+    fromBlock,
+  });
+  return logs.length > 0;
+}
+
+/**
+ * Build the callback payload: ABI-encoded cleartexts plus a proof in the
+ * format MockKMSVerifier checks. In "fail" mode the proof is signed by a
+ * throwaway key so FHE.checkSignatures reverts.
+ */
+async function buildResponse(gateway, request, mode) {
+  const coder = hre.ethers.AbiCoder.defaultAbiCoder();
+  const values = await Promise.all(request.handles.map((h) => gateway.executor.cleartexts(h)));
+  const cleartexts = coder.encode(
+    request.handles.map(() => "uint256"),
+    values
+  );
+
+  // Same layout FHE.verifySignatures hands to the KMS verifier
+  const cleartextsLength = hre.ethers.dataLength(cleartexts);
+  const decryptedResult = hre.ethers.solidityPacked(["bytes", "uint256"], [cleartexts, 64 + cleartextsLength]);
+  const digest = hre.ethers.keccak256(coder.encode(["bytes32[]", "bytes"], [request.handles, decryptedResult]));
+
+  const signer = mode === "fail" ? hre.ethers.Wallet.createRandom() : gateway.kmsSigner;
+  const decryptionProof = await signer.signMessage(hre.ethers.getBytes(digest));
+
+  return { cleartexts, decryptionProof, values };
+}
+
+/**
+ * Answer a single request. Returns the callback receipt, or null in "silent"
+ * mode. Rejects if the callback reverts (always the case in "fail" mode).
+ */
+async function fulfillRequest(gateway, request, mode = "respond") {
+  if (mode === "silent") {
+    return null;
+  }
+
+  const { cleartexts, decryptionProof } = await buildResponse(gateway, request, mode);
+  const args = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+    ["uint256", "bytes", "bytes"],
+    [request.requestId, cleartexts, decryptionProof]
+  );
+
+  const tx = await gateway.relayer.sendTransaction({
+    to: request.requester,
+    data: hre.ethers.concat([request.callbackSelector, args]),
+  });
+  return tx.wait();
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+
+  if (!contractAddress) {
+    throw new Error("CONTRACT_ADDRESS not set in .env");
+  }
+
+  const mode = process.env.GATEWAY_MODE || "respond";
+  if (!MODES.includes(mode)) {
+    throw new Error(`GATEWAY_MODE must be one of: ${MODES.join(", ")}`);
+  }
+  const delayMs = parseInt(process.env.GATEWAY_DELAY_MS || "0", 10);
+  const pollMs = parseInt(process.env.GATEWAY_POLL_MS || "1000", 10);
+  const once = process.env.GATEWAY_ONCE === "true";
+
+  console.log("🛰️  Local decryption gateway for:", contractAddress);
+  console.log("Network:", hre.network.name);
+  console.log(`Mode: ${mode}, delay: ${delayMs}ms`);
+
+  const gateway = await connectGateway(contractAddress);
+  const seen = new Set();
+
+  do {
+    for (const request of await pendingRequests(gateway)) {
+      const key = `${request.requester}:${request.requestId}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      console.log(`📨 Request ${request.requestId} from ${request.requester} (${request.handles.length} handles)`);
+      if (mode === "silent") {
+        console.log("🤐 Not responding (silent mode)");
+        continue;
+      }
+
+      await sleep(delayMs);
+      try {
+        const receipt = await fulfillRequest(gateway, request, mode);
+        console.log(`✅ Fulfilled request ${request.requestId} in tx ${receipt.hash}`);
+      } catch (error) {
+        console.log(`❌ Callback for request ${request.requestId} reverted: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    if (!once) {
+      await sleep(pollMs);
+    }
+  } while (!once);
+}
+
+module.exports = { connectGateway, pendingRequests, buildResponse, fulfillRequest };
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
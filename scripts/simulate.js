@@ -1,52 +1,45 @@
 const hre = require("hardhat");
+const { connectClient } = require("./astral-client");
+
+const PROFILES = [
+  { zodiac: 0, name: "Aries" },
+  { zodiac: 4, name: "Leo" },
+  { zodiac: 8, name: "Sagittarius" },
+];
 
 async function main() {
   console.log("🎭 Running compatibility simulation...\n");
 
-  const contractAddress = process.env.CONTRACT_ADDRESS;
-  if (!contractAddress) {
-    throw new Error("CONTRACT_ADDRESS not set in .env");
-  }
-
-  const [user1, user2, user3] = await hre.ethers.getSigners();
-  const contract = await hre.ethers.getContractAt("AstralCompatibility", contractAddress);
+  const signers = await hre.ethers.getSigners();
+  const [user1, user2, user3] = await Promise.all(signers.slice(0, 3).map((signer) => connectClient(signer)));
+  const users = [user1, user2, user3];
 
   // Create profiles
   console.log("👤 Creating user profiles...");
 
-  const tx1 = await contract.connect(user1).createProfile(0, 0, 0); // Aries
-  await tx1.wait();
-  console.log("  ✅ User1 (Aries) profile created");
-
-  const tx2 = await contract.connect(user2).createProfile(4, 0, 1); // Leo
-  await tx2.wait();
-  console.log("  ✅ User2 (Leo) profile created");
-
-  const tx3 = await contract.connect(user3).createProfile(8, 0, 2); // Sagittarius
-  await tx3.wait();
-  console.log("  ✅ User3 (Sagittarius) profile created");
+  for (const [i, client] of users.entries()) {
+    const { zodiac, name } = PROFILES[i];
+    if (await client.hasProfile()) {
+      console.log(`  ⏭️  User${i + 1} already has a profile`);
+      continue;
+    }
+    await client.createProfile(zodiac);
+    console.log(`  ✅ User${i + 1} (${name}) profile created`);
+  }
 
-  // Request matches
+  // Invite and accept; the encrypted score is computed on acceptance
   console.log("\n💕 Requesting compatibility matches...");
 
-  const match1 = await contract.connect(user1).requestCompatibilityMatch(user2.address);
-  await match1.wait();
-  console.log("  ✅ Match requested: User1 ↔ User2");
-
-  const match2 = await contract.connect(user1).requestCompatibilityMatch(user3.address);
-  await match2.wait();
-  console.log("  ✅ Match requested: User1 ↔ User3");
-
-  const match3 = await contract.connect(user2).requestCompatibilityMatch(user3.address);
-  await match3.wait();
-  console.log("  ✅ Match requested: User2 ↔ User3");
+  for (const [requester, partner] of [[0, 1], [0, 2], [1, 2]]) {
+    const receipt = await users[requester].requestMatch(users[partner].account);
+    const created = users[requester].parseEvents(receipt).find((event) => event.name === "MatchInvitationCreated");
+    await users[partner].acceptInvitation(created.args.matchId);
+    console.log(`  ✅ Match created: User${requester + 1} ↔ User${partner + 1}`);
+  }
 
   // Check stats
-  const totalMatches = await contract.totalMatches();
-  console.log("\n📊 Total matches:", totalMatches.toString());
-
-  const user1MatchCount = await contract.userMatchCount(user1.address);
-  console.log("📊 User1 match count:", user1MatchCount.toString());
+  console.log("\n📊 Total matches:", await user1.getTotalMatches());
+  console.log("📊 User1 match count:", await user1.getUserMatchCount());
 
   console.log("\n✅ Simulation complete!");
   console.log("🔓 Use reveal functions to decrypt compatibility scores");
@@ -0,0 +1,651 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  AstralClient,
+  NO_SIGN,
+  REQUEST_STATUS,
+  GROUP_STATUS,
+  detectVariant,
+  switchNetwork,
+} = require("../lib/fhevm-sdk");
+const { VARIANTS } = require("./helpers/deploy");
+
+const { ethers } = hre;
+
+// Frontend reference implementation (js/config.js is a browser script)
+function loadFrontendConfig() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "js", "config.js"), "utf8");
+  return vm.runInNewContext(`${source}\n({ CONFIG, explainNatalCompatibility });`);
+}
+
+const { CONFIG, explainNatalCompatibility } = loadFrontendConfig();
+
+// Default model without the random bonus, so every score is exact
+const MODEL = { ...CONFIG.SCORING, RANDOM_RANGE: 1 };
+
+const expectedScore = (sign1, sign2) =>
+  explainNatalCompatibility(
+    { sun: sign1, moon: null, rising: null },
+    { sun: sign2, moon: null, rising: null },
+    MODEL,
+    CONFIG.NATAL_WEIGHTS
+  ).min;
+
+// EIP-712 permit of @zama-fhe/relayer-sdk createEIP712 for user decryption
+const DECRYPTION_DOMAIN = { name: "Decryption", version: "1", chainId: 31337, verifyingContract: ethers.ZeroAddress };
+const USER_DECRYPT_TYPES = {
+  UserDecryptRequestVerification: [
+    { name: "publicKey", type: "bytes" },
+    { name: "contractAddresses", type: "address[]" },
+    { name: "contractsChainId", type: "uint256" },
+    { name: "startTimestamp", type: "uint256" },
+    { name: "durationDays", type: "uint256" },
+    { name: "extraData", type: "bytes" },
+  ],
+};
+
+const userDecryptPermit = (publicKey, contractAddresses, startTimestamp, durationDays) => ({
+  publicKey,
+  contractAddresses,
+  contractsChainId: 31337,
+  startTimestamp: String(startTimestamp),
+  durationDays: String(durationDays),
+  extraData: "0x00",
+});
+
+/**
+ * Stand-in for a relayer SDK instance on the local FHEVM mocks: MockFHEVMExecutor treats an
+ * external handle as the cleartext and keeps every cleartext by handle. userDecrypt checks the
+ * signature, the permit window and the ACL grants before answering, as the relayer does.
+ */
+function localFhevmInstance(gateway, acl) {
+  return {
+    createEncryptedInput() {
+      const values = [];
+      return {
+        add8(value) {
+          values.push(value);
+        },
+        async encrypt() {
+          return { handles: values.map((value) => ethers.toBeHex(value, 32)), inputProof: "0x" };
+        },
+      };
+    },
+    generateKeypair() {
+      return { publicKey: "0x01", privateKey: "0x02" };
+    },
+    createEIP712(publicKey, contractAddresses, startTimestamp, durationDays) {
+      return {
+        domain: DECRYPTION_DOMAIN,
+        types: {
+          EIP712Domain: [
+            { name: "name", type: "string" },
+            { name: "version", type: "string" },
+            { name: "chainId", type: "uint256" },
+            { name: "verifyingContract", type: "address" },
+          ],
+          ...USER_DECRYPT_TYPES,
+        },
+        primaryType: "UserDecryptRequestVerification",
+        message: userDecryptPermit(publicKey, contractAddresses, startTimestamp, durationDays),
+      };
+    },
+    async userDecrypt(handles, privateKey, publicKey, signature, contractAddresses, userAddress, start, days) {
+      const permit = userDecryptPermit(publicKey, contractAddresses, start, days);
+      if (ethers.verifyTypedData(DECRYPTION_DOMAIN, USER_DECRYPT_TYPES, permit, signature) !== userAddress) {
+        throw new Error("Invalid EIP-712 signature");
+      }
+      const now = Math.floor(Date.now() / 1000);
+      if (now < Number(start) || now >= Number(start) + Number(days) * 86400) {
+        throw new Error("User decrypt request has expired");
+      }
+
+      const results = {};
+      for (const { handle, contractAddress } of handles) {
+        const granted =
+          contractAddresses.includes(contractAddress) &&
+          (await acl.isAllowed(handle, userAddress)) &&
+          (await acl.isAllowed(handle, contractAddress));
+        if (!granted) {
+          throw new Error(`User ${userAddress} is not authorized to user decrypt handle ${handle}!`);
+        }
+        results[handle.toLowerCase()] = await gateway.executor.cleartexts(handle);
+      }
+      return results;
+    },
+  };
+}
+
+// AstralClient options per variant; the enhanced client decrypts through the relayer stand-in
+const CLIENT_OPTIONS = {
+  async AstralCompatibilityEnhanced(variant) {
+    const { abi } = await hre.artifacts.readArtifact("AstralCompatibilityEnhancedLocal");
+    return {
+      abi,
+      variant: "enhanced",
+      createFhevmInstance: async () => localFhevmInstance(variant.gateway, variant.acl),
+    };
+  },
+  async AstralCompatibilityMock() {
+    const { abi } = await hre.artifacts.readArtifact("AstralCompatibilityMock");
+    return { abi, variant: "mock" };
+  },
+};
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - AstralClient`, function () {
+    let variant;
+    let contract;
+    let owner, user1, user2, user3, user4, outsider;
+    let client1, client2, client3, client4, ownerClient;
+
+    const clientFor = (signer) =>
+      new AstralClient({ ethers, address: variant.address, ...variant.clientOptions }).attach(signer);
+
+    // Invite, accept and return the match ID
+    async function createMatch(requester, partner) {
+      const receipt = await requester.requestMatch(partner.account);
+      const created = requester.parseEvents(receipt).find((event) => event.name === "MatchInvitationCreated");
+      await partner.acceptInvitation(created.args.matchId);
+      return created.args.matchId;
+    }
+
+    beforeEach(async function () {
+      [owner, user1, user2, user3, user4, outsider] = await ethers.getSigners();
+      variant = await deploy(owner);
+      contract = variant.contract;
+      variant.address = await contract.getAddress();
+      variant.clientOptions = await CLIENT_OPTIONS[name](variant);
+
+      ownerClient = await clientFor(owner);
+      client1 = await clientFor(user1);
+      client2 = await clientFor(user2);
+      client3 = await clientFor(user3);
+      client4 = await clientFor(user4);
+
+      await ownerClient.setScoringConfig(MODEL);
+    });
+
+    describe("Connection", function () {
+      it("Should validate its options", function () {
+        const { abi } = variant.clientOptions;
+        expect(() => new AstralClient({ address: variant.address, abi })).to.throw("needs the ethers library");
+        expect(() => new AstralClient({ ethers, address: variant.address, abi, variant: "v2" })).to.throw(
+          "Unknown contract variant: v2"
+        );
+      });
+
+      it("Should require a connection before contract calls", async function () {
+        const client = new AstralClient({ ethers, address: variant.address, ...variant.clientOptions });
+        await expect(client.createProfile(0)).to.be.rejectedWith("Please connect your wallet first");
+
+        await client.attach(ethers.provider);
+        expect(client.account).to.equal(null);
+        expect(await client.getTotalMatches()).to.equal(0);
+        await expect(client.createProfile(0)).to.be.rejectedWith("Please connect your wallet first");
+      });
+
+      it("Should connect an EIP-1193 wallet and switch to the configured chain", async function () {
+        const calls = [];
+        const ethereum = {
+          async request({ method, params }) {
+            calls.push(method);
+            if (method === "eth_requestAccounts") {
+              return [user1.address];
+            }
+            if (method === "wallet_switchEthereumChain" || method === "wallet_addEthereumChain") {
+              return null;
+            }
+            return hre.network.provider.request({ method, params });
+          },
+        };
+
+        const client = new AstralClient({ ethers, address: variant.address, ...variant.clientOptions });
+        expect(await client.connect(ethereum, { chainId: 31337 })).to.equal(user1.address);
+        expect(calls).to.not.include("wallet_switchEthereumChain");
+        expect(await client.signer.getAddress()).to.equal(user1.address);
+
+        await client.connect(ethereum, { chainId: 11155111 });
+        expect(calls).to.include("wallet_switchEthereumChain");
+
+        client.disconnect();
+        expect(client.contract).to.equal(null);
+      });
+
+      it("Should detect the deployed variant", async function () {
+        expect(await detectVariant(ethers, variant.address, ethers.provider)).to.equal(variant.clientOptions.variant);
+      });
+
+      it("Should add a chain the wallet does not know", async function () {
+        const added = [];
+        const ethereum = {
+          async request({ method, params }) {
+            if (method === "wallet_switchEthereumChain") {
+              throw Object.assign(new Error("Unrecognized chain"), { code: 4902 });
+            }
+            added.push(params[0]);
+          },
+        };
+
+        await switchNetwork(ethereum, { chainId: 11155111, chainName: "Sepolia", rpcUrl: "https://rpc.example" });
+        expect(added).to.deep.equal([
+          {
+            chainId: "0xaa36a7",
+            chainName: "Sepolia",
+            nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+            rpcUrls: ["https://rpc.example"],
+            blockExplorerUrls: [],
+          },
+        ]);
+      });
+    });
+
+    describe("Profiles", function () {
+      it("Should create and update a profile", async function () {
+        await client1.createProfile(4);
+        expect(await client1.hasProfile()).to.equal(true);
+        expect(await client2.hasProfile(user1.address)).to.equal(true);
+        expect(await variant.storedSign(user1)).to.equal(4);
+
+        await client1.updateProfile(9);
+        expect(await variant.storedSign(user1)).to.equal(9);
+      });
+
+      it("Should refuse an invalid sign before sending", async function () {
+        await expect(client1.createProfile(12)).to.be.rejectedWith("Invalid zodiac sign: 12");
+      });
+
+      it("Should save and clear natal signs", async function () {
+        await client1.createProfile(0, { moon: 3, rising: null });
+        let status = await contract.getNatalProfileStatus(user1.address);
+        expect(status.hasMoon).to.equal(true);
+        expect(status.hasRising).to.equal(false);
+
+        await client1.updateProfile(0);
+        status = await contract.getNatalProfileStatus(user1.address);
+        expect(status.hasMoon).to.equal(false);
+      });
+
+      if (name === "AstralCompatibilityMock") {
+        it("Should send unset natal placements as NO_SIGN", async function () {
+          await client1.createProfile(0, { moon: null, rising: 5 });
+          const profile = await contract.userProfiles(user1.address);
+          expect(profile.hasMoon).to.equal(false);
+          expect(Number(profile.rising)).to.equal(5);
+          await expect(client1.setNatalSigns({ moon: NO_SIGN + 1 })).to.be.rejected;
+        });
+      }
+
+      it("Should delete a profile", async function () {
+        await client1.createProfile(0);
+        await client1.deleteProfile();
+        expect(await client1.hasProfile()).to.equal(false);
+      });
+
+      it("Should read the natal weights", async function () {
+        await ownerClient.setNatalWeights({ SUN: 60, MOON: 20, RISING: 10, SUN_MOON: 5 });
+        expect(await client1.getNatalWeights()).to.deep.equal({ SUN: 60, MOON: 20, RISING: 10, SUN_MOON: 5 });
+      });
+    });
+
+    describe("Matches", function () {
+      beforeEach(async function () {
+        await client1.createProfile(0);
+        await client2.createProfile(4);
+        await client3.createProfile(3);
+      });
+
+      it("Should refuse a partner without a profile", async function () {
+        await expect(client1.requestMatch(outsider.address)).to.be.rejectedWith("Partner does not have a profile yet");
+      });
+
+      it("Should invite with the match fee and list the invitation on both sides", async function () {
+        const fee = await client1.matchFee();
+        const before = await ethers.provider.getBalance(variant.address);
+        await client1.requestMatch(user2.address);
+        expect(await ethers.provider.getBalance(variant.address)).to.equal(before + fee);
+
+        const sent = await client1.listInvitations();
+        const received = await client2.listInvitations();
+        expect(sent.outgoing).to.have.length(1);
+        expect(sent.incoming).to.have.length(0);
+        expect(received.incoming[0].requester).to.equal(user1.address);
+      });
+
+      it("Should decline and cancel invitations", async function () {
+        await client1.requestMatch(user2.address);
+        await client1.requestMatch(user3.address);
+        const [toUser2, toUser3] = (await client1.listInvitations()).outgoing;
+
+        await client2.declineInvitation(toUser2.matchId);
+        await client1.cancelInvitation(toUser3.matchId);
+        expect((await client1.listInvitations()).outgoing).to.have.length(0);
+      });
+
+      it("Should invite in batches and report skipped partners", async function () {
+        const progress = [];
+        const result = await client1.requestMatches(
+          [user2.address, outsider.address, user3.address],
+          (done, total) => progress.push([done, total])
+        );
+
+        expect(result.created).to.equal(2);
+        expect(result.failed).to.have.length(1);
+        expect(result.failed[0].partner).to.equal(outsider.address);
+        expect(progress).to.deep.equal([[1, 1]]);
+      });
+
+      it("Should list accepted matches with their total", async function () {
+        const matchId = await createMatch(client1, client2);
+        await createMatch(client1, client3);
+
+        const { matches, total } = await client1.listMatches();
+        expect(total).to.equal(2);
+        expect(matches[0].matchId).to.equal(matchId);
+        expect((await client1.listMatches(user1.address, 1, 10)).matches).to.have.length(1);
+        expect((await client1.getMatch(matchId)).isRevealed).to.equal(false);
+        expect(await client1.getUserMatchCount()).to.equal(2);
+      });
+    });
+
+    describe("Reveals", function () {
+      let matchId;
+
+      beforeEach(async function () {
+        await client1.createProfile(0);
+        await client2.createProfile(4);
+        matchId = await createMatch(client1, client2);
+      });
+
+      it("Should publish a score", async function () {
+        const fromBlock = await ethers.provider.getBlockNumber();
+        let submitted = null;
+        const { requestId, timeoutDeadline } = await client1.reveal(matchId, {
+          onSubmitted: (tx) => (submitted = tx.hash),
+        });
+        expect(submitted).to.match(/^0x[0-9a-f]{64}$/);
+
+        if (name === "AstralCompatibilityEnhanced") {
+          expect(requestId).to.be.a("string");
+          expect(timeoutDeadline).to.be.greaterThan(await time.latest());
+          expect(REQUEST_STATUS[Number((await client1.getRevealRequest(requestId)).status)]).to.equal("PROCESSING");
+        } else {
+          expect(requestId).to.equal(null);
+        }
+
+        await variant.settle(fromBlock);
+        const match = await client1.getMatch(matchId);
+        expect(match.isRevealed).to.equal(true);
+        expect(Number(match.publicScore)).to.equal(expectedScore(0, 4));
+      });
+
+      it("Should decrypt a privately revealed score", async function () {
+        await client1.revealPrivately(matchId);
+        expect(await client1.getPrivateScore(matchId)).to.equal(expectedScore(0, 4));
+        expect(await client2.getPrivateScore(matchId)).to.equal(expectedScore(0, 4));
+      });
+
+      if (name === "AstralCompatibilityEnhanced") {
+        it("Should only decrypt scores shared with the account", async function () {
+          const handle = await contract.connect(user1).getEncryptedScore(matchId);
+          await expect(client1.decrypt(handle)).to.be.rejectedWith("is not authorized to user decrypt");
+
+          await client1.revealPrivately(matchId);
+          expect(Number(await client1.decrypt(handle))).to.equal(expectedScore(0, 4));
+          await expect(client3.decrypt(handle)).to.be.rejectedWith(`User ${user3.address} is not authorized`);
+        });
+
+        it("Should sign one decryption permit a day", async function () {
+          await client1.revealPrivately(matchId);
+          const instance = await client1.getFhevmInstance();
+          const permits = [];
+          const createEIP712 = instance.createEIP712;
+          instance.createEIP712 = (...args) => {
+            permits.push(args);
+            return createEIP712(...args);
+          };
+
+          await client1.getPrivateScore(matchId);
+          await client1.getPrivateScore(matchId);
+          expect(permits).to.have.lengthOf(1);
+          expect(permits[0][1]).to.deep.equal([variant.address]);
+
+          const now = Date.now;
+          Date.now = () => now() + 86400 * 1000;
+          try {
+            expect(await client1.getPrivateScore(matchId)).to.equal(expectedScore(0, 4));
+          } finally {
+            Date.now = now;
+          }
+          expect(permits).to.have.lengthOf(2);
+        });
+
+        it("Should publish several scores with one request", async function () {
+          await client3.createProfile(3);
+          const second = await createMatch(client1, client3);
+
+          const fromBlock = await ethers.provider.getBlockNumber();
+          const { requestId } = await client1.revealScores([matchId, second]);
+          expect([...(await contract.getDecryptionRequestMatches(requestId))]).to.deep.equal([matchId, second]);
+
+          await variant.settle(fromBlock);
+          expect(Number((await client1.getMatch(second)).publicScore)).to.equal(expectedScore(0, 3));
+        });
+
+        it("Should find the reveal request for a match ID given as a string or a number", async function () {
+          const { receipt, requestId } = await client1.reveal(matchId);
+          expect(client1.revealRequestOf(receipt, matchId).requestId).to.equal(requestId);
+          expect(client1.revealRequestOf(receipt, BigInt(matchId).toString()).requestId).to.equal(requestId);
+          expect(client1.revealRequestOf(receipt, BigInt(matchId)).requestId).to.equal(requestId);
+
+          // A log with a match ID small enough for a JavaScript number
+          const log = contract.interface.encodeEventLog("DecryptionRequested", [
+            requestId,
+            ethers.toBeHex(7, 32),
+            user1.address,
+            1,
+            (await time.latest()) + 60,
+          ]);
+          expect(client1.revealRequestOf({ logs: [log] }, 7).requestId).to.equal(requestId);
+          expect(client1.revealRequestOf({ logs: [log] }, "7").requestId).to.equal(requestId);
+          expect(client1.revealRequestOf({ logs: [log] }, 8).requestId).to.equal(null);
+        });
+
+        it("Should list and refund a timed-out reveal", async function () {
+          await client1.reveal(matchId);
+          expect((await client1.getRefunds()).claimable).to.have.length(0);
+
+          const { requestTimeout } = await client1.getContractStats();
+          await time.increase(requestTimeout + 1);
+
+          const refunds = await client1.getRefunds();
+          expect(refunds.feeBps).to.equal(Number(await contract.PLATFORM_FEE_BPS()));
+          expect(refunds.claimable.map((match) => match.matchId)).to.deep.equal([matchId]);
+
+          await client1.claimTimeoutRefund(matchId);
+          const { pending } = await client1.getRefunds();
+          expect(pending).to.be.greaterThan(0n);
+
+          const events = client1.parseEvents(await client1.withdrawRefunds());
+          expect(events.find((event) => event.name === "RefundClaimed").args.amount).to.equal(pending);
+          expect(await contract.pendingRefunds(user1.address)).to.equal(0n);
+        });
+      } else {
+        it("Should keep Enhanced-only features behind the variant", async function () {
+          await expect(client1.revealScores([matchId])).to.be.rejectedWith(
+            "Revealing in batches is not available on the mock contract"
+          );
+          await expect(client1.getRefunds()).to.be.rejectedWith(
+            "The refund ledger is not available on the mock contract"
+          );
+          expect(await client1.matchFee()).to.equal(0n);
+        });
+      }
+    });
+
+    describe("Directory and Search", function () {
+      beforeEach(async function () {
+        await client1.createProfile(0);
+        await client2.createProfile(3);
+        await client3.createProfile(4);
+        await client4.createProfile(9);
+      });
+
+      it("Should list and decode directory entries", async function () {
+        await client2.listInDirectory("Cancer Sun ", "@crab");
+        expect(await client1.getDirectoryListing()).to.equal(null);
+
+        const { listings, total } = await client1.getDirectory();
+        expect(total).to.equal(1);
+        expect(listings[0]).to.include({ user: user2.address, displayName: "Cancer Sun", handle: "@crab" });
+
+        await client2.unlistFromDirectory();
+        expect((await client1.getDirectory()).total).to.equal(0);
+      });
+
+      it("Should refuse names longer than 31 bytes", async function () {
+        await expect(client2.listInDirectory("x".repeat(32), "")).to.be.rejectedWith(
+          "Display name must be at most 31 bytes"
+        );
+      });
+
+      it("Should find the best match among listed users", async function () {
+        for (const client of [client2, client3, client4]) {
+          await client.listInDirectory("", "");
+        }
+
+        const candidates = [user2, user3, user4];
+        const scores = [3, 4, 9].map((sign) => expectedScore(0, sign));
+        const best = candidates[scores.indexOf(Math.max(...scores))];
+
+        const progress = [];
+        const winner = await client1.findBestMatch(
+          candidates.map((candidate) => candidate.address),
+          (done, total) => progress.push([done, total])
+        );
+        expect(winner).to.equal(best.address);
+        expect(progress).to.deep.equal([[1, 1]]);
+      });
+    });
+
+    describe("Groups", function () {
+      let groupId;
+
+      beforeEach(async function () {
+        await client1.createProfile(0);
+        await client2.createProfile(4);
+        await client3.createProfile(8);
+
+        const receipt = await client1.createGroup([user2.address, user3.address]);
+        groupId = client1.parseEvents(receipt).find((event) => event.name === "GroupMatchCreated").args.groupId;
+      });
+
+      it("Should bound the group size before sending", async function () {
+        await expect(client1.createGroup([user2.address])).to.be.rejectedWith("Invite between 2 and 5 members");
+      });
+
+      it("Should list, join and reveal a group", async function () {
+        let [group] = await client2.listGroups();
+        expect(group.groupId).to.equal(groupId);
+        expect(group.joined).to.equal(false);
+        expect(GROUP_STATUS[Number(group.status)]).to.equal("OPEN");
+
+        await client2.joinGroup(groupId);
+        await client3.joinGroup(groupId);
+        [group] = await client2.listGroups();
+        expect(group.joined).to.equal(true);
+        expect(GROUP_STATUS[Number(group.status)]).to.equal("SCORED");
+
+        const fromBlock = await ethers.provider.getBlockNumber();
+        await client2.revealGroup(groupId);
+        await variant.settle(fromBlock);
+
+        [group] = await client3.listGroups();
+        expect(GROUP_STATUS[Number(group.status)]).to.equal("REVEALED");
+        const pairs = [expectedScore(0, 4), expectedScore(0, 8), expectedScore(4, 8)];
+        expect(Number(group.publicMinPair)).to.equal(Math.min(...pairs));
+      });
+
+      it("Should cancel a group a member leaves", async function () {
+        await client2.leaveGroup(groupId);
+        const [group] = await client1.listGroups();
+        expect(GROUP_STATUS[Number(group.status)]).to.equal("CANCELLED");
+      });
+    });
+
+    describe("Admin", function () {
+      it("Should switch scoring presets", async function () {
+        await ownerClient.setScoringPreset(1);
+        await expect(client1.setScoringPreset(0)).to.be.rejected;
+      });
+
+      if (name === "AstralCompatibilityEnhanced") {
+        it("Should manage fees, timeouts and pausing", async function () {
+          await ownerClient.updateMatchFee(ethers.parseEther("0.002"));
+          expect(await client1.matchFee()).to.equal(ethers.parseEther("0.002"));
+
+          await ownerClient.updateRequestTimeout(2 * 3600);
+          await ownerClient.updateInvitationExpiry(2 * 86400);
+          expect((await client1.getContractStats()).requestTimeout).to.equal(7200);
+
+          await ownerClient.addPauser(user4.address);
+          await client4.pause();
+          expect((await client1.getContractStats()).isPaused).to.equal(true);
+          await expect(client1.createProfile(0)).to.be.rejected;
+          await ownerClient.unpause();
+          await ownerClient.removePauser(user4.address);
+          await expect(client4.pause()).to.be.rejected;
+        });
+
+        it("Should withdraw platform fees and refund escrow in an emergency", async function () {
+          await client1.createProfile(0);
+          await client2.createProfile(4);
+          const matchId = await createMatch(client1, client2);
+
+          const { escrowed } = await contract.feeLedger(matchId);
+          const before = await ethers.provider.getBalance(user1.address);
+          await ownerClient.emergencyWithdraw(user1.address, matchId);
+          expect(await ethers.provider.getBalance(user1.address)).to.equal(before + escrowed);
+          expect(REQUEST_STATUS[Number((await client1.getMatch(matchId)).status)]).to.equal("REFUNDED");
+
+          const { platformFees } = await client1.getContractStats();
+          expect(platformFees).to.be.greaterThan(0n);
+          await ownerClient.withdrawPlatformFees(outsider.address);
+          expect((await client1.getContractStats()).platformFees).to.equal(0n);
+        });
+      } else {
+        it("Should keep pausing and fees behind the variant", async function () {
+          await expect(ownerClient.pause()).to.be.rejectedWith("Pausing is not available on the mock contract");
+          await expect(ownerClient.getContractStats()).to.be.rejectedWith(
+            "getContractStats is not available on the mock contract"
+          );
+        });
+      }
+    });
+  });
+}
+
+describe("AstralClient - variant detection", function () {
+  it("Should detect the basic contract", async function () {
+    const [owner] = await ethers.getSigners();
+    const contract = await ethers.deployContract("AstralCompatibility", [[owner.address], 1]);
+    expect(await detectVariant(ethers, await contract.getAddress(), ethers.provider)).to.equal("basic");
+  });
+
+  it("Should refuse an address without an Astral Compatibility contract", async function () {
+    const [owner] = await ethers.getSigners();
+    await expect(detectVariant(ethers, owner.address, ethers.provider)).to.be.rejectedWith(
+      `No contract deployed at ${owner.address}`
+    );
+
+    const acl = await ethers.deployContract("MockACL");
+    const address = await acl.getAddress();
+    await expect(detectVariant(ethers, address, ethers.provider)).to.be.rejectedWith(
+      `${address} is not an Astral Compatibility contract`
+    );
+  });
+});
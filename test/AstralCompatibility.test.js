@@ -13,6 +13,13 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
     await astralCompatibility.waitForDeployment();
   });
 
+  // Invite and accept, returning the acceptance transaction
+  async function match(requester, partner) {
+    await astralCompatibility.connect(requester).requestCompatibilityMatch(partner.address);
+    const matchId = await astralCompatibility.generateMatchId(requester.address, partner.address);
+    return astralCompatibility.connect(partner).acceptMatchInvitation(matchId);
+  }
+
   describe("🚀 Deployment & Initialization", function () {
     it("Should set the correct owner", async function () {
       expect(await astralCompatibility.owner()).to.equal(owner.address);
@@ -97,7 +104,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
     it("Should request compatibility match successfully", async function () {
       await expect(
         astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address)
-      ).to.emit(astralCompatibility, "MatchRequested");
+      ).to.emit(astralCompatibility, "MatchInvitationCreated");
     });
 
     it("Should reject match request with non-existent partner profile", async function () {
@@ -119,19 +126,19 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
     });
 
     it("Should increment totalMatches counter", async function () {
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
       expect(await astralCompatibility.totalMatches()).to.equal(1);
     });
 
     it("Should increment user match count", async function () {
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
       expect(await astralCompatibility.userMatchCount(user1.address)).to.equal(1);
     });
 
     it("Should allow multiple matches for same user", async function () {
       await astralCompatibility.connect(user3).createProfile(8, 0, 2);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user3.address);
+      await match(user1, user2);
+      await match(user1, user3);
       expect(await astralCompatibility.userMatchCount(user1.address)).to.equal(2);
     });
 
@@ -155,7 +162,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
     beforeEach(async function () {
       await astralCompatibility.connect(user1).createProfile(0, 0, 0);
       await astralCompatibility.connect(user2).createProfile(4, 0, 1);
-      const tx = await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      const tx = await match(user1, user2);
       const receipt = await tx.wait();
 
       // Extract matchId from event
@@ -197,6 +204,68 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
 
   });
 
+  describe("📋 Match Index & Pagination", function () {
+    beforeEach(async function () {
+      await astralCompatibility.connect(user1).createProfile(0, 0, 0);
+      await astralCompatibility.connect(user2).createProfile(4, 0, 1);
+      await astralCompatibility.connect(user3).createProfile(8, 0, 2);
+      await astralCompatibility.connect(user4).createProfile(3, 3, 0);
+
+      await match(user1, user2);
+      await match(user1, user3);
+      await match(user4, user1);
+    });
+
+    it("Should index matches for both participants", async function () {
+      const [page, total] = await astralCompatibility.getUserMatches(user1.address, 0, 10);
+      expect(total).to.equal(3);
+      expect(page.length).to.equal(3);
+      expect(page[0].matchId).to.equal(
+        await astralCompatibility.generateMatchId(user1.address, user2.address)
+      );
+      expect(page[2].user1).to.equal(user4.address);
+      expect(page[2].user2).to.equal(user1.address);
+
+      const [partnerPage] = await astralCompatibility.getUserMatches(user2.address, 0, 10);
+      expect(partnerPage.length).to.equal(1);
+      expect(partnerPage[0].matchId).to.equal(page[0].matchId);
+    });
+
+    it("Should return match details in summaries", async function () {
+      const [page] = await astralCompatibility.getUserMatches(user1.address, 0, 1);
+      const match = await astralCompatibility.getMatchInfo(page[0].matchId);
+      expect(page[0].isRevealed).to.equal(match.isRevealed);
+      expect(page[0].publicScore).to.equal(match.publicScore);
+      expect(page[0].matchTime).to.equal(match.matchTime);
+    });
+
+    it("Should paginate with offset and limit", async function () {
+      const [firstPage, total] = await astralCompatibility.getUserMatches(user1.address, 0, 2);
+      const [secondPage] = await astralCompatibility.getUserMatches(user1.address, 2, 2);
+      expect(total).to.equal(3);
+      expect(firstPage.length).to.equal(2);
+      expect(secondPage.length).to.equal(1);
+      expect(secondPage[0].matchId).to.not.equal(firstPage[1].matchId);
+    });
+
+    it("Should return an empty page past the end", async function () {
+      const [page, total] = await astralCompatibility.getUserMatches(user1.address, 5, 10);
+      expect(page.length).to.equal(0);
+      expect(total).to.equal(3);
+    });
+
+    it("Should handle very large limits", async function () {
+      const [page] = await astralCompatibility.getUserMatches(user1.address, 1, ethers.MaxUint256);
+      expect(page.length).to.equal(2);
+    });
+
+    it("Should return no matches for users without any", async function () {
+      const [page, total] = await astralCompatibility.getUserMatches(owner.address, 0, 10);
+      expect(page.length).to.equal(0);
+      expect(total).to.equal(0);
+    });
+  });
+
   describe("👤 User Stats & Info", function () {
     it("Should get user profile status", async function () {
       await astralCompatibility.connect(user1).createProfile(0, 0, 0);
@@ -208,7 +277,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
     it("Should get user match count", async function () {
       await astralCompatibility.connect(user1).createProfile(0, 0, 0);
       await astralCompatibility.connect(user2).createProfile(4, 0, 1);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
 
       const matchCount = await astralCompatibility.userMatchCount(user1.address);
       expect(matchCount).to.equal(1);
@@ -228,7 +297,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       // Aries (Fire) + Leo (Fire) should have high compatibility
       await astralCompatibility.connect(user1).createProfile(0, 0, 0);
       await astralCompatibility.connect(user2).createProfile(4, 0, 1);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
 
       expect(await astralCompatibility.totalMatches()).to.equal(1);
     });
@@ -237,7 +306,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       // Taurus (Earth) + Cancer (Water)
       await astralCompatibility.connect(user1).createProfile(1, 1, 1);
       await astralCompatibility.connect(user2).createProfile(3, 3, 0);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
 
       expect(await astralCompatibility.totalMatches()).to.equal(1);
     });
@@ -255,8 +324,8 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       }
 
       // Request matches
-      await astralCompatibility.connect(signers[0]).requestCompatibilityMatch(signers[1].address);
-      await astralCompatibility.connect(signers[0]).requestCompatibilityMatch(signers[2].address);
+      await match(signers[0], signers[1]);
+      await match(signers[0], signers[2]);
 
       expect(await astralCompatibility.totalMatches()).to.be.gte(2);
     });
@@ -265,7 +334,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       // Cancer (Water) + Virgo (Earth)
       await astralCompatibility.connect(user1).createProfile(3, 3, 0);
       await astralCompatibility.connect(user2).createProfile(5, 1, 2);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
 
       expect(await astralCompatibility.totalMatches()).to.equal(1);
     });
@@ -274,7 +343,7 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       // Gemini (Air) + Sagittarius (Fire)
       await astralCompatibility.connect(user1).createProfile(2, 2, 2);
       await astralCompatibility.connect(user2).createProfile(8, 0, 2);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
+      await match(user1, user2);
 
       expect(await astralCompatibility.totalMatches()).to.equal(1);
     });
@@ -297,6 +366,15 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       console.log(`   Gas used for match request: ${receipt.gasUsed.toString()}`);
       expect(receipt.gasUsed).to.be.lt(1000000);
     });
+
+    it("Should have reasonable gas cost for accepting a match", async function () {
+      await astralCompatibility.connect(user1).createProfile(0, 0, 0);
+      await astralCompatibility.connect(user2).createProfile(4, 0, 1);
+
+      const receipt = await (await match(user1, user2)).wait();
+      console.log(`   Gas used for match acceptance: ${receipt.gasUsed.toString()}`);
+      expect(receipt.gasUsed).to.be.lt(1000000);
+    });
   });
 
   describe("🔄 Edge Cases & Security", function () {
@@ -312,9 +390,9 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       await astralCompatibility.connect(user2).createProfile(4, 0, 1);
       await astralCompatibility.connect(user3).createProfile(8, 0, 2);
 
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user3.address);
-      await astralCompatibility.connect(user2).requestCompatibilityMatch(user3.address);
+      await match(user1, user2);
+      await match(user1, user3);
+      await match(user2, user3);
 
       expect(await astralCompatibility.totalMatches()).to.equal(3);
       expect(await astralCompatibility.userMatchCount(user1.address)).to.equal(2);
@@ -327,9 +405,9 @@ describe("AstralCompatibility - Comprehensive Test Suite", function () {
       await astralCompatibility.connect(user3).createProfile(2, 2, 2);
       await astralCompatibility.connect(user4).createProfile(3, 3, 0);
 
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user3.address);
-      await astralCompatibility.connect(user1).requestCompatibilityMatch(user4.address);
+      await match(user1, user2);
+      await match(user1, user3);
+      await match(user1, user4);
 
       expect(await astralCompatibility.userMatchCount(user1.address)).to.equal(3);
       expect(await astralCompatibility.totalMatches()).to.equal(3);
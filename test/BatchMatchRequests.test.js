@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployEnhancedLocal, VARIANTS } = require("./helpers/deploy");
+
+// MatchInvitations.Status order
+const Status = { NONE: 0, OPEN: 1, ACCEPTED: 2 };
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Batch Match Requests`, function () {
+    let variant;
+    let contract;
+    let owner, host, guests, outsider;
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      [owner, host, outsider] = signers;
+      guests = signers.slice(3, 7);
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+
+      await contract.connect(host).createProfile(0, 0, 0);
+      for (const guest of guests) {
+        await contract.connect(guest).createProfile(4, 0, 1);
+      }
+    });
+
+    const addresses = (signers) => signers.map((signer) => signer.address);
+
+    function inviteAll(user, partners) {
+      return contract.connect(user).requestCompatibilityMatches(partners, variant.fees(partners.length));
+    }
+
+    async function invitationStatus(user, partner) {
+      const matchId = await contract.generateMatchId(user.address, partner.address);
+      return (await contract.getMatchInvitation(matchId)).status;
+    }
+
+    describe("📨 Invite", function () {
+      it("Should open one invitation per partner", async function () {
+        const tx = inviteAll(host, addresses(guests));
+
+        for (const guest of guests) {
+          const matchId = await contract.generateMatchId(host.address, guest.address);
+          await expect(tx)
+            .to.emit(contract, "MatchInvitationCreated")
+            .withArgs(matchId, host.address, guest.address, anyValue);
+        }
+        await expect(tx).not.to.emit(contract, "MatchRequestFailed");
+
+        for (const guest of guests) {
+          expect(await invitationStatus(host, guest)).to.equal(Status.OPEN);
+        }
+        expect((await contract.getUserInvitations(host.address, 0, 10))[1]).to.equal(guests.length);
+      });
+
+      it("Should skip and report entries that cannot be invited", async function () {
+        // An existing match, an open invitation, no profile, the host and a duplicate
+        await variant.invite(host, guests[0]);
+        await contract.connect(guests[0]).acceptMatchInvitation(
+          await contract.generateMatchId(host.address, guests[0].address)
+        );
+        await variant.invite(guests[1], host);
+
+        const partners = [
+          guests[0].address,
+          guests[1].address,
+          guests[2].address,
+          outsider.address,
+          host.address,
+          guests[2].address,
+        ];
+        const tx = inviteAll(host, partners);
+
+        await expect(tx)
+          .to.emit(contract, "MatchRequestFailed")
+          .withArgs(host.address, guests[0].address, variant.revertPrefix + "Match already exists")
+          .and.to.emit(contract, "MatchRequestFailed")
+          .withArgs(host.address, guests[1].address, variant.revertPrefix + "Invitation already open")
+          .and.to.emit(contract, "MatchRequestFailed")
+          .withArgs(host.address, outsider.address, variant.revertPrefix + "User has no profile")
+          .and.to.emit(contract, "MatchRequestFailed")
+          .withArgs(host.address, host.address, variant.revertPrefix + "Cannot match with yourself")
+          .and.to.emit(contract, "MatchRequestFailed")
+          .withArgs(host.address, guests[2].address, variant.revertPrefix + "Invitation already open");
+
+        expect(await invitationStatus(host, guests[2])).to.equal(Status.OPEN);
+        expect(await invitationStatus(host, guests[0])).to.equal(Status.ACCEPTED);
+      });
+
+      it("Should return the number of invitations opened", async function () {
+        await variant.invite(host, guests[0]);
+        const partners = [guests[0].address, guests[1].address, outsider.address, guests[2].address];
+
+        const created = await contract
+          .connect(host)
+          .requestCompatibilityMatches.staticCall(partners, variant.fees(partners.length));
+        expect(created).to.equal(2);
+      });
+
+      it("Should bound the number of partners", async function () {
+        const max = await contract.MAX_BATCH_INVITATIONS();
+
+        await expect(inviteAll(host, []))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid partner count");
+        await expect(inviteAll(host, Array(Number(max) + 1).fill(guests[0].address)))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid partner count");
+      });
+
+      it("Should require a profile", async function () {
+        await expect(inviteAll(outsider, addresses(guests)))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+
+      it("Should keep single invitations reverting with the same reasons", async function () {
+        await expect(variant.invite(host, outsider))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+        await expect(variant.invite(host, host))
+          .to.be.revertedWith(variant.revertPrefix + "Cannot match with yourself");
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Batch Match Fees", function () {
+  let contract;
+  let owner, host, guests, outsider;
+  let matchFee;
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [owner, host, outsider] = signers;
+    guests = signers.slice(3, 6);
+
+    contract = await deployEnhancedLocal(owner);
+    matchFee = await contract.matchFee();
+
+    await contract.connect(host).createProfile(0, 0, 0);
+    for (const guest of guests) {
+      await contract.connect(guest).createProfile(4, 0, 1);
+    }
+  });
+
+  it("Should escrow one fee per invitation", async function () {
+    const partners = guests.map((guest) => guest.address);
+
+    await expect(contract.connect(host).requestCompatibilityMatches(partners, { value: matchFee * 3n }))
+      .to.changeEtherBalance(contract, matchFee * 3n);
+
+    expect(await contract.totalEscrowed()).to.equal(matchFee * 3n);
+    for (const guest of guests) {
+      const entry = await contract.feeLedger(await contract.generateMatchId(host.address, guest.address));
+      expect(entry.payer).to.equal(host.address);
+      expect(entry.escrowed).to.equal(matchFee);
+    }
+    expect(await contract.pendingRefunds(host.address)).to.equal(0);
+  });
+
+  it("Should require the fee for every entry", async function () {
+    const partners = guests.map((guest) => guest.address);
+
+    await expect(contract.connect(host).requestCompatibilityMatches(partners, { value: matchFee * 3n - 1n }))
+      .to.be.revertedWith("AC: Insufficient match fee");
+  });
+
+  it("Should refund the fees of skipped entries and any excess", async function () {
+    const partners = [guests[0].address, outsider.address, guests[1].address];
+    const excess = 123n;
+
+    await expect(contract.connect(host).requestCompatibilityMatches(partners, { value: matchFee * 3n + excess }))
+      .to.emit(contract, "RefundIssued")
+      .withArgs(host.address, matchFee + excess, "Excess payment", anyValue);
+
+    expect(await contract.totalEscrowed()).to.equal(matchFee * 2n);
+    expect(await contract.pendingRefunds(host.address)).to.equal(matchFee + excess);
+  });
+
+  it("Should reject batches while paused", async function () {
+    await contract.pause();
+
+    await expect(contract.connect(host).requestCompatibilityMatches([guests[0].address], { value: matchFee }))
+      .to.be.revertedWith("AC: Contract is paused");
+  });
+});
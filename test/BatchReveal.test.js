@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { connectGateway, pendingRequests, fulfillRequest } = require("../scripts/mock-gateway");
+const { deployEnhancedLocal } = require("./helpers/deploy");
+
+describe("AstralCompatibilityEnhanced - Batch Reveal", function () {
+  let contract;
+  let gateway;
+  let matchFee;
+  let owner, host, guests, outsider;
+  let matchIds;
+
+  const Status = { PENDING: 0, PROCESSING: 1, COMPLETED: 2, CANCELLED: 6 };
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [owner, host, outsider] = signers;
+    guests = signers.slice(3, 7);
+
+    contract = await deployEnhancedLocal(owner);
+
+    gateway = await connectGateway(await contract.getAddress());
+    matchFee = await contract.matchFee();
+
+    // The host matches with each guest
+    await contract.connect(host).createProfile(0, 0, 0);
+    matchIds = [];
+    for (let i = 0; i < guests.length; i++) {
+      await contract.connect(guests[i]).createProfile(i + 1, (i + 1) % 4, (i + 1) % 3);
+      await contract.connect(host).requestCompatibilityMatch(guests[i].address, { value: matchFee });
+      const matchId = await contract.generateMatchId(host.address, guests[i].address);
+      await contract.connect(guests[i]).acceptMatchInvitation(matchId);
+      matchIds.push(matchId);
+    }
+  });
+
+  async function revealAll(ids = matchIds) {
+    await contract.connect(host).requestRevealScores(ids);
+    const requests = await pendingRequests(gateway);
+    expect(requests).to.have.lengthOf(1);
+    return requests[0];
+  }
+
+  describe("📨 Request", function () {
+    it("Should submit every score in one oracle request", async function () {
+      const request = await revealAll();
+
+      expect(request.handles).to.have.lengthOf(matchIds.length);
+      for (let i = 0; i < matchIds.length; i++) {
+        expect(request.handles[i]).to.equal(await contract.connect(host).getEncryptedScore(matchIds[i]));
+        expect((await contract.getMatchInfo(matchIds[i])).status).to.equal(Status.PROCESSING);
+      }
+      expect(await contract.decryptionRequestCounter()).to.equal(1);
+    });
+
+    it("Should emit DecryptionRequested per match with the shared request ID", async function () {
+      const tx = contract.connect(host).requestRevealScores(matchIds);
+
+      for (const matchId of matchIds) {
+        await expect(tx)
+          .to.emit(contract, "DecryptionRequested")
+          .withArgs(anyValue, matchId, host.address, 1, anyValue);
+      }
+
+      const [request] = await pendingRequests(gateway);
+      const logs = (await (await tx).wait()).logs
+        .map((log) => contract.interface.parseLog(log))
+        .filter((parsed) => parsed && parsed.name === "DecryptionRequested");
+      expect(logs.map((parsed) => parsed.args.requestId)).to.deep.equal(matchIds.map(() => request.requestId));
+    });
+
+    it("Should record the matches of the request", async function () {
+      const request = await revealAll();
+
+      expect(await contract.getDecryptionRequestMatches(request.requestId)).to.deep.equal(matchIds);
+
+      const info = await contract.getDecryptionRequestInfo(request.requestId);
+      expect(info.requester).to.equal(host.address);
+      expect(info.matchId).to.equal(matchIds[0]);
+      expect(info.status).to.equal(Status.PROCESSING);
+    });
+
+    it("Should accept matches of either participant", async function () {
+      await contract.connect(guests[0]).requestRevealScores([matchIds[0]]);
+
+      expect((await contract.getMatchInfo(matchIds[0])).status).to.equal(Status.PROCESSING);
+    });
+  });
+
+  describe("✅ Callback", function () {
+    it("Should reveal every match of the request", async function () {
+      const request = await revealAll();
+      const receipt = await fulfillRequest(gateway, request);
+
+      for (let i = 0; i < matchIds.length; i++) {
+        const expected = await gateway.executor.cleartexts(request.handles[i]);
+        const matchInfo = await contract.getMatchInfo(matchIds[i]);
+        expect(matchInfo.isRevealed).to.equal(true);
+        expect(matchInfo.status).to.equal(Status.COMPLETED);
+        expect(matchInfo.publicScore).to.equal(expected);
+      }
+
+      const names = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .filter(Boolean)
+        .map((parsed) => parsed.name);
+      expect(names.filter((name) => name === "DecryptionCompleted")).to.have.lengthOf(matchIds.length);
+      expect(names.filter((name) => name === "CompatibilityRevealed")).to.have.lengthOf(matchIds.length);
+
+      const info = await contract.getDecryptionRequestInfo(request.requestId);
+      expect(info.status).to.equal(Status.COMPLETED);
+    });
+
+    it("Should reveal the same scores as single reveals", async function () {
+      const single = matchIds.slice(0, 2);
+      for (const matchId of single) {
+        await contract.connect(host).requestRevealScore(matchId);
+      }
+      for (const request of await pendingRequests(gateway)) {
+        await fulfillRequest(gateway, request);
+      }
+
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await contract.connect(host).requestRevealScores(matchIds.slice(2));
+      const [request] = await pendingRequests(gateway, fromBlock);
+      await fulfillRequest(gateway, request);
+
+      for (const matchId of matchIds) {
+        const handle = await contract.connect(host).getEncryptedScore(matchId);
+        expect((await contract.getMatchInfo(matchId)).publicScore).to.equal(await gateway.executor.cleartexts(handle));
+      }
+    });
+
+    it("Should release the escrow of every match as platform revenue", async function () {
+      const escrowed = await contract.totalEscrowed();
+      const platformFees = await contract.platformFees();
+      let shares = 0n;
+      for (const matchId of matchIds) {
+        shares += (await contract.feeLedger(matchId)).escrowed;
+      }
+      expect(shares).to.be.greaterThan(0);
+
+      await fulfillRequest(gateway, await revealAll());
+
+      expect(await contract.totalEscrowed()).to.equal(escrowed - shares);
+      expect(await contract.platformFees()).to.equal(platformFees + shares);
+      for (const matchId of matchIds) {
+        expect((await contract.feeLedger(matchId)).escrowed).to.equal(0);
+      }
+    });
+
+    it("Should reject a replayed callback", async function () {
+      const request = await revealAll();
+
+      await fulfillRequest(gateway, request);
+      await expect(fulfillRequest(gateway, request)).to.be.revertedWith("AC: Request not processing");
+    });
+
+    it("Should reveal none of the matches if one was cancelled", async function () {
+      const request = await revealAll();
+      await contract.connect(guests[1]).deleteProfile();
+
+      await expect(fulfillRequest(gateway, request)).to.be.revertedWith("AC: Match not processing");
+
+      expect((await contract.getMatchInfo(matchIds[1])).status).to.equal(Status.CANCELLED);
+      for (const matchId of [matchIds[0], ...matchIds.slice(2)]) {
+        const matchInfo = await contract.getMatchInfo(matchId);
+        expect(matchInfo.isRevealed).to.equal(false);
+        expect(matchInfo.status).to.equal(Status.PROCESSING);
+      }
+
+      // The remaining matches fall back to timeout refunds
+      await time.increase(await contract.requestTimeout());
+      await expect(contract.connect(host).claimTimeoutRefund(matchIds[0]))
+        .to.emit(contract, "RefundIssued");
+    });
+  });
+
+  describe("🚫 Validation", function () {
+    it("Should bound the number of matches", async function () {
+      const max = await contract.MAX_BATCH_REVEALS();
+      expect(max).to.equal(10);
+
+      await expect(contract.connect(host).requestRevealScores([]))
+        .to.be.revertedWith("AC: Invalid match count");
+      await expect(contract.connect(host).requestRevealScores(Array(Number(max) + 1).fill(matchIds[0])))
+        .to.be.revertedWith("AC: Invalid match count");
+    });
+
+    it("Should reject a match listed twice", async function () {
+      await expect(contract.connect(host).requestRevealScores([matchIds[0], matchIds[1], matchIds[0]]))
+        .to.be.revertedWith("AC: Invalid status for reveal");
+    });
+
+    it("Should reject the whole batch if one match cannot be revealed", async function () {
+      await contract.connect(host).requestRevealScore(matchIds[2]);
+
+      await expect(contract.connect(host).requestRevealScores(matchIds))
+        .to.be.revertedWith("AC: Invalid status for reveal");
+      expect((await contract.getMatchInfo(matchIds[0])).status).to.equal(Status.PENDING);
+    });
+
+    it("Should only reveal the caller's matches", async function () {
+      await expect(contract.connect(guests[0]).requestRevealScores(matchIds.slice(0, 2)))
+        .to.be.revertedWith("AC: Not authorized");
+      await expect(contract.connect(outsider).requestRevealScores([ethers.ZeroHash]))
+        .to.be.revertedWith("AC: Match does not exist");
+    });
+
+    it("Should reject expired matches", async function () {
+      await time.increase(await contract.requestTimeout());
+
+      await expect(contract.connect(host).requestRevealScores(matchIds))
+        .to.be.revertedWith("AC: Match request expired");
+    });
+
+    it("Should reject batches while paused", async function () {
+      await contract.pause();
+
+      await expect(contract.connect(host).requestRevealScores(matchIds))
+        .to.be.revertedWith("AC: Contract is paused");
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployEnhancedVariant, VARIANTS } = require("./helpers/deploy");
+
+const { ZeroHash } = ethers;
+
+// Frontend reference implementation (js/config.js is a browser script)
+function loadFrontendConfig() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "js", "config.js"), "utf8");
+  return vm.runInNewContext(`${source}\n({ CONFIG, explainNatalCompatibility });`);
+}
+
+const { CONFIG, explainNatalCompatibility } = loadFrontendConfig();
+
+// Default model without the random bonus, so every score is exact
+const MODEL = { ...CONFIG.SCORING, RANDOM_RANGE: 1 };
+
+function toArgs(model) {
+  return [
+    model.BASE_SCORE,
+    model.ELEMENT_MATRIX,
+    model.QUALITY_MATRIX,
+    model.ASPECT_ADJUSTMENTS,
+    model.SAME_SIGN_ADJUSTMENT,
+    model.SIGN_PAIRS,
+    model.RANDOM_RANGE,
+  ];
+}
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Best Match Search`, function () {
+    let variant;
+    let contract;
+    let owner, user, outsider, candidates;
+
+    // Sun signs of the listed candidates: Taurus, Libra, Leo, Sagittarius, Aries, Gemini
+    const SIGNS = [1, 6, 4, 8, 0, 2];
+
+    // Position of the best candidate by the frontend reference; ties keep the earlier one
+    function expectedBest(signs) {
+      const scores = signs.map(
+        (sun) =>
+          explainNatalCompatibility(
+            { sun: 0, moon: null, rising: null },
+            { sun, moon: null, rising: null },
+            MODEL,
+            CONFIG.NATAL_WEIGHTS
+          ).min
+      );
+      return scores.indexOf(Math.max(...scores));
+    }
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      [owner, user, outsider] = signers;
+      candidates = signers.slice(3, 3 + SIGNS.length);
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+      await contract.setScoringConfig(...toArgs(MODEL));
+
+      // The searching user is an Aries
+      await contract.connect(user).createProfile(0, 0, 0);
+      for (let i = 0; i < candidates.length; i++) {
+        const sign = CONFIG.ZODIAC_SIGNS[SIGNS[i]];
+        await contract.connect(candidates[i]).createProfile(sign.id, sign.element, sign.quality);
+        await contract.connect(candidates[i]).listInDirectory(ZeroHash, ZeroHash);
+      }
+    });
+
+    const addresses = (signers) => signers.map((signer) => signer.address);
+
+    describe("🔎 Search", function () {
+      it("Should find the best candidate in a batch", async function () {
+        const batch = candidates.slice(0, 5);
+        await contract.connect(user).findBestMatch(addresses(batch));
+
+        const best = await variant.bestIndex(user);
+        expect(best).to.equal(expectedBest(SIGNS.slice(0, 5)));
+        expect(batch[best]).to.equal(candidates[4]);
+      });
+
+      it("Should keep the earlier candidate on a tie", async function () {
+        // Leo and Sagittarius score the same against Aries
+        await contract.connect(user).findBestMatch(addresses([candidates[3], candidates[2]]));
+        expect(await variant.bestIndex(user)).to.equal(0);
+
+        await contract.connect(user).findBestMatch(addresses([candidates[0], candidates[2], candidates[3]]));
+        expect(await variant.bestIndex(user)).to.equal(1);
+      });
+
+      it("Should replace the previous result", async function () {
+        await contract.connect(user).findBestMatch(addresses(candidates.slice(0, 5)));
+        await contract.connect(user).findBestMatch(addresses([candidates[0], candidates[1]]));
+
+        expect(await variant.bestIndex(user)).to.equal(expectedBest(SIGNS.slice(0, 2)));
+      });
+
+      it("Should emit BestMatchSearched with the candidates", async function () {
+        const batch = addresses(candidates.slice(1, 3));
+
+        await expect(contract.connect(user).findBestMatch(batch))
+          .to.emit(contract, "BestMatchSearched")
+          .withArgs(user.address, batch, anyValue);
+      });
+    });
+
+    describe("🚫 Validation", function () {
+      it("Should bound the number of candidates", async function () {
+        expect(await contract.MAX_SEARCH_CANDIDATES()).to.equal(5);
+
+        await expect(contract.connect(user).findBestMatch([candidates[0].address]))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid candidate count");
+        await expect(contract.connect(user).findBestMatch(addresses(candidates)))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid candidate count");
+      });
+
+      it("Should only rank listed candidates", async function () {
+        await contract.connect(candidates[1]).unlistFromDirectory();
+
+        await expect(contract.connect(user).findBestMatch(addresses(candidates.slice(0, 2))))
+          .to.be.revertedWith(variant.revertPrefix + "Candidate not listed");
+        await expect(contract.connect(user).findBestMatch([candidates[0].address, outsider.address]))
+          .to.be.revertedWith(variant.revertPrefix + "Candidate not listed");
+      });
+
+      it("Should reject the caller as a candidate", async function () {
+        await contract.connect(user).listInDirectory(ZeroHash, ZeroHash);
+
+        await expect(contract.connect(user).findBestMatch([candidates[0].address, user.address]))
+          .to.be.revertedWith(variant.revertPrefix + "Cannot match with yourself");
+      });
+
+      it("Should require a profile", async function () {
+        await expect(contract.connect(outsider).findBestMatch(addresses(candidates.slice(0, 2))))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Best Match Privacy", function () {
+  let variant;
+  let contract;
+  let owner, user, partner, other;
+
+  beforeEach(async function () {
+    [owner, user, partner, other] = await ethers.getSigners();
+
+    variant = await deployEnhancedVariant(owner);
+    contract = variant.contract;
+
+    await contract.connect(user).createProfile(0, 0, 0);
+    for (const [signer, sign] of [[partner, 4], [other, 6]]) {
+      const { id, element, quality } = CONFIG.ZODIAC_SIGNS[sign];
+      await contract.connect(signer).createProfile(id, element, quality);
+      await contract.connect(signer).listInDirectory(ZeroHash, ZeroHash);
+    }
+  });
+
+  it("Should allow only the caller to decrypt the winner", async function () {
+    await contract.connect(user).findBestMatch([partner.address, other.address]);
+    const handle = await contract.connect(user).getBestMatchIndex();
+
+    expect(await variant.acl.isAllowed(handle, user.address)).to.equal(true);
+    expect(await variant.acl.isAllowed(handle, await contract.getAddress())).to.equal(true);
+    expect(await variant.acl.isAllowed(handle, partner.address)).to.equal(false);
+    expect(await variant.acl.isAllowed(handle, other.address)).to.equal(false);
+  });
+
+  it("Should keep each caller's result separate", async function () {
+    await contract.connect(user).findBestMatch([partner.address, other.address]);
+
+    expect(await contract.connect(partner).getBestMatchIndex()).to.equal(ZeroHash);
+  });
+
+  it("Should reject searches while paused", async function () {
+    await contract.pause();
+
+    await expect(contract.connect(user).findBestMatch([partner.address, other.address]))
+      .to.be.revertedWith("AC: Contract is paused");
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { CONTRACTS, OUTPUT_DIR, generateModules, listModules } = require("../scripts/generate-abi");
+const { readDeployments } = require("../scripts/deployments");
+const contracts = require("../lib/contracts");
+
+const ROOT = path.join(__dirname, "..");
+
+const readArtifact = (name) => hre.artifacts.readArtifact(name);
+const read = (file) => fs.readFileSync(path.join(ROOT, file), "utf8").replace(/\r\n/g, "\n");
+
+const LOCALHOST = {
+  localhost: {
+    chainId: 31337,
+    contracts: { AstralCompatibilityEnhanced: { address: "0x00000000000000000000000000000000000000e1" } },
+  },
+};
+
+// Run generated modules as browser scripts, address modules before index.js as in index.html
+function loadInBrowser(files) {
+  const context = vm.createContext({});
+  const names = Object.keys(files).filter((file) => file !== "index.js");
+  for (const file of names.concat("index.js")) {
+    vm.runInContext(files[file], context);
+  }
+  return vm.runInContext("AstralContracts", context);
+}
+
+const modulesOnDisk = () =>
+  Object.fromEntries(listModules().map((file) => [file, fs.readFileSync(path.join(OUTPUT_DIR, file), "utf8")]));
+
+// Frontend reference implementation with the generated modules loaded first, as in index.html
+function loadFrontendConfig(AstralContracts = contracts) {
+  return vm.runInNewContext(`${read("js/config.js")}\n({ CONFIG, getContractAbi, getDeployments, findDeployment });`, {
+    AstralContracts,
+  });
+}
+
+describe("Contract ABI modules", function () {
+  describe("Generated modules", function () {
+    it("Should match the compiled contracts and deployment records", async function () {
+      const files = await generateModules(readArtifact);
+
+      for (const [file, content] of Object.entries(files)) {
+        expect(
+          read(path.join("lib", "contracts", file)),
+          `lib/contracts/${file} is out of date, run npm run abi:generate`
+        ).to.equal(content);
+      }
+      expect(listModules().sort()).to.deep.equal(Object.keys(files).sort());
+    });
+
+    for (const name of CONTRACTS) {
+      it(`Should export the compiled ${name} ABI`, async function () {
+        const { abi } = await readArtifact(name);
+        expect(contracts.abis[name]).to.deep.equal(abi);
+      });
+    }
+
+    it("Should resolve the ABI and address for each variant", async function () {
+      for (const [variant, name] of Object.entries(contracts.VARIANT_CONTRACTS)) {
+        expect(contracts.getAbi(variant)).to.equal(contracts.abis[name]);
+      }
+      expect(() => contracts.getAbi("unknown")).to.throw(/No ABI for contract variant "unknown"/);
+
+      for (const [network, record] of Object.entries(readDeployments())) {
+        expect(contracts.addresses[network].chainId).to.equal(record.chainId);
+        for (const [variant, name] of Object.entries(contracts.VARIANT_CONTRACTS)) {
+          const deployed = record.contracts[name];
+          expect(contracts.getAddress(network, variant)).to.equal(deployed ? deployed.address : null);
+        }
+      }
+      expect(contracts.getAddress("unknown", "mock")).to.equal(null);
+
+      const generated = loadInBrowser(await generateModules(readArtifact, LOCALHOST));
+      expect(generated.getAddress("localhost", "enhanced")).to.equal("0x00000000000000000000000000000000000000e1");
+      expect(generated.getAddress("localhost", "mock")).to.equal(null);
+    });
+
+    it("Should write every record as an address module", async function () {
+      const files = await generateModules(readArtifact, LOCALHOST);
+
+      expect(Object.keys(files).filter((file) => file.startsWith("addresses/"))).to.deep.equal([
+        "addresses/localhost.js",
+      ]);
+      expect(files["addresses/localhost.js"]).to.match(/"AstralCompatibilityEnhanced": "0x0+e1"/);
+      expect(files["index.js"]).to.match(/"localhost": require\("\.\/addresses\/localhost"\)/);
+    });
+
+    it("Should load in a browser without a module system", async function () {
+      const browser = loadInBrowser(modulesOnDisk());
+      expect(browser.getAbi("enhanced").length).to.equal(contracts.abis.AstralCompatibilityEnhanced.length);
+      expect(JSON.stringify(browser.addresses)).to.equal(JSON.stringify(contracts.addresses));
+
+      const html = read("index.html");
+      for (const file of listModules()) {
+        expect(html, `index.html does not load lib/contracts/${file}`).to.include(`src="lib/contracts/${file}"`);
+      }
+    });
+  });
+
+  describe("Frontends", function () {
+    it("Should give the static site the compiled ABI and recorded address", async function () {
+      const { CONFIG, getContractAbi } = loadFrontendConfig();
+      expect(CONFIG.CONTRACT_ADDRESS).to.equal(contracts.getAddress(CONFIG.NETWORK, CONFIG.CONTRACT_VARIANT));
+
+      for (const [variant, name] of Object.entries(contracts.VARIANT_CONTRACTS)) {
+        CONFIG.CONTRACT_VARIANT = variant;
+        const { abi } = await readArtifact(name);
+        expect(JSON.stringify(getContractAbi())).to.equal(JSON.stringify(abi));
+      }
+    });
+
+    it("Should list every recorded deployment for the switcher", async function () {
+      const generated = loadInBrowser(await generateModules(readArtifact, LOCALHOST));
+
+      for (const source of [contracts, generated]) {
+        const { CONFIG, getDeployments, findDeployment } = loadFrontendConfig(source);
+        const deployments = getDeployments();
+        const recorded = Object.values(source.addresses).flatMap((record) => Object.keys(record.contracts));
+
+        expect(deployments.length).to.equal(recorded.length);
+        for (const deployment of deployments) {
+          expect(deployment.chainId).to.equal(source.addresses[deployment.network].chainId);
+          expect(deployment.id).to.equal(`${deployment.network}:${deployment.variant}`);
+          expect(deployment.address).to.equal(source.getAddress(deployment.network, deployment.variant));
+        }
+
+        // The configured default, else the first recorded deployment, else none
+        const fallback = findDeployment("unknown:enhanced");
+        if (deployments.length === 0) {
+          expect(fallback).to.equal(null);
+          continue;
+        }
+        const preferred = deployments.find(({ id }) => id === `${CONFIG.NETWORK}:${CONFIG.CONTRACT_VARIANT}`);
+        expect(fallback.id).to.equal((preferred || deployments[0]).id);
+        expect(findDeployment(fallback.id)).to.deep.equal(fallback);
+      }
+    });
+
+    it("Should keep no hand-written ABI entries", async function () {
+      const frontends = [
+        "js/config.js",
+        "astral-compatibility-react/src/config/contract.js",
+        "examples/nextjs/lib/astral.js",
+      ];
+
+      for (const file of frontends) {
+        expect(read(file), file).to.not.match(/stateMutability|CONTRACT_ABI|ENHANCED_ABI|artifacts\/contracts/);
+      }
+      expect(read("astral-compatibility-react/src/config/contract.js")).to.include("from '@astral/contracts'");
+      expect(read("examples/nextjs/lib/astral.js")).to.include("from '@astral/contracts'");
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { connectGateway } = require("../scripts/mock-gateway");
+const { deployEnhancedLocal } = require("./helpers/deploy");
+
+describe("AstralCompatibilityEnhanced - Encrypted Profiles", function () {
+  let astralCompatibility;
+  let gateway;
+  let owner, user1;
+
+  // MockFHEVMExecutor treats the external handle as the cleartext
+  const encryptedSign = (zodiac) => ethers.toBeHex(zodiac, 32);
+
+  async function storedProfile(user) {
+    const profile = await astralCompatibility.userProfiles(user.address);
+    return {
+      zodiac: await gateway.executor.cleartexts(profile.encryptedZodiac),
+      element: await gateway.executor.cleartexts(profile.encryptedElement),
+      quality: await gateway.executor.cleartexts(profile.encryptedQuality),
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    astralCompatibility = await deployEnhancedLocal(owner);
+
+    gateway = await connectGateway(await astralCompatibility.getAddress());
+  });
+
+  describe("🔐 Derived Traits", function () {
+    it("Should derive element and quality from the encrypted sign", async function () {
+      const signers = await ethers.getSigners();
+
+      for (let zodiac = 0; zodiac < 12; zodiac++) {
+        const user = signers[zodiac + 1];
+        await expect(astralCompatibility.connect(user).createEncryptedProfile(encryptedSign(zodiac), "0x"))
+          .to.emit(astralCompatibility, "ProfileCreated");
+
+        const [, element, quality] = await astralCompatibility.getZodiacInfo(zodiac);
+        expect(await storedProfile(user)).to.deep.equal({ zodiac: BigInt(zodiac), element, quality });
+      }
+    });
+
+    it("Should reduce out-of-range signs before deriving traits", async function () {
+      // 13 -> Taurus (Earth, Fixed)
+      await astralCompatibility.connect(user1).createEncryptedProfile(encryptedSign(13), "0x");
+      expect(await storedProfile(user1)).to.deep.equal({ zodiac: 1n, element: 1n, quality: 1n });
+    });
+
+    it("Should re-derive traits on update", async function () {
+      await astralCompatibility.connect(user1).createEncryptedProfile(encryptedSign(0), "0x");
+
+      // Scorpio (Water, Fixed)
+      await expect(astralCompatibility.connect(user1).updateEncryptedProfile(encryptedSign(7), "0x"))
+        .to.emit(astralCompatibility, "ProfileUpdated");
+      expect(await storedProfile(user1)).to.deep.equal({ zodiac: 7n, element: 3n, quality: 1n });
+    });
+  });
+
+  describe("🛡️ Guards", function () {
+    it("Should reject encrypted profiles while paused", async function () {
+      await astralCompatibility.connect(owner).pause();
+      await expect(astralCompatibility.connect(user1).createEncryptedProfile(encryptedSign(0), "0x"))
+        .to.be.revertedWith("AC: Contract is paused");
+    });
+
+    it("Should reject a second encrypted profile", async function () {
+      await astralCompatibility.connect(user1).createEncryptedProfile(encryptedSign(0), "0x");
+      await expect(astralCompatibility.connect(user1).createEncryptedProfile(encryptedSign(1), "0x"))
+        .to.be.revertedWith("AC: Profile already exists");
+    });
+
+    it("Should reject an encrypted update without a profile", async function () {
+      await expect(astralCompatibility.connect(user1).updateEncryptedProfile(encryptedSign(0), "0x"))
+        .to.be.revertedWith("AC: User has no profile");
+    });
+  });
+
+  describe("✋ Plaintext Consistency", function () {
+    it("Should accept a sign with its own element and quality", async function () {
+      await expect(astralCompatibility.connect(user1).createProfile(7, 3, 1))
+        .to.emit(astralCompatibility, "ProfileCreated");
+    });
+
+    it("Should reject a mismatched element or quality", async function () {
+      await expect(astralCompatibility.connect(user1).createProfile(0, 3, 2))
+        .to.be.revertedWith("AC: Element and quality do not match zodiac");
+      await expect(astralCompatibility.connect(user1).createProfile(0, 0, 1))
+        .to.be.revertedWith("AC: Element and quality do not match zodiac");
+
+      await astralCompatibility.connect(user1).createProfile(0, 0, 0);
+      await expect(astralCompatibility.connect(user1).updateProfile(4, 0, 0))
+        .to.be.revertedWith("AC: Element and quality do not match zodiac");
+    });
+  });
+});
@@ -0,0 +1,344 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { connectGateway, pendingRequests, fulfillRequest } = require("../scripts/mock-gateway");
+const { deployEnhancedLocal } = require("./helpers/deploy");
+
+describe("AstralCompatibilityEnhanced - Fee Ledger", function () {
+  let astralCompatibility;
+  let gateway;
+  let owner, user1, user2, user3, user4;
+  let accounts;
+  let matchIds;
+  let matchFee;
+
+  const PLATFORM_FEE_BPS = 500n;
+  const Status = { TIMED_OUT: 4, REFUNDED: 5 };
+
+  const platformShare = (fee) => (fee * PLATFORM_FEE_BPS) / 10000n;
+
+  /**
+   * balance == platformFees + sum(pendingRefunds) + escrowed fees,
+   * with totalEscrowed matching the per-match ledger
+   */
+  async function expectBooksBalanced() {
+    const balance = await ethers.provider.getBalance(await astralCompatibility.getAddress());
+    const platformFees = await astralCompatibility.platformFees();
+    const totalEscrowed = await astralCompatibility.totalEscrowed();
+
+    let refunds = 0n;
+    for (const account of accounts) {
+      refunds += await astralCompatibility.pendingRefunds(account.address);
+    }
+
+    let ledgerEscrow = 0n;
+    for (const matchId of matchIds) {
+      ledgerEscrow += (await astralCompatibility.feeLedger(matchId)).escrowed;
+    }
+
+    expect(totalEscrowed).to.equal(ledgerEscrow);
+    expect(balance).to.equal(platformFees + refunds + totalEscrowed);
+  }
+
+  // Run an operation and check the books right after it
+  async function step(operation) {
+    const tx = await operation;
+    await tx.wait();
+    await expectBooksBalanced();
+    return tx;
+  }
+
+  async function invite(payer, partner, value = matchFee) {
+    const matchId = await astralCompatibility.generateMatchId(payer.address, partner.address);
+    if (!matchIds.includes(matchId)) matchIds.push(matchId);
+    await step(astralCompatibility.connect(payer).requestCompatibilityMatch(partner.address, { value }));
+    return matchId;
+  }
+
+  async function requestMatch(payer, partner, value = matchFee) {
+    const matchId = await invite(payer, partner, value);
+    await step(astralCompatibility.connect(partner).acceptMatchInvitation(matchId));
+    return matchId;
+  }
+
+  async function reveal(requester, matchId) {
+    await step(astralCompatibility.connect(requester).requestRevealScore(matchId));
+    const requests = await pendingRequests(gateway);
+    await fulfillRequest(gateway, requests[requests.length - 1]);
+    await expectBooksBalanced();
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3, user4] = await ethers.getSigners();
+    accounts = [owner, user1, user2, user3, user4];
+    matchIds = [];
+
+    astralCompatibility = await deployEnhancedLocal(owner);
+
+    gateway = await connectGateway(await astralCompatibility.getAddress());
+    matchFee = await astralCompatibility.matchFee();
+
+    // Aries, Leo, Libra, Pisces
+    await astralCompatibility.connect(user1).createProfile(0, 0, 0);
+    await astralCompatibility.connect(user2).createProfile(4, 0, 1);
+    await astralCompatibility.connect(user3).createProfile(6, 2, 0);
+    await astralCompatibility.connect(user4).createProfile(11, 3, 2);
+  });
+
+  describe("📒 Ledger Entries", function () {
+    it("Should record payer, platform share and escrow", async function () {
+      const matchId = await requestMatch(user1, user2);
+
+      const entry = await astralCompatibility.feeLedger(matchId);
+      expect(entry.payer).to.equal(user1.address);
+      expect(entry.amountPaid).to.equal(matchFee);
+      expect(entry.platformFee).to.equal(platformShare(matchFee));
+      expect(entry.escrowed).to.equal(matchFee - platformShare(matchFee));
+      expect(await astralCompatibility.totalEscrowed()).to.equal(entry.escrowed);
+    });
+
+    it("Should charge the platform fee on the match fee only", async function () {
+      const excess = ethers.parseEther("0.005");
+      const matchId = await requestMatch(user1, user2, matchFee + excess);
+
+      expect(await astralCompatibility.platformFees()).to.equal(platformShare(matchFee));
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(excess);
+      expect((await astralCompatibility.feeLedger(matchId)).amountPaid).to.equal(matchFee);
+      expect((await astralCompatibility.getMatchInfo(matchId)).feePaid).to.equal(matchFee);
+    });
+
+    it("Should keep the fee charged when matchFee changes later", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await step(astralCompatibility.connect(owner).updateMatchFee(matchFee * 3n));
+
+      await time.increase(await astralCompatibility.requestTimeout());
+      await step(astralCompatibility.connect(user1).claimTimeoutRefund(matchId));
+
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(matchFee - platformShare(matchFee));
+    });
+
+    it("Should list the fee paid in both users' match pages", async function () {
+      const matchId = await requestMatch(user1, user2);
+
+      for (const user of [user1, user2]) {
+        const [page, total] = await astralCompatibility.getUserMatches(user.address, 0, 10);
+        expect(total).to.equal(1);
+        expect(page[0].matchId).to.equal(matchId);
+        expect(page[0].user1).to.equal(user1.address);
+        expect(page[0].feePaid).to.equal(matchFee);
+        expect(page[0].status).to.equal(0); // PENDING
+      }
+
+      const [emptyPage] = await astralCompatibility.getUserMatches(user2.address, 1, 10);
+      expect(emptyPage.length).to.equal(0);
+    });
+  });
+
+  describe("📨 Invitations", function () {
+    it("Should escrow the whole fee until the partner accepts", async function () {
+      const matchId = await invite(user1, user2);
+
+      const entry = await astralCompatibility.feeLedger(matchId);
+      expect(entry.payer).to.equal(user1.address);
+      expect(entry.platformFee).to.equal(0);
+      expect(entry.escrowed).to.equal(matchFee);
+      expect(await astralCompatibility.platformFees()).to.equal(0);
+
+      await step(astralCompatibility.connect(user2).acceptMatchInvitation(matchId));
+      expect((await astralCompatibility.feeLedger(matchId)).platformFee).to.equal(platformShare(matchFee));
+      expect(await astralCompatibility.platformFees()).to.equal(platformShare(matchFee));
+    });
+
+    it("Should refund the whole fee when the partner declines", async function () {
+      const matchId = await invite(user1, user2);
+
+      await expect(astralCompatibility.connect(user2).declineMatchInvitation(matchId))
+        .to.emit(astralCompatibility, "RefundIssued")
+        .withArgs(user1.address, matchFee, "Invitation declined", (t) => t > 0n);
+      await expectBooksBalanced();
+
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(matchFee);
+      expect(await astralCompatibility.totalRefunds()).to.equal(matchFee);
+      expect(await astralCompatibility.platformFees()).to.equal(0);
+    });
+
+    it("Should refund the whole fee when the requester cancels", async function () {
+      const matchId = await invite(user1, user2);
+      await time.increase(await astralCompatibility.invitationExpiry());
+
+      await expect(astralCompatibility.connect(user1).cancelMatchInvitation(matchId))
+        .to.emit(astralCompatibility, "RefundIssued")
+        .withArgs(user1.address, matchFee, "Invitation cancelled", (t) => t > 0n);
+      await expectBooksBalanced();
+
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(matchFee);
+    });
+
+    it("Should open a new ledger entry when a declined pair is invited again", async function () {
+      const matchId = await invite(user1, user2);
+      await step(astralCompatibility.connect(user2).declineMatchInvitation(matchId));
+
+      await invite(user2, user1);
+      expect((await astralCompatibility.feeLedger(matchId)).payer).to.equal(user2.address);
+      await step(astralCompatibility.connect(user1).acceptMatchInvitation(matchId));
+
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(matchFee);
+      expect((await astralCompatibility.feeLedger(matchId)).escrowed).to.equal(matchFee - platformShare(matchFee));
+    });
+  });
+
+  describe("✅ Completed Reveals", function () {
+    it("Should move the escrow to platform fees", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await reveal(user2, matchId);
+
+      expect((await astralCompatibility.feeLedger(matchId)).escrowed).to.equal(0);
+      expect(await astralCompatibility.totalEscrowed()).to.equal(0);
+      expect(await astralCompatibility.platformFees()).to.equal(matchFee);
+    });
+
+    it("Should move the escrow to platform fees on a private reveal", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await step(astralCompatibility.connect(user1).revealScorePrivately(matchId));
+
+      expect((await astralCompatibility.feeLedger(matchId)).escrowed).to.equal(0);
+      expect(await astralCompatibility.platformFees()).to.equal(matchFee);
+    });
+  });
+
+  describe("⏰ Timeout Refunds", function () {
+    it("Should credit the payer when the partner claims", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await time.increase(await astralCompatibility.requestTimeout());
+
+      await expect(astralCompatibility.connect(user2).claimTimeoutRefund(matchId))
+        .to.emit(astralCompatibility, "RefundIssued")
+        .withArgs(user1.address, matchFee - platformShare(matchFee), "Decryption timeout", (t) => t > 0n);
+      await expectBooksBalanced();
+
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(matchFee - platformShare(matchFee));
+      expect(await astralCompatibility.pendingRefunds(user2.address)).to.equal(0);
+      expect(await astralCompatibility.totalRefunds()).to.equal(matchFee - platformShare(matchFee));
+    });
+
+    it("Should refund the payer when the match was requested by user2", async function () {
+      const matchId = await requestMatch(user2, user1);
+      await time.increase(await astralCompatibility.requestTimeout());
+
+      await step(astralCompatibility.connect(user1).claimTimeoutRefund(matchId));
+
+      expect(await astralCompatibility.pendingRefunds(user2.address)).to.equal(matchFee - platformShare(matchFee));
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.equal(0);
+    });
+
+    it("Should pay out exactly the credited refund on withdrawal", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await time.increase(await astralCompatibility.requestTimeout());
+      await step(astralCompatibility.connect(user1).claimTimeoutRefund(matchId));
+
+      const refund = await astralCompatibility.pendingRefunds(user1.address);
+      await expect(step(astralCompatibility.connect(user1).withdrawRefunds())).to.changeEtherBalances(
+        [astralCompatibility, user1],
+        [-refund, refund]
+      );
+    });
+  });
+
+  describe("🚨 Emergency Withdrawal", function () {
+    it("Should send only the escrowed share to the payer", async function () {
+      const matchId = await requestMatch(user1, user2);
+      const escrowed = matchFee - platformShare(matchFee);
+
+      await expect(step(astralCompatibility.connect(owner).emergencyWithdraw(user1.address, matchId)))
+        .to.changeEtherBalances([astralCompatibility, user1], [-escrowed, escrowed]);
+
+      expect((await astralCompatibility.getMatchInfo(matchId)).status).to.equal(Status.REFUNDED);
+      expect(await astralCompatibility.platformFees()).to.equal(platformShare(matchFee));
+      expect(await astralCompatibility.totalRefunds()).to.equal(escrowed);
+    });
+
+    it("Should reject a recipient other than the payer", async function () {
+      const matchId = await requestMatch(user1, user2);
+
+      await expect(
+        astralCompatibility.connect(owner).emergencyWithdraw(user3.address, matchId)
+      ).to.be.revertedWith("AC: Recipient is not the payer");
+    });
+
+    it("Should not refund a match twice", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await time.increase(await astralCompatibility.requestTimeout());
+      await step(astralCompatibility.connect(user1).claimTimeoutRefund(matchId));
+
+      expect((await astralCompatibility.getMatchInfo(matchId)).status).to.equal(Status.TIMED_OUT);
+      await expect(
+        astralCompatibility.connect(owner).emergencyWithdraw(user1.address, matchId)
+      ).to.be.revertedWith("AC: Nothing escrowed");
+    });
+
+    it("Should keep platform fees withdrawable after emergencies", async function () {
+      const matchId = await requestMatch(user1, user2);
+      await step(astralCompatibility.connect(owner).emergencyWithdraw(user1.address, matchId));
+
+      const fees = await astralCompatibility.platformFees();
+      await expect(step(astralCompatibility.connect(owner).withdrawPlatformFees(owner.address)))
+        .to.changeEtherBalances([astralCompatibility, owner], [-fees, fees]);
+    });
+  });
+
+  describe("⚖️ Invariant", function () {
+    it("Should book direct transfers as platform fees", async function () {
+      const amount = ethers.parseEther("0.01");
+      await step(user3.sendTransaction({ to: await astralCompatibility.getAddress(), value: amount }));
+
+      expect(await astralCompatibility.platformFees()).to.equal(amount);
+    });
+
+    it("Should hold after every operation in a mixed sequence", async function () {
+      const completed = await requestMatch(user1, user2);
+      const timedOut = await requestMatch(user3, user1, matchFee + 1n);
+      const emergency = await requestMatch(user4, user2);
+      const processing = await requestMatch(user2, user3);
+      const declined = await invite(user3, user4);
+
+      await reveal(user1, completed);
+      await step(astralCompatibility.connect(user4).declineMatchInvitation(declined));
+      const reinvited = await invite(user4, user3, matchFee + 1n);
+      await step(astralCompatibility.connect(user2).requestRevealScore(processing));
+      await step(astralCompatibility.connect(owner).updateMatchFee(matchFee * 2n));
+      const latePayer = await requestMatch(user4, user1, matchFee * 2n);
+
+      await time.increase(await astralCompatibility.requestTimeout());
+
+      await step(astralCompatibility.connect(user1).claimTimeoutRefund(timedOut));
+      await step(astralCompatibility.connect(user3).claimTimeoutRefund(processing));
+      await step(astralCompatibility.connect(owner).emergencyWithdraw(user4.address, emergency));
+      await step(astralCompatibility.connect(user3).withdrawRefunds());
+      await step(astralCompatibility.connect(owner).withdrawPlatformFees(owner.address));
+      await step(astralCompatibility.connect(user1).claimTimeoutRefund(latePayer));
+      await step(astralCompatibility.connect(user2).withdrawRefunds());
+      await step(astralCompatibility.connect(user4).cancelMatchInvitation(reinvited));
+      await step(astralCompatibility.connect(user4).withdrawRefunds());
+
+      expect(await astralCompatibility.totalEscrowed()).to.equal(0);
+      expect(await ethers.provider.getBalance(await astralCompatibility.getAddress())).to.equal(
+        await astralCompatibility.platformFees()
+      );
+    });
+
+    it("Should hold when a profile with open invitations and matches is deleted", async function () {
+      const completed = await requestMatch(user1, user2);
+      const pending = await requestMatch(user3, user1);
+      const processing = await requestMatch(user1, user4);
+      await astralCompatibility.connect(owner).createProfile(8, 0, 2);
+      await invite(owner, user1, matchFee + 1n);
+
+      await reveal(user2, completed);
+      await step(astralCompatibility.connect(user4).requestRevealScore(processing));
+      await step(astralCompatibility.connect(user1).deleteProfile());
+
+      expect(await astralCompatibility.totalEscrowed()).to.equal(0);
+      expect((await astralCompatibility.feeLedger(pending)).escrowed).to.equal(0);
+    });
+  });
+});
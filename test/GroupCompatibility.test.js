@@ -0,0 +1,437 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { pendingRequests, fulfillRequest } = require("../scripts/mock-gateway");
+const { deployEnhancedVariant, VARIANTS } = require("./helpers/deploy");
+
+// Frontend reference implementation (js/config.js is a browser script)
+function loadFrontendConfig() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "js", "config.js"), "utf8");
+  return vm.runInNewContext(`${source}\n({ CONFIG, explainNatalCompatibility });`);
+}
+
+const { CONFIG, explainNatalCompatibility } = loadFrontendConfig();
+
+// Default model without the random bonus, so every score is exact
+const MODEL = { ...CONFIG.SCORING, RANDOM_RANGE: 1 };
+
+// GroupStatus order (MatchTypes.sol)
+const Status = { NONE: 0, OPEN: 1, SCORED: 2, PROCESSING: 3, REVEALED: 4, CANCELLED: 5 };
+
+function toArgs(model) {
+  return [
+    model.BASE_SCORE,
+    model.ELEMENT_MATRIX,
+    model.QUALITY_MATRIX,
+    model.ASPECT_ADJUSTMENTS,
+    model.SAME_SIGN_ADJUSTMENT,
+    model.SIGN_PAIRS,
+    model.RANDOM_RANGE,
+  ];
+}
+
+// Average and lowest pair score of sun-only profiles by the frontend reference
+function expectedAggregate(signs) {
+  const scores = [];
+  for (let i = 0; i < signs.length; i++) {
+    for (let j = i + 1; j < signs.length; j++) {
+      const chart = (sun) => ({ sun, moon: null, rising: null });
+      scores.push(explainNatalCompatibility(chart(signs[i]), chart(signs[j]), MODEL, CONFIG.NATAL_WEIGHTS).min);
+    }
+  }
+  const sum = scores.reduce((total, score) => total + score, 0);
+  return { average: Math.floor(sum / scores.length), minPair: Math.min(...scores) };
+}
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Group Compatibility`, function () {
+    let variant;
+    let contract;
+    let owner, creator, members, outsider;
+
+    // Sun signs of the creator and the invited members: Aries, Leo, Libra, Pisces
+    const SIGNS = [0, 4, 6, 11];
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      [owner, creator, outsider] = signers;
+      members = signers.slice(3, 3 + SIGNS.length - 1);
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+      await contract.setScoringConfig(...toArgs(MODEL));
+
+      const users = [creator, ...members];
+      for (let i = 0; i < users.length; i++) {
+        const sign = CONFIG.ZODIAC_SIGNS[SIGNS[i]];
+        await contract.connect(users[i]).createProfile(sign.id, sign.element, sign.quality);
+      }
+    });
+
+    const addresses = (signers) => signers.map((signer) => signer.address);
+
+    async function createGroup(invited = members) {
+      const groupId = await contract.connect(creator).createGroupMatch.staticCall(addresses(invited));
+      await contract.connect(creator).createGroupMatch(addresses(invited));
+      return groupId;
+    }
+
+    async function joinAll(groupId, invited = members) {
+      for (const member of invited) {
+        await contract.connect(member).joinGroupMatch(groupId);
+      }
+    }
+
+    describe("👥 Create", function () {
+      it("Should open a group with the creator joined", async function () {
+        const groupId = await contract.connect(creator).createGroupMatch.staticCall(addresses(members));
+
+        await expect(contract.connect(creator).createGroupMatch(addresses(members)))
+          .to.emit(contract, "GroupMatchCreated")
+          .withArgs(groupId, creator.address, addresses([creator, ...members]), anyValue);
+
+        const group = await contract.getGroupMatch(groupId);
+        expect(group.creator).to.equal(creator.address);
+        expect(group.members).to.deep.equal(addresses([creator, ...members]));
+        expect(group.joinedCount).to.equal(1);
+        expect(group.status).to.equal(Status.OPEN);
+        expect(group.expiresAt).to.equal(group.createdAt + (await contract.invitationExpiry()));
+
+        expect(await contract.hasJoinedGroup(groupId, creator.address)).to.equal(true);
+        expect(await contract.hasJoinedGroup(groupId, members[0].address)).to.equal(false);
+        for (const user of [creator, ...members]) {
+          expect(await contract.getUserGroupMatches(user.address)).to.deep.equal([groupId]);
+        }
+      });
+
+      it("Should give every group its own ID", async function () {
+        const first = await createGroup();
+        const second = await createGroup();
+
+        expect(second).to.not.equal(first);
+        expect(await contract.getUserGroupMatches(creator.address)).to.deep.equal([first, second]);
+      });
+
+      it("Should bound the group size", async function () {
+        expect(await contract.MAX_GROUP_SIZE()).to.equal(6);
+
+        await expect(contract.connect(creator).createGroupMatch([members[0].address]))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid group size");
+
+        const signers = await ethers.getSigners();
+        const crowd = signers.slice(10, 16);
+        for (const user of crowd) {
+          await contract.connect(user).createProfile(1, 1, 1);
+        }
+        await expect(contract.connect(creator).createGroupMatch(addresses(crowd)))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid group size");
+        await contract.connect(creator).createGroupMatch(addresses(crowd.slice(1)));
+      });
+
+      it("Should reject invalid members", async function () {
+        await expect(contract.connect(creator).createGroupMatch([members[0].address, outsider.address]))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+        await expect(contract.connect(creator).createGroupMatch([members[0].address, creator.address]))
+          .to.be.revertedWith(variant.revertPrefix + "Cannot match with yourself");
+        await expect(contract.connect(creator).createGroupMatch([members[0].address, members[0].address]))
+          .to.be.revertedWith(variant.revertPrefix + "Duplicate member");
+      });
+
+      it("Should require a profile", async function () {
+        await expect(contract.connect(outsider).createGroupMatch(addresses(members)))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+
+      it("Should report unknown groups as NONE", async function () {
+        const group = await contract.getGroupMatch(ethers.ZeroHash);
+
+        expect(group.status).to.equal(Status.NONE);
+        expect(group.members).to.deep.equal([]);
+      });
+    });
+
+    describe("🤝 Join", function () {
+      it("Should score the group once every member joined", async function () {
+        const groupId = await createGroup();
+
+        for (let i = 0; i < members.length - 1; i++) {
+          await expect(contract.connect(members[i]).joinGroupMatch(groupId))
+            .to.emit(contract, "GroupMemberJoined")
+            .withArgs(groupId, members[i].address, i + 2)
+            .and.not.to.emit(contract, "GroupMatchScored");
+          expect((await contract.getGroupMatch(groupId)).status).to.equal(Status.OPEN);
+        }
+
+        await expect(contract.connect(members[members.length - 1]).joinGroupMatch(groupId))
+          .to.emit(contract, "GroupMatchScored")
+          .withArgs(groupId, anyValue);
+
+        const group = await contract.getGroupMatch(groupId);
+        expect(group.status).to.equal(Status.SCORED);
+        expect(group.joinedCount).to.equal(SIGNS.length);
+        expect(group.publicAverage).to.equal(0);
+        for (const member of members) {
+          expect(await contract.hasJoinedGroup(groupId, member.address)).to.equal(true);
+        }
+      });
+
+      it("Should only let invited members join once", async function () {
+        const groupId = await createGroup();
+
+        await expect(contract.connect(outsider).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+        await contract.connect(outsider).createProfile(2, 2, 2);
+        await expect(contract.connect(outsider).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Not a group member");
+
+        await contract.connect(members[0]).joinGroupMatch(groupId);
+        await expect(contract.connect(members[0]).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Already joined");
+        await expect(contract.connect(creator).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Already joined");
+      });
+
+      it("Should reject joins after the invitation expired", async function () {
+        const groupId = await createGroup();
+        await time.increase(await contract.invitationExpiry());
+
+        await expect(contract.connect(members[0]).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Group invitation expired");
+      });
+
+      it("Should reject joins to unknown and scored groups", async function () {
+        await expect(contract.connect(members[0]).joinGroupMatch(ethers.ZeroHash))
+          .to.be.revertedWith(variant.revertPrefix + "Group not open");
+
+        const groupId = await createGroup(members.slice(0, 2));
+        await joinAll(groupId, members.slice(0, 2));
+        await expect(contract.connect(members[2]).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Group not open");
+      });
+    });
+
+    describe("🚪 Leave", function () {
+      it("Should cancel the group when a member leaves", async function () {
+        const groupId = await createGroup();
+        await contract.connect(members[0]).joinGroupMatch(groupId);
+
+        await expect(contract.connect(members[1]).leaveGroupMatch(groupId))
+          .to.emit(contract, "GroupMatchCancelled")
+          .withArgs(groupId, members[1].address);
+
+        expect((await contract.getGroupMatch(groupId)).status).to.equal(Status.CANCELLED);
+        await expect(contract.connect(members[2]).joinGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Group not open");
+      });
+
+      it("Should only let members leave open groups", async function () {
+        const groupId = await createGroup();
+
+        await expect(contract.connect(outsider).leaveGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Not a group member");
+
+        await joinAll(groupId);
+        await expect(contract.connect(creator).leaveGroupMatch(groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Group not open");
+      });
+
+      it("Should cancel unrevealed groups on profile deletion", async function () {
+        const revealed = await createGroup(members.slice(0, 2));
+        await joinAll(revealed, members.slice(0, 2));
+        await variant.revealGroup(creator, revealed);
+        const scored = await createGroup(members.slice(0, 2));
+        await joinAll(scored, members.slice(0, 2));
+        const open = await createGroup();
+
+        const tx = contract.connect(members[0]).deleteProfile();
+        await expect(tx)
+          .to.emit(contract, "GroupMatchCancelled")
+          .withArgs(scored, members[0].address)
+          .and.to.emit(contract, "GroupMatchCancelled")
+          .withArgs(open, members[0].address);
+
+        expect((await contract.getGroupMatch(revealed)).status).to.equal(Status.REVEALED);
+        expect((await contract.getGroupMatch(scored)).status).to.equal(Status.CANCELLED);
+        expect((await contract.getGroupMatch(open)).status).to.equal(Status.CANCELLED);
+      });
+
+      it("Should cancel groups past the first page with clearDeletedProfile", async function () {
+        const pageSize = Number(await contract.DELETION_PAGE_SIZE());
+        for (let i = 0; i <= pageSize; i++) {
+          await createGroup(members.slice(0, 2));
+        }
+        const groupIds = await contract.getUserGroupMatches(members[0].address);
+        const last = groupIds[pageSize];
+
+        await contract.connect(members[0]).deleteProfile();
+        expect((await contract.getGroupMatch(groupIds[0])).status).to.equal(Status.CANCELLED);
+        expect((await contract.getGroupMatch(last)).status).to.equal(Status.OPEN);
+
+        await expect(contract.connect(members[0]).clearDeletedProfile(pageSize))
+          .to.emit(contract, "GroupMatchCancelled")
+          .withArgs(last, members[0].address);
+        expect((await contract.getGroupMatch(last)).status).to.equal(Status.CANCELLED);
+      });
+    });
+
+    describe("🔓 Reveal", function () {
+      it("Should reveal the average and lowest pair score", async function () {
+        const groupId = await createGroup();
+        await joinAll(groupId);
+
+        const expected = expectedAggregate(SIGNS);
+        await expect(variant.revealGroup(members[1], groupId))
+          .to.emit(contract, "GroupCompatibilityRevealed")
+          .withArgs(groupId, expected.average, expected.minPair);
+
+        const group = await contract.getGroupMatch(groupId);
+        expect(group.status).to.equal(Status.REVEALED);
+        expect(group.publicAverage).to.equal(expected.average);
+        expect(group.publicMinPair).to.equal(expected.minPair);
+      });
+
+      it("Should score a group of three over its three pairs", async function () {
+        const groupId = await createGroup([members[2], members[0]]);
+        await joinAll(groupId, [members[0], members[2]]);
+        await variant.revealGroup(creator, groupId);
+
+        const expected = expectedAggregate([SIGNS[0], SIGNS[3], SIGNS[1]]);
+        const group = await contract.getGroupMatch(groupId);
+        expect(group.publicAverage).to.equal(expected.average);
+        expect(group.publicMinPair).to.equal(expected.minPair);
+      });
+
+      it("Should only reveal scored groups to members", async function () {
+        const groupId = await createGroup();
+
+        await expect(variant.revealGroup(creator, groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid status for reveal");
+
+        await joinAll(groupId);
+        await expect(variant.revealGroup(outsider, groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Not a group member");
+
+        await variant.revealGroup(creator, groupId);
+        await expect(variant.revealGroup(members[0], groupId))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid status for reveal");
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Group Reveal", function () {
+  let variant;
+  let contract;
+  let gateway;
+  let owner, creator, members;
+  let groupId;
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    [owner, creator] = signers;
+    members = signers.slice(3, 5);
+
+    variant = await deployEnhancedVariant(owner);
+    contract = variant.contract;
+    gateway = variant.gateway;
+
+    await contract.connect(creator).createProfile(0, 0, 0);
+    await contract.connect(members[0]).createProfile(4, 0, 1);
+    await contract.connect(members[1]).createProfile(6, 2, 0);
+
+    const invited = members.map((member) => member.address);
+    groupId = await contract.connect(creator).createGroupMatch.staticCall(invited);
+    await contract.connect(creator).createGroupMatch(invited);
+    for (const member of members) {
+      await contract.connect(member).joinGroupMatch(groupId);
+    }
+  });
+
+  async function requestReveal(user = creator) {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await contract.connect(user).requestRevealGroupScore(groupId);
+    const requests = await pendingRequests(gateway, fromBlock);
+    expect(requests).to.have.lengthOf(1);
+    return requests[0];
+  }
+
+  it("Should submit the average and lowest pair score in one oracle request", async function () {
+    await expect(contract.connect(members[0]).requestRevealGroupScore(groupId))
+      .to.emit(contract, "GroupRevealRequested")
+      .withArgs(anyValue, groupId, members[0].address, anyValue);
+
+    const [request] = await pendingRequests(gateway);
+    expect(request.handles).to.have.lengthOf(2);
+    expect((await contract.getGroupMatch(groupId)).status).to.equal(Status.PROCESSING);
+    expect(await contract.decryptionRequestCounter()).to.equal(1);
+
+    const info = await contract.getDecryptionRequestInfo(request.requestId);
+    expect(info.requester).to.equal(members[0].address);
+    expect(await contract.getDecryptionRequestMatches(request.requestId)).to.deep.equal([]);
+  });
+
+  it("Should reveal the decrypted cleartexts and leave the fee books alone", async function () {
+    const escrowed = await contract.totalEscrowed();
+    const platformFees = await contract.platformFees();
+    const request = await requestReveal();
+
+    await fulfillRequest(gateway, request);
+
+    const group = await contract.getGroupMatch(groupId);
+    expect(group.status).to.equal(Status.REVEALED);
+    expect(group.publicAverage).to.equal(await gateway.executor.cleartexts(request.handles[0]));
+    expect(group.publicMinPair).to.equal(await gateway.executor.cleartexts(request.handles[1]));
+    expect(await contract.totalEscrowed()).to.equal(escrowed);
+    expect(await contract.platformFees()).to.equal(platformFees);
+  });
+
+  it("Should reject a replayed callback", async function () {
+    const request = await requestReveal();
+
+    await fulfillRequest(gateway, request);
+    await expect(fulfillRequest(gateway, request)).to.be.revertedWith("AC: Request not processing");
+  });
+
+  it("Should not reveal a group cancelled while processing", async function () {
+    const request = await requestReveal();
+    await contract.connect(members[1]).deleteProfile();
+
+    await expect(fulfillRequest(gateway, request)).to.be.revertedWith("AC: Group not processing");
+    expect((await contract.getGroupMatch(groupId)).status).to.equal(Status.CANCELLED);
+  });
+
+  it("Should accept a new request once the reveal deadline passed", async function () {
+    const first = await requestReveal();
+    await expect(contract.connect(creator).requestRevealGroupScore(groupId))
+      .to.be.revertedWith("AC: Invalid status for reveal");
+
+    await time.increase(await contract.requestTimeout());
+    const second = await requestReveal(members[0]);
+    expect(second.requestId).to.not.equal(first.requestId);
+
+    await fulfillRequest(gateway, second);
+    expect((await contract.getGroupMatch(groupId)).status).to.equal(Status.REVEALED);
+    await expect(fulfillRequest(gateway, first)).to.be.revertedWith("AC: Group not processing");
+  });
+
+  it("Should pause group creation, joins and reveals but not leaving", async function () {
+    const invited = members.map((member) => member.address);
+    const openId = await contract.connect(creator).createGroupMatch.staticCall(invited);
+    await contract.connect(creator).createGroupMatch(invited);
+    await contract.pause();
+
+    await expect(contract.connect(creator).createGroupMatch(invited))
+      .to.be.revertedWith("AC: Contract is paused");
+    await expect(contract.connect(members[0]).joinGroupMatch(openId))
+      .to.be.revertedWith("AC: Contract is paused");
+    await expect(contract.connect(creator).requestRevealGroupScore(groupId))
+      .to.be.revertedWith("AC: Contract is paused");
+
+    await expect(contract.connect(members[0]).leaveGroupMatch(openId))
+      .to.emit(contract, "GroupMatchCancelled");
+  });
+});
@@ -0,0 +1,206 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { emptyStore, loadStore, deriveState, summarize, handleReorg, syncOnce } = require("../scripts/indexer");
+const { connectGateway, pendingRequests, fulfillRequest } = require("../scripts/mock-gateway");
+const { deployEnhancedLocal } = require("./helpers/deploy");
+
+describe("Event Indexer", function () {
+  let contract;
+  let owner, user1, user2, user3;
+  let chainId;
+  let startBlock;
+  let options;
+  let store;
+
+  function freshStore() {
+    return emptyStore(network.name, options.address, chainId, startBlock);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    contract = await deployEnhancedLocal(owner);
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "astral-indexer-"));
+    options = {
+      address: await contract.getAddress(),
+      storeFile: path.join(dir, "store.json"),
+      confirmations: 0,
+      batchSize: 2000,
+    };
+    store = freshStore();
+
+    // Aries and Leo
+    await contract.connect(user1).createProfile(0, 0, 0);
+    await contract.connect(user2).createProfile(4, 0, 1);
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(options.storeFile), { recursive: true, force: true });
+  });
+
+  describe("💾 Checkpoints", function () {
+    it("Should index every event up to the head", async function () {
+      expect(await syncOnce(contract, store, options)).to.equal(2);
+
+      const state = deriveState(store.events);
+      expect(Object.keys(state.profiles)).to.have.members([user1.address, user2.address]);
+      expect(store.checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should resume from the saved checkpoint without indexing events twice", async function () {
+      await syncOnce(contract, store, options);
+
+      const matchFee = await contract.matchFee();
+      await contract.connect(user1).requestCompatibilityMatch(user2.address, { value: matchFee });
+
+      const resumed = loadStore(options.storeFile, network.name, options.address, chainId, startBlock);
+      expect(resumed.checkpoint).to.deep.equal(store.checkpoint);
+
+      expect(await syncOnce(contract, resumed, options)).to.equal(2);
+      expect(resumed.events.map((event) => event.name)).to.deep.equal([
+        "ProfileCreated",
+        "ProfileCreated",
+        "MatchInvitationCreated",
+        "MatchFeePaid",
+      ]);
+      expect(await syncOnce(contract, resumed, options)).to.equal(0);
+    });
+
+    it("Should refuse a store written for another contract", async function () {
+      await syncOnce(contract, store, options);
+
+      expect(() => loadStore(options.storeFile, network.name, user3.address, chainId, startBlock)).to.throw(
+        /belongs to/
+      );
+    });
+  });
+
+  describe("🔓 Decryption Requests", function () {
+    it("Should keep every match of a batch reveal under its request", async function () {
+      await contract.connect(user3).createProfile(8, 0, 2);
+      const matchFee = await contract.matchFee();
+      const matchIds = [];
+      for (const partner of [user2, user3]) {
+        await contract.connect(user1).requestCompatibilityMatch(partner.address, { value: matchFee });
+        const matchId = await contract.generateMatchId(user1.address, partner.address);
+        await contract.connect(partner).acceptMatchInvitation(matchId);
+        matchIds.push(matchId);
+      }
+
+      const gateway = await connectGateway(options.address);
+      await contract.connect(user1).requestRevealScores(matchIds);
+      const [request] = await pendingRequests(gateway);
+      await fulfillRequest(gateway, request);
+      await syncOnce(contract, store, options);
+
+      const state = deriveState(store.events);
+      const indexed = state.requests[request.requestId.toString()];
+      expect(indexed.matchIds).to.deep.equal(matchIds);
+      expect(indexed.status).to.equal("COMPLETED");
+      for (const matchId of matchIds) {
+        expect(state.matches[matchId].requestId).to.equal(request.requestId.toString());
+        expect(state.matches[matchId].status).to.equal("COMPLETED");
+      }
+    });
+  });
+
+  describe("👥 Groups", function () {
+    let groupId;
+
+    beforeEach(async function () {
+      await contract.connect(user3).createProfile(8, 0, 2);
+      const invited = [user2.address, user3.address];
+      groupId = await contract.connect(user1).createGroupMatch.staticCall(invited);
+      await contract.connect(user1).createGroupMatch(invited);
+      await contract.connect(user2).joinGroupMatch(groupId);
+    });
+
+    it("Should track a group from creation to its revealed scores", async function () {
+      await syncOnce(contract, store, options);
+      let group = deriveState(store.events).groups[groupId];
+      expect(group.members).to.deep.equal([user1.address, user2.address, user3.address]);
+      expect(group.joined).to.deep.equal([user1.address, user2.address]);
+      expect(group.status).to.equal("OPEN");
+
+      await contract.connect(user3).joinGroupMatch(groupId);
+      const gateway = await connectGateway(options.address);
+      await contract.connect(user2).requestRevealGroupScore(groupId);
+      const [request] = await pendingRequests(gateway);
+      await fulfillRequest(gateway, request);
+      await syncOnce(contract, store, options);
+
+      const state = deriveState(store.events);
+      const onChain = await contract.getGroupMatch(groupId);
+      group = state.groups[groupId];
+      expect(group.status).to.equal("REVEALED");
+      expect(group.requestId).to.equal(request.requestId.toString());
+      expect(group.averageScore).to.equal(Number(onChain.publicAverage));
+      expect(group.minPairScore).to.equal(Number(onChain.publicMinPair));
+      expect(state.requests[group.requestId]).to.include({ groupId, requester: user2.address, status: "COMPLETED" });
+      expect(summarize(state).groupsByStatus).to.deep.equal({ REVEALED: 1 });
+    });
+
+    it("Should cancel a group a member left", async function () {
+      await contract.connect(user3).leaveGroupMatch(groupId);
+      await syncOnce(contract, store, options);
+
+      const group = deriveState(store.events).groups[groupId];
+      expect(group.status).to.equal("CANCELLED");
+      expect(group.cancelledBy).to.equal(user3.address);
+    });
+  });
+
+  describe("🔀 Reorgs", function () {
+    it("Should drop events from blocks the chain no longer contains", async function () {
+      await syncOnce(contract, store, options);
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await contract.connect(user3).createProfile(6, 2, 0);
+      await syncOnce(contract, store, options);
+      expect(deriveState(store.events).profiles).to.have.property(user3.address);
+
+      // Replace the indexed block with one holding a different transaction
+      await network.provider.send("evm_revert", [snapshot]);
+      await contract.connect(owner).createProfile(11, 3, 2);
+
+      expect(await handleReorg(ethers.provider, store)).to.equal(true);
+      expect(store.checkpoint.blockNumber).to.be.below(await ethers.provider.getBlockNumber());
+
+      await syncOnce(contract, store, options);
+      const profiles = deriveState(store.events).profiles;
+      expect(profiles).to.not.have.property(user3.address);
+      expect(profiles).to.have.property(owner.address);
+      expect(store.checkpoint.blockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should leave the store alone when the chain did not change", async function () {
+      await syncOnce(contract, store, options);
+      const events = store.events.length;
+
+      expect(await handleReorg(ethers.provider, store)).to.equal(false);
+      expect(store.events.length).to.equal(events);
+    });
+
+    it("Should rebuild from the start block when no tracked block survives", async function () {
+      await syncOnce(contract, store, options);
+
+      // Forget every block but the last, so the reorg has no known ancestor
+      const [latest] = Object.keys(store.recentBlocks)
+        .map(Number)
+        .sort((a, b) => b - a);
+      store.recentBlocks = { [latest]: ethers.ZeroHash };
+
+      expect(await handleReorg(ethers.provider, store)).to.equal(true);
+      expect(store.events).to.deep.equal([]);
+      expect(store.checkpoint).to.deep.equal(freshStore().checkpoint);
+
+      expect(await syncOnce(contract, store, options)).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { connectGateway, pendingRequests, fulfillRequest } = require("../scripts/mock-gateway");
+const { deployEnhancedLocal } = require("./helpers/deploy");
+
+describe("AstralCompatibilityEnhanced - Local Gateway Flow", function () {
+  let astralCompatibility;
+  let gateway;
+  let owner, user1, user2;
+  let matchId;
+
+  const Status = { PENDING: 0, PROCESSING: 1, COMPLETED: 2, TIMED_OUT: 4 };
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    astralCompatibility = await deployEnhancedLocal(owner);
+
+    gateway = await connectGateway(await astralCompatibility.getAddress());
+
+    // Aries (Fire, Cardinal) and Leo (Fire, Fixed)
+    await astralCompatibility.connect(user1).createProfile(0, 0, 0);
+    await astralCompatibility.connect(user2).createProfile(4, 0, 1);
+
+    const matchFee = await astralCompatibility.matchFee();
+    await astralCompatibility.connect(user1).requestCompatibilityMatch(user2.address, { value: matchFee });
+    matchId = await astralCompatibility.generateMatchId(user1.address, user2.address);
+    await astralCompatibility.connect(user2).acceptMatchInvitation(matchId);
+  });
+
+  describe("📨 Decryption Requests", function () {
+    it("Should key the request by the oracle request ID", async function () {
+      await expect(astralCompatibility.connect(user1).requestRevealScore(matchId))
+        .to.emit(gateway.oracle, "DecryptionRequest")
+        .and.to.emit(astralCompatibility, "DecryptionRequested");
+
+      const [request] = await pendingRequests(gateway);
+      const info = await astralCompatibility.getDecryptionRequestInfo(request.requestId);
+      expect(info.matchId).to.equal(matchId);
+      expect(info.status).to.equal(Status.PROCESSING);
+    });
+
+    it("Should list unanswered requests only", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      await fulfillRequest(gateway, request);
+
+      expect(await pendingRequests(gateway)).to.have.lengthOf(0);
+    });
+  });
+
+  describe("✅ Respond Mode", function () {
+    it("Should reveal the score through resolveTallyCallback", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      const receipt = await fulfillRequest(gateway, request, "respond");
+      expect(receipt).to.not.equal(null);
+
+      const expected = await gateway.executor.cleartexts(request.handles[0]);
+      const matchInfo = await astralCompatibility.getMatchInfo(matchId);
+      expect(matchInfo.isRevealed).to.equal(true);
+      expect(matchInfo.status).to.equal(Status.COMPLETED);
+      expect(matchInfo.publicScore).to.equal(expected);
+      // Same element (+20), different quality, random bonus 0-15
+      expect(matchInfo.publicScore).to.be.within(70, 85);
+    });
+
+    it("Should emit DecryptionCompleted and CompatibilityRevealed", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      const receipt = await fulfillRequest(gateway, request);
+      const names = receipt.logs
+        .map((log) => astralCompatibility.interface.parseLog(log))
+        .filter(Boolean)
+        .map((parsed) => parsed.name);
+
+      expect(names).to.include("DecryptionCompleted");
+      expect(names).to.include("CompatibilityRevealed");
+    });
+
+    it("Should reject a replayed callback", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      await fulfillRequest(gateway, request);
+      await expect(fulfillRequest(gateway, request)).to.be.revertedWith("AC: Request not processing");
+    });
+  });
+
+  describe("❌ Fail Mode", function () {
+    it("Should leave the request processing when the proof is rejected", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      await expect(fulfillRequest(gateway, request, "fail")).to.be.reverted;
+
+      const matchInfo = await astralCompatibility.getMatchInfo(matchId);
+      expect(matchInfo.isRevealed).to.equal(false);
+      expect(matchInfo.status).to.equal(Status.PROCESSING);
+      expect(await pendingRequests(gateway)).to.have.lengthOf(1);
+    });
+
+    it("Should allow a timeout refund after a failed callback", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+      await expect(fulfillRequest(gateway, request, "fail")).to.be.reverted;
+
+      await time.increase(await astralCompatibility.requestTimeout());
+
+      await expect(astralCompatibility.connect(user1).claimTimeoutRefund(matchId))
+        .to.emit(astralCompatibility, "RefundIssued");
+      expect((await astralCompatibility.getMatchInfo(matchId)).status).to.equal(Status.TIMED_OUT);
+    });
+  });
+
+  describe("🤐 Silent Mode", function () {
+    it("Should never call back", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      expect(await fulfillRequest(gateway, request, "silent")).to.equal(null);
+      expect((await astralCompatibility.getMatchInfo(matchId)).status).to.equal(Status.PROCESSING);
+    });
+
+    it("Should let participants reclaim fees once the timeout passes", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+
+      await expect(astralCompatibility.connect(user1).claimTimeoutRefund(matchId))
+        .to.be.revertedWith("AC: Timeout not reached");
+
+      await time.increase(await astralCompatibility.requestTimeout());
+
+      await expect(astralCompatibility.connect(user2).claimTimeoutRefund(matchId))
+        .to.emit(astralCompatibility, "DecryptionTimedOut");
+      expect(await astralCompatibility.pendingRefunds(user1.address)).to.be.gt(0);
+    });
+
+    it("Should report the request timed out before anyone claims a refund", async function () {
+      await astralCompatibility.connect(user1).requestRevealScore(matchId);
+      const [request] = await pendingRequests(gateway);
+
+      await time.increase(await astralCompatibility.requestTimeout());
+
+      const info = await astralCompatibility.getDecryptionRequestInfo(request.requestId);
+      expect(info.status).to.equal(Status.TIMED_OUT);
+      expect((await astralCompatibility.getMatchInfo(matchId)).status).to.equal(Status.PROCESSING);
+    });
+  });
+});
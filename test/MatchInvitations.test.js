@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployEnhancedVariant, VARIANTS } = require("./helpers/deploy");
+
+// MatchInvitations.Status order
+const Status = { NONE: 0, OPEN: 1, ACCEPTED: 2, DECLINED: 3, CANCELLED: 4 };
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Match Invitations`, function () {
+    let variant;
+    let contract;
+    let owner, requester, partner, other;
+    let matchId;
+
+    beforeEach(async function () {
+      [owner, requester, partner, other] = await ethers.getSigners();
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+
+      // Aries, Leo, Libra
+      await contract.connect(requester).createProfile(0, 0, 0);
+      await contract.connect(partner).createProfile(4, 0, 1);
+      await contract.connect(other).createProfile(6, 2, 0);
+
+      matchId = await contract.generateMatchId(requester.address, partner.address);
+    });
+
+    describe("📨 Invite", function () {
+      it("Should open an invitation without computing a score", async function () {
+        const expiry = await contract.invitationExpiry();
+
+        await expect(variant.invite(requester, partner))
+          .to.emit(contract, "MatchInvitationCreated")
+          .withArgs(matchId, requester.address, partner.address, anyValue)
+          .and.not.to.emit(contract, "MatchRequested");
+
+        const invitation = await contract.getMatchInvitation(matchId);
+        expect(invitation.requester).to.equal(requester.address);
+        expect(invitation.partner).to.equal(partner.address);
+        expect(invitation.expiresAt - invitation.createdAt).to.equal(expiry);
+        expect(invitation.status).to.equal(Status.OPEN);
+
+        expect((await contract.getMatchInfo(matchId)).user1).to.equal(ethers.ZeroAddress);
+        expect(await contract.totalMatches()).to.equal(0);
+      });
+
+      it("Should allow one open invitation per pair", async function () {
+        await variant.invite(requester, partner);
+
+        await expect(variant.invite(requester, partner))
+          .to.be.revertedWith(variant.revertPrefix + "Invitation already open");
+        await expect(variant.invite(partner, requester))
+          .to.be.revertedWith(variant.revertPrefix + "Invitation already open");
+      });
+
+      it("Should reject invitations for an existing match", async function () {
+        await variant.invite(requester, partner);
+        await contract.connect(partner).acceptMatchInvitation(matchId);
+
+        await expect(variant.invite(partner, requester))
+          .to.be.revertedWith(variant.revertPrefix + "Match already exists");
+      });
+    });
+
+    describe("✅ Accept", function () {
+      beforeEach(async function () {
+        await variant.invite(requester, partner);
+      });
+
+      it("Should create the match when the partner accepts", async function () {
+        await expect(contract.connect(partner).acceptMatchInvitation(matchId))
+          .to.emit(contract, "MatchInvitationAccepted")
+          .withArgs(matchId, requester.address, partner.address)
+          .and.to.emit(contract, "MatchRequested");
+
+        const match = await contract.getMatchInfo(matchId);
+        expect(match.user1).to.equal(requester.address);
+        expect(match.user2).to.equal(partner.address);
+        expect(await contract.totalMatches()).to.equal(1);
+        expect(await contract.userMatchCount(partner.address)).to.equal(1);
+        expect((await contract.getMatchInvitation(matchId)).status).to.equal(Status.ACCEPTED);
+      });
+
+      it("Should only let the partner accept", async function () {
+        await expect(contract.connect(requester).acceptMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+        await expect(contract.connect(other).acceptMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+      });
+
+      it("Should not accept twice", async function () {
+        await contract.connect(partner).acceptMatchInvitation(matchId);
+
+        await expect(contract.connect(partner).acceptMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Invitation not open");
+      });
+
+      it("Should not accept after expiry", async function () {
+        await time.increase(await contract.invitationExpiry());
+
+        await expect(contract.connect(partner).acceptMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Invitation expired");
+      });
+    });
+
+    describe("❌ Decline & Cancel", function () {
+      beforeEach(async function () {
+        await variant.invite(requester, partner);
+      });
+
+      it("Should let the partner decline", async function () {
+        await expect(contract.connect(partner).declineMatchInvitation(matchId))
+          .to.emit(contract, "MatchInvitationDeclined")
+          .withArgs(matchId, requester.address, partner.address);
+
+        expect((await contract.getMatchInvitation(matchId)).status).to.equal(Status.DECLINED);
+        await expect(contract.connect(partner).acceptMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Invitation not open");
+        await expect(contract.connect(requester).declineMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Invitation not open");
+      });
+
+      it("Should let the requester cancel an expired invitation", async function () {
+        await time.increase(await contract.invitationExpiry());
+
+        await expect(contract.connect(partner).cancelMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+        await expect(contract.connect(requester).cancelMatchInvitation(matchId))
+          .to.emit(contract, "MatchInvitationCancelled")
+          .withArgs(matchId, requester.address, partner.address);
+
+        expect((await contract.getMatchInvitation(matchId)).status).to.equal(Status.CANCELLED);
+      });
+
+      it("Should only let the partner decline", async function () {
+        await expect(contract.connect(requester).declineMatchInvitation(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+      });
+
+      it("Should allow a new invitation in either direction afterwards", async function () {
+        await contract.connect(partner).declineMatchInvitation(matchId);
+
+        await expect(variant.invite(partner, requester))
+          .to.emit(contract, "MatchInvitationCreated")
+          .withArgs(matchId, partner.address, requester.address, anyValue);
+        await contract.connect(requester).acceptMatchInvitation(matchId);
+
+        expect((await contract.getMatchInfo(matchId)).user1).to.equal(partner.address);
+      });
+    });
+
+    describe("📋 Inbox", function () {
+      it("Should list incoming and outgoing invitations once per pair", async function () {
+        await variant.invite(requester, partner);
+        await variant.invite(other, requester);
+        await contract.connect(partner).declineMatchInvitation(matchId);
+        await variant.invite(requester, partner);
+
+        const [page, total] = await contract.getUserInvitations(requester.address, 0, 10);
+        expect(total).to.equal(2);
+        expect(page.map((invitation) => invitation.matchId)).to.deep.equal([
+          matchId,
+          await contract.generateMatchId(other.address, requester.address),
+        ]);
+        expect(page[0].status).to.equal(Status.OPEN);
+        expect(page[1].requester).to.equal(other.address);
+        expect(page[1].partner).to.equal(requester.address);
+
+        const [partnerPage] = await contract.getUserInvitations(partner.address, 0, 10);
+        expect(partnerPage).to.have.lengthOf(1);
+        expect(partnerPage[0].expiresAt).to.equal((await contract.getMatchInvitation(matchId)).expiresAt);
+      });
+
+      it("Should paginate with offset and limit", async function () {
+        await variant.invite(requester, partner);
+        await variant.invite(other, requester);
+
+        const [firstPage] = await contract.getUserInvitations(requester.address, 1, 1);
+        const [emptyPage, total] = await contract.getUserInvitations(requester.address, 5, 10);
+        expect(firstPage).to.have.lengthOf(1);
+        expect(firstPage[0].requester).to.equal(other.address);
+        expect(emptyPage).to.have.lengthOf(0);
+        expect(total).to.equal(2);
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Invitation Expiry", function () {
+  let variant;
+  let contract;
+  let owner, requester, partner;
+
+  beforeEach(async function () {
+    [owner, requester, partner] = await ethers.getSigners();
+
+    variant = await deployEnhancedVariant(owner);
+    contract = variant.contract;
+
+    await contract.connect(requester).createProfile(0, 0, 0);
+    await contract.connect(partner).createProfile(4, 0, 1);
+  });
+
+  it("Should let the owner change the expiry of new invitations", async function () {
+    await expect(contract.updateInvitationExpiry(3600))
+      .to.emit(contract, "InvitationExpiryUpdated")
+      .withArgs(7 * 24 * 3600, 3600);
+
+    await variant.invite(requester, partner);
+    const invitation = await contract.getMatchInvitation(
+      await contract.generateMatchId(requester.address, partner.address)
+    );
+    expect(invitation.expiresAt - invitation.createdAt).to.equal(3600);
+  });
+
+  it("Should reject out-of-range expiries and non-owners", async function () {
+    await expect(contract.updateInvitationExpiry(60))
+      .to.be.revertedWith("AC: Invalid invitation expiry");
+    await expect(contract.updateInvitationExpiry(31 * 24 * 3600))
+      .to.be.revertedWith("AC: Invalid invitation expiry");
+    await expect(contract.connect(requester).updateInvitationExpiry(3600))
+      .to.be.revertedWith("AC: Not authorized");
+  });
+});
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { VARIANTS, revealedScore } = require("./helpers/deploy");
+
+// Frontend reference implementation (js/config.js is a browser script)
+function loadFrontendConfig() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "js", "config.js"), "utf8");
+  return vm.runInNewContext(
+    `${source}\n({ CONFIG, explainCompatibility, explainNatalCompatibility, natalWeightsFromChain });`
+  );
+}
+
+const { CONFIG, explainCompatibility, explainNatalCompatibility, natalWeightsFromChain } = loadFrontendConfig();
+
+// Default model without the random bonus, so every score is exact
+const MODEL = { ...CONFIG.SCORING, RANDOM_RANGE: 1 };
+
+function toArgs(model) {
+  return [
+    model.BASE_SCORE,
+    model.ELEMENT_MATRIX,
+    model.QUALITY_MATRIX,
+    model.ASPECT_ADJUSTMENTS,
+    model.SAME_SIGN_ADJUSTMENT,
+    model.SIGN_PAIRS,
+    model.RANDOM_RANGE,
+  ];
+}
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Natal Profile`, function () {
+    let variant;
+    let contract;
+    let owner, users, outsider;
+
+    // Charts per user; moon and rising avoid Aries, whose encrypted test handle would be zero
+    const CHARTS = [
+      { sun: 0, moon: 3, rising: 6 }, // Aries, Cancer moon, Libra rising
+      { sun: 4, moon: 3, rising: 9 }, // Leo, Cancer moon, Capricorn rising
+      { sun: 6, moon: 11, rising: null }, // Libra, Pisces moon
+      { sun: 3, moon: null, rising: 2 }, // Cancer, Gemini rising
+      { sun: 8, moon: null, rising: null }, // Sagittarius, sun only
+    ];
+
+    // Score on chain, checked against the frontend reference
+    async function expectScore(i, j, weights = CONFIG.NATAL_WEIGHTS) {
+      const explanation = explainNatalCompatibility(CHARTS[i], CHARTS[j], MODEL, weights);
+      expect(explanation.min).to.equal(explanation.max);
+
+      const score = await revealedScore(variant, users[i], users[j]);
+      expect(score).to.equal(explanation.min);
+      return explanation;
+    }
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      [owner, outsider] = signers;
+      users = signers.slice(2, 2 + CHARTS.length);
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+      await contract.setScoringConfig(...toArgs(MODEL));
+
+      for (let i = 0; i < users.length; i++) {
+        const sign = CONFIG.ZODIAC_SIGNS[CHARTS[i].sun];
+        await contract.connect(users[i]).createProfile(sign.id, sign.element, sign.quality);
+      }
+    });
+
+    describe("🌙 Placements", function () {
+      it("Should start without moon or rising signs", async function () {
+        const [hasMoon, hasRising] = await contract.getNatalProfileStatus(users[0].address);
+        expect(hasMoon).to.equal(false);
+        expect(hasRising).to.equal(false);
+      });
+
+      it("Should record and clear moon and rising signs", async function () {
+        await expect(variant.setNatalSigns(users[0], CHARTS[0]))
+          .to.emit(contract, "NatalSignsUpdated")
+          .withArgs(users[0].address, true, true, anyValue);
+        expect(await contract.getNatalProfileStatus(users[0].address)).to.deep.equal([true, true]);
+
+        await variant.setNatalSigns(users[0], { moon: 3, rising: null });
+        expect(await contract.getNatalProfileStatus(users[0].address)).to.deep.equal([true, false]);
+
+        await expect(variant.setNatalSigns(users[0], { moon: null, rising: null }))
+          .to.emit(contract, "NatalSignsUpdated")
+          .withArgs(users[0].address, false, false, anyValue);
+        expect(await contract.getNatalProfileStatus(users[0].address)).to.deep.equal([false, false]);
+      });
+
+      it("Should accept plaintext placements with NO_SIGN for unknown ones", async function () {
+        expect(await contract.NO_SIGN()).to.equal(CONFIG.NO_SIGN);
+
+        await contract.connect(users[0]).setNatalSigns(CONFIG.NO_SIGN, 0);
+        expect(await contract.getNatalProfileStatus(users[0].address)).to.deep.equal([false, true]);
+
+        await expect(contract.connect(users[0]).setNatalSigns(13, 0))
+          .to.be.revertedWith(variant.revertPrefix + "Invalid natal sign");
+      });
+
+      it("Should require a profile", async function () {
+        await expect(variant.setNatalSigns(outsider, CHARTS[0]))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+    });
+
+    describe("⚖️ Weights", function () {
+      it("Should start with the default weights from js/config.js", async function () {
+        const weights = natalWeightsFromChain(await contract.getNatalWeights());
+        expect(weights).to.deep.equal(JSON.parse(JSON.stringify(CONFIG.NATAL_WEIGHTS)));
+      });
+
+      it("Should store new weights and bump the scoring version", async function () {
+        const version = await contract.scoringConfigVersion();
+
+        await expect(contract.setNatalWeights(40, 30, 20, 5))
+          .to.emit(contract, "ScoringConfigUpdated")
+          .withArgs(version + 1n, anyValue);
+        expect(natalWeightsFromChain(await contract.getNatalWeights()))
+          .to.deep.equal({ SUN: 40, MOON: 30, RISING: 20, SUN_MOON: 5 });
+      });
+
+      it("Should only let the owner change weights", async function () {
+        await expect(contract.connect(users[0]).setNatalWeights(40, 30, 20, 5))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+      });
+
+      it("Should reject invalid weights", async function () {
+        await expect(contract.setNatalWeights(0, 30, 20, 5))
+          .to.be.revertedWith(variant.revertPrefix + "Sun weight must be positive");
+        // Sun-moon counts once per direction: 50 + 25 + 15 + 2 * 6 > 100
+        await expect(contract.setNatalWeights(50, 25, 15, 6))
+          .to.be.revertedWith(variant.revertPrefix + "Natal weights too large");
+        await contract.setNatalWeights(100, 0, 0, 0);
+      });
+    });
+
+    describe("🔮 Scoring", function () {
+      beforeEach(async function () {
+        for (let i = 0; i < users.length; i++) {
+          if (CHARTS[i].moon !== null || CHARTS[i].rising !== null) {
+            await variant.setNatalSigns(users[i], CHARTS[i]);
+          }
+        }
+      });
+
+      it("Should score sun-only charts exactly as before", async function () {
+        const explanation = explainCompatibility(CHARTS[4].sun, CHARTS[4].sun, MODEL);
+        const natal = explainNatalCompatibility(
+          { sun: CHARTS[4].sun, moon: null, rising: null },
+          { sun: CHARTS[4].sun, moon: null, rising: null },
+          MODEL
+        );
+        expect(natal.min).to.equal(explanation.min);
+
+        // Rising signs on one side only do not count
+        await expectScore(3, 4);
+      });
+
+      it("Should weight sun, moon and rising placements", async function () {
+        const explanation = await expectScore(0, 1);
+        expect(explanation.placements.map((placement) => placement.label)).to.deep.equal([
+          "Sun + Sun",
+          "Moon + Moon",
+          "Rising + Rising",
+          "Sun + Moon",
+          "Moon + Sun",
+        ]);
+      });
+
+      it("Should compare a moon against the partner's sun", async function () {
+        const explanation = await expectScore(2, 4);
+        expect(explanation.placements.map((placement) => placement.label)).to.deep.equal([
+          "Sun + Sun",
+          "Moon + Sun",
+        ]);
+
+        await expectScore(3, 2);
+        await expectScore(0, 3);
+      });
+
+      it("Should follow updated weights", async function () {
+        const weights = { SUN: 20, MOON: 60, RISING: 10, SUN_MOON: 0 };
+        await contract.setNatalWeights(weights.SUN, weights.MOON, weights.RISING, weights.SUN_MOON);
+
+        await expectScore(0, 1, weights);
+        await expectScore(2, 4, weights);
+      });
+
+      it("Should compare sun signs only when every natal weight is zero", async function () {
+        await contract.setNatalWeights(100, 0, 0, 0);
+
+        const score = await revealedScore(variant, users[0], users[1]);
+        expect(score).to.equal(explainCompatibility(CHARTS[0].sun, CHARTS[1].sun, MODEL).min);
+      });
+    });
+  });
+}
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployEnhancedVariant, VARIANTS, acceptedMatch } = require("./helpers/deploy");
+
+// Publishing a privately revealed match fails on the enhanced contract's COMPLETED status
+const PUBLISHED_ERRORS = {
+  AstralCompatibilityEnhanced: "AC: Invalid status for reveal",
+  AstralCompatibilityMock: "Score already revealed",
+};
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Private Reveal`, function () {
+    let variant;
+    let contract;
+    let owner, user1, user2, outsider;
+    let matchId;
+
+    beforeEach(async function () {
+      [owner, user1, user2, outsider] = await ethers.getSigners();
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+
+      // Aries and Leo
+      await contract.connect(user1).createProfile(0, 0, 0);
+      await contract.connect(user2).createProfile(4, 0, 1);
+
+      matchId = await acceptedMatch(variant, user1, user2);
+    });
+
+    describe("🔐 View Privately", function () {
+      it("Should reveal the score to both participants without publishing it", async function () {
+        await expect(contract.connect(user2).revealScorePrivately(matchId))
+          .to.emit(contract, "ScoreRevealedPrivately")
+          .withArgs(matchId, user1.address, user2.address)
+          .and.not.to.emit(contract, "CompatibilityRevealed");
+
+        const match = await contract.getMatchInfo(matchId);
+        expect(match.isRevealed).to.equal(false);
+        expect(match.publicScore).to.equal(0);
+
+        const [[summary]] = await contract.getUserMatches(user1.address, 0, 1);
+        expect(summary.isPrivatelyRevealed).to.equal(true);
+
+        const score = await variant.privateScore(user1, matchId);
+        expect(score).to.be.within(0, 100);
+        expect(await variant.privateScore(user2, matchId)).to.equal(score);
+      });
+
+      it("Should only let participants reveal or read the score", async function () {
+        await expect(contract.connect(outsider).revealScorePrivately(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+
+        await contract.connect(user1).revealScorePrivately(matchId);
+
+        await expect(variant.privateScore(outsider, matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+      });
+    });
+
+    describe("📢 Publish vs Private", function () {
+      it("Should not publish a privately revealed score", async function () {
+        await contract.connect(user1).revealScorePrivately(matchId);
+
+        await expect(variant.requestReveal(user2, matchId)).to.be.revertedWith(PUBLISHED_ERRORS[name]);
+        await expect(contract.connect(user2).revealScorePrivately(matchId)).to.be.revertedWith(PUBLISHED_ERRORS[name]);
+      });
+
+      it("Should not reveal a published score privately", async function () {
+        await variant.reveal(user1, matchId);
+
+        await expect(contract.connect(user2).revealScorePrivately(matchId))
+          .to.be.revertedWith(variant.revertPrefix + "Score already revealed");
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Private Reveal Access", function () {
+  let variant;
+  let contract;
+  let owner, user1, user2, outsider;
+  let matchId;
+
+  const Status = { COMPLETED: 2 };
+
+  beforeEach(async function () {
+    [owner, user1, user2, outsider] = await ethers.getSigners();
+
+    variant = await deployEnhancedVariant(owner);
+    contract = variant.contract;
+
+    await contract.connect(user1).createProfile(0, 0, 0);
+    await contract.connect(user2).createProfile(4, 0, 1);
+
+    matchId = await acceptedMatch(variant, user1, user2);
+  });
+
+  it("Should grant decryption rights only on a private reveal", async function () {
+    const handle = await contract.connect(user1).getEncryptedScore(matchId);
+    expect(await variant.acl.isAllowed(handle, await contract.getAddress())).to.equal(true);
+    expect(await variant.acl.isAllowed(handle, user1.address)).to.equal(false);
+
+    await contract.connect(user1).revealScorePrivately(matchId);
+
+    expect(await variant.acl.isAllowed(handle, user1.address)).to.equal(true);
+    expect(await variant.acl.isAllowed(handle, user2.address)).to.equal(true);
+    expect(await variant.acl.isAllowed(handle, outsider.address)).to.equal(false);
+  });
+
+  it("Should complete the match and settle the fee", async function () {
+    const matchFee = await contract.matchFee();
+    await contract.connect(user2).revealScorePrivately(matchId);
+
+    expect((await contract.getMatchInfo(matchId)).status).to.equal(Status.COMPLETED);
+    expect(await contract.totalEscrowed()).to.equal(0);
+    expect(await contract.platformFees()).to.equal(matchFee);
+
+    await time.increase(await contract.requestTimeout());
+    await expect(contract.connect(user1).claimTimeoutRefund(matchId))
+      .to.be.revertedWith("AC: Invalid status for refund");
+  });
+
+  it("Should reject a private reveal after the deadline or while paused", async function () {
+    await contract.pause();
+    await expect(contract.connect(user1).revealScorePrivately(matchId))
+      .to.be.revertedWith("AC: Contract is paused");
+    await contract.unpause();
+
+    await time.increase(await contract.requestTimeout());
+    await expect(contract.connect(user1).revealScorePrivately(matchId))
+      .to.be.revertedWith("AC: Match request expired");
+  });
+});
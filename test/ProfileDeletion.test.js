@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { pendingRequests, fulfillRequest } = require("../scripts/mock-gateway");
+const { deployEnhancedVariant, VARIANTS, acceptedMatch } = require("./helpers/deploy");
+
+// MatchInvitations.Status order
+const InvitationStatus = { OPEN: 1, DECLINED: 3, CANCELLED: 4 };
+
+// Invite `partner` from `count` new funded users, the way a griefer would grow their list
+async function inviteFromStrangers(variant, partner, count) {
+  const senders = [];
+  for (let i = 0; i < count; i++) {
+    const sender = ethers.Wallet.createRandom().connect(ethers.provider);
+    await setBalance(sender.address, ethers.parseEther("1"));
+    await variant.contract.connect(sender).createProfile(0, 0, 0);
+    await variant.invite(sender, partner);
+    senders.push(sender);
+  }
+  return senders;
+}
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Profile Deletion`, function () {
+    let variant;
+    let contract;
+    let owner, user, partner, other, outsider;
+
+    beforeEach(async function () {
+      [owner, user, partner, other, outsider] = await ethers.getSigners();
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+
+      // Aries, Leo, Libra
+      await contract.connect(user).createProfile(0, 0, 0);
+      await contract.connect(partner).createProfile(4, 0, 1);
+      await contract.connect(other).createProfile(6, 2, 0);
+    });
+
+    describe("🗑️ Profile", function () {
+      it("Should wipe the profile and allow a new one", async function () {
+        await expect(contract.connect(user).deleteProfile())
+          .to.emit(contract, "ProfileDeleted")
+          .withArgs(user.address, anyValue);
+
+        const profile = await contract.userProfiles(user.address);
+        expect(profile.hasProfile).to.equal(false);
+        expect(await contract.getNatalProfileStatus(user.address)).to.deep.equal([false, false]);
+
+        await contract.connect(user).createProfile(2, 2, 2);
+        expect((await contract.userProfiles(user.address)).hasProfile).to.equal(true);
+      });
+
+      it("Should require a profile", async function () {
+        await expect(contract.connect(outsider).deleteProfile())
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+
+        await contract.connect(user).deleteProfile();
+        await expect(contract.connect(user).deleteProfile())
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+
+      it("Should stop new invitations in both directions", async function () {
+        await contract.connect(user).deleteProfile();
+
+        await expect(variant.invite(user, partner))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+        await expect(variant.invite(partner, user))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+    });
+
+    describe("📨 Open Invitations", function () {
+      it("Should cancel sent and decline received invitations", async function () {
+        await variant.invite(user, partner);
+        await variant.invite(other, user);
+        const sent = await contract.generateMatchId(user.address, partner.address);
+        const received = await contract.generateMatchId(other.address, user.address);
+
+        await expect(contract.connect(user).deleteProfile())
+          .to.emit(contract, "MatchInvitationCancelled")
+          .withArgs(sent, user.address, partner.address)
+          .and.to.emit(contract, "MatchInvitationDeclined")
+          .withArgs(received, other.address, user.address);
+
+        expect((await contract.getMatchInvitation(sent)).status).to.equal(InvitationStatus.CANCELLED);
+        expect((await contract.getMatchInvitation(received)).status).to.equal(InvitationStatus.DECLINED);
+      });
+
+      it("Should leave other users' invitations open", async function () {
+        await variant.invite(partner, other);
+        await contract.connect(user).deleteProfile();
+
+        const matchId = await contract.generateMatchId(partner.address, other.address);
+        expect((await contract.getMatchInvitation(matchId)).status).to.equal(InvitationStatus.OPEN);
+      });
+    });
+
+    describe("❌ Unrevealed Matches", function () {
+      it("Should cancel unrevealed matches and keep revealed ones", async function () {
+        const pending = await acceptedMatch(variant, user, partner);
+        const revealed = await acceptedMatch(variant, other, user);
+        await variant.reveal(other, revealed);
+
+        await expect(contract.connect(user).deleteProfile())
+          .to.emit(contract, "MatchCancelled")
+          .withArgs(pending, user.address, partner.address);
+
+        expect(await variant.isCancelled(pending)).to.equal(true);
+        expect(await variant.isCancelled(revealed)).to.equal(false);
+        expect((await contract.getMatchInfo(revealed)).isRevealed).to.equal(true);
+      });
+
+      it("Should keep privately revealed matches", async function () {
+        const matchId = await acceptedMatch(variant, user, partner);
+        await contract.connect(partner).revealScorePrivately(matchId);
+
+        await expect(contract.connect(user).deleteProfile()).not.to.emit(contract, "MatchCancelled");
+        expect(await variant.isCancelled(matchId)).to.equal(false);
+      });
+
+      it("Should reject reveals of a cancelled match", async function () {
+        const matchId = await acceptedMatch(variant, partner, user);
+        await contract.connect(user).deleteProfile();
+
+        await expect(variant.requestReveal(partner, matchId)).to.be.reverted;
+        await expect(contract.connect(partner).revealScorePrivately(matchId)).to.be.reverted;
+      });
+    });
+
+    describe("📄 Paging", function () {
+      it("Should close invitations past the first page with clearDeletedProfile", async function () {
+        const pageSize = Number(await contract.DELETION_PAGE_SIZE());
+        const senders = await inviteFromStrangers(variant, user, pageSize + 1);
+        const first = await contract.generateMatchId(senders[0].address, user.address);
+        const last = await contract.generateMatchId(senders[pageSize].address, user.address);
+
+        await contract.connect(user).deleteProfile();
+        expect((await contract.getMatchInvitation(first)).status).to.equal(InvitationStatus.DECLINED);
+        expect((await contract.getMatchInvitation(last)).status).to.equal(InvitationStatus.OPEN);
+
+        await expect(contract.connect(user).clearDeletedProfile(pageSize))
+          .to.emit(contract, "MatchInvitationDeclined")
+          .withArgs(last, senders[pageSize].address, user.address);
+        expect((await contract.getMatchInvitation(last)).status).to.equal(InvitationStatus.DECLINED);
+      });
+
+      it("Should require the profile to be deleted", async function () {
+        await expect(contract.connect(user).clearDeletedProfile(0))
+          .to.be.revertedWith(variant.revertPrefix + "Profile already exists");
+      });
+
+      it("Should do nothing past the end of the lists", async function () {
+        await variant.invite(other, user);
+        await contract.connect(user).deleteProfile();
+
+        await expect(contract.connect(user).clearDeletedProfile(1))
+          .not.to.emit(contract, "MatchInvitationDeclined");
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Profile Deletion Refunds", function () {
+  let variant;
+  let contract;
+  let owner, user, partner, other;
+  let matchFee;
+
+  const Status = { CANCELLED: 6 };
+  const PLATFORM_FEE_BPS = 500n;
+
+  beforeEach(async function () {
+    [owner, user, partner, other] = await ethers.getSigners();
+
+    variant = await deployEnhancedVariant(owner);
+    contract = variant.contract;
+    matchFee = await contract.matchFee();
+
+    await contract.connect(user).createProfile(0, 0, 0);
+    await contract.connect(partner).createProfile(4, 0, 1);
+    await contract.connect(other).createProfile(6, 2, 0);
+  });
+
+  it("Should refund the full fee of an open invitation to the requester", async function () {
+    await variant.invite(other, user);
+
+    await expect(contract.connect(user).deleteProfile())
+      .to.emit(contract, "RefundIssued")
+      .withArgs(other.address, matchFee, "Profile deleted", anyValue);
+
+    expect(await contract.pendingRefunds(other.address)).to.equal(matchFee);
+    expect(await contract.totalEscrowed()).to.equal(0);
+  });
+
+  it("Should refund the escrowed share of an accepted match to the payer", async function () {
+    const matchId = await acceptedMatch(variant, partner, user);
+    const escrowed = matchFee - (matchFee * PLATFORM_FEE_BPS) / 10000n;
+
+    await contract.connect(user).deleteProfile();
+
+    expect((await contract.getMatchInfo(matchId)).status).to.equal(Status.CANCELLED);
+    expect(await contract.pendingRefunds(partner.address)).to.equal(escrowed);
+    expect(await contract.pendingRefunds(user.address)).to.equal(0);
+    expect(await contract.totalEscrowed()).to.equal(0);
+    expect((await contract.feeLedger(matchId)).escrowed).to.equal(0);
+
+    await time.increase(await contract.requestTimeout());
+    await expect(contract.connect(partner).claimTimeoutRefund(matchId))
+      .to.be.revertedWith("AC: Invalid status for refund");
+  });
+
+  it("Should cancel a match awaiting decryption and reject the late callback", async function () {
+    const matchId = await acceptedMatch(variant, user, partner);
+    await variant.requestReveal(partner, matchId);
+
+    await contract.connect(user).deleteProfile();
+    expect((await contract.getMatchInfo(matchId)).status).to.equal(Status.CANCELLED);
+
+    const requests = await pendingRequests(variant.gateway);
+    await expect(fulfillRequest(variant.gateway, requests[requests.length - 1]))
+      .to.be.revertedWith("AC: Match not processing");
+  });
+
+  it("Should refund invitations closed by clearDeletedProfile", async function () {
+    const pageSize = Number(await contract.DELETION_PAGE_SIZE());
+    const last = (await inviteFromStrangers(variant, user, pageSize + 1))[pageSize];
+
+    await contract.connect(user).deleteProfile();
+    expect(await contract.pendingRefunds(last.address)).to.equal(0);
+
+    await expect(contract.connect(user).clearDeletedProfile(pageSize))
+      .to.emit(contract, "RefundIssued")
+      .withArgs(last.address, matchFee, "Profile deleted", anyValue);
+    expect(await contract.totalEscrowed()).to.equal(0);
+  });
+
+  it("Should work while paused", async function () {
+    await variant.invite(user, partner);
+    await contract.pause();
+
+    await expect(contract.connect(user).deleteProfile()).to.emit(contract, "ProfileDeleted");
+    expect(await contract.pendingRefunds(user.address)).to.equal(matchFee);
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEnhancedLocal, VARIANTS } = require("./helpers/deploy");
+
+const { encodeBytes32String, decodeBytes32String, ZeroHash } = ethers;
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Profile Directory`, function () {
+    let variant;
+    let contract;
+    let owner, user, partner, other, outsider;
+
+    beforeEach(async function () {
+      [owner, user, partner, other, outsider] = await ethers.getSigners();
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+
+      // Aries, Leo, Libra
+      await contract.connect(user).createProfile(0, 0, 0);
+      await contract.connect(partner).createProfile(4, 0, 1);
+      await contract.connect(other).createProfile(6, 2, 0);
+    });
+
+    async function listed() {
+      const [page] = await contract.getDirectory(0, 10);
+      return page.map((listing) => listing.user);
+    }
+
+    describe("📇 Listing", function () {
+      it("Should list a profile with an optional name and handle", async function () {
+        await expect(contract.connect(user).listInDirectory(encodeBytes32String("Ada"), encodeBytes32String("@ada")))
+          .to.emit(contract, "DirectoryListed")
+          .withArgs(user.address, encodeBytes32String("Ada"), encodeBytes32String("@ada"));
+        await contract.connect(partner).listInDirectory(ZeroHash, ZeroHash);
+
+        const [page, total] = await contract.getDirectory(0, 10);
+        expect(total).to.equal(2);
+        expect(page[0].user).to.equal(user.address);
+        expect(decodeBytes32String(page[0].displayName)).to.equal("Ada");
+        expect(decodeBytes32String(page[0].handle)).to.equal("@ada");
+        expect(page[1].displayName).to.equal(ZeroHash);
+        expect(page[1].listedAt).to.be.greaterThan(0);
+
+        expect(await contract.getDirectoryListing(user.address)).to.deep.equal(page[0]);
+      });
+
+      it("Should update an entry in place and keep the listing time", async function () {
+        await contract.connect(user).listInDirectory(encodeBytes32String("Ada"), ZeroHash);
+        const [[before]] = await contract.getDirectory(0, 1);
+
+        await contract.connect(user).listInDirectory(encodeBytes32String("Ada L."), encodeBytes32String("@ada"));
+
+        const [[after], total] = await contract.getDirectory(0, 10);
+        expect(total).to.equal(1);
+        expect(decodeBytes32String(after.displayName)).to.equal("Ada L.");
+        expect(after.listedAt).to.equal(before.listedAt);
+      });
+
+      it("Should require a profile", async function () {
+        await expect(contract.connect(outsider).listInDirectory(ZeroHash, ZeroHash))
+          .to.be.revertedWith(variant.revertPrefix + "User has no profile");
+      });
+
+      it("Should expose no zodiac data", async function () {
+        await contract.connect(user).listInDirectory(encodeBytes32String("Ada"), ZeroHash);
+
+        const [[listing]] = await contract.getDirectory(0, 1);
+        expect(Object.keys(listing.toObject())).to.deep.equal(["user", "displayName", "handle", "listedAt"]);
+      });
+    });
+
+    describe("🚪 Unlisting", function () {
+      beforeEach(async function () {
+        for (const signer of [user, partner, other]) {
+          await contract.connect(signer).listInDirectory(ZeroHash, ZeroHash);
+        }
+      });
+
+      it("Should remove an entry and move the last one into its place", async function () {
+        await expect(contract.connect(user).unlistFromDirectory())
+          .to.emit(contract, "DirectoryUnlisted")
+          .withArgs(user.address);
+
+        expect(await listed()).to.deep.equal([other.address, partner.address]);
+        expect((await contract.getDirectoryListing(user.address)).listedAt).to.equal(0);
+
+        await contract.connect(partner).unlistFromDirectory();
+        expect(await listed()).to.deep.equal([other.address]);
+      });
+
+      it("Should reject unlisting twice", async function () {
+        await contract.connect(other).unlistFromDirectory();
+
+        await expect(contract.connect(other).unlistFromDirectory())
+          .to.be.revertedWith(variant.revertPrefix + "Not listed");
+        await expect(contract.connect(outsider).unlistFromDirectory())
+          .to.be.revertedWith(variant.revertPrefix + "Not listed");
+      });
+
+      it("Should unlist a deleted profile", async function () {
+        await expect(contract.connect(partner).deleteProfile())
+          .to.emit(contract, "DirectoryUnlisted")
+          .withArgs(partner.address);
+
+        expect(await listed()).to.deep.equal([user.address, other.address]);
+      });
+
+      it("Should allow listing again with a new listing time", async function () {
+        const [[first]] = await contract.getDirectory(0, 1);
+        await contract.connect(user).unlistFromDirectory();
+        await contract.connect(user).listInDirectory(ZeroHash, ZeroHash);
+
+        const [page] = await contract.getDirectory(0, 10);
+        expect(page[2].user).to.equal(user.address);
+        expect(page[2].listedAt).to.be.greaterThan(first.listedAt);
+      });
+    });
+
+    describe("📄 Pagination", function () {
+      it("Should paginate with offset and limit", async function () {
+        for (const signer of [user, partner, other]) {
+          await contract.connect(signer).listInDirectory(ZeroHash, ZeroHash);
+        }
+
+        const [firstPage] = await contract.getDirectory(1, 1);
+        const [lastPage] = await contract.getDirectory(2, 10);
+        const [emptyPage, total] = await contract.getDirectory(5, 10);
+        expect(firstPage.map((listing) => listing.user)).to.deep.equal([partner.address]);
+        expect(lastPage.map((listing) => listing.user)).to.deep.equal([other.address]);
+        expect(emptyPage).to.have.lengthOf(0);
+        expect(total).to.equal(3);
+      });
+    });
+  });
+}
+
+describe("AstralCompatibilityEnhanced - Profile Directory While Paused", function () {
+  let contract;
+  let owner, user;
+
+  beforeEach(async function () {
+    [owner, user] = await ethers.getSigners();
+
+    contract = await deployEnhancedLocal(owner);
+    await contract.connect(user).createProfile(0, 0, 0);
+    await contract.connect(user).listInDirectory(ZeroHash, ZeroHash);
+    await contract.pause();
+  });
+
+  it("Should reject new listings but allow unlisting", async function () {
+    await expect(contract.connect(user).listInDirectory(ZeroHash, ZeroHash))
+      .to.be.revertedWith("AC: Contract is paused");
+
+    await expect(contract.connect(user).unlistFromDirectory()).to.emit(contract, "DirectoryUnlisted");
+    expect((await contract.getDirectory(0, 10))[1]).to.equal(0);
+  });
+});
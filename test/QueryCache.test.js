@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { createQueryCache } = require("../lib/fhevm-sdk");
+
+// Let settled fetches run their then/finally handlers
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Query cache", function () {
+  let cache;
+  let client;
+  let calls;
+
+  // Fetcher whose requests the test answers itself, in any order
+  const fetcherFor = (key) => (activeClient) =>
+    new Promise((resolve) => calls.push({ key, client: activeClient, resolve }));
+
+  const answer = async (index, data) => {
+    calls[index].resolve(data);
+    await flush();
+  };
+
+  const keysFetched = () => calls.map((call) => call.key);
+
+  beforeEach(function () {
+    cache = createQueryCache();
+    client = {};
+    calls = [];
+  });
+
+  describe("🔁 Requests", function () {
+    it("Should share one in-flight request between subscribers", async function () {
+      const updates = [0, 0];
+      cache.subscribe(client, "stats", fetcherFor("stats"), () => updates[0]++);
+      cache.subscribe(client, "stats", fetcherFor("stats"), () => updates[1]++);
+
+      expect(calls).to.have.lengthOf(1);
+      expect(cache.fetch(client, "stats")).to.equal(cache.entry(client, "stats").promise);
+
+      // Both re-render when the shared request settles
+      const before = [...updates];
+      await answer(0, { totalMatches: 3 });
+      expect(calls).to.have.lengthOf(1);
+      expect(cache.entry(client, "stats").data).to.deep.equal({ totalMatches: 3 });
+      expect(updates).to.deep.equal([before[0] + 1, before[1] + 1]);
+    });
+
+    it("Should reuse data younger than the stale time", async function () {
+      const unsubscribe = cache.subscribe(client, "stats", fetcherFor("stats"), () => {}, 60_000);
+      await answer(0, 1);
+      unsubscribe();
+
+      cache.subscribe(client, "stats", fetcherFor("stats"), () => {}, 60_000);
+      expect(calls).to.have.lengthOf(1);
+
+      cache.subscribe(client, "stats", fetcherFor("stats"), () => {}, 0);
+      expect(calls).to.have.lengthOf(2);
+    });
+
+    it("Should keep the entries of each client apart", async function () {
+      const other = {};
+      cache.subscribe(client, "stats", fetcherFor("stats"), () => {});
+      cache.subscribe(other, "stats", fetcherFor("stats"), () => {});
+
+      expect(calls.map((call) => call.client)).to.deep.equal([client, other]);
+      await answer(1, "other");
+      expect(cache.entry(client, "stats").data).to.equal(undefined);
+      expect(cache.entry(other, "stats").data).to.equal("other");
+    });
+  });
+
+  describe("🧹 Invalidation", function () {
+    it("Should refetch once the request in flight when the key was invalidated settles", async function () {
+      cache.subscribe(client, "refunds:0xabc", fetcherFor("refunds:0xabc"), () => {});
+
+      cache.invalidate(client, "refunds:0xabc");
+      expect(cache.entry(client, "refunds:0xabc").stale).to.equal(true);
+      expect(calls).to.have.lengthOf(1);
+
+      await answer(0, "before");
+      expect(calls).to.have.lengthOf(2);
+      expect(cache.entry(client, "refunds:0xabc").data).to.equal("before");
+
+      await answer(1, "after");
+      expect(calls).to.have.lengthOf(2);
+      expect(cache.entry(client, "refunds:0xabc").data).to.equal("after");
+    });
+
+    it("Should reload a stale answer when a subscriber returns after unmounting", async function () {
+      const unsubscribe = cache.subscribe(client, "match:1", fetcherFor("match:1"), () => {}, 60_000);
+      cache.invalidate(client, "match:1");
+      unsubscribe();
+
+      await answer(0, "before");
+      expect(calls).to.have.lengthOf(1);
+
+      cache.subscribe(client, "match:1", fetcherFor("match:1"), () => {}, 60_000);
+      expect(calls).to.have.lengthOf(2);
+    });
+
+    it("Should only mark keys nobody watches for reload", async function () {
+      const unsubscribe = cache.subscribe(client, "match:1", fetcherFor("match:1"), () => {}, 60_000);
+      await answer(0, "before");
+      unsubscribe();
+
+      cache.invalidate(client, "match:1");
+      expect(calls).to.have.lengthOf(1);
+
+      cache.subscribe(client, "match:1", fetcherFor("match:1"), () => {}, 60_000);
+      expect(calls).to.have.lengthOf(2);
+    });
+
+    it("Should refetch the key and the keys below it only", async function () {
+      const keys = ["match:1", "match:10", "matches:0xabc:0:20", "refunds:0xabc"];
+      for (const key of keys) {
+        cache.subscribe(client, key, fetcherFor(key), () => {});
+      }
+      for (let i = 0; i < keys.length; i++) {
+        await answer(i, keys[i]);
+      }
+
+      const refetched = async (key) => {
+        const before = calls.length;
+        cache.invalidate(client, key);
+        const fetched = keysFetched().slice(before);
+        for (let i = before; i < calls.length; i++) {
+          await answer(i, calls[i].key);
+        }
+        return fetched;
+      };
+
+      expect(await refetched("match:1")).to.deep.equal(["match:1"]);
+      expect(await refetched("match")).to.deep.equal(["match:1", "match:10"]);
+      expect(await refetched("refunds")).to.deep.equal(["refunds:0xabc"]);
+      expect(await refetched()).to.deep.equal(keys);
+    });
+  });
+});
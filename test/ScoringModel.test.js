@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VARIANTS, revealedScore } = require("./helpers/deploy");
+
+// Frontend reference implementation (js/config.js is a browser script)
+function loadFrontendConfig() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "js", "config.js"), "utf8");
+  return vm.runInNewContext(`${source}\n({ CONFIG, explainCompatibility, scoringModelFromChain });`);
+}
+
+const { CONFIG, explainCompatibility, scoringModelFromChain } = loadFrontendConfig();
+
+// Same layout as CONFIG.SCORING, deterministic (random range 1)
+const CUSTOM_MODEL = {
+  BASE_SCORE: 40,
+  // Fire-Fire +25, Fire-Air +10, Fire-Water -15, Earth-Water +10
+  ELEMENT_MATRIX: [25, 0, 10, -15, 0, 0, 0, 10, 10, 0, 0, 0, -15, 10, 0, 0],
+  // Cardinal-Cardinal +5, Cardinal-Fixed -5
+  QUALITY_MATRIX: [5, -5, 0, -5, 0, 0, 0, 0, 0],
+  ASPECT_ADJUSTMENTS: [0, 0, 0, 0, 0, 0, 0],
+  SAME_SIGN_ADJUSTMENT: -30,
+  SIGN_PAIRS: [
+    { signA: 0, signB: 6, adjustment: 12 }, // Aries - Libra
+    { signA: 4, signB: 4, adjustment: -5 }, // Leo - Leo
+  ],
+  RANDOM_RANGE: 1,
+};
+
+function toArgs(model) {
+  return [
+    model.BASE_SCORE,
+    model.ELEMENT_MATRIX,
+    model.QUALITY_MATRIX,
+    model.ASPECT_ADJUSTMENTS,
+    model.SAME_SIGN_ADJUSTMENT,
+    model.SIGN_PAIRS,
+    model.RANDOM_RANGE,
+  ];
+}
+
+for (const [name, deploy] of VARIANTS) {
+  describe(`${name} - Scoring Model`, function () {
+    let variant;
+    let contract;
+    let owner, users;
+
+    // Aries, Leo, Libra, Cancer, Aries, Leo
+    const SIGNS = [0, 4, 6, 3, 0, 4];
+
+    async function setModel(model) {
+      await contract.setScoringConfig(...toArgs(model));
+    }
+
+    // Score on chain, checked against the frontend reference
+    async function expectScore(i, j, model) {
+      const explanation = explainCompatibility(SIGNS[i], SIGNS[j], model);
+      expect(explanation.min).to.equal(explanation.max);
+
+      const score = await revealedScore(variant, users[i], users[j]);
+      expect(score).to.equal(explanation.min);
+      return score;
+    }
+
+    beforeEach(async function () {
+      const signers = await ethers.getSigners();
+      [owner] = signers;
+      users = signers.slice(1, 1 + SIGNS.length);
+
+      variant = await deploy(owner);
+      contract = variant.contract;
+
+      for (let i = 0; i < users.length; i++) {
+        const sign = CONFIG.ZODIAC_SIGNS[SIGNS[i]];
+        await contract.connect(users[i]).createProfile(sign.id, sign.element, sign.quality);
+      }
+    });
+
+    describe("⚙️ Configuration", function () {
+      it("Should start with the default model from js/config.js", async function () {
+        const model = scoringModelFromChain(await contract.getScoringConfig());
+        expect(model).to.deep.equal(JSON.parse(JSON.stringify(CONFIG.SCORING)));
+        expect(await contract.scoringConfigVersion()).to.equal(1);
+      });
+
+      it("Should store a new model and bump the version", async function () {
+        await expect(contract.setScoringConfig(...toArgs(CUSTOM_MODEL)))
+          .to.emit(contract, "ScoringConfigUpdated");
+
+        const model = scoringModelFromChain(await contract.getScoringConfig());
+        expect(model).to.deep.equal(CUSTOM_MODEL);
+        expect(await contract.scoringConfigVersion()).to.equal(2);
+      });
+
+      it("Should switch to the traditional preset", async function () {
+        await expect(contract.setScoringPreset(CONFIG.SCORING_PRESETS.indexOf("TRADITIONAL")))
+          .to.emit(contract, "ScoringConfigUpdated");
+
+        const model = scoringModelFromChain(await contract.getScoringConfig());
+        expect(model).to.deep.equal(JSON.parse(JSON.stringify(CONFIG.TRADITIONAL_SCORING)));
+
+        await contract.setScoringPreset(CONFIG.SCORING_PRESETS.indexOf("DEFAULT"));
+        expect(scoringModelFromChain(await contract.getScoringConfig()))
+          .to.deep.equal(JSON.parse(JSON.stringify(CONFIG.SCORING)));
+      });
+
+      it("Should only let the owner change the model", async function () {
+        await expect(contract.connect(users[0]).setScoringConfig(...toArgs(CUSTOM_MODEL)))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+        await expect(contract.connect(users[0]).setScoringPreset(1))
+          .to.be.revertedWith(variant.revertPrefix + "Not authorized");
+      });
+
+      it("Should reject invalid models", async function () {
+        const prefix = variant.revertPrefix;
+        const invalid = (changes) => contract.setScoringConfig(...toArgs({ ...CUSTOM_MODEL, ...changes }));
+
+        await expect(invalid({ BASE_SCORE: 101 })).to.be.revertedWith(prefix + "Invalid base score");
+        await expect(invalid({ ELEMENT_MATRIX: [1, 2, 3] }))
+          .to.be.revertedWith(prefix + "Invalid element matrix");
+        await expect(invalid({ ELEMENT_MATRIX: [0, 5, ...new Array(14).fill(0)] }))
+          .to.be.revertedWith(prefix + "Invalid element matrix");
+        await expect(invalid({ QUALITY_MATRIX: [0, 0, 7, 0, 0, 0, 0, 0, 0] }))
+          .to.be.revertedWith(prefix + "Invalid quality matrix");
+        await expect(invalid({ ASPECT_ADJUSTMENTS: [0, 0, 10] }))
+          .to.be.revertedWith(prefix + "Invalid aspect table");
+        await expect(invalid({ SIGN_PAIRS: new Array(17).fill({ signA: 0, signB: 1, adjustment: 1 }) }))
+          .to.be.revertedWith(prefix + "Too many sign pairs");
+        await expect(invalid({ SIGN_PAIRS: [{ signA: 12, signB: 0, adjustment: 1 }] }))
+          .to.be.revertedWith(prefix + "Invalid sign pair");
+        await expect(invalid({ RANDOM_RANGE: 0 }))
+          .to.be.revertedWith(prefix + "Random range must be a power of two");
+        await expect(invalid({ RANDOM_RANGE: 12 }))
+          .to.be.revertedWith(prefix + "Random range must be a power of two");
+      });
+    });
+
+    describe("🧮 Evaluation", function () {
+      it("Should keep default scores within the reference range", async function () {
+        // Aries - Leo: same element, random bonus 0-15
+        const explanation = explainCompatibility(0, 4);
+        const score = await revealedScore(variant, users[0], users[1]);
+        expect(score).to.be.within(explanation.min, explanation.max);
+      });
+
+      it("Should apply element, quality and sign adjustments like the reference", async function () {
+        await setModel(CUSTOM_MODEL);
+
+        expect(await expectScore(0, 1, CUSTOM_MODEL)).to.equal(60); // Fire-Fire, Cardinal-Fixed
+        expect(await expectScore(0, 2, CUSTOM_MODEL)).to.equal(67); // Fire-Air, Cardinal-Cardinal, Aries-Libra
+        expect(await expectScore(0, 3, CUSTOM_MODEL)).to.equal(30); // Fire-Water, Cardinal-Cardinal
+        expect(await expectScore(0, 4, CUSTOM_MODEL)).to.equal(40); // Same sign
+        expect(await expectScore(5, 1, CUSTOM_MODEL)).to.equal(30); // Same sign, Leo-Leo
+        expect(await expectScore(2, 3, CUSTOM_MODEL)).to.equal(45); // Air-Water, Cardinal-Cardinal
+      });
+
+      it("Should score traditional aspects like the reference", async function () {
+        const traditional = { ...CONFIG.TRADITIONAL_SCORING, RANDOM_RANGE: 1 };
+        await setModel(traditional);
+
+        expect(await expectScore(0, 1, traditional)).to.equal(75); // Trine, same element
+        expect(await expectScore(0, 2, traditional)).to.equal(60); // Opposition, Fire-Air, same quality
+        expect(await expectScore(0, 3, traditional)).to.equal(25); // Square, Fire-Water, same quality
+        expect(await expectScore(0, 4, traditional)).to.equal(55); // Conjunction
+        expect(await expectScore(2, 3, traditional)).to.equal(35); // Square, Air-Water, same quality
+        expect(await expectScore(1, 3, traditional)).to.equal(40); // Semi-sextile, Fire-Water
+      });
+
+      it("Should keep traditional preset scores within the reference range", async function () {
+        await contract.setScoringPreset(CONFIG.SCORING_PRESETS.indexOf("TRADITIONAL"));
+
+        const explanation = explainCompatibility(6, 0, CONFIG.TRADITIONAL_SCORING);
+        const score = await revealedScore(variant, users[2], users[0]);
+        expect(score).to.be.within(explanation.min, explanation.max);
+      });
+
+      it("Should clamp scores to 0-100", async function () {
+        await setModel({ ...CUSTOM_MODEL, BASE_SCORE: 100 });
+        expect(await expectScore(0, 1, { ...CUSTOM_MODEL, BASE_SCORE: 100 })).to.equal(100);
+
+        await setModel({ ...CUSTOM_MODEL, BASE_SCORE: 0 });
+        expect(await expectScore(0, 3, { ...CUSTOM_MODEL, BASE_SCORE: 0 })).to.equal(0);
+      });
+    });
+  });
+}
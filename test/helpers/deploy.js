@@ -0,0 +1,213 @@
+const { ethers } = require("hardhat");
+const { connectGateway, pendingRequests, fulfillRequest } = require("../../scripts/mock-gateway");
+
+// RequestStatus.CANCELLED of MatchTypes.sol
+const MATCH_CANCELLED = 6n;
+
+/**
+ * AstralCompatibilityEnhancedLocal on the mock coprocessor stack (contracts/test/),
+ * shared by the tests and the local scripts so a new linked library is added once.
+ */
+
+/**
+ * Mock ACL, executor, decryption oracle and KMS verifier; `kmsSigner` signs the
+ * decryptions scripts/mock-gateway.js answers with. Returns the coprocessor config.
+ */
+async function deployMockCoprocessor(kmsSigner) {
+  const acl = await ethers.deployContract("MockACL");
+  const executor = await ethers.deployContract("MockFHEVMExecutor");
+  const oracle = await ethers.deployContract("MockDecryptionOracle");
+  const kmsVerifier = await ethers.deployContract("MockKMSVerifier", [kmsSigner.address]);
+
+  return {
+    ACLAddress: await acl.getAddress(),
+    CoprocessorAddress: await executor.getAddress(),
+    DecryptionOracleAddress: await oracle.getAddress(),
+    KMSVerifierAddress: await kmsVerifier.getAddress(),
+  };
+}
+
+/**
+ * Scoring model, invitation, profile, decryption and group libraries linked into
+ * the enhanced contract, as the `libraries` option of deployContract.
+ */
+async function deployLibraries() {
+  const scoring = await ethers.deployContract("CompatibilityScoring");
+  const scoringLink = { libraries: { CompatibilityScoring: await scoring.getAddress() } };
+  const invitations = await ethers.deployContract("MatchInvitations");
+  const profiles = await ethers.deployContract("ProfileRegistry", scoringLink);
+  const decryption = await ethers.deployContract("ScoreDecryption");
+  const groups = await ethers.deployContract("GroupMatches", scoringLink);
+
+  return {
+    CompatibilityScoring: await scoring.getAddress(),
+    MatchInvitations: await invitations.getAddress(),
+    ProfileRegistry: await profiles.getAddress(),
+    ScoreDecryption: await decryption.getAddress(),
+    GroupMatches: await groups.getAddress(),
+  };
+}
+
+/**
+ * Deploy AstralCompatibilityEnhancedLocal with `owner` as KMS signer and the given pausers.
+ */
+async function deployEnhancedLocal(owner, pausers = [owner.address]) {
+  const coprocessorConfig = await deployMockCoprocessor(owner);
+  const libraries = await deployLibraries();
+
+  const contract = await ethers.deployContract("AstralCompatibilityEnhancedLocal", [pausers, 1, coprocessorConfig], {
+    libraries,
+  });
+  await contract.waitForDeployment();
+  return contract;
+}
+
+/**
+ * Test variants: the enhanced local build and AstralCompatibilityMock behind one interface,
+ * so a suite runs the same cases on both. Each has the contract, its revert reason prefix
+ * and the calls that differ between the two.
+ */
+async function deployEnhancedVariant(owner) {
+  const contract = await deployEnhancedLocal(owner);
+  const gateway = await connectGateway(await contract.getAddress());
+  const matchFee = await contract.matchFee();
+
+  // The mock executor uses the handle as the cleartext; a zero handle leaves the placement unset
+  const encryptedSign = (sign) => (sign === null ? ethers.ZeroHash : ethers.toBeHex(sign, 32));
+
+  return {
+    contract,
+    gateway,
+    acl: await ethers.getContractAt("MockACL", (await contract.getCoprocessorConfig()).ACLAddress),
+    revertPrefix: "AC: ",
+    // Transaction overrides paying the fee of `count` invitations
+    fees(count) {
+      return { value: matchFee * BigInt(count) };
+    },
+    invite(user, partner) {
+      return contract.connect(user).requestCompatibilityMatch(partner.address, { value: matchFee });
+    },
+    requestReveal(user, matchId) {
+      return contract.connect(user).requestRevealScore(matchId);
+    },
+    // Publish the score and answer the oracle request like the relayer
+    async reveal(user, matchId) {
+      await contract.connect(user).requestRevealScore(matchId);
+      const requests = await pendingRequests(gateway);
+      await fulfillRequest(gateway, requests[requests.length - 1]);
+    },
+    // Publish a group's aggregate the same way
+    async revealGroup(user, groupId) {
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await contract.connect(user).requestRevealGroupScore(groupId);
+      const [request] = await pendingRequests(gateway, fromBlock);
+      return fulfillRequest(gateway, request);
+    },
+    // Answer every oracle request opened since `fromBlock`
+    async settle(fromBlock) {
+      for (const request of await pendingRequests(gateway, fromBlock)) {
+        await fulfillRequest(gateway, request);
+      }
+    },
+    async isCancelled(matchId) {
+      return (await contract.getMatchInfo(matchId)).status === MATCH_CANCELLED;
+    },
+    // The mock executor keeps cleartexts by handle, standing in for the relayer's userDecrypt
+    async privateScore(user, matchId) {
+      const handle = await contract.connect(user).getEncryptedScore(matchId);
+      return Number(await gateway.executor.cleartexts(handle));
+    },
+    async bestIndex(user) {
+      const handle = await contract.connect(user).getBestMatchIndex();
+      return Number(await gateway.executor.cleartexts(handle));
+    },
+    async storedSign(user) {
+      const profile = await contract.userProfiles(user.address);
+      return Number(await gateway.executor.cleartexts(profile.encryptedZodiac));
+    },
+    setNatalSigns(user, { moon, rising }) {
+      return contract.connect(user).setEncryptedNatalSigns(encryptedSign(moon), encryptedSign(rising), "0x");
+    },
+  };
+}
+
+async function deployMockVariant() {
+  const contract = await ethers.deployContract("AstralCompatibilityMock");
+  await contract.waitForDeployment();
+
+  const noSign = await contract.NO_SIGN();
+  const plainSign = (sign) => (sign === null ? noSign : sign);
+  // The mock reveals in the transaction
+  const reveal = (user, matchId) => contract.connect(user).revealCompatibilityScore(matchId);
+
+  return {
+    contract,
+    revertPrefix: "",
+    // The mock charges no fees
+    fees() {
+      return {};
+    },
+    invite(user, partner) {
+      return contract.connect(user).requestCompatibilityMatch(partner.address);
+    },
+    requestReveal: reveal,
+    reveal,
+    revealGroup(user, groupId) {
+      return contract.connect(user).revealGroupScore(groupId);
+    },
+    async settle() {},
+    // The mock flags cancelled matches in the participants' match summaries
+    async isCancelled(matchId) {
+      const { user1 } = await contract.getMatchInfo(matchId);
+      const [page] = await contract.getUserMatches(user1, 0, ethers.MaxUint256);
+      return page.find((summary) => summary.matchId === matchId).isCancelled;
+    },
+    async privateScore(user, matchId) {
+      return Number(await contract.connect(user).getPrivateScore(matchId));
+    },
+    async bestIndex(user) {
+      return Number(await contract.connect(user).getBestMatchIndex());
+    },
+    async storedSign(user) {
+      return Number((await contract.userProfiles(user.address)).zodiac);
+    },
+    setNatalSigns(user, { moon, rising }) {
+      return contract.connect(user).setNatalSigns(plainSign(moon), plainSign(rising));
+    },
+  };
+}
+
+const VARIANTS = [
+  ["AstralCompatibilityEnhanced", deployEnhancedVariant],
+  ["AstralCompatibilityMock", deployMockVariant],
+];
+
+/**
+ * `requester` invites `partner`, who accepts. Resolves to the match ID.
+ */
+async function acceptedMatch(variant, requester, partner) {
+  await variant.invite(requester, partner);
+  const matchId = await variant.contract.generateMatchId(requester.address, partner.address);
+  await variant.contract.connect(partner).acceptMatchInvitation(matchId);
+  return matchId;
+}
+
+/**
+ * Match `user` with `partner` and publish the score. Resolves to the public score.
+ */
+async function revealedScore(variant, user, partner) {
+  const matchId = await acceptedMatch(variant, user, partner);
+  await variant.reveal(user, matchId);
+  return (await variant.contract.getMatchInfo(matchId)).publicScore;
+}
+
+module.exports = {
+  deployMockCoprocessor,
+  deployLibraries,
+  deployEnhancedLocal,
+  deployEnhancedVariant,
+  deployMockVariant,
+  VARIANTS,
+  acceptedMatch,
+  revealedScore,
+};